@@ -32,10 +32,33 @@ import smartInterpreter from "../lib/smart-interpreter.js";
 import advancedNLP from "../lib/advanced-nlp.js";
 import fuzzyMatcher from "../lib/fuzzy-matcher.js";
 import pricing from "../lib/zona-precios.js";
+import flowEngineModule from "../lib/flow-engine.js";
+import cart from "../lib/cart.js";
+import rules from "../lib/rules.js";
+import fulfillment from "../lib/fulfillment.js";
+import payments from "../lib/payments.js";
+import schedule from "../lib/schedule.js";
+import reminders from "../lib/reminders.js";
+import escalation from "../lib/escalation.js";
+import sla from "../lib/sla.js";
+import followUps from "../lib/follow-ups.js";
+import orderStatus from "../lib/order-status.js";
+import { guardarPedidoFirebase, actualizarPedido, actualizarEstadoPedido, buscarPedidos, obtenerPedido, metodosDePago } from "../lib/pedidos.js";
+import pedidosExport from "../lib/pedidos-export.js";
+import kitchenTicket from "../lib/kitchen-ticket.js";
+import dailyReport from "../lib/daily-report.js";
+import sheetsSink from "../lib/sheets-sink.js";
+import inventory from "../lib/inventory.js";
+import availability from "../lib/availability.js";
+import menuAdmin from "../lib/menu-admin.js";
+import promotions from "../lib/promotions.js";
+import coupons from "../lib/coupons.js";
 import { 
   logger,
   AppError,
   ValidationError,
+  UnauthorizedError,
+  NotFoundError,
   RateLimitError,
   validatePhone,
   sanitizeInput,
@@ -49,7 +72,7 @@ import {
 } from "../lib/utils.js";
 import { CONFIG } from "../lib/config.js";
 
-const { detectIntention, validateOrder, INTENTIONS, generateSmartResponse } = aiEngineModule;
+const { detectIntention, validateOrder, INTENTIONS, generateSmartResponse, generateSuggestions } = aiEngineModule;
 const ConversationContext = aiEngineModule.ConversationContext;
 const { smartOCRAnalysis } = smartOcrModule;
 const UserProfile = userProfileModule.UserProfile;
@@ -70,9 +93,11 @@ const {
   getProximityZone
 } = smartDelivery;
 const detectAddress = detectAddressModule.isAddress;
-const { sendOrderToAgent, formatOrderForAgent } = kommoSender;
+const { sendOrderToAgent, sendKitchenReminder, sendCustomerMessage, formatOrderForAgent } = kommoSender;
 const { smartProcess, generateContextAwareResponse: neoResponse } = smartInterpreter;
+const { findProductInMenu } = pricing;
 import fs from "fs";
+import crypto from "crypto";
 
 // Lazy load menu and synonyms (don't load during module init in serverless)
 let menu = null;
@@ -104,9 +129,20 @@ const loadMenuData = () => {
   return { menu, synonyms };
 };
 
+/**
+ * Switch to the active menu version (lib/menu-admin.js) so /api/menu edits reach the bot without a redeploy
+ * @returns {Promise<Object>} { menu, synonyms }
+ */
+const refreshMenuData = async () => {
+  menu = (await menuAdmin.getActiveMenu()).menu;
+  return loadMenuData();
+};
+
 /* ---------- RATE LIMITING & METRICS ---------- */
 const rateLimiter = new RateLimiter(CONFIG.RATE_LIMIT_MAX_REQUESTS || 60, 60 * 1000);
 const metrics = new MetricsCollector();
+// Segundos que espera el webhook antes de reintentar un mensaje que sigue en proceso
+const MESSAGE_IN_PROGRESS_RETRY_SECS = 5;
 
 // Cleanup interval for rate limiter - DISABLED in serverless
 // setInterval(() => {
@@ -309,16 +345,37 @@ const buildOrderSummaryText = (orderDraft, pricingResult) => {
     const unit = it.unitPrice != null ? formatMoney(it.unitPrice) : "precio a confirmar";
     const lineTotal = it.price != null ? formatMoney(it.price) : "—";
     lines.push(`• ${qty} x ${name}${variant} — ${unit} — ${lineTotal}`);
+    if (it.notes?.length) lines.push(`   📝 ${it.notes.join(", ")}`);
   }
+  if (orderDraft.notes?.length) lines.push(`📝 Nota: ${orderDraft.notes.join(", ")}`);
+  if (orderDraft.scheduledFor) lines.push(`🗓️ Programado para ${schedule.formatScheduledTime(orderDraft.scheduledFor)}`);
   lines.push("");
   lines.push(`Subtotal: ${formatMoney(pricingResult.subtotal)}`);
-  if (pricingResult.discounts && pricingResult.discounts > 0) lines.push(`Descuentos: -${formatMoney(pricingResult.discounts)}`);
+  if (pricingResult.discounts && pricingResult.discounts > 0) {
+    lines.push(`Descuentos: -${formatMoney(pricingResult.discounts)}`);
+    for (const p of pricingResult.promotions || []) {
+      lines.push(`   🎉 ${p.nombre}${p.veces > 1 ? ` x${p.veces}` : ""}: -${formatMoney(p.monto)}`);
+    }
+    if (pricingResult.coupon?.monto > 0) lines.push(`   🎟️ Cupón ${pricingResult.coupon.codigo}: -${formatMoney(pricingResult.coupon.monto)}`);
+  }
+  if (pricingResult.coupon?.motivo) lines.push(`🎟️ El cupón ${pricingResult.coupon.codigo} ${pricingResult.coupon.motivo}`);
   if (pricingResult.tax && pricingResult.tax > 0) lines.push(`Impuestos: ${formatMoney(pricingResult.tax)}`);
   if (pricingResult.deliveryFee && pricingResult.deliveryFee > 0) lines.push(`Delivery: ${formatMoney(pricingResult.deliveryFee)}`);
   lines.push(`Total a cobrar: *${formatMoney(pricingResult.total)}*`);
   return lines.join("\n");
 };
 
+/**
+ * Suggest complements for the current order (upsell messages)
+ * @param {Array} items - Current order items
+ * @param {UserProfile} profile - User profile with previous orders
+ * @returns {Array<string>} Suggestion messages
+ */
+const suggestComplements = (items, profile) => {
+  const suggestions = generateSuggestions({ previousOrders: profile?.orders || [], currentOrder: { items } }, menu);
+  return suggestions.map(s => s.message).filter(Boolean);
+};
+
 /**
  * Safe JSON parsing with fallback - uses parseJSON from utils.js
  * @deprecated Use parseJSON from utils.js directly
@@ -370,13 +427,79 @@ const auditLog = (operation, telefono, data = {}) => {
   metrics.record('audit_trail', 1, { operation });
 };
 
+/* ---------- Conversation Flow Engine ---------- */
+
+let flowEngine = null;
+
+/**
+ * Variables de plantilla con montos formateados (s/ {subtotal}, s/ {total}, ...)
+ * @param {Object} calc - Resultado de calculateDeliveryAndTotal
+ * @returns {Object} { subtotal, delivery, total }
+ */
+const pricingVars = (calc) => {
+  if (!calc) return {};
+  return {
+    subtotal: Number(calc.subtotal || 0).toFixed(2),
+    delivery: Number(calc.deliveryFee || 0).toFixed(2),
+    total: Number(calc.total || 0).toFixed(2)
+  };
+};
+
+/**
+ * Get the flow engine for data/flujos.json with the handler actions registered
+ * The actions registered here fill template variables from the context the handler passes
+ * (telefono, pricing, order, menu). Orders, payments, stock and escalations are handled by the
+ * handler around each step, so their actions (guardar_pedido_final, generar_paquete_escalado, ...)
+ * show up as "skipped" and never block a transition.
+ * @returns {FlowEngine} Flow engine instance
+ */
+const getFlowEngine = () => {
+  if (!flowEngine) {
+    flowEngine = flowEngineModule.createFlowEngine({
+      actions: {
+        registrar_conversacion: (ctx) => {
+          auditLog('conversation_started', ctx.telefono, { tipo: ctx.tipo });
+        },
+        extraer_numero_remitente: (ctx) => ({
+          Telefono: ctx.telefono,
+          NombreCliente: ctx.nombre
+        }),
+        detectar_intencion_inicial: (ctx) => ({ intencion: ctx.intention || null }),
+        calcular_subtotales: (ctx) => pricingVars(ctx.pricing),
+        calcular_delivery_a_ubicacion_previa_si_existe: (ctx) => {
+          if (!ctx.pricing?.deliveryFee) return {};
+          return { ...pricingVars(ctx.pricing), ...(ctx.pricing.zone ? { tramo: `zona ${ctx.pricing.zone}` } : {}) };
+        },
+        calcular_costo_envio_por_distancia: (ctx) => {
+          if (!ctx.pricing) return {};
+          return { delivery: Number(ctx.pricing.deliveryFee || 0).toFixed(2) };
+        },
+        // Un recojo programado no usa minutos: la plantilla queda incompleta y se usa el texto propio
+        calcular_tiempo_preparacion: (ctx) => {
+          if (!ctx.order?.items?.length || ctx.order.scheduledFor) return {};
+          const ready = fulfillment.estimatePickupTime(ctx.order.items, ctx.menu);
+          return { listo_en: ready.minutes, hora_recojo: ready.readyAtText };
+        },
+        registrar_error: (ctx) => {
+          auditLog('message_not_understood', ctx.telefono, { intencion: ctx.intention || null });
+        }
+      }
+    });
+  }
+  return flowEngine;
+};
+
 /* ---------- Order State & Transitions ---------- */
 /*
+  Order lifecycle (session.estado). The conversation flow from data/flujos.json
+  is tracked separately in session.flujo by the flow engine.
+
   Main states:
   - inicio
   - pedido_borrador
   - direccion
-  - pedido_confirmado (total calculado)
+  - pendiente_confirmacion (resumen mostrado, esperando Sí/No del cliente)
+  - pedido_confirmado (confirmado por el cliente, enviado al agente)
   - pago_verificacion (comprobante recibido)
   - pagado
   - preparacion
@@ -385,47 +508,371 @@ const auditLog = (operation, telefono, data = {}) => {
   - cancelado
 */
 
+const LOCKED_ORDER_STATES = ["pagado", "preparacion", "en_reparto", "entregado", "cancelado"];
+const PENDING_CONFIRMATION_STATE = "pendiente_confirmacion";
+// flujos.json: trigger con el que cada tipo de mensaje entra al flujo
+const FLOW_CHANNEL_TRIGGERS = { text: 'mensaje_texto', image: 'imagen_recibida', image_buffer: 'imagen_recibida' };
+// flujos.json: el efectivo con monto resuelve el pago y el pedido pasa al local
+const CASH_SETTLED_TRIGGERS = ['pago_en_efectivo', 'cliente_confirma_pago', 'pago_confirmado', 'pedido_enviado_a_local'];
+
+/**
+ * Get the order draft that can still be edited (not paid, dispatched or cancelled)
+ * @param {Object} sessionData - User session
+ * @returns {Object|null} Draft { items, notes } or null
+ */
+const getEditableDraft = (sessionData) => {
+  const draft = sessionData?.pedido || sessionData?.pedido_borrador || null;
+  if (!draft?.items?.length || LOCKED_ORDER_STATES.includes(sessionData.estado)) return null;
+  return draft;
+};
+
+/**
+ * Flow triggers that take a complete order (waiting for confirmation or payment) back to
+ * pedido_modificacion before its items, address or delivery change
+ * @param {string} estado - Order state (session.estado)
+ * @returns {Array<string>} Triggers to dispatch first (empty while the order is still a draft)
+ */
+const reopenFlowTriggers = (estado) => (
+  [PENDING_CONFIRMATION_STATE, "pedido_confirmado", "pago_verificacion"].includes(estado) ? ['intencion_modificar_pedido'] : []
+);
+
+/**
+ * Tell an after-hours customer when the store opens
+ * @param {Object} hours - Result of validateDeliveryHours
+ * @returns {string} Notice for the customer
+ */
+const closedNotice = (hours) => {
+  const why = hours.reason === "feriado"
+    ? `hoy no atendemos${hours.note ? ` por ${hours.note}` : " por feriado"}`
+    : "en este momento estamos cerrados";
+  if (!hours.nextOpening) return `🕐 Lo sentimos, ${why}.`;
+  const opening = `🕐 Lo sentimos, ${why}. Abrimos ${schedule.formatScheduledTime(hours.nextOpening)}.`;
+  return hours.acceptsPreOrders
+    ? `${opening} Puedes dejar tu pedido ahora y lo preparamos para la apertura.`
+    : `${opening} Escríbenos a partir de esa hora para tomar tu pedido.`;
+};
+
+/**
+ * Explain why a requested time cannot be scheduled
+ * @param {Object} check - Result of schedule.validateScheduledTime
+ * @returns {string} Warning for the customer
+ */
+const scheduleProblemText = (check) => {
+  const reasons = {
+    past: "⚠️ Esa hora ya pasó.",
+    too_soon: `⚠️ Para esa hora no alcanzamos a programarlo: el delivery demora unos ${CONFIG.DELIVERY_TIME_ESTIMATE_MINS} minutos.`,
+    too_far: "⚠️ Solo programamos pedidos con hasta 7 días de anticipación.",
+    outside_hours: `⚠️ Esa hora está fuera de nuestro horario de atención (ese día: ${check.hours}).`
+  };
+  return reasons[check.reason] || "⚠️ No pude programar el pedido para esa hora.";
+};
+
+/**
+ * Whether an order needs an explicit yes/no before it counts as confirmed
+ * @returns {boolean} reglas_negocio.confirmacion_obligatoria (default true)
+ */
+const requiresOrderConfirmation = () => rules.getBusinessRule("confirmacion_obligatoria", true) !== false;
+
+/**
+ * Tell the customer which items cannot be picked up (solo_delivery tag)
+ * @param {Array} blocked - Items from fulfillment.findDeliveryOnlyItems
+ * @returns {string} Reply text
+ */
+const deliveryOnlyReply = (blocked) => {
+  const names = blocked.map(it => it.name || it.id).join(", ");
+  return `⚠️ ${names} ${blocked.length > 1 ? "solo están disponibles" : "solo está disponible"} para delivery, no para recojo en local.\n` +
+         `Puedes quitarlo de tu pedido o elegir delivery enviando tu dirección o ubicación.`;
+};
+
+const PAYMENT_LABELS = { yape: "Yape", plin: "Plin", comprobante: "Comprobante", manual: "Pago", combinado: "Pago combinado" };
+
+/**
+ * Describe the chosen payment method for the customer
+ * @param {Object} pago - Session payment { method, pagarCon, vuelto }
+ * @returns {string|null} Description or null if no method was chosen
+ */
+const describePayment = (pago) => {
+  if (!pago?.method) return null;
+  if (pago.method === payments.PAYMENT_METHODS.CASH) {
+    return pago.pagarCon != null
+      ? `Efectivo (paga con ${formatMoney(pago.pagarCon)}, vuelto ${formatMoney(pago.vuelto || 0)})`
+      : "Efectivo";
+  }
+  return PAYMENT_LABELS[pago.method] || pago.method;
+};
+
+/**
+ * Map a session order to the shape expected by kommo-sender (sendOrderToAgent)
+ * @param {Object} order - Session order { items, notes }
+ * @param {Object} calc - Result of calculateDeliveryAndTotal
+ * @param {Object} sessionData - Session with address and pago
+ * @returns {Object} Order for the agent
+ */
+const buildAgentOrder = (order, calc, sessionData = {}) => {
+  const components = sessionData.address?.components || {};
+  const isPickup = sessionData.tipo_entrega === fulfillment.FULFILLMENT_TYPES.PICKUP;
+  return {
+    numero: order.numero || undefined,
+    items: order.items.map(it => ({
+      nombre: it.name || it.id,
+      cantidad: it.quantity || 1,
+      tamano: it.variant || "",
+      precio: it.unitPrice != null ? Number(it.unitPrice) * (it.quantity || 1) : Number(it.price || 0),
+      extras: it.extras || [],
+      notas: it.notes?.length ? it.notes.join(", ") : undefined
+    })),
+    subtotal: calc.subtotal,
+    costoEnvio: calc.deliveryFee,
+    total: calc.total,
+    metodoPago: sessionData.pago?.method,
+    pagarCon: sessionData.pago?.pagarCon ?? undefined,
+    pagos: sessionData.pagos?.length ? sessionData.pagos : undefined,
+    scheduledFor: order.scheduledFor || undefined,
+    tipoEntrega: isPickup ? fulfillment.FULFILLMENT_TYPES.PICKUP : fulfillment.FULFILLMENT_TYPES.DELIVERY,
+    direccion: isPickup ? undefined : sessionData.address?.address,
+    coordenadas: !isPickup && components.lat != null ? { lat: components.lat, lon: components.lon } : undefined,
+    tiempoEstimado: isPickup ? sessionData.recojo?.listoEnMin : undefined,
+    listoParaRecoger: isPickup ? sessionData.recojo?.hora : undefined,
+    notas: order.notes?.length ? order.notes.join(", ") : undefined
+  };
+};
+
+/**
+ * Map a session order to the pedidos record (lib/pedidos.js guardarPedidoFirebase)
+ * @param {Object} order - Session order { items, notes, scheduledFor }
+ * @param {Object} calc - Result of calculateDeliveryAndTotal
+ * @param {Object} sessionData - Session with address, pago, pagos and tipo_entrega
+ * @param {Object} cliente - { nombre, telefono }
+ * @returns {Object} Order record (no undefined values, Firestore rejects them)
+ */
+const buildOrderRecord = (order, calc, sessionData = {}, cliente = {}) => {
+  const isPickup = sessionData.tipo_entrega === fulfillment.FULFILLMENT_TYPES.PICKUP;
+  return {
+    nombre_cliente: cliente.nombre || "Cliente WhatsApp",
+    telefono_cliente: String(cliente.telefono || ""),
+    direccion: isPickup ? "" : sessionData.address?.address || "",
+    tipo_entrega: isPickup ? fulfillment.FULFILLMENT_TYPES.PICKUP : fulfillment.FULFILLMENT_TYPES.DELIVERY,
+    pago: sessionData.pago?.method || "",
+    pedido: order.items.map(it => {
+      const cantidad = it.quantity || 1;
+      return {
+        id: it.id || null,
+        nombre: it.name || it.id,
+        cantidad,
+        precio: it.unitPrice != null ? Number(it.unitPrice) : Number(it.price || 0) / cantidad,
+        variante: it.variant || null,
+        extras: it.extras || [],
+        notas: it.notes?.length ? it.notes.join(", ") : null
+      };
+    }),
+    total: calc.total,
+    subtotal: calc.subtotal ?? null,
+    costo_envio: calc.deliveryFee ?? null,
+    descuento: calc.discounts || 0,
+    promociones: calc.promotions || [],
+    cupon: calc.coupon?.monto > 0 ? { codigo: calc.coupon.codigo, monto: calc.coupon.monto } : null,
+    pagos: sessionData.pagos || [],
+    metodos_pago: metodosDePago(sessionData.pago?.method, sessionData.pagos),
+    programado_para: order.scheduledFor ? new Date(order.scheduledFor).toISOString() : null,
+    notas: order.notes?.length ? order.notes.join(", ") : null
+  };
+};
+
+// The order side effects below log their own failures and never block the reply;
+// each doc says what is left behind when one fails.
+
+/**
+ * Copy a session state change to the stored order (no-op for orders without a number)
+ * The session keeps the new state either way.
+ * @param {string} telefono - Customer phone
+ * @param {string|null} numero - DY-000123
+ * @param {string} estado - New order state
+ * @returns {Promise<void>}
+ */
+const syncOrderRecordStatus = async (telefono, numero, estado) => {
+  if (!numero) return;
+  try {
+    await actualizarEstadoPedido(numero, estado);
+  } catch (err) {
+    logger.error('Order record status not updated', { telefono, numero, estado, error: err?.message || err });
+    return;
+  }
+  await syncOrderToSheet(numero);
+};
+
+/**
+ * Copy the stored order to the spreadsheet (lib/sheets-sink.js); no-op when the integration is off
+ * The spreadsheet is only a copy: missed rows are refilled with npm run sheets:backfill.
+ * @param {string|null} numero - DY-000123
+ * @returns {Promise<void>}
+ */
+const syncOrderToSheet = async (numero) => {
+  if (!numero || !sheetsSink.getSheetsAdapter()) return;
+  try {
+    const pedido = await obtenerPedido(numero);
+    if (pedido) await sheetsSink.upsertOrderRow(pedido);
+  } catch (err) {
+    logger.error('Order not copied to spreadsheet', { numero, error: err?.message || err });
+  }
+};
+
+/**
+ * Deduct a paid (or kitchen-bound) order from stock and release its reservation
+ * On failure the order goes on and the stock is corrected by hand.
+ * @param {string} telefono - Customer phone
+ * @param {Object} pedido - Session order { items, numero }
+ * @returns {Promise<Array>} Items sold beyond the free stock (inventory.commitStock faltantes)
+ */
+const commitOrderStock = async (telefono, pedido) => {
+  if (!pedido?.items?.length) return [];
+  try {
+    const { faltantes } = await inventory.commitStock(telefono, pedido.items, { menu: loadMenuData().menu, numero: pedido.numero || null });
+    return faltantes;
+  } catch (err) {
+    logger.error('Order stock not committed', { telefono, numero: pedido.numero || null, error: err?.message || err });
+    return [];
+  }
+};
+
+/**
+ * Return the stock reserved by a cancelled or abandoned order
+ * On failure the units stay reserved until they are corrected by hand.
+ * @param {string} telefono - Customer phone
+ * @returns {Promise<void>}
+ */
+const releaseOrderStock = async (telefono) => {
+  try {
+    await inventory.releaseStock(telefono);
+  } catch (err) {
+    logger.error('Order stock not released', { telefono, error: err?.message || err });
+  }
+};
+
+/**
+ * The order's coupon use becomes final once the order is paid or sent to the kitchen
+ * (and leaves the session, so the next order starts without it). On failure the use stays held,
+ * so a later cancellation can't return it by mistake.
+ * @param {string} telefono - Customer phone
+ * @returns {Promise<void>}
+ */
+const commitOrderCoupon = async (telefono) => {
+  try {
+    if (await coupons.commitCoupon(telefono)) await sessionStore.saveSession(telefono, { cupon: null });
+  } catch (err) {
+    logger.error('Order coupon not committed', { telefono, error: err?.message || err });
+  }
+};
+
+/**
+ * Return the coupon use held by a cancelled or abandoned order
+ * On failure the use stays counted until it is corrected by hand.
+ * @param {string} telefono - Customer phone
+ * @returns {Promise<void>}
+ */
+const releaseOrderCoupon = async (telefono) => {
+  try {
+    await coupons.releaseCoupon(telefono);
+  } catch (err) {
+    logger.error('Order coupon not released', { telefono, error: err?.message || err });
+  }
+};
+
+/**
+ * Tell the customer which items ran out and suggest in-stock products of the same category
+ * @param {Array} faltantes - Items from inventory.checkStock or inventory.reserveStock
+ * @returns {string} Reply text
+ */
+const outOfStockReply = (faltantes) => faltantes.map(f => {
+  const left = f.disponible > 0
+    ? `solo nos quedan ${f.disponible}`
+    : f.hasta ? `no está disponible hasta ${schedule.formatScheduledTime(f.hasta)}` : "se agotó por hoy";
+  const options = (f.alternativas || []).map(a => (a.precio != null ? `${a.nombre} (${formatMoney(a.precio)})` : a.nombre));
+  return `😔 ${f.nombre}: ${left}.${options.length ? `\n   Te puedo ofrecer: ${options.join(", ")}` : ""}`;
+}).join("\n");
+
+/**
+ * Tell the customer which promo items are only sold on other days or hours
+ * @param {Array} items - Items from promotions.findOutOfSchedule
+ * @returns {string} Reply text
+ */
+const promoScheduleReply = (items) => items.map(p => `📅 ${p.nombre}: solo está disponible ${p.cuando}.`).join("\n");
+
+/**
+ * Short description of a coupon for the customer
+ * @param {Object} cupon - Coupon definition (lib/coupons.js)
+ * @returns {string} "10% de descuento (máx. S/15.00) en pedidos desde S/30.00"
+ */
+const describeCoupon = (cupon) => {
+  const valor = cupon.tipo === coupons.COUPON_TYPES.PERCENT ? `${cupon.valor}%` : formatMoney(cupon.valor);
+  const tope = cupon.tope ? ` (máx. ${formatMoney(cupon.tope)})` : "";
+  const minimo = cupon.minimo ? ` en pedidos desde ${formatMoney(cupon.minimo)}` : "";
+  return `${valor} de descuento${tope}${minimo}`;
+};
+
+/**
+ * Order number line for customer replies
+ * @param {string|null} numero - DY-000123
+ * @returns {string} Line with a trailing newline, or "" without a number
+ */
+const orderNumberLine = (numero) => (numero ? `🧾 Pedido N° ${numero}\n` : "");
+
 /* ---------- Delivery & Total Calculation Utilities ---------- */
 
 /**
  * Calculate delivery fee and total for an order
+ * Unit prices come from the menu (variant aware) and fall back to the parsed unitPrice.
+ * Combos and day promos of menu.json reglas are applied as discounts (lib/promotions.js),
+ * then the customer's coupon on what is left.
  * @param {Array} items - Order items
  * @param {Object} addressComponents - Address components with zone info
- * @param {Object} options - Calculation options (taxRate, delivery)
- * @returns {Object} Breakdown with subtotal, discounts, delivery, tax, total
+ * @param {Object} options - Calculation options (taxRate, deliveryFee, coupon from the session)
+ * @returns {Object} Totals (subtotal, discounts, promotions, coupon, deliveryFee, tax, total) plus breakdown and zone
  */
 const calculateDeliveryAndTotal = (items, addressComponents = {}, options = {}) => {
   try {
     const { menu: menuData } = loadMenuData(); // Load menu data here
-    const rules = menuData?.reglas || [];
-    const calc = pricing.calculateOrderTotal(
-      items, 
-      menuData, 
-      rules, 
-      { 
-        taxRate: options.taxRate || 0, 
-        rounding: 0.01, 
-        delivery: options.delivery || null 
+    const pricedItems = items.map(it => {
+      const prod = findProductInMenu(menuData, it.id);
+      const unitPrice = (prod ? pricing.applyVariantPrice(prod, it.variant) : null) ?? it.unitPrice ?? it.priceHint ?? 0;
+      return { id: it.id, variant: it.variant || null, quantity: it.quantity || 1, price: unitPrice };
+    });
+    const promo = promotions.evaluatePromotions(pricedItems, { menu: menuData });
+    const coupon = options.coupon
+      ? coupons.computeCouponDiscount(options.coupon, pricedItems, { menu: menuData, descuentoPrevio: promo.descuento })
+      : null;
+    const calc = pricing.calculateOrderTotal({
+      items: pricedItems,
+      addressComponents: addressComponents || {},
+      options: {
+        taxRate: options.taxRate || 0,
+        deliveryPrice: typeof options.deliveryFee === 'number' ? options.deliveryFee : undefined,
+        discount: promo.descuento + (coupon?.monto || 0)
       }
-    );
+    });
     
     logger.debug('Calculated delivery and total', {
       itemsCount: items.length,
-      subtotal: calc.subtotal,
+      subtotal: calc.breakdown.subtotal,
+      discounts: calc.breakdown.discount,
       total: calc.total,
       zone: calc.zone
     });
     
     return {
+      subtotal: calc.breakdown.subtotal,
+      discounts: calc.breakdown.discount,
+      promotions: promo.promociones,
+      coupon,
+      deliveryFee: calc.breakdown.delivery,
+      tax: calc.breakdown.tax,
+      total: calc.total,
       breakdown: {
-        subtotal: calc.subtotal,
-        discounts: calc.discounts,
-        delivery: calc.deliveryFee,
-        tax: calc.tax
+        subtotal: calc.breakdown.subtotal,
+        discounts: calc.breakdown.discount,
+        delivery: calc.breakdown.delivery,
+        tax: calc.breakdown.tax
       },
-      total: calc.total,
-      details: calc.itemsDetailed,
-      appliedRules: calc.appliedRules,
+      warnings: calc.warnings,
       zone: calc.zone || null
     };
   } catch (error) {
@@ -577,10 +1024,29 @@ const validateRequestBody = (body) => {
     imagen: body.imagen || null,
     imageBase64: body.imageBase64 || null,
     ubicacion: body.ubicacion || null,
-    debug: !!body.debug
+    debug: !!body.debug,
+    messageId: body.message_id || body.messageId || body.mensaje_id || null,
+    timestamp: body.timestamp || body.created_at || null
   };
 };
 
+/**
+ * Idempotency key for an incoming webhook
+ * Kommo retries slow requests with the same message id; without an id the phone,
+ * content and timestamp identify the message. Without either there is no key,
+ * since two identical texts ("si") can be two real messages.
+ * @param {Object} data - Result of validateRequestBody
+ * @returns {string|null} Key usable as a Firestore document id
+ */
+const buildIdempotencyKey = (data) => {
+  const hash = (value) => crypto.createHash('sha256').update(value).digest('hex').slice(0, 40);
+  if (data.messageId) return `msg_${hash(`${data.telefono}|${data.messageId}`)}`;
+  if (!data.timestamp) return null;
+  return `hash_${hash(JSON.stringify([
+    data.telefono, data.tipo, data.mensaje, data.imagen, data.imageBase64, data.ubicacion, String(data.timestamp)
+  ]))}`;
+};
+
 /**
  * Add security headers to response
  * @param {Object} res - Express response object
@@ -592,114 +1058,793 @@ const addSecurityHeaders = (res) => {
   if (CONFIG.ENABLE_CORS) {
     res.setHeader('Access-Control-Allow-Origin', CONFIG.CORS_ORIGIN);
     res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, x-api-key');
   }
 };
 
-/* ---------- Core handler ---------- */
+/* ---------- Agent API & Crons ---------- */
 
 /**
- * Main Kommo API handler with comprehensive error handling, validation, and metrics
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @returns {Promise<Object>} Response with reply or error
+ * Request path without query string or trailing slash
+ * @param {Object} req - Request
+ * @returns {string} Path (e.g. "/api/humano")
  */
-export default async function handler(req, res) {
-  const startTime = Date.now();
-  const getDebugMode = () => {
-    try {
-      const url = new URL(req.url, `https://${req.headers?.host || 'localhost'}`);
-      const queryDebug = url.searchParams.get('debug');
-      const headerDebug = req.headers?.['x-debug'] || req.headers?.['x-debug-mode'];
-      return queryDebug === 'true' || queryDebug === '1' || headerDebug === '1' || headerDebug === 'true';
-    } catch {
-      return false;
-    }
-  };
-  
-  // Add security headers
-  addSecurityHeaders(res);
-  
-  // Handle OPTIONS for CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+const requestPath = (req) => String(req.url || "").split("?")[0].replace(/\/+$/, "");
+
+/**
+ * Check the agent API key ("Authorization: Bearer <key>" or "x-api-key")
+ * Every agent endpoint checks it; they all stay closed while AGENT_API_KEY is not configured.
+ * @param {Object} req - Request
+ * @returns {boolean} Whether the request is authorized
+ */
+const isAgentAuthorized = (req) => {
+  if (!CONFIG.AGENT_API_KEY) return false;
+  const bearer = String(req.headers?.authorization || "").replace(/^Bearer\s+/i, "");
+  return bearer === CONFIG.AGENT_API_KEY || req.headers?.["x-api-key"] === CONFIG.AGENT_API_KEY;
+};
+
+/**
+ * Check the cron secret ("Authorization: Bearer <CRON_SECRET>", what Vercel Cron sends)
+ * Every cron endpoint checks it; they all stay closed while CRON_SECRET is not configured.
+ * @param {Object} req - Request
+ * @returns {boolean} Whether the request is authorized
+ */
+const isCronAuthorized = (req) => {
+  if (!CONFIG.CRON_SECRET) return false;
+  return req.headers?.authorization === `Bearer ${CONFIG.CRON_SECRET}`;
+};
+
+/**
+ * Human takeover endpoint (/api/humano)
+ * GET ?telefono= returns the state; POST { telefono, accion: "tomar" | "actividad" | "liberar" | "resolver", agente, motivo, minutos }.
+ * "tomar" and "actividad" silence the bot until the agent has been idle for `minutos`
+ * (HUMAN_CONTROL_IDLE_MINS by default); "liberar" hands the chat back and returns the retomar_control text.
+ * "resolver" also closes the escalated case, allowing the conversation to close and restart again.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} { telefono, humano, escalado, reply }
+ */
+async function handleHumanControl(req, res) {
+  if (!isAgentAuthorized(req)) {
+    metrics.record('api_request', 1, { endpoint: 'humano', status: 'unauthorized' });
+    return sendError(res, new UnauthorizedError('API de agentes no autorizada'));
   }
-  
-  // Handle GET - Health check
-  if (req.method === "GET") {
-    metrics.record('api_request', 1, { method: 'GET', endpoint: 'health' });
-    return sendSuccess(res, { 
-      service: "KOMMO IA", 
-      status: "running", 
-      version: "2.0-ultra-inteligente",
-      features: ["ai-engine", "smart-ocr", "user-profiles", "semantic-analysis", "context-awareness", "rate-limiting", "metrics"],
-      env: { 
-        firebase: !!CONFIG.FIREBASE_PROJECT_ID,
-        aiEngine: CONFIG.FEATURE_AI_ENGINE,
-        smartOcr: CONFIG.FEATURE_SMART_OCR
+
+  try {
+    const query = { ...Object.fromEntries(new URL(req.url, "http://localhost").searchParams), ...(req.query || {}) };
+    const input = req.method === "GET" ? query : (req.body || {});
+    const telefono = input.telefono;
+    validatePhone(telefono);
+
+    if (req.method === "GET") {
+      const session = await sessionStore.getSession(telefono);
+      return sendSuccess(res, { telefono, humano: session?.humano || null, escalado: session?.escalado || null, ...sessionStore.getHumanControlStatus(session) });
+    }
+
+    const accion = String(input.accion || "").toLowerCase();
+    if (accion === "tomar" || accion === "actividad") {
+      const humano = await sessionStore.setHumanControl(telefono, {
+        agente: input.agente ? sanitizeInput(String(input.agente), 100) : null,
+        motivo: input.motivo ? sanitizeInput(String(input.motivo), 200) : null,
+        idleMinutes: input.minutos ?? CONFIG.HUMAN_CONTROL_IDLE_MINS
+      });
+      auditLog('human_control_taken', telefono, { agente: humano.agente, accion });
+      return sendSuccess(res, { telefono, humano, reply: null });
+    }
+    if (accion === "liberar") {
+      const humano = await sessionStore.clearHumanControl(telefono, { reason: "agente" });
+      auditLog('human_control_released', telefono, { reason: "agente" });
+      return sendSuccess(res, { telefono, humano, reply: flowEngineModule.loadResponses().retomar_control || null });
+    }
+    if (accion === "resolver") {
+      const session = await sessionStore.getSession(telefono);
+      if (!session?.escalado?.abierto) {
+        throw new ValidationError('No hay un caso escalado abierto', { telefono });
       }
-    });
+      const agente = input.agente ? sanitizeInput(String(input.agente), 100) : null;
+      // Firestore combina mapas con merge: el caso se guarda completo
+      const escalado = { ...session.escalado, abierto: false, resueltoEn: new Date().toISOString(), resueltoPor: agente };
+      await sessionStore.saveSession(telefono, { escalado });
+      const humano = await sessionStore.clearHumanControl(telefono, { reason: "resuelto" });
+      auditLog('escalation_resolved', telefono, { id: escalado.id, agente });
+      metrics.record('escalation_resolved', 1, { destinatario: escalado.destinatario });
+      return sendSuccess(res, { telefono, humano, escalado, reply: flowEngineModule.loadResponses().retomar_control || null });
+    }
+    throw new ValidationError('accion debe ser "tomar", "actividad", "liberar" o "resolver"', { accion });
+  } catch (err) {
+    logger.error('Human control request failed', { error: err?.message || err });
+    return sendError(res, err instanceof AppError ? err : new AppError('Error al actualizar control humano', 500, 'HUMAN_CONTROL_FAILED'));
   }
-  
-  // Only POST allowed beyond this point
-  if (req.method !== "POST") {
-    metrics.record('api_request', 1, { method: req.method, status: 'method_not_allowed' });
-    return sendError(res, new AppError('Method Not Allowed', 405, 'METHOD_NOT_ALLOWED'));
+}
+
+/**
+ * Order lifecycle endpoint for kitchen and riders (/api/estado-pedido)
+ * GET ?telefono= returns the current state; POST { telefono, estado: "preparacion" | "en_reparto" | "entregado",
+ * repartidor: { id, nombre, telefono }, eta_min, agente } moves the order after checking the transition
+ * and pushes the en_cocina / en_reparto / entregado text to the customer.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} { telefono, numero, estado, anterior, mensaje, enviado }
+ */
+async function handleOrderStatus(req, res) {
+  if (!isAgentAuthorized(req)) {
+    metrics.record('api_request', 1, { endpoint: 'estado-pedido', status: 'unauthorized' });
+    return sendError(res, new UnauthorizedError('API de agentes no autorizada'));
   }
 
-  let telefono;
-  let debugMode = false;
   try {
-    logger.info('KOMMO_REQUEST_START', { method: req.method, hasBody: !!req.body });
-    
-    // Load menu data if not already loaded
-    try {
-      const menuData = loadMenuData();
-      logger.info('Menu data loaded', { 
-        hasMenu: !!menuData.menu, 
-        hasSynonyms: !!menuData.synonyms,
-        categoriesCount: menuData.menu?.categorias?.length || 0 
+    const query = { ...Object.fromEntries(new URL(req.url, "http://localhost").searchParams), ...(req.query || {}) };
+    const input = req.method === "GET" ? query : (req.body || {});
+    const telefono = input.telefono;
+    validatePhone(telefono);
+    const session = await sessionStore.getSession(telefono);
+
+    if (req.method === "GET") {
+      return sendSuccess(res, {
+        telefono,
+        numero: session?.pedido?.numero || null,
+        estado: session?.estado || null,
+        estadoDesde: session?.estadoDesde || null,
+        repartidor: session?.repartidor || null,
+        mensaje: session?.estado ? orderStatus.buildStatusMessage(session, session.estado) : null
       });
-    } catch (menuError) {
-      logger.error('Failed to load menu data', { error: menuError.message, stack: menuError.stack });
-      throw new AppError('Failed to initialize menu data', 500, 'MENU_LOAD_ERROR');
     }
-    
-    // Check for debug mode
-    debugMode = getDebugMode() || !!req.body?.debug;
-    
-    // Validate request body
-    let validatedData;
-    try {
-      validatedData = validateRequestBody(req.body);
-      telefono = validatedData.telefono;
-      logger.debug('Request validated', { telefono, tipo: validatedData.tipo });
-    } catch (validationError) {
-      logger.error('Validation failed', { error: validationError.message });
-      throw validationError;
+
+    const estado = orderStatus.normalizeOrderStatus(input.estado);
+    if (!estado) {
+      throw new ValidationError('estado debe ser "preparacion", "en_reparto" o "entregado"', { estado: input.estado });
     }
-    
-    const { nombre, mensaje, tipo, imagen, imageBase64, ubicacion, debug } = validatedData;
-    
-    metrics.record('api_request', 1, { method: 'POST', tipo });
-    
-    // Check rate limit
-    try {
-      const rateLimitInfo = rateLimiter.checkLimit(telefono);
-      logger.debug('Rate limit check passed', { telefono, remaining: rateLimitInfo.remaining });
-      res.setHeader('X-RateLimit-Limit', rateLimitInfo.limit);
-      res.setHeader('X-RateLimit-Remaining', rateLimitInfo.remaining);
-      res.setHeader('X-RateLimit-Reset', rateLimitInfo.resetAt.toISOString());
-    } catch (error) {
-      if (error instanceof RateLimitError) {
-        logger.warn('Rate limit exceeded', { telefono });
-        metrics.record('rate_limit_exceeded', 1, { telefono });
-        res.setHeader('Retry-After', error.retryAfter);
-        return sendError(res, error);
+    orderStatus.checkTransition(session, estado);
+
+    const now = new Date();
+    const sessionData = { estado };
+    if (estado === "en_reparto") {
+      const rider = input.repartidor || {};
+      if (!rider.nombre && !rider.id) {
+        throw new ValidationError('repartidor.nombre o repartidor.id es requerido para salir a reparto');
+      }
+      const etaMin = Number(input.eta_min) > 0 ? Math.round(Number(input.eta_min)) : CONFIG.DELIVERY_TIME_ESTIMATE_MINS;
+      sessionData.repartidor = {
+        id: rider.id ? sanitizeInput(String(rider.id), 50) : null,
+        nombre: rider.nombre ? sanitizeInput(String(rider.nombre), 100) : null,
+        telefono: rider.telefono ? sanitizeInput(String(rider.telefono), 20) : null,
+        salidaEn: now.toISOString(),
+        etaMin
+      };
+    }
+    if (estado === "entregado") sessionData.entregado = now;
+
+    await sessionStore.saveSession(telefono, sessionData);
+    await syncOrderRecordStatus(telefono, session.pedido.numero, estado);
+    // Cocina ya recibió el pedido: el recordatorio de un pedido programado sobra,
+    // sus unidades salen del stock (los pagados por Yape/Plin ya se descontaron) y su cupón queda usado
+    if (estado === "preparacion") {
+      await commitOrderStock(telefono, session.pedido);
+      await commitOrderCoupon(telefono);
+      try {
+        await reminders.cancelReminders(telefono, reminders.REMINDER_TYPES.KITCHEN);
+      } catch (err) {
+        logger.error('Kitchen reminder not cancelled', { telefono, error: err?.message || err });
+      }
+    }
+
+    const mensaje = orderStatus.buildStatusMessage({ ...session, ...sessionData }, estado, { now });
+    const envio = mensaje
+      ? await sendCustomerMessage(telefono, mensaje, { type: "order_status", data: { estado } })
+      : { sent: false };
+
+    const agente = input.agente ? sanitizeInput(String(input.agente), 100) : null;
+    auditLog('order_status_changed', telefono, { numero: session.pedido.numero || null, anterior: session.estado, estado, agente });
+    metrics.record('order_status', 1, { estado });
+    return sendSuccess(res, { telefono, numero: session.pedido.numero || null, estado, anterior: session.estado, mensaje, enviado: envio.sent });
+  } catch (err) {
+    logger.error('Order status request failed', { error: err?.message || err });
+    return sendError(res, err instanceof AppError ? err : new AppError('Error al actualizar estado del pedido', 500, 'ORDER_STATUS_FAILED'));
+  }
+}
+
+/**
+ * Back-office order query and export (GET /api/pedidos)
+ * Filters: desde, hasta (ISO or AAAA-MM-DD, hasta inclusive), estado (comma list), telefono,
+ * pago (yape, plin, efectivo...), tipo_entrega; orden=createdAt|total, direccion=asc|desc,
+ * limite and cursor (siguienteCursor of the previous page).
+ * formato=csv|jsonl exports every page of the same query (up to ORDERS_EXPORT_MAX rows).
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} { pedidos, siguienteCursor } or the CSV / JSON-lines file
+ */
+async function handleOrdersQuery(req, res) {
+  if (!isAgentAuthorized(req)) {
+    metrics.record('api_request', 1, { endpoint: 'pedidos', status: 'unauthorized' });
+    return sendError(res, new UnauthorizedError('API de agentes no autorizada'));
+  }
+
+  try {
+    const query = { ...Object.fromEntries(new URL(req.url, "http://localhost").searchParams), ...(req.query || {}) };
+    const formato = String(query.formato || "json").toLowerCase();
+    if (!["json", "csv", "jsonl"].includes(formato)) {
+      throw new ValidationError('formato debe ser "json", "csv" o "jsonl"', { formato });
+    }
+
+    if (formato === "json") {
+      const { pedidos, siguienteCursor } = await buscarPedidos(query);
+      metrics.record('api_request', 1, { endpoint: 'pedidos', status: 'ok' });
+      return sendSuccess(res, { pedidos: pedidos.map(pedidosExport.pedidoParaExportar), siguienteCursor });
+    }
+
+    // Exportación: todas las páginas de la misma consulta
+    const chunks = [];
+    let cursor = query.cursor || null;
+    let total = 0;
+    do {
+      const page = await buscarPedidos({ ...query, cursor, limite: 200 });
+      const rows = page.pedidos.slice(0, CONFIG.ORDERS_EXPORT_MAX - total);
+      chunks.push(formato === "csv" ? pedidosExport.pedidosACsv(rows, { encabezado: total === 0 }) : pedidosExport.pedidosAJsonLines(rows));
+      total += rows.length;
+      cursor = page.siguienteCursor;
+    } while (cursor && total < CONFIG.ORDERS_EXPORT_MAX);
+
+    if (cursor) logger.warn('Orders export truncated', { rows: total, max: CONFIG.ORDERS_EXPORT_MAX });
+    auditLog('orders_exported', null, { formato, rows: total, truncated: !!cursor });
+    metrics.record('api_request', 1, { endpoint: 'pedidos', status: 'ok', formato });
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    res.setHeader("Content-Type", formato === "csv" ? "text/csv; charset=utf-8" : "application/x-ndjson; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="pedidos-${stamp}.${formato}"`);
+    if (cursor) res.setHeader("X-Export-Truncated", "1");
+    res.statusCode = 200;
+    return res.end(chunks.join(""));
+  } catch (err) {
+    logger.error('Orders query failed', { error: err?.message || err });
+    return sendError(res, err instanceof AppError ? err : new AppError('Error al consultar pedidos', 500, 'ORDERS_QUERY_FAILED'));
+  }
+}
+
+/**
+ * Kitchen ticket for the thermal printer (GET /api/ticket)
+ * ?numero=DY-000123 (or ?telefono= for the customer's current order), ancho=58|80,
+ * formato=escpos (raw bytes, default) | texto (plain-text preview).
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} ESC/POS bytes or the text preview
+ */
+async function handleKitchenTicket(req, res) {
+  if (!isAgentAuthorized(req)) {
+    metrics.record('api_request', 1, { endpoint: 'ticket', status: 'unauthorized' });
+    return sendError(res, new UnauthorizedError('API de agentes no autorizada'));
+  }
+
+  try {
+    const query = { ...Object.fromEntries(new URL(req.url, "http://localhost").searchParams), ...(req.query || {}) };
+    const formato = String(query.formato || "escpos").toLowerCase();
+    if (!["escpos", "texto"].includes(formato)) {
+      throw new ValidationError('formato debe ser "escpos" o "texto"', { formato });
+    }
+
+    let numero = query.numero ? String(query.numero).trim().toUpperCase() : null;
+    if (!numero) {
+      validatePhone(query.telefono);
+      const session = await sessionStore.getSession(query.telefono);
+      numero = session?.pedido?.numero || null;
+      if (!numero) throw new NotFoundError('El cliente no tiene un pedido con número');
+    }
+    const pedido = await obtenerPedido(numero);
+    if (!pedido) throw new NotFoundError(`Pedido ${numero} no encontrado`);
+
+    const options = { width: Number(query.ancho) || CONFIG.TICKET_PAPER_WIDTH, menu: loadMenuData().menu };
+    metrics.record('kitchen_ticket', 1, { formato, ancho: options.width });
+    res.statusCode = 200;
+    if (formato === "texto") {
+      const text = kitchenTicket.renderTicketText(pedido, options);
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      return res.end(text);
+    }
+    const bytes = kitchenTicket.renderTicketEscPos(pedido, options);
+    res.setHeader("Content-Type", "application/octet-stream");
+    res.setHeader("Content-Disposition", `attachment; filename="ticket-${numero}.bin"`);
+    res.setHeader("Content-Length", String(bytes.length));
+    return res.end(bytes);
+  } catch (err) {
+    logger.error('Kitchen ticket failed', { error: err?.message || err });
+    return sendError(res, err instanceof AppError ? err : new AppError('Error al generar el ticket', 500, 'KITCHEN_TICKET_FAILED'));
+  }
+}
+
+/**
+ * End-of-day closing report (GET /api/cierre)
+ * ?fecha=AAAA-MM-DD (store's local day, default today), formato=json (default) | texto,
+ * top = products in the ranking.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} Report (see lib/daily-report.js) or its printable text
+ */
+async function handleDailyReport(req, res) {
+  if (!isAgentAuthorized(req)) {
+    metrics.record('api_request', 1, { endpoint: 'cierre', status: 'unauthorized' });
+    return sendError(res, new UnauthorizedError('API de agentes no autorizada'));
+  }
+
+  try {
+    const query = { ...Object.fromEntries(new URL(req.url, "http://localhost").searchParams), ...(req.query || {}) };
+    const formato = String(query.formato || "json").toLowerCase();
+    if (!["json", "texto"].includes(formato)) {
+      throw new ValidationError('formato debe ser "json" o "texto"', { formato });
+    }
+
+    const top = Math.min(Math.max(parseInt(query.top, 10) || 10, 1), 50);
+    const report = await dailyReport.buildDailyReport(query.fecha || null, { top });
+    if (!report.conciliacion.cuadra) {
+      logger.warn('Daily report does not reconcile', { fecha: report.fecha, diferencia: report.conciliacion.diferencia, pedidos: report.conciliacion.pedidos.length });
+    }
+    metrics.record('daily_report', 1, { formato, cuadra: report.conciliacion.cuadra });
+
+    if (formato === "texto") {
+      res.statusCode = 200;
+      res.setHeader("Content-Type", "text/plain; charset=utf-8");
+      return res.end(dailyReport.renderReportText(report));
+    }
+    return sendSuccess(res, report);
+  } catch (err) {
+    logger.error('Daily report failed', { error: err?.message || err });
+    return sendError(res, err instanceof AppError ? err : new AppError('Error al generar el cierre', 500, 'DAILY_REPORT_FAILED'));
+  }
+}
+
+/**
+ * Live availability overrides ("86" a product or a whole category) on top of data/menu.json
+ * GET lists the active overrides. POST { tipo: "producto"|"categoria", id, disponible: false|true,
+ * hasta (ISO or "HH:MM" store time, optional), motivo, agente } switches it off or back on; the bot
+ * stops offering it from the next message.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} Active overrides, or the saved change
+ */
+async function handleAvailability(req, res) {
+  if (!isAgentAuthorized(req)) {
+    metrics.record('api_request', 1, { endpoint: 'disponibilidad', status: 'unauthorized' });
+    return sendError(res, new UnauthorizedError('API de agentes no autorizada'));
+  }
+
+  try {
+    if (req.method === "GET") {
+      return sendSuccess(res, { apagados: await availability.listOverrides() });
+    }
+
+    const input = req.body || {};
+    const disponible = typeof input.disponible === "string" ? { true: true, false: false }[input.disponible.toLowerCase()] : input.disponible;
+    const cambio = await availability.setAvailability({ ...input, disponible }, { menu: loadMenuData().menu });
+    auditLog('availability_changed', null, { tipo: cambio.tipo, id: cambio.id, disponible: !!disponible, hasta: cambio.hasta || null, agente: cambio.agente || null });
+    metrics.record('api_request', 1, { endpoint: 'disponibilidad', status: 'ok' });
+    return sendSuccess(res, { cambio, apagados: await availability.listOverrides() });
+  } catch (err) {
+    logger.error('Availability request failed', { error: err?.message || err });
+    return sendError(res, err instanceof AppError ? err : new AppError('Error al actualizar la disponibilidad', 500, 'AVAILABILITY_FAILED'));
+  }
+}
+
+/**
+ * Menu administration with version history (/api/menu)
+ * GET lists the versions (?limite=); ?version=n returns that version's menu; ?desde=a&hasta=b diffs two
+ * versions (hasta defaults to the active one). Version 0 is data/menu.json.
+ * POST { accion: "crear"|"actualizar"|"eliminar", tipo: "categoria"|"producto"|"variante"|"modificador", id,
+ * categoria, producto, datos, agente } validates the edited menu against data/menu.schema.json and activates it
+ * as a new version; { accion: "restaurar", version, agente } brings back an older one.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} History, a version, a diff, or the saved version with its diff
+ */
+async function handleMenuAdmin(req, res) {
+  if (!isAgentAuthorized(req)) {
+    metrics.record('api_request', 1, { endpoint: 'menu', status: 'unauthorized' });
+    return sendError(res, new UnauthorizedError('API de agentes no autorizada'));
+  }
+
+  try {
+    if (req.method === "GET") {
+      const query = { ...Object.fromEntries(new URL(req.url, "http://localhost").searchParams), ...(req.query || {}) };
+      if (query.desde != null) {
+        const hasta = query.hasta ?? (await menuAdmin.getActiveMenu({ force: true })).version;
+        const [antes, despues] = await Promise.all([menuAdmin.getVersion(query.desde), menuAdmin.getVersion(hasta)]);
+        return sendSuccess(res, { desde: antes.version, hasta: despues.version, diferencias: menuAdmin.diffMenus(antes.menu, despues.menu) });
+      }
+      if (query.version != null) {
+        return sendSuccess(res, await menuAdmin.getVersion(query.version));
+      }
+      return sendSuccess(res, await menuAdmin.listVersions({ limite: query.limite }));
+    }
+
+    const input = req.body || {};
+    const agente = input.agente || null;
+    const result = String(input.accion || "").toLowerCase() === "restaurar"
+      ? await menuAdmin.restoreVersion(input.version, { agente })
+      : await menuAdmin.updateMenu(input, { agente });
+    auditLog('menu_changed', null, { version: result.version, ...result.cambio, agente: result.agente, diferencias: result.diferencias.length });
+    metrics.record('api_request', 1, { endpoint: 'menu', status: 'ok' });
+    return sendSuccess(res, result);
+  } catch (err) {
+    logger.error('Menu admin request failed', { error: err?.message || err });
+    return sendError(res, err instanceof AppError ? err : new AppError('Error al administrar el menú', 500, 'MENU_ADMIN_FAILED'));
+  }
+}
+
+/**
+ * Coupon administration (/api/cupones)
+ * GET lists the coupons with their uses; POST { codigo, tipo: "porcentaje"|"monto", valor, tope, minimo,
+ * productos, categorias, desde, hasta, limite_total, limite_por_cliente, solo_primer_pedido, activo }
+ * creates or updates one (uses are kept).
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} { cupones } or the saved coupon
+ */
+async function handleCoupons(req, res) {
+  if (!isAgentAuthorized(req)) {
+    metrics.record('api_request', 1, { endpoint: 'cupones', status: 'unauthorized' });
+    return sendError(res, new UnauthorizedError('API de agentes no autorizada'));
+  }
+
+  try {
+    if (req.method === "GET") {
+      return sendSuccess(res, { cupones: await coupons.listCoupons() });
+    }
+
+    const { menu } = await menuAdmin.getActiveMenu();
+    const cupon = await coupons.saveCoupon(req.body || {}, { menu });
+    auditLog('coupon_saved', null, { codigo: cupon.codigo, tipo: cupon.tipo, valor: cupon.valor, activo: cupon.activo });
+    metrics.record('api_request', 1, { endpoint: 'cupones', status: 'ok' });
+    return sendSuccess(res, cupon);
+  } catch (err) {
+    logger.error('Coupon request failed', { error: err?.message || err });
+    return sendError(res, err instanceof AppError ? err : new AppError('Error al guardar el cupón', 500, 'COUPON_ADMIN_FAILED'));
+  }
+}
+
+/**
+ * Cron sweep: send the kitchen reminders that are due (GET/POST /api/recordatorios)
+ * Needs "Authorization: Bearer <CRON_SECRET>" (what Vercel Cron sends); without
+ * CRON_SECRET configured the endpoint stays closed.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} { processed, sent }
+ */
+async function processDueReminders(req, res) {
+  if (!isCronAuthorized(req)) {
+    metrics.record('api_request', 1, { endpoint: 'recordatorios', status: 'unauthorized' });
+    return sendError(res, new UnauthorizedError('Cron no autorizado'));
+  }
+
+  try {
+    const due = await reminders.listDueReminders();
+    let sent = 0;
+    for (const reminder of due) {
+      const result = await sendKitchenReminder(reminder.payload?.pedido || {}, reminder.payload?.cliente || {});
+      await reminders.markReminderSent(reminder.id, result);
+      if (result.sent) sent++;
+    }
+    logger.info('Due reminders processed', { processed: due.length, sent });
+    metrics.record('api_request', 1, { endpoint: 'recordatorios', status: 'ok' });
+    return sendSuccess(res, { processed: due.length, sent });
+  } catch (err) {
+    logger.error('Due reminders failed', { error: err?.message || err });
+    return sendError(res, err instanceof AppError ? err : new AppError('Error al procesar recordatorios', 500, 'REMINDERS_FAILED'));
+  }
+}
+
+/**
+ * Cron sweep: find orders and conversations past their reglas.json SLA (GET/POST /api/sla)
+ * Each breach is recorded in the sla_breach metric (minutes overdue, per stage) and escalated
+ * to the stage's team without silencing the bot.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} { checked, breaches, detalle }
+ */
+async function processSlaSweep(req, res) {
+  if (!isCronAuthorized(req)) {
+    metrics.record('api_request', 1, { endpoint: 'sla', status: 'unauthorized' });
+    return sendError(res, new UnauthorizedError('Cron no autorizado'));
+  }
+
+  try {
+    const now = new Date();
+    const limits = sla.loadSlaLimits();
+    const candidates = await sessionStore.listSessionsByState(sla.SLA_STATES);
+    const detalle = [];
+
+    for (const { telefono, session } of candidates) {
+      const humanActive = sessionStore.getHumanControlStatus(session, now).active;
+      let { escalado } = session;
+      const alertas = { ...(session.sla_alertas || {}) };
+
+      for (const breach of sla.checkSessionSla(session, { now, limits, humanActive })) {
+        metrics.record('sla_breach', breach.overdueMin, { etapa: breach.stage });
+        const caso = escalation.buildEscalationPacket({
+          trigger: breach.trigger,
+          telefono,
+          session,
+          detalle: `SLA ${breach.stage} de ${breach.limitMin} min vencido hace ${breach.overdueMin} min`,
+          acciones: ["barrido_sla"],
+          now
+        });
+        const envio = await escalation.deliverEscalation(caso);
+        escalado = escalation.buildCaseRecord(escalado, caso, envio, now, { blocksClosing: breach.blocksClosing });
+        alertas[breach.stage] = breach.since;
+        auditLog('sla_breach', telefono, { etapa: breach.stage, overdueMin: breach.overdueMin, destinatario: caso.destinatario });
+        detalle.push({ telefono, etapa: breach.stage, vencidoMin: breach.overdueMin, destinatario: caso.destinatario, enviado: envio.sent });
+      }
+
+      if (escalado !== session.escalado) {
+        await sessionStore.saveSession(telefono, { escalado, sla_alertas: alertas });
+      }
+    }
+
+    logger.info('SLA sweep completed', { checked: candidates.length, breaches: detalle.length });
+    metrics.record('api_request', 1, { endpoint: 'sla', status: 'ok' });
+    return sendSuccess(res, { checked: candidates.length, breaches: detalle.length, detalle });
+  } catch (err) {
+    logger.error('SLA sweep failed', { error: err?.message || err });
+    return sendError(res, err instanceof AppError ? err : new AppError('Error al revisar SLAs', 500, 'SLA_SWEEP_FAILED'));
+  }
+}
+
+/**
+ * Cron sweep: abandoned carts (GET/POST /api/seguimientos)
+ * A customer idle before paying gets one reminder while WhatsApp's 24h window is open;
+ * if they still don't answer, the draft is cancelled and the abandonment is recorded with
+ * its reason. Chats in human hands or with a blocking escalation are left alone.
+ * @param {Object} req - Request
+ * @param {Object} res - Response
+ * @returns {Promise<Object>} { checked, recordatorios, cerrados, detalle }
+ */
+async function processFollowUps(req, res) {
+  if (!isCronAuthorized(req)) {
+    metrics.record('api_request', 1, { endpoint: 'seguimientos', status: 'unauthorized' });
+    return sendError(res, new UnauthorizedError('Cron no autorizado'));
+  }
+
+  try {
+    const now = new Date();
+    const settings = followUps.loadFollowUpSettings();
+    const responses = flowEngineModule.loadResponses();
+    const candidates = await sessionStore.listSessionsByState(followUps.FOLLOW_UP_STATES);
+    const detalle = [];
+
+    for (const { telefono, session } of candidates) {
+      if (sessionStore.getHumanControlStatus(session, now).active || escalation.isEscalationOpen(session)) continue;
+      const plan = followUps.planFollowUp(session, { now, settings });
+      if (!plan.action) continue;
+
+      const order = session.pedido || session.pedido_borrador;
+      const lastMessage = session.ultimoMensajeCliente || session.estadoDesde || session.updatedAt;
+
+      if (plan.action === "recordatorio") {
+        const resumen = order.pricing
+          ? buildOrderSummaryText(order, order.pricing)
+          : order.items.map(it => `• ${it.quantity || 1} x ${it.name || it.id}${it.variant ? ` (${it.variant})` : ""}`).join("\n");
+        const { text } = flowEngineModule.renderTemplate(responses.recordatorio_carrito || "", {
+          nombre_cliente: session.userProfile?.name || "Cliente",
+          resumen
+        });
+        const envio = await sendCustomerMessage(telefono, text, { type: "cart_follow_up", data: { motivo: plan.reason } });
+        await sessionStore.saveSession(telefono, {
+          seguimiento: { recordatorioEn: now.toISOString(), ultimoMensaje: lastMessage, estado: session.estado, enviado: envio.sent }
+        });
+        metrics.record('follow_up', 1, { accion: 'recordatorio', motivo: plan.reason });
+        auditLog('follow_up_reminder', telefono, { estado: session.estado, motivo: plan.reason, idleMin: plan.idleMin });
+        detalle.push({ telefono, accion: plan.action, motivo: plan.reason, inactivoMin: plan.idleMin, enviado: envio.sent });
+        continue;
+      }
+
+      const recordatorioEnviado = session.seguimiento?.ultimoMensaje === lastMessage && !!session.seguimiento?.recordatorioEn;
+      let enviado = false;
+      if (plan.insideWindow && responses.contacto_perdido) {
+        enviado = (await sendCustomerMessage(telefono, responses.contacto_perdido, { type: "cart_closed", data: { motivo: plan.reason } })).sent;
+      }
+      await followUps.recordAbandonment({
+        telefono,
+        motivo: plan.reason,
+        estado: session.estado,
+        total: order.pricing?.total ?? null,
+        items: order.items.map(it => ({ id: it.id || null, nombre: it.name || it.id, cantidad: it.quantity || 1 })),
+        recordatorioEnviado,
+        ultimoMensajeCliente: lastMessage || null
+      });
+      try {
+        await reminders.cancelReminders(telefono, reminders.REMINDER_TYPES.KITCHEN);
+      } catch (err) {
+        logger.error('Kitchen reminder not cancelled', { telefono, error: err?.message || err });
+      }
+      await syncOrderRecordStatus(telefono, order.numero, "cancelado");
+      await releaseOrderStock(telefono);
+      await releaseOrderCoupon(telefono);
+      await sessionStore.saveSession(telefono, {
+        estado: "cancelado",
+        cancelado: now,
+        pedido_borrador: null,
+        tipo_entrega: null,
+        recojo: null,
+        abandono: { motivo: plan.reason, estado: session.estado, cerradoEn: now.toISOString() },
+        seguimiento: { recordatorioEn: session.seguimiento?.recordatorioEn || null, ultimoMensaje: lastMessage || null, estado: session.estado, enviado },
+        // Los avisos de SLA del lead (no bloqueantes) se cierran con el borrador
+        ...(session.escalado?.abierto ? { escalado: { ...session.escalado, abierto: false, resueltoEn: now.toISOString(), resueltoPor: "seguimiento" } } : {})
+      });
+      metrics.record('follow_up', 1, { accion: 'cierre', motivo: plan.reason });
+      auditLog('follow_up_closed', telefono, { estado: session.estado, motivo: plan.reason, idleMin: plan.idleMin, recordatorioEnviado });
+      detalle.push({ telefono, accion: plan.action, motivo: plan.reason, inactivoMin: plan.idleMin, enviado });
+    }
+
+    const recordatorios = detalle.filter(d => d.accion === "recordatorio").length;
+    logger.info('Follow-ups processed', { checked: candidates.length, recordatorios, cerrados: detalle.length - recordatorios });
+    metrics.record('api_request', 1, { endpoint: 'seguimientos', status: 'ok' });
+    return sendSuccess(res, { checked: candidates.length, recordatorios, cerrados: detalle.length - recordatorios, detalle });
+  } catch (err) {
+    logger.error('Follow-ups failed', { error: err?.message || err });
+    return sendError(res, err instanceof AppError ? err : new AppError('Error al procesar seguimientos', 500, 'FOLLOW_UPS_FAILED'));
+  }
+}
+
+/* ---------- Core handler ---------- */
+
+/**
+ * Main Kommo API handler with comprehensive error handling, validation, and metrics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Promise<Object>} Response with reply or error
+ */
+export default async function handler(req, res) {
+  const startTime = Date.now();
+  const getDebugMode = () => {
+    try {
+      const url = new URL(req.url, `https://${req.headers?.host || 'localhost'}`);
+      const queryDebug = url.searchParams.get('debug');
+      const headerDebug = req.headers?.['x-debug'] || req.headers?.['x-debug-mode'];
+      return queryDebug === 'true' || queryDebug === '1' || headerDebug === '1' || headerDebug === 'true';
+    } catch {
+      return false;
+    }
+  };
+  
+  // Add security headers
+  addSecurityHeaders(res);
+  
+  // Handle OPTIONS for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+  
+  // Versión activa del menú para el bot y la API de agentes (se relee cada MENU_REFRESH_MS)
+  await refreshMenuData();
+
+  // Crons (recordatorios a cocina, barrido de SLAs, carritos abandonados) y API de agentes
+  const path = requestPath(req);
+  if (path === "/api/recordatorios" && ["GET", "POST"].includes(req.method)) {
+    return processDueReminders(req, res);
+  }
+  if (path === "/api/sla" && ["GET", "POST"].includes(req.method)) {
+    return processSlaSweep(req, res);
+  }
+  if (path === "/api/seguimientos" && ["GET", "POST"].includes(req.method)) {
+    return processFollowUps(req, res);
+  }
+  if (path === "/api/humano" && ["GET", "POST"].includes(req.method)) {
+    return handleHumanControl(req, res);
+  }
+  if (path === "/api/estado-pedido" && ["GET", "POST"].includes(req.method)) {
+    return handleOrderStatus(req, res);
+  }
+  if (path === "/api/pedidos" && req.method === "GET") {
+    return handleOrdersQuery(req, res);
+  }
+  if (path === "/api/ticket" && req.method === "GET") {
+    return handleKitchenTicket(req, res);
+  }
+  if (path === "/api/cierre" && req.method === "GET") {
+    return handleDailyReport(req, res);
+  }
+  if (path === "/api/disponibilidad" && ["GET", "POST"].includes(req.method)) {
+    return handleAvailability(req, res);
+  }
+  if (path === "/api/menu" && ["GET", "POST"].includes(req.method)) {
+    return handleMenuAdmin(req, res);
+  }
+  if (path === "/api/cupones" && ["GET", "POST"].includes(req.method)) {
+    return handleCoupons(req, res);
+  }
+
+  // Handle GET - Health check
+  if (req.method === "GET") {
+    metrics.record('api_request', 1, { method: 'GET', endpoint: 'health' });
+    return sendSuccess(res, { 
+      service: "KOMMO IA", 
+      status: "running", 
+      version: "2.0-ultra-inteligente",
+      features: ["ai-engine", "smart-ocr", "user-profiles", "semantic-analysis", "context-awareness", "rate-limiting", "metrics"],
+      env: { 
+        firebase: !!CONFIG.FIREBASE_PROJECT_ID,
+        aiEngine: CONFIG.FEATURE_AI_ENGINE,
+        smartOcr: CONFIG.FEATURE_SMART_OCR
+      }
+    });
+  }
+  
+  // Only POST allowed beyond this point
+  if (req.method !== "POST") {
+    metrics.record('api_request', 1, { method: req.method, status: 'method_not_allowed' });
+    return sendError(res, new AppError('Method Not Allowed', 405, 'METHOD_NOT_ALLOWED'));
+  }
+
+  let telefono;
+  let idempotencyKey = null;
+  let debugMode = false;
+  try {
+    logger.info('KOMMO_REQUEST_START', { method: req.method, hasBody: !!req.body });
+    
+    // Load menu data if not already loaded
+    try {
+      const menuData = loadMenuData();
+      logger.info('Menu data loaded', { 
+        hasMenu: !!menuData.menu, 
+        hasSynonyms: !!menuData.synonyms,
+        categoriesCount: menuData.menu?.categorias?.length || 0 
+      });
+    } catch (menuError) {
+      logger.error('Failed to load menu data', { error: menuError.message, stack: menuError.stack });
+      throw new AppError('Failed to initialize menu data', 500, 'MENU_LOAD_ERROR');
+    }
+    // Productos o categorías apagados en vivo (/api/disponibilidad) sobre el menú estático
+    const liveMenu = await availability.getLiveMenu(menu);
+    
+    // Check for debug mode
+    debugMode = getDebugMode() || !!req.body?.debug;
+    
+    // Validate request body
+    let validatedData;
+    try {
+      validatedData = validateRequestBody(req.body);
+      telefono = validatedData.telefono;
+      logger.debug('Request validated', { telefono, tipo: validatedData.tipo });
+    } catch (validationError) {
+      logger.error('Validation failed', { error: validationError.message });
+      throw validationError;
+    }
+    
+    const { nombre, tipo, imagen, imageBase64, ubicacion, debug } = validatedData;
+    let { mensaje } = validatedData;
+    
+    metrics.record('api_request', 1, { method: 'POST', tipo });
+
+    // Check rate limit
+    try {
+      const rateLimitInfo = rateLimiter.checkLimit(telefono);
+      logger.debug('Rate limit check passed', { telefono, remaining: rateLimitInfo.remaining });
+      res.setHeader('X-RateLimit-Limit', rateLimitInfo.limit);
+      res.setHeader('X-RateLimit-Remaining', rateLimitInfo.remaining);
+      res.setHeader('X-RateLimit-Reset', rateLimitInfo.resetAt.toISOString());
+    } catch (error) {
+      if (error instanceof RateLimitError) {
+        logger.warn('Rate limit exceeded', { telefono });
+        metrics.record('rate_limit_exceeded', 1, { telefono });
+        res.setHeader('Retry-After', error.retryAfter);
+        return sendError(res, error);
       }
       throw error;
     }
     
+    // Reintentos del webhook: devolver la respuesta ya enviada sin repetir efectos
+    const messageKey = buildIdempotencyKey(validatedData);
+    if (messageKey) {
+      const { claimed, record } = await sessionStore.claimIncomingMessage(messageKey, { telefono, ttlHours: CONFIG.IDEMPOTENCY_TTL_HOURS });
+      if (!claimed) {
+        logger.info('Duplicate webhook ignored', { telefono, estado: record.estado, messageId: validatedData.messageId });
+        metrics.record('webhook_duplicate', 1, { estado: record.estado });
+        if (record.estado === 'completado' && record.response) {
+          return sendReply(res, record.response.reply, { ...record.response, ok: true, duplicate: true });
+        }
+        // Todavía en proceso: el webhook debe reintentar más tarde para recibir la respuesta
+        res.setHeader('Retry-After', MESSAGE_IN_PROGRESS_RETRY_SECS);
+        return sendError(res, new AppError('Mensaje en proceso, reintente más tarde', 409, 'MESSAGE_IN_PROGRESS'));
+      }
+      idempotencyKey = messageKey;
+    }
+    
     logger.info('Incoming message', { 
       telefono, 
       tipo, 
@@ -708,6 +1853,26 @@ export default async function handler(req, res) {
       hasLocation: !!ubicacion
     });
 
+    // Ráfagas ("hola" / "quiero 2 pizzas" / "y una pepsi"): se espera la ventana y solo
+    // el último mensaje responde, con el texto de toda la ráfaga
+    if (tipo === "text" && CONFIG.MESSAGE_MERGE_WINDOW_MS > 0) {
+      const { seq } = await sessionStore.bufferIncomingMessage(telefono, mensaje);
+      await new Promise(resolve => setTimeout(resolve, CONFIG.MESSAGE_MERGE_WINDOW_MS));
+      const burst = await sessionStore.takeMessageBuffer(telefono, seq);
+      if (!burst) {
+        logger.info('Message merged into a later one', { telefono });
+        metrics.record('message_merged', 1);
+        const response = { reply: null, merged: true };
+        if (idempotencyKey) await sessionStore.completeIncomingMessage(idempotencyKey, response);
+        return sendSuccess(res, response);
+      }
+      if (burst.length > 1) {
+        mensaje = burst.join("\n");
+        logger.info('Message burst merged', { telefono, count: burst.length });
+        metrics.record('message_burst', 1, { count: burst.length });
+      }
+    }
+
     // Load session with timeout
     let session;
     try {
@@ -741,39 +1906,868 @@ export default async function handler(req, res) {
       throw new AppError('Failed to load profile', 500, 'PROFILE_ERROR');
     }
 
+    /* ---------- Conversation flow (data/flujos.json) ---------- */
+    let flujo = session?.flujo || null;
+    // Texto de retomar_control cuando el bot vuelve después de un agente inactivo
+    let resumeNotice = null;
+    // Con un caso escalado abierto la conversación no se reinicia ni se cierra sola
+    let escalationOpen = escalation.isEscalationOpen(session);
+
+    /**
+     * Build the context the flow engine passes to actions and templates
+     * @param {Object} options - { vars, pricing, order }
+     * @returns {Object} Engine context
+     */
+    const flowContext = ({ vars = {}, pricing: calc = null, order = null } = {}) => ({
+      telefono,
+      nombre,
+      tipo,
+      intention: context.currentIntention,
+      pricing: calc,
+      order,
+      menu: liveMenu,
+      vars: { cuenta_yape: getFlowEngine().flows.meta.cuenta_yape_mostrar_al_cliente, ...vars }
+    });
+
+    /**
+     * Advance the conversation flow by dispatching triggers from flujos.json, in order
+     * The chain is all or nothing: if a trigger does not match the state reached so far, the flow
+     * stays where it was. Callers check the chain with rejectFlowSteps before changing anything.
+     * @param {Array<string>} triggers - Triggers in order (e.g. ['ubicacion_recibida', 'pedido_completo'])
+     * @param {Object} options - { vars, pricing, order }
+     * @returns {Promise<Object|null>} Last engine result with `steps` and `reply` (the last step that rendered one),
+     * or null when there was nothing to dispatch
+     */
+    const advanceFlow = async (triggers, options = {}) => {
+      if (triggers.length === 0) return null;
+      const engine = getFlowEngine();
+      const ctx = flowContext(options);
+      const steps = [];
+      let current = flujo;
+      for (const trigger of triggers) {
+        const result = await engine.dispatch(current, trigger, ctx);
+        if (!result.ok) {
+          logger.error('Flow chain interrupted', { telefono, from: result.from, trigger, allowed: result.allowed });
+          metrics.record('flow_error', 1, { trigger });
+          return { ...result, steps, reply: null };
+        }
+        steps.push(result);
+        current = result.flujo;
+      }
+
+      flujo = current;
+      if (debugMode) {
+        res.setHeader('X-Flow-State', flujo.estado);
+      }
+      const reply = steps.map(step => step.reply).filter(Boolean).pop() || null;
+      return { ...steps[steps.length - 1], steps, reply };
+    };
+
+    /**
+     * Start a new conversation cycle from the initial state (greeting without an order, cancellation, empty cart)
+     * While an escalated case is open the flow is left as it is.
+     * @returns {Promise<Object|null>} Engine result, or null when the reset was blocked
+     */
+    const restartFlow = async () => {
+      if (escalationOpen) {
+        logger.info('Flow reset blocked by open escalation', { telefono });
+        return null;
+      }
+      const result = await getFlowEngine().reset(flujo, flowContext());
+      flujo = result.flujo;
+      if (debugMode) {
+        res.setHeader('X-Flow-State', flujo.estado);
+      }
+      return result;
+    };
+
+    /**
+     * Stop when flujos.json does not allow the triggers from the current flow state
+     * Call it before saving anything: the message ends here and the customer is reminded
+     * of what the current state expects.
+     * @param {Array<string>} triggers - Triggers in order
+     * @param {Object} options - { lead, sessionData } text shown instead of paso_no_permitido and fields saved with the reply
+     * @returns {Promise<Object|null>} Response, or null when every trigger is allowed
+     */
+    const rejectFlowSteps = async (triggers, { lead = null, sessionData = {} } = {}) => {
+      const engine = getFlowEngine();
+      const plan = engine.planDispatch(flujo, triggers);
+      if (plan.ok) return null;
+
+      logger.warn('Flow step rejected', { telefono, from: plan.from, at: plan.at, trigger: plan.trigger, allowed: plan.allowed });
+      metrics.record('flow_step_rejected', 1, { state: plan.at, trigger: plan.trigger });
+      const expected = engine.renderReply(plan.from, flowContext().vars).reply;
+      const reply = [lead || engine.responses.paso_no_permitido || "🙏 Eso no lo puedo hacer en este momento del pedido.", expected]
+        .filter(Boolean).join("\n\n");
+      return persistAndReply(sessionData, { reply });
+    };
+
+    /**
+     * Helper to persist and return reply
+     * @param {Object} newSessionData - Session data to save
+     * @param {Object} replyObj - Reply object to send
+     * @returns {Promise<Object>} Response
+     */
+    const persistAndReply = async (newSessionData, replyObj) => {
+      if (resumeNotice && replyObj.reply) {
+        replyObj = { ...replyObj, reply: `${resumeNotice}\n\n${replyObj.reply}` };
+      }
+      try {
+        // Guardar contexto y perfil actualizado
+        await saveContextToSession(telefono, context, userProfile);
+        // Guardar sesión con datos adicionales
+        newSessionData = newSessionData || {};
+        newSessionData.ultimoMensajeCliente = new Date().toISOString();
+        // Cualquier respuesta que no sea fallback corta la racha de mensajes no entendidos
+        if (session?.fallbacks_seguidos && !("fallbacks_seguidos" in newSessionData)) newSessionData.fallbacks_seguidos = 0;
+        newSessionData.context = context;
+        newSessionData.flujo = flujo;
+        newSessionData.userProfile = { 
+          name: userProfile.name, 
+          orders: userProfile.orders, 
+          preferences: userProfile.preferences, 
+          stats: userProfile.stats 
+        };
+        await sessionStore.saveSession(telefono, newSessionData);
+        if (idempotencyKey) {
+          await sessionStore.completeIncomingMessage(idempotencyKey, replyObj);
+        }
+        
+        const duration = Date.now() - startTime;
+        metrics.record('response_time', duration, { tipo });
+        
+        logger.info('Request completed', { telefono, tipo, duration, replyLength: replyObj.reply?.length || 0 });
+        
+        return sendReply(res, replyObj.reply, { ...replyObj, ok: true });
+      } catch (error) {
+        logger.error('Error in persistAndReply:', { telefono, error: error.message });
+        throw error;
+      }
+    };
+
+    /**
+     * Items the customer cannot order right now (their own reservation counts as available)
+     * A storage failure is logged and lets the order through: stock is reserved again on confirmation.
+     * @param {Array} items - Order items
+     * @returns {Promise<Array>} Items without stock, with alternatives (inventory.checkStock)
+     */
+    const findOutOfStock = async (items) => {
+      try {
+        return await inventory.checkStock(items, { menu: liveMenu, telefono });
+      } catch (err) {
+        logger.error('Stock not checked', { telefono, error: err?.message || err });
+        return [];
+      }
+    };
+
+    /**
+     * Reserve the order's stock before it counts as confirmed (only the difference after an edit)
+     * A storage failure is logged and does not block the order.
+     * @param {Object} order - Order { items, numero }
+     * @returns {Promise<Object|null>} Response listing the items without stock, or null when reserved
+     */
+    const reserveOrderStock = async (order) => {
+      let result;
+      try {
+        result = await inventory.reserveStock(telefono, order.items, { menu: liveMenu, numero: order.numero || null });
+      } catch (err) {
+        logger.error('Order stock not reserved', { telefono, error: err?.message || err });
+        return null;
+      }
+      if (result.ok) return null;
+      logger.info('Order blocked by stock', { telefono, items: result.faltantes.map(f => f.id) });
+      metrics.record('order_out_of_stock', 1, { items: result.faltantes.length });
+      return persistAndReply({}, { reply: `${outOfStockReply(result.faltantes)}\nCambia o quita ese producto de tu pedido y seguimos.` });
+    };
+
+    /**
+     * Whether the customer has no other order in pedidos (cancelled ones don't count)
+     * Cash orders never reach the user profile, so the stored orders are the record.
+     * @param {string|null} numero - The current order's number, if it was already stored
+     * @returns {Promise<boolean>} Whether this is the customer's first order
+     */
+    const isFirstOrder = async (numero = null) => {
+      let cursor = null;
+      do {
+        const { pedidos, siguienteCursor } = await buscarPedidos({ telefono, limite: 20, cursor });
+        if (pedidos.some(p => p.estado !== "cancelado" && p.id !== numero)) return false;
+        cursor = siguienteCursor;
+      } while (cursor);
+      return true;
+    };
+
+    /**
+     * Use the order's coupon when the order is confirmed (counted once per order, atomically)
+     * A storage failure is logged and lets the order through with the discount.
+     * @param {Object} calc - Totals with the coupon (calculateDeliveryAndTotal)
+     * @param {string|null} numero - The order's number, if it was already stored
+     * @returns {Promise<string|null>} Why the coupon can no longer be used, or null when it was used (or there is none)
+     */
+    const redeemOrderCoupon = async (calc, numero = null) => {
+      if (!(calc.coupon?.monto > 0)) return null;
+      let result;
+      try {
+        result = await coupons.redeemCoupon(calc.coupon.codigo, telefono, { subtotal: calc.subtotal, primerPedido: await isFirstOrder(numero) });
+      } catch (err) {
+        logger.error('Order coupon not redeemed', { telefono, codigo: calc.coupon.codigo, error: err?.message || err });
+        return null;
+      }
+      if (result.ok) return null;
+      metrics.record('order_coupon_rejected', 1);
+      await sessionStore.saveSession(telefono, { cupon: null });
+      return `😔 El cupón ${calc.coupon.codigo} ${result.motivo}. Lo quité de tu pedido.`;
+    };
+
+    /**
+     * Close an order that has items and a delivery total
+     * With reglas_negocio.confirmacion_obligatoria the order waits in pendiente_confirmacion
+     * showing the summary; otherwise it goes straight to pedido_confirmado.
+     * The flow gets `triggers` (how the order was completed) followed by pedido_completo.
+     * @param {Object} order - Order { items, notes }
+     * @param {Object} calc - Result of calculateDeliveryAndTotal
+     * @param {Object} options - { triggers, vars, sessionData, lead, fallback }
+     * @returns {Promise<Object>} Response
+     */
+    const settleOrder = async (order, calc, { triggers, vars = {}, sessionData = {}, lead = "", fallback = "" }) => {
+      const flowTriggers = [...triggers, 'pedido_completo'];
+      const rejected = await rejectFlowSteps(flowTriggers);
+      if (rejected) return rejected;
+
+      const pending = requiresOrderConfirmation();
+      const estado = pending ? PENDING_CONFIRMATION_STATE : "pedido_confirmado";
+      let couponNotice = "";
+      if (!pending) {
+        const blocked = await reserveOrderStock(order);
+        if (blocked) return blocked;
+        // Sin paso de confirmación el pedido sigue, con el total sin el cupón
+        const problem = await redeemOrderCoupon(calc, order.numero);
+        if (problem) {
+          const address = sessionData.address || session?.address;
+          calc = calculateDeliveryAndTotal(order.items, address?.components, { taxRate: 0, deliveryFee: calc.deliveryFee });
+          couponNotice = `${problem}\n`;
+        }
+      }
+      const resumen = buildOrderSummaryText(order, calc);
+      const numero = pending
+        ? order.numero || null
+        : await recordOrder({ ...session, ...sessionData, pedido: order }, calc, estado);
+
+      await sessionStore.saveSession(telefono, {
+        estado,
+        pedido: { items: order.items, notes: order.notes, scheduledFor: order.scheduledFor || null, pricing: calc, numero },
+        pedido_borrador: null,
+        delivery: calc.deliveryFee,
+        ...sessionData
+      });
+
+      if (!pending) {
+        metrics.record('order_confirmed', 1);
+        auditLog('order_confirmed', telefono, { total: calc.total, itemsCount: order.items.length });
+        await scheduleKitchenReminder({ ...session, ...sessionData, pedido: { ...order, pricing: calc, numero } });
+        const flow = await advanceFlow(flowTriggers, { pricing: calc, order, vars: { ...vars, ...pricingVars(calc) } });
+        // La respuesta es la del paso que completó el pedido (ubicación, recojo...), que ya pregunta por el pago
+        const stepReply = flow?.steps[flow.steps.length - 2]?.reply || null;
+        const scheduled = stepReply && order.scheduledFor ? `\n🗓️ Programado para ${schedule.formatScheduledTime(order.scheduledFor)}` : "";
+        return persistAndReply({ estado }, { reply: `${couponNotice}${orderNumberLine(numero)}${stepReply ? `${stepReply}${scheduled}` : fallback}` });
+      }
+
+      metrics.record('order_confirmation_requested', 1);
+      // Con el resumen, esperar_pago_o_confirmacion responde con confirmar_pedido
+      const flow = await advanceFlow(flowTriggers, {
+        pricing: calc,
+        order,
+        vars: { ...vars, ...pricingVars(calc), resumen }
+      });
+      const prompt = flow?.steps[flow.steps.length - 1]?.reply || `${resumen}\n\n¿Confirmamos tu pedido? Responde "Sí" para confirmar o "No" para cancelarlo.`;
+      return persistAndReply({ estado }, { reply: lead ? `${lead}\n\n${prompt}` : prompt });
+    };
+
+    /**
+     * Close an order for pickup: no address or delivery fee, ready time from the items' prep_time_min
+     * Items tagged solo_delivery block pickup and the order is left as it was.
+     * @param {Object} order - Order { items, notes }
+     * @param {Object} options - { triggers, lead } flow triggers before cliente_elige_recojo and text shown before the pickup details
+     * @returns {Promise<Object>} Response
+     */
+    const settlePickupOrder = async (order, { triggers = [], lead = "" } = {}) => {
+      const blocked = fulfillment.findDeliveryOnlyItems(order.items, liveMenu);
+      if (blocked.length > 0) {
+        logger.info('Pickup blocked by delivery-only items', { telefono, items: blocked.map(it => it.id) });
+        metrics.record('pickup_blocked', 1, { items: blocked.length });
+        return persistAndReply({}, { reply: deliveryOnlyReply(blocked) });
+      }
+
+      const calc = calculateDeliveryAndTotal(order.items, {}, { taxRate: 0, deliveryFee: 0, coupon: session?.cupon });
+      const ready = fulfillment.estimatePickupTime(order.items, liveMenu);
+      const local = `${CONFIG.STORE_NAME} (${CONFIG.STORE_ADDRESS})`;
+      const pickupLead = order.scheduledFor
+        ? `🏪 Recojo en local: ${local}\n🗓️ Listo para recoger ${schedule.formatScheduledTime(order.scheduledFor)}`
+        : `🏪 Recojo en local: ${local}\n⏰ Listo para recoger en aprox. ${ready.minutes} min (${ready.readyAtText})`;
+
+      logger.info('Order set for pickup', { telefono, total: calc.total, readyInMin: ready.minutes });
+      metrics.record('pickup_selected', 1);
+      // Recojo programado: la plantilla habla de minutos, así que se usa el texto propio
+      const recojo = order.scheduledFor
+        ? { listoEnMin: null, hora: schedule.formatScheduledTime(order.scheduledFor), listoA: order.scheduledFor }
+        : { listoEnMin: ready.minutes, hora: ready.readyAtText, listoA: ready.readyAt.toISOString() };
+      return settleOrder(order, calc, {
+        triggers: [...triggers, 'cliente_elige_recojo'],
+        vars: { local },
+        sessionData: { tipo_entrega: fulfillment.FULFILLMENT_TYPES.PICKUP, recojo },
+        lead: lead ? `${lead}\n\n${pickupLead}` : pickupLead,
+        fallback: `${pickupLead}\n\n${buildOrderSummaryText(order, calc)}\n¿Confirmas y deseas pagar ahora?`
+      });
+    };
+
+    /**
+     * The customer said yes: confirm the order, send it to the agent and move on to payment
+     * @param {Object} sessionData - Session awaiting confirmation
+     * @returns {Promise<Object>} Response
+     */
+    const confirmPendingOrder = async (sessionData) => {
+      const { address, delivery, pago } = sessionData;
+      let { pedido } = sessionData;
+      // Efectivo con monto ya indicado: el pago queda resuelto y el pedido va directo al local
+      const paidInCash = pago?.method === payments.PAYMENT_METHODS.CASH && pago.pagarCon != null;
+      if (paidInCash) {
+        const rejected = await rejectFlowSteps(CASH_SETTLED_TRIGGERS);
+        if (rejected) return rejected;
+      }
+
+      // Confirmado después del cierre: pasa a pre-orden para la apertura
+      const hours = pedido.scheduledFor ? null : validateDeliveryHours();
+      if (hours && !hours.available && hours.nextOpening) {
+        pedido = { ...pedido, scheduledFor: hours.nextOpening };
+        sessionData = { ...sessionData, pedido };
+        logger.info('Confirmed order moved to opening time', { telefono, nextOpening: hours.nextOpening });
+      }
+      const blocked = await reserveOrderStock(pedido);
+      if (blocked) return blocked;
+      const calc = calculateDeliveryAndTotal(pedido.items, address?.components, { taxRate: 0, deliveryFee: delivery, coupon: sessionData.cupon });
+      // El cliente aceptó el total con el cupón: si ya no vale, vuelve a ver el total y confirma otra vez
+      const couponProblem = await redeemOrderCoupon(calc, pedido.numero);
+      if (couponProblem) {
+        const sinCupon = calculateDeliveryAndTotal(pedido.items, address?.components, { taxRate: 0, deliveryFee: delivery });
+        await sessionStore.saveSession(telefono, { pedido: { ...pedido, pricing: sinCupon } });
+        return persistAndReply({}, { reply: `${couponProblem}\n\n${buildOrderSummaryText(pedido, sinCupon)}\n\n¿Confirmamos tu pedido? Responde "Sí" o "No".` });
+      }
+      const numero = await recordOrder(sessionData, calc, "pedido_confirmado");
+      pedido = { ...pedido, numero };
+      sessionData = { ...sessionData, pedido };
+      const envioAgente = await sendConfirmedOrderToAgent(sessionData, calc);
+
+      await sessionStore.saveSession(telefono, {
+        estado: "pedido_confirmado",
+        pedido: { ...pedido, pricing: calc },
+        confirmado: new Date(),
+        envioAgente
+      });
+
+      await scheduleKitchenReminder({ ...sessionData, pedido: { ...pedido, pricing: calc } });
+      logger.info('Order confirmed by customer', { telefono, numero, total: calc.total, sentToAgent: envioAgente.sent, scheduledFor: pedido.scheduledFor || null });
+      metrics.record('order_confirmed', 1);
+      auditLog('order_confirmed', telefono, { numero, total: calc.total, itemsCount: pedido.items.length, sentToAgent: envioAgente.sent });
+
+      // Programado: la hora pedida reemplaza al tiempo estimado de entrega
+      const scheduledLine = `${orderNumberLine(numero)}${pedido.scheduledFor ? `🗓️ Programado para ${schedule.formatScheduledTime(pedido.scheduledFor)}\n` : ""}`;
+
+      // Efectivo con monto ya indicado: no hay nada más que cobrar por chat
+      if (paidInCash) {
+        const flow = await advanceFlow(CASH_SETTLED_TRIGGERS, { pricing: calc, order: pedido, vars: etaVars(sessionData) });
+        const closing = (!pedido.scheduledFor && flow?.reply) || `Total: ${formatMoney(calc.total)}. Gracias por elegir Dypsi 🍕`;
+        const reply = `✅ ¡Pedido confirmado!\n${scheduledLine}💵 ${describePayment(pago)}\n${closing}`;
+        return persistAndReply({ estado: "pedido_confirmado" }, { reply });
+      }
+
+      // El flujo sigue en esperar_pago_o_confirmacion: ahora sin resumen, su respuesta pide el pago
+      const askPayment = getFlowEngine().renderReply('esperar_pago_o_confirmacion', flowContext({ pricing: calc }).vars).reply;
+      const askCash = pago?.method === payments.PAYMENT_METHODS.CASH ? flowEngineModule.loadResponses().pago_efectivo : null;
+      const reply = `✅ ¡Pedido confirmado! Total a pagar: ${formatMoney(calc.total)}\n${scheduledLine}` +
+                    (askCash || askPayment || "¿Cómo deseas pagar? (Efectivo / Yape / Plin)");
+      return persistAndReply({ estado: "pedido_confirmado" }, { reply });
+    };
+
+    /**
+     * Send a confirmed order (with its payment details) to the agent
+     * The order stays confirmed even if the agent notification fails.
+     * Orders above the escalado_humano thresholds also open an escalation for the kitchen (the bot keeps answering).
+     * @param {Object} sessionData - Session with pedido, address, pago, tipo_entrega
+     * @param {Object} calc - Result of calculateDeliveryAndTotal
+     * @returns {Promise<Object>} { sent, method } to store as envioAgente
+     */
+    const sendConfirmedOrderToAgent = async (sessionData, calc) => {
+      if (escalation.isLargeOrder(sessionData.pedido, calc)) {
+        await openEscalation('pedido_grande_mayor_umbrales', {
+          detalle: `Total ${formatMoney(calc.total)}`,
+          sessionData: { ...sessionData, pedido: { ...sessionData.pedido, pricing: calc } },
+          takeover: false
+        }).catch(err => logger.error('Large order escalation failed', { telefono, error: err?.message || err }));
+      }
+      try {
+        const result = await sendOrderToAgent(buildAgentOrder(sessionData.pedido, calc, sessionData), {
+          nombre: nombre || userProfile.name,
+          telefono,
+          isVIP: userProfile.isVIP(),
+          totalOrders: userProfile.orders.length
+        });
+        return { sent: !!result?.sent, method: result?.method || null };
+      } catch (err) {
+        logger.error('Confirmed order not sent to agent', { telefono, error: err?.message || err });
+        return { sent: false, method: null };
+      }
+    };
+
+    /**
+     * Persist the order in pedidos with its DY-000123 number: created on the first
+     * confirmation or payment, updated afterwards (same number after edits or payments).
+     * A failure is logged and the order stays confirmed in the session without a number.
+     * @param {Object} sessionData - Session with pedido, address, pago, pagos, tipo_entrega
+     * @param {Object} calc - Result of calculateDeliveryAndTotal
+     * @param {string} estado - Order state to store
+     * @returns {Promise<string|null>} Order number
+     */
+    const recordOrder = async (sessionData, calc, estado) => {
+      const { pedido } = sessionData;
+      const record = buildOrderRecord(pedido, calc, sessionData, { nombre: nombre || userProfile.name, telefono });
+      try {
+        if (pedido.numero) {
+          await actualizarPedido(pedido.numero, { ...record, estado });
+          await syncOrderToSheet(pedido.numero);
+          return pedido.numero;
+        }
+        const saved = await guardarPedidoFirebase({ ...record, estado });
+        auditLog('order_recorded', telefono, { numero: saved.numero, total: calc.total, estado });
+        await syncOrderToSheet(saved.numero);
+        return saved.numero;
+      } catch (err) {
+        logger.error('Order not recorded', { telefono, numero: pedido.numero || null, error: err?.message || err });
+        metrics.record('order_record_failed', 1);
+        return pedido.numero || null;
+      }
+    };
+
     /**
-     * Helper to persist and return reply
-     * @param {Object} newSessionData - Session data to save
-     * @param {Object} replyObj - Reply object to send
+     * Schedule the kitchen reminder for an order placed for a later time
+     * Rescheduling replaces the previous reminder; orders without scheduledFor are ignored.
+     * @param {Object} sessionData - Session with pedido (scheduledFor, pricing)
+     * @returns {Promise<void>}
+     */
+    const scheduleKitchenReminder = async (sessionData) => {
+      const { pedido } = sessionData;
+      if (!pedido?.scheduledFor) return;
+      try {
+        const dueAt = schedule.kitchenReminderAt(pedido.scheduledFor);
+        await reminders.scheduleReminder({
+          id: `${telefono}_${reminders.REMINDER_TYPES.KITCHEN}`,
+          telefono,
+          tipo: reminders.REMINDER_TYPES.KITCHEN,
+          dueAt: dueAt > new Date() ? dueAt : new Date(),
+          payload: {
+            pedido: buildAgentOrder(pedido, pedido.pricing || {}, sessionData),
+            cliente: { nombre: nombre || userProfile.name, telefono }
+          }
+        });
+      } catch (err) {
+        logger.error('Kitchen reminder not scheduled', { telefono, error: err?.message || err });
+      }
+    };
+
+    /**
+     * Cancel the pending kitchen reminder of a cancelled order
+     * @returns {Promise<void>}
+     */
+    const cancelKitchenReminder = async () => {
+      try {
+        await reminders.cancelReminders(telefono, reminders.REMINDER_TYPES.KITCHEN);
+      } catch (err) {
+        logger.error('Kitchen reminder not cancelled', { telefono, error: err?.message || err });
+      }
+    };
+
+    /**
+     * ETA template variables ({{eta_min}}–{{eta_max}}) for delivery or pickup
+     * Scheduled orders have no ETA, so templates that need one fall back to the summary.
+     * @param {Object} sessionData - Session with tipo_entrega and recojo
+     * @returns {Object} { eta_min, eta_max }
+     */
+    const etaVars = (sessionData) => {
+      if (sessionData.pedido?.scheduledFor) return {};
+      const isPickup = sessionData.tipo_entrega === fulfillment.FULFILLMENT_TYPES.PICKUP;
+      const eta = isPickup && sessionData.recojo?.listoEnMin ? sessionData.recojo.listoEnMin + 5 : CONFIG.DELIVERY_TIME_ESTIMATE_MINS;
+      return { eta_min: Math.max(eta - 10, 5), eta_max: eta };
+    };
+
+    /**
+     * The customer sent a coupon code: check it and show the order total with the discount
+     * The coupon waits in the session and is redeemed (counted) when the order is confirmed.
+     * @param {string|null} codigo - Code from coupons.detectCouponCode (null when not written yet)
      * @returns {Promise<Object>} Response
      */
-    const persistAndReply = async (newSessionData, replyObj) => {
+    const applyCoupon = async (codigo) => {
+      if (!codigo) {
+        return persistAndReply({}, { reply: '🎟️ ¡Claro! ¿Cuál es tu código? Escríbelo así: "cupón TUCODIGO".' });
+      }
+      if (session?.pedido?.items?.length && ["pedido_confirmado", "pago_verificacion", "pagado", "preparacion", "en_reparto"].includes(session.estado)) {
+        return persistAndReply({}, { reply: "🎟️ Tu pedido ya está confirmado, así que el cupón no se puede aplicar. ¡Úsalo en tu próximo pedido! 😊" });
+      }
+
+      let check;
       try {
-        // Guardar contexto y perfil actualizado
-        await saveContextToSession(telefono, context, userProfile);
-        // Guardar sesión con datos adicionales
-        newSessionData = newSessionData || {};
-        newSessionData.context = context;
-        newSessionData.userProfile = { 
-          name: userProfile.name, 
-          orders: userProfile.orders, 
-          preferences: userProfile.preferences, 
-          stats: userProfile.stats 
-        };
-        await sessionStore.saveSession(telefono, newSessionData);
-        
-        const duration = Date.now() - startTime;
-        metrics.record('response_time', duration, { tipo });
-        
-        logger.info('Request completed', { telefono, tipo, duration, replyLength: replyObj.reply?.length || 0 });
-        
-        return sendReply(res, replyObj.reply, { ...replyObj, ok: true });
-      } catch (error) {
-        logger.error('Error in persistAndReply:', { telefono, error: error.message });
-        throw error;
+        check = await coupons.validateCoupon(codigo, { telefono, primerPedido: await isFirstOrder(session?.pedido?.numero) });
+      } catch (err) {
+        logger.error('Coupon not checked', { telefono, codigo, error: err?.message || err });
+        return persistAndReply({}, { reply: "😔 No pude revisar tu cupón en este momento. Inténtalo de nuevo en unos minutos." });
+      }
+      auditLog('coupon_requested', telefono, { codigo, ok: check.ok, motivo: check.motivo });
+      metrics.record('coupon_requested', 1, { ok: check.ok });
+      if (!check.ok) {
+        return persistAndReply({}, { reply: `😔 El cupón ${codigo} ${check.motivo}.` });
+      }
+
+      await sessionStore.saveSession(telefono, { cupon: check.cupon });
+      const draft = getEditableDraft(session);
+      if (!draft) {
+        return persistAndReply({}, { reply: `🎟️ ¡Listo! Guardé tu cupón ${codigo}: ${describeCoupon(check.cupon)}. Se aplicará a tu pedido. ¿Qué te gustaría pedir?` });
+      }
+
+      const isPickup = session.tipo_entrega === fulfillment.FULFILLMENT_TYPES.PICKUP;
+      const { address, delivery } = session;
+      const calc = calculateDeliveryAndTotal(draft.items, isPickup ? {} : address?.components, { taxRate: 0, deliveryFee: isPickup || !address ? 0 : delivery, coupon: check.cupon });
+      const draftKey = session.pedido ? "pedido" : "pedido_borrador";
+      await sessionStore.saveSession(telefono, { [draftKey]: { ...draft, pricing: calc } });
+      const closing = session.estado === PENDING_CONFIRMATION_STATE
+        ? '¿Confirmamos tu pedido? Responde "Sí" o "No".'
+        : "¿Deseas agregar algo más o continuamos?";
+      return persistAndReply({}, { reply: `🎟️ Cupón ${codigo} registrado.\n${buildOrderSummaryText(draft, calc)}\n\n${closing}` });
+    };
+
+    /**
+     * Cash payment: store how much the customer pays with and the change
+     * Amounts below the total are rejected and the order is never marked as paid.
+     * After a partial Yape/Plin payment, cash covers the outstanding balance.
+     * @param {Object} sessionData - Session with the order
+     * @param {number|null} amount - Bill amount from the message
+     * @returns {Promise<Object>} Response
+     */
+    const handleCashPayment = async (sessionData, amount) => {
+      const { pedido, estado } = sessionData;
+      const total = pedido.pricing?.total;
+      const CASH = payments.PAYMENT_METHODS.CASH;
+      metrics.record('interaction', 1, { type: 'cash_payment' });
+
+      // Pago combinado: el efectivo cubre el saldo que dejaron los comprobantes
+      const ledger = payments.summarizeLedger(sessionData.pagos, total, { tolerance: Number(CONFIG.PAYMENT_TOLERANCE) });
+      const combined = ledger.paid > 0;
+      if (combined && rules.getBusinessRule("acepta_pago_combinado", true) === false) {
+        return persistAndReply({}, {
+          reply: `⚠️ No aceptamos pagos combinados. Saldo pendiente: ${formatMoney(ledger.balance)}.\nEnvía el comprobante por ese monto (Yape / Plin).`
+        });
+      }
+      const due = combined ? ledger.balance : total;
+      const readyStates = [PENDING_CONFIRMATION_STATE, "pedido_confirmado", ...(combined ? ["pago_verificacion"] : [])];
+
+      if (!readyStates.includes(estado) || total == null) {
+        await sessionStore.saveSession(telefono, { pago: { method: CASH, pagarCon: null, vuelto: null } });
+        return persistAndReply({}, {
+          reply: "💵 Anotado: pagarás en efectivo. Cuando tengamos el total te preguntaré con cuánto pagarás.\n" +
+                 "📍 ¿Delivery o recojo? Si es delivery, envía tu dirección o ubicación."
+        });
       }
+
+      if (amount == null) {
+        await sessionStore.saveSession(telefono, { pago: { method: CASH, pagarCon: null, vuelto: null } });
+        const ask = flowEngineModule.loadResponses().pago_efectivo || "💵 ¿Con cuánto pagarás en efectivo? (ej. 'Pago con s/ 50')";
+        return persistAndReply({}, { reply: `${ask}\n${combined ? "Saldo" : "Total"} a pagar: ${formatMoney(due)}` });
+      }
+
+      const change = payments.calculateChange(due, amount);
+      if (!change.ok) {
+        logger.info('Cash amount below total', { telefono, amount, due });
+        metrics.record('cash_amount_rejected', 1);
+        await sessionStore.saveSession(telefono, { pago: { method: CASH, pagarCon: null, vuelto: null } });
+        return persistAndReply({}, {
+          reply: `⚠️ Con ${formatMoney(amount)} no alcanza para ${combined ? "el saldo" : "el total"} de ${formatMoney(due)} (faltan ${formatMoney(change.faltante)}).\n` +
+                 `¿Con cuánto pagarás en efectivo?`
+        });
+      }
+
+      if (estado !== PENDING_CONFIRMATION_STATE) {
+        const rejected = await rejectFlowSteps(CASH_SETTLED_TRIGGERS);
+        if (rejected) return rejected;
+      }
+
+      const pago = { method: CASH, pagarCon: amount, vuelto: change.vuelto, estado: "pendiente_cobro" };
+      const pagos = combined
+        ? payments.addPaymentEntry(sessionData.pagos, payments.createPaymentEntry({ method: CASH, amount: due, source: "efectivo" })).entries
+        : sessionData.pagos || [];
+      const reopened = estado === "pago_verificacion" ? { estado: "pedido_confirmado" } : {};
+      await sessionStore.saveSession(telefono, { pago, pagos, ...reopened });
+      logger.info('Cash payment registered', { telefono, total, due, pagarCon: amount, vuelto: change.vuelto });
+      auditLog('cash_payment_registered', telefono, { total, due, pagarCon: amount, vuelto: change.vuelto });
+      const cashLine = combined
+        ? `💵 El saldo de ${formatMoney(due)} lo pagarás en efectivo con ${formatMoney(amount)}. Vuelto: ${formatMoney(change.vuelto)}.`
+        : `💵 Pagarás en efectivo con ${formatMoney(amount)}. Vuelto: ${formatMoney(change.vuelto)}.`;
+
+      if (estado === PENDING_CONFIRMATION_STATE) {
+        return persistAndReply({}, { reply: `${cashLine}\n\n${buildConfirmationReprompt({ ...sessionData, pago })}` });
+      }
+
+      // Pedido ya confirmado: el agente recibe el pedido con el pago y el vuelto
+      const calc = pedido.pricing;
+      await recordOrder({ ...sessionData, pago, pagos }, calc, "pedido_confirmado");
+      const envioAgente = await sendConfirmedOrderToAgent({ ...sessionData, pago, pagos }, calc);
+      await sessionStore.saveSession(telefono, { envioAgente });
+      const flow = await advanceFlow(CASH_SETTLED_TRIGGERS, { pricing: calc, order: pedido, vars: etaVars(sessionData) });
+      return persistAndReply(reopened, { reply: `${cashLine}\n${orderNumberLine(pedido.numero)}${flow?.reply || "Tu pedido está confirmado. ¡Gracias por elegir Dypsi! 🍕"}` });
+    };
+
+    /**
+     * Register a Yape/Plin payment (receipt or message) in the order's payment ledger
+     * Several receipts add up until they cover the total within PAYMENT_TOLERANCE;
+     * only then is the order marked as paid.
+     * @param {Object} sessionData - Session with pedido (or pedido_borrador) and pagos
+     * @param {Object} calc - Result of calculateDeliveryAndTotal
+     * @param {Object} entry - Payment from payments.createPaymentEntry
+     * @param {Object} options - { comprobante } OCR data stored when the receipt is rejected
+     * @returns {Promise<Object>} Response
+     */
+    const registerPayment = async (sessionData, calc, entry, { comprobante = null } = {}) => {
+      const draft = sessionData.pedido || sessionData.pedido_borrador;
+      const tolerance = Number(CONFIG.PAYMENT_TOLERANCE);
+      const multiple = rules.getBusinessRule("acepta_multiples_comprobantes", true) !== false;
+      const previous = multiple ? sessionData.pagos || [] : [];
+      const before = payments.summarizeLedger(previous, calc.total, { tolerance });
+      // Un comprobante deja el flujo en verificar_pago_si_aplica: sale pagado hacia el local o vuelve a esperar el saldo
+      const receiptTriggers = (paidInFull) => {
+        if (entry.source !== "comprobante") return [];
+        return paidInFull ? ['comprobante_verificado', 'pago_confirmado', 'pedido_enviado_a_local'] : ['saldo_pendiente'];
+      };
+
+      // Un monto muy por encima del saldo (o un pago parcial sin múltiples comprobantes) no cuadra con el pedido
+      const tooHigh = entry.amount > before.balance + calc.total * tolerance;
+      const partialNotAllowed = !multiple && entry.amount < calc.total * (1 - tolerance);
+      if (tooHigh || partialNotAllowed) {
+        logger.warn('Payment amount mismatch', { telefono, detected: entry.amount, expected: before.balance, total: calc.total });
+        metrics.record('payment_mismatch', 1);
+        // Comprobantes que siguen sin cuadrar después de reintentos.ocr pasan a finanzas
+        const attempts = comprobante ? (sessionData.intentos_comprobante || 0) + 1 : 0;
+        if (comprobante && attempts > Number(rules.loadRules().reintentos?.ocr ?? 1)) {
+          return escalateAndReply('comprobante_invalido', {
+            detalle: `Comprobante por ${formatMoney(entry.amount)}, saldo ${formatMoney(before.balance)}`,
+            acciones: Array.from({ length: attempts }, (_, i) => `validacion_comprobante_${i + 1}`),
+            sessionData: { estado: "pago_verificacion", comprobante, intentos_comprobante: 0 }
+          });
+        }
+        const rejected = await rejectFlowSteps(receiptTriggers(false));
+        if (rejected) return rejected;
+        await advanceFlow(receiptTriggers(false), { pricing: calc });
+        const reply = generateSmartResponse("payment_mismatch", context, { detected: entry.amount, expected: before.balance });
+        return persistAndReply({ estado: "pago_verificacion", ...(comprobante ? { comprobante, intentos_comprobante: attempts } : {}) }, { reply });
+      }
+
+      const added = payments.addPaymentEntry(previous, entry);
+      if (added.duplicate) {
+        metrics.record('payment_duplicate', 1);
+        const rejected = await rejectFlowSteps(receiptTriggers(false));
+        if (rejected) return rejected;
+        await advanceFlow(receiptTriggers(false), { pricing: calc });
+        return persistAndReply({}, {
+          reply: `⚠️ Este comprobante (operación ${entry.reference}) ya fue registrado.\nSaldo pendiente: ${formatMoney(before.balance)}`
+        });
+      }
+
+      // Un pago avisado por mensaje queda anotado sin contar hasta que llegue el comprobante o lo confirme un agente
+      if (!entry.verified) {
+        metrics.record('payment_reported', 1, { method: entry.method });
+        auditLog('payment_reported', telefono, { amount: entry.amount, method: entry.method });
+        await notifyAgent({ event: "payment_reported", telefono, pedido: draft, amount: entry.amount, pagos: added.entries });
+        return persistAndReply({ pagos: added.entries }, {
+          reply: `🧾 Anotamos tu pago de ${formatMoney(entry.amount)}. Para confirmarlo envíanos la captura del comprobante (Yape / Plin).\n` +
+                 `⏳ Saldo pendiente: ${formatMoney(before.balance)}`
+        });
+      }
+
+      // El saldo en efectivo se ajusta a lo que queda por pagar
+      let pagos = added.entries;
+      const ledger = payments.summarizeLedger(pagos, calc.total, { tolerance });
+      const cashEntry = pagos.find(e => e.method === payments.PAYMENT_METHODS.CASH);
+      if (cashEntry && (ledger.paidInFull || cashEntry.amount !== ledger.balance)) {
+        pagos = pagos.filter(e => e !== cashEntry);
+        if (!ledger.paidInFull) {
+          pagos.push({ ...cashEntry, amount: ledger.balance });
+        }
+      }
+      const summary = payments.summarizeLedger(pagos, calc.total, { tolerance });
+      const flowTriggers = receiptTriggers(summary.paidInFull);
+      const rejected = await rejectFlowSteps(flowTriggers);
+      if (rejected) return rejected;
+      const breakdown = pagos.filter(e => e.verified).map(e => `• ${describePayment({ method: e.method })}: ${formatMoney(e.amount)}`).join("\n");
+
+      metrics.record('payment_registered', 1, { method: entry.method, source: entry.source });
+      auditLog('payment_registered', telefono, { amount: entry.amount, method: entry.method, paid: summary.paid, balance: summary.balance });
+
+      if (summary.paidInFull) {
+        userProfile.addOrder({
+          items: draft.items,
+          total: summary.paid,
+          date: new Date(),
+          method: entry.source === "comprobante" ? "receipt" : "manual",
+          verified: true
+        });
+
+        logger.info('Payment confirmed', { telefono, amount: summary.paid, expectedTotal: calc.total, payments: pagos.length });
+        metrics.record('payment_confirmed', 1, { method: entry.source === "comprobante" ? 'receipt' : 'manual' });
+        metrics.record('order_value', summary.paid);
+        auditLog('payment_confirmed', telefono, { amount: summary.paid, method: entry.source, itemsCount: draft.items.length, payments: pagos.length });
+
+        const methods = [...new Set(pagos.filter(e => e.verified).map(e => e.method))];
+        const pago = { method: methods.length > 1 ? "combinado" : entry.method, amount: summary.paid, pagarCon: null, vuelto: null, estado: "pagado" };
+        const numero = await recordOrder({ ...sessionData, pedido: draft, pagos, pago }, calc, "pagado");
+        // Pagado: las unidades salen del stock; si ya no alcanzaban, cocina decide con el cliente
+        const oversold = await commitOrderStock(telefono, { ...draft, numero });
+        await commitOrderCoupon(telefono);
+        if (oversold.length > 0) {
+          await openEscalation('item_fuera_de_stock', {
+            detalle: oversold.map(f => `${f.nombre}: ${f.solicitado} pedidos, ${f.disponible} disponibles`).join("; "),
+            sessionData: { pedido: { ...draft, pricing: calc, numero } },
+            takeover: false
+          }).catch(err => logger.error('Out of stock escalation failed', { telefono, error: err?.message || err }));
+        }
+        await advanceFlow(flowTriggers, { pricing: calc, order: draft });
+        await sessionStore.saveSession(telefono, {
+          estado: "pagado",
+          pedido: { ...draft, pricing: calc, numero },
+          pagos,
+          intentos_comprobante: 0,
+          pago
+        });
+        await notifyAgent({ event: entry.source === "comprobante" ? "order_paid" : "order_paid_manual", telefono, pedido: { ...draft, numero }, amount: summary.paid, pagos });
+
+        let reply = generateSmartResponse("payment_confirmed", context, { amount: summary.paid });
+        if (pagos.filter(e => e.verified).length > 1) reply += `\n${breakdown}`;
+        if (numero) reply += `\n${orderNumberLine(numero).trim()}`;
+        return persistAndReply({ estado: "pagado" }, { reply });
+      }
+
+      await sessionStore.saveSession(telefono, { pagos });
+      await advanceFlow(flowTriggers, { pricing: calc });
+      logger.info('Partial payment registered', { telefono, amount: entry.amount, paid: summary.paid, balance: summary.balance });
+
+      if (summary.covered) {
+        return persistAndReply({}, {
+          reply: `✅ Pago recibido: ${formatMoney(entry.amount)}.\n${breakdown}\n💵 Saldo en efectivo al entregar: ${formatMoney(summary.cashPending)}`
+        });
+      }
+
+      const combinedAllowed = rules.getBusinessRule("acepta_pago_combinado", true) !== false;
+      const reply = `✅ Pago recibido: ${formatMoney(entry.amount)}.\n${breakdown}\n` +
+                    `💳 Pagado: ${formatMoney(summary.paid)} de ${formatMoney(calc.total)}\n` +
+                    `⏳ Saldo pendiente: ${formatMoney(summary.balance)}\n` +
+                    `Envía otro comprobante (Yape / Plin)${combinedAllowed ? " o indica si pagarás el resto en efectivo 💵" : "."}`;
+      return persistAndReply({ estado: "pago_verificacion" }, { reply });
+    };
+
+    /**
+     * Ambiguous answer while awaiting confirmation: repeat the confirmacion_final template
+     * @param {Object} sessionData - Session awaiting confirmation
+     * @returns {string} Re-prompt text
+     */
+    const buildConfirmationReprompt = (sessionData) => {
+      const { pedido, address, pago } = sessionData;
+      const total = pedido.pricing?.total;
+      const isPickup = sessionData.tipo_entrega === fulfillment.FULFILLMENT_TYPES.PICKUP;
+      const { text, missing } = flowEngineModule.renderTemplate(flowEngineModule.loadResponses().confirmacion_final || "", {
+        nombre_cliente: nombre || userProfile.name || "Cliente",
+        telefono,
+        direccion: isPickup ? `Recojo en local (${CONFIG.STORE_ADDRESS})` : address?.address || "Por confirmar",
+        pedido: pedido.items.map(it => `${it.quantity || 1}x ${it.name || it.id}${it.variant ? ` (${it.variant})` : ""}`).join(", "),
+        total: total != null ? Number(total).toFixed(2) : null,
+        metodo_pago: describePayment(pago) || "Por definir (Efectivo / Yape / Plin)",
+        ...etaVars(sessionData)
+      });
+      const scheduled = pedido.scheduledFor ? `\n🗓️ Programado para ${schedule.formatScheduledTime(pedido.scheduledFor)}` : "";
+      if (text && missing.length === 0) return `${text}${scheduled}`;
+      return `${buildOrderSummaryText(pedido, pedido.pricing || {})}\n\nNo entendí tu respuesta. ¿Confirmamos tu pedido? Responde "Sí" o "No".`;
+    };
+
+    /**
+     * Escalate the case to a human team (flujos.json → escalado_y_paquetes)
+     * Builds the packet, routes it by trigger and delivers it. The case stays open in session.escalado,
+     * blocking automatic flow resets, until an agent resolves it through /api/humano.
+     * With `takeover` the bot also goes silent until the agent releases the chat or stays idle
+     * and the flow gets the escalado trigger (callers check it first with rejectFlowSteps).
+     * @param {string} trigger - Trigger from gatillos_escalado
+     * @param {Object} options - { detalle, acciones, sessionData (fields not saved yet), takeover }
+     * @returns {Promise<Object>} Escalation stored in the session
+     */
+    const openEscalation = async (trigger, { detalle = null, acciones = [], sessionData = {}, takeover = true } = {}) => {
+      const current = { ...(await sessionStore.getSession(telefono) || {}), ...sessionData };
+      const caso = escalation.buildEscalationPacket({ trigger, telefono, nombre: nombre || userProfile.name, session: current, context, acciones, detalle });
+      const envio = await escalation.deliverEscalation(caso);
+      const escalado = escalation.buildCaseRecord(current.escalado, caso, envio);
+      await sessionStore.saveSession(telefono, { escalado });
+      if (takeover) {
+        await sessionStore.setHumanControl(telefono, { motivo: trigger, idleMinutes: CONFIG.HUMAN_CONTROL_IDLE_MINS });
+        await advanceFlow(['escalado']);
+      }
+      escalationOpen = true;
+
+      logger.info('Case escalated', { telefono, id: escalado.id, trigger, destinatario: caso.destinatario, prioridad: caso.prioridad, sent: envio.sent });
+      metrics.record('escalation', 1, { trigger, destinatario: caso.destinatario });
+      auditLog('escalation_opened', telefono, { id: escalado.id, trigger, destinatario: caso.destinatario, takeover });
+      return escalado;
+    };
+
+    /**
+     * Escalate and tell the customer (comunicacion_al_cliente_al_escalar)
+     * @param {string} trigger - Trigger from gatillos_escalado
+     * @param {Object} options - Same as openEscalation; sessionData is saved with the reply
+     * @returns {Promise<Object>} Response
+     */
+    const escalateAndReply = async (trigger, options = {}) => {
+      const rejected = await rejectFlowSteps(['escalado']);
+      if (rejected) return rejected;
+      const escalado = await openEscalation(trigger, options);
+      return persistAndReply({ ...(options.sessionData || {}), escalado }, { reply: escalation.getCustomerMessage(), escalado: { id: escalado.id, destinatario: escalado.destinatario } });
     };
 
+    /**
+     * Hand the conversation to a human when the customer asks for a promo the bot does not run
+     * (menu.json reglas of type requiere_agente, e.g. Martes de Barra Libre)
+     * @param {Array} items - Requested items, available or not
+     * @returns {Promise<Object|null>} Response, or null when no such promo was requested
+     */
+    const escalateAgentPromotion = async (items) => {
+      const [promo] = promotions.findAgentPromotions(items, { menu: liveMenu });
+      if (!promo) return null;
+      const rejected = await rejectFlowSteps(['escalado']);
+      if (rejected) return rejected;
+      const escalado = await openEscalation('promo_requiere_agente', { detalle: `${promo.nombre}: ${mensaje}` });
+      const { text } = flowEngineModule.renderTemplate(flowEngineModule.loadResponses().escalado_promo || "", { promo: promo.nombre });
+      return persistAndReply({ escalado }, { reply: text || escalation.getCustomerMessage(), escalado: { id: escalado.id, destinatario: escalado.destinatario } });
+    };
+
+    /* ---------- Human takeover: el bot calla mientras un agente atiende ---------- */
+    const humanControl = sessionStore.getHumanControlStatus(session);
+    if (humanControl.active) {
+      logger.info('Bot silent, human agent in control', { telefono, agente: session.humano.agente });
+      metrics.record('human_control_silenced', 1, { tipo });
+      context.addMessage("user", mensaje || `[${tipo}]`, { humanControl: true });
+      return persistAndReply({}, { reply: null, humano: true });
+    }
+    if (humanControl.expired) {
+      await sessionStore.clearHumanControl(telefono, { reason: "inactividad" });
+      auditLog('human_control_released', telefono, { reason: "inactividad" });
+      resumeNotice = flowEngineModule.loadResponses().retomar_control || null;
+    }
+
+    // El canal del mensaje solo mueve el flujo desde los estados que lo esperan (inicio, error...);
+    // en medio de un pedido el estado lo deciden los triggers de cada paso
+    const channelTrigger = FLOW_CHANNEL_TRIGGERS[tipo];
+    if (channelTrigger && getFlowEngine().findTargetByTrigger(getFlowEngine().currentStateOf(flujo), channelTrigger)) {
+      await advanceFlow([channelTrigger]);
+    }
+
     /* ---------- IMAGE (URL) - Smart OCR ---------- */
     if (tipo === "image" && imagen) {
       try {
@@ -781,7 +2775,7 @@ export default async function handler(req, res) {
         logger.debug('Processing image from URL', { telefono, imageUrl: imagen });
         
         const ocrResult = await readImage(imagen, { debug });
-        const smartAnalysis = await smartOCRAnalysis(ocrResult, { userProfile, menu, debug });
+        const smartAnalysis = await smartOCRAnalysis(ocrResult, { userProfile, menu: liveMenu, debug });
         
         logger.info('Smart OCR analysis completed', { 
           telefono,
@@ -803,53 +2797,30 @@ export default async function handler(req, res) {
             return persistAndReply({ estado: "pago_verificacion" }, { reply });
           }
           
-          const { pedido, pedido_borrador } = await sessionStore.getSession(telefono) || {};
+          const current = await sessionStore.getSession(telefono) || {};
+          const { pedido, pedido_borrador, address, delivery, pagos } = current;
           const draft = pedido || pedido_borrador || null;
 
           if (draft?.items?.length) {
-            const itemsForCalc = draft.items.map(it => ({ id: it.id, quantity: it.quantity, variant: it.variant, extras: it.extras }));
-            const calc = pricing.calculateOrderTotal(itemsForCalc, menu, menu.reglas || [], { taxRate: 0, rounding: 0.01 });
-            const validation = validateReceiptAgainstOrder(ocrResult, { items: draft.items, expectedTotal: calc.total }, menu, { tolerance: Number(CONFIG.PAYMENT_TOLERANCE), debug });
-
-            if (validation.ok) {
-              // Actualizar perfil con orden pagada
-              userProfile.addOrder({
-                items: draft.items,
-                total: validation.detectedTotal,
-                date: new Date(),
-                method: "receipt",
-                verified: true
-              });
-              
-              // Audit log
-              auditLog('payment_confirmed', telefono, {
-                amount: validation.detectedTotal,
-                items: draft.items.length,
-                method: 'receipt_ocr'
-              });
-              
-              metrics.record('payment_confirmed', 1, { method: 'receipt' });
-              metrics.record('order_value', validation.detectedTotal);
-              
-              context.currentIntention = "ORDER_REPEAT";
-              const reply = generateSmartResponse("payment_confirmed", context, { amount: validation.detectedTotal });
-              
-              await sessionStore.saveSession(telefono, { estado: "pagado", pedido: { items: draft.items, pricing: calc }, pago: { method: "comprobante", amount: validation.detectedTotal, ocr: ocrResult } });
-              await notifyAgent({ event: "order_paid", telefono, pedido: draft, amount: validation.detectedTotal });
-              
-              logger.info('Payment confirmed via OCR', { telefono, amount: validation.detectedTotal });
-              return persistAndReply({}, { reply });
-            } else {
-              logger.warn('Payment validation failed', { 
-                telefono, 
-                detected: detected, 
-                expected: calc.total,
-                difference: Math.abs(detected - calc.total)
-              });
-              metrics.record('payment_mismatch', 1);
-              const reply = generateSmartResponse("payment_mismatch", context, { detected: detected, expected: calc.total });
-              return persistAndReply({ estado: "pago_verificacion", comprobante: { detected: detected, ocr: ocrResult, validation } }, { reply });
-            }
+            // Solo se verifica un pago cuando el pedido ya espera pago (no un borrador sin dirección)
+            const rejected = await rejectFlowSteps(['comprobante_recibido']);
+            if (rejected) return rejected;
+            const calc = calculateDeliveryAndTotal(draft.items, address?.components, { taxRate: 0, deliveryFee: delivery, coupon: session?.cupon });
+            await advanceFlow(['comprobante_recibido'], { pricing: calc, order: draft });
+
+            // Cada comprobante se valida contra el saldo pendiente del ledger, no contra el total
+            const balance = payments.summarizeLedger(pagos, calc.total, { tolerance: Number(CONFIG.PAYMENT_TOLERANCE) }).balance;
+            const validation = validateReceiptAgainstOrder(ocrResult, { items: draft.items, expectedTotal: balance }, liveMenu, { tolerance: Number(CONFIG.PAYMENT_TOLERANCE), debug });
+            const entry = payments.createPaymentEntry({
+              method: payments.detectPaymentMethod(ocrResult.text || "") || "comprobante",
+              amount: validation.ok ? validation.detectedTotal : detected,
+              reference: ocrResult.operationNumbers?.[0] || null,
+              source: "comprobante"
+            });
+            if (validation.ok) context.currentIntention = "ORDER_REPEAT";
+            return registerPayment({ ...current, pedido: draft }, calc, entry, {
+              comprobante: { detected, ocr: ocrResult, validation }
+            });
           } else {
             logger.warn('Receipt received but no order found', { telefono, amount: detected });
             metrics.record('receipt_no_order', 1);
@@ -926,23 +2897,31 @@ export default async function handler(req, res) {
         const address = `Coordenadas ${destCoords.lat}, ${destCoords.lon}`;
         const components = { lat: destCoords.lat, lon: destCoords.lon };
 
-        await sessionStore.saveSession(telefono, { estado: "direccion", address: { address, components }, delivery: route.price });
-
-        const { pedido, pedido_borrador } = await sessionStore.getSession(telefono) || {};
+        const { pedido, pedido_borrador, estado } = await sessionStore.getSession(telefono) || {};
         const draft = pedido || pedido_borrador || null;
-
-        if (draft?.items?.length) {
-          const itemsForCalc = draft.items.map(it => ({ id: it.id, quantity: it.quantity, variant: it.variant, extras: it.extras }));
-          const calc = pricing.calculateOrderTotal(itemsForCalc, menu, menu.reglas || [], { taxRate: 0, rounding: 0.01, delivery: { base: route.price } });
-          await sessionStore.saveSession(telefono, { estado: "pedido_confirmado", pedido: { items: draft.items, pricing: calc }, address: { address, components } });
-          
-          logger.info('Order confirmed with location', { telefono, total: calc.total, deliveryFee: route.price });
-          metrics.record('order_confirmed', 1);
-          
-          return persistAndReply({}, { reply: `📍 Delivery calculado: ${formatMoney(route.price)} (distancia ${route.distanceKm} km).\nTotal a cobrar: ${formatMoney(calc.total)}. ¿Deseas confirmar el pedido y pagar ahora?` });
+        const hasOrder = !!draft?.items?.length;
+        // Con pedido la ubicación lo completa (settleOrder agrega pedido_completo); sin pedido queda para el próximo
+        const flowTriggers = hasOrder ? [...reopenFlowTriggers(estado), 'ubicacion_recibida'] : ['ubicacion_recibida'];
+        const rejected = await rejectFlowSteps(hasOrder ? [...flowTriggers, 'pedido_completo'] : flowTriggers);
+        if (rejected) return rejected;
+
+        await sessionStore.saveSession(telefono, { estado: "direccion", address: { address, components }, delivery: route.price, tipo_entrega: fulfillment.FULFILLMENT_TYPES.DELIVERY, recojo: null });
+
+        if (hasOrder) {
+          const calc = calculateDeliveryAndTotal(draft.items, components, { taxRate: 0, deliveryFee: route.price, coupon: session?.cupon });
+          logger.info('Order completed with location', { telefono, total: calc.total, deliveryFee: route.price });
+
+          return settleOrder(draft, calc, {
+            triggers: flowTriggers,
+            vars: { direccion_corta: address },
+            sessionData: { address: { address, components }, tipo_entrega: fulfillment.FULFILLMENT_TYPES.DELIVERY, recojo: null },
+            lead: `📍 Delivery calculado: ${formatMoney(route.price)} (distancia ${route.distanceKm} km).`,
+            fallback: `📍 Delivery calculado: ${formatMoney(route.price)} (distancia ${route.distanceKm} km).\nTotal a cobrar: ${formatMoney(calc.total)}. ¿Deseas confirmar el pedido y pagar ahora?`
+          });
         }
         
         logger.debug('Location saved without order', { telefono, deliveryFee: route.price });
+        await advanceFlow(flowTriggers, { vars: { direccion_corta: address, delivery: Number(route.price).toFixed(2) } });
         return persistAndReply({}, { reply: `📍 Delivery estimado: ${formatMoney(route.price)} (distancia ${route.distanceKm} km). ¿Deseas que calcule el total si me envías tu pedido?` });
       } catch (err) {
         logger.error('Location handling error:', { telefono, error: err?.message || err });
@@ -961,11 +2940,28 @@ export default async function handler(req, res) {
     let intention = intentionResult.intention;
     const helpHint = /(menu|menú|carta|precio|cuánto cuesta|cuanto cuesta|promoc|promo|catálogo|catalogo|lista)/i;
     const orderHint = /(quiero|pedido|orden|ordenar|dame|env[ií]a|manda|trae|ponme)/i;
-    if (orderHint.test(mensaje)) intention = INTENTIONS.ORDER_NEW;
+    const statusHint = /(estado|seguimiento|d[oó]nde (est[aá]|va|viene)|cu[aá]ndo (llega|sale)|c[oó]mo va)\s+(de\s+|del\s+)?(mi\s+)?(pedido|orden)/i;
+    if (statusHint.test(mensaje)) intention = INTENTIONS.STATUS;
+    else if (orderHint.test(mensaje)) intention = INTENTIONS.ORDER_NEW;
     else if (helpHint.test(mensaje) && intention !== INTENTIONS.ORDER_NEW && intention !== INTENTIONS.ORDER_REPEAT) {
       intention = INTENTIONS.HELP;
     }
+    
+    // Con un pedido en borrador, las ediciones de carrito ("quita la pepsi", "que sean 3") prevalecen
+    const editableDraft = getEditableDraft(session);
+    const cartOperation = editableDraft ? cart.detectCartOperation(mensaje, editableDraft, liveMenu, { synonyms }) : null;
+    if (cartOperation && cartOperation.type !== 'add') intention = INTENTIONS.ORDER_MODIFY;
     context.currentIntention = intention;
+
+    /**
+     * Whether the text names menu products, including the ones switched off right now
+     * @param {string} text - Message text
+     * @returns {boolean} At least one product found
+     */
+    const mentionsProducts = (text) => {
+      const parsed = parseOrderText(text, liveMenu, { synonyms });
+      return (parsed?.items?.length || 0) + (parsed?.unavailable?.length || 0) > 0;
+    };
     
     if (debugMode) {
       res.setHeader('X-Detected-Intention', intention || 'none');
@@ -979,10 +2975,149 @@ export default async function handler(req, res) {
     });
     metrics.record('intention_detected', 1, { intention });
 
+    // Gatillos de escalado pedidos por el cliente (gerente, reembolso, repartidor, alergias)
+    const escalationTrigger = escalation.detectEscalationTrigger(mensaje);
+    if (escalationTrigger) {
+      return escalateAndReply(escalationTrigger, { detalle: mensaje });
+    }
+
+    // Cupón ("tengo el cupón BIENVENIDA10"): se valida y queda en la sesión hasta confirmar el pedido
+    const couponRequest = cartOperation ? null : coupons.detectCouponCode(mensaje);
+    if (couponRequest) {
+      return applyCoupon(couponRequest.codigo);
+    }
+
+    // Delivery o recojo: la elección cambia cómo se cierra el pedido (sin dirección ni delivery al recoger).
+    // Mensajes con productos o con una dirección siguen su camino normal.
+    const fulfillmentChoice = cartOperation ? null : fulfillment.detectFulfillmentChoice(mensaje);
+    const noOrderInProgress = !session?.pedido || ["inicio", "entregado", "cancelado"].includes(session.estado);
+    if (fulfillmentChoice && (editableDraft || noOrderInProgress)) {
+      const mentionsItems = mentionsProducts(mensaje);
+      const mentioned = detectAddress(mensaje);
+      const mentionsAddress = !!(mentioned?.isAddress && (mentioned.components?.street || mentioned.components?.district));
+      const isPickup = fulfillmentChoice === fulfillment.FULFILLMENT_TYPES.PICKUP;
+      const alreadyDelivery = !isPickup && session?.tipo_entrega !== fulfillment.FULFILLMENT_TYPES.PICKUP && !!session?.address?.components;
+
+      if (!mentionsItems && !mentionsAddress && !(editableDraft && alreadyDelivery)) {
+        metrics.record('interaction', 1, { type: 'fulfillment_choice', choice: fulfillmentChoice });
+        logger.info('Fulfillment choice', { telefono, choice: fulfillmentChoice, hasDraft: !!editableDraft });
+
+        if (!editableDraft) {
+          await sessionStore.saveSession(telefono, { tipo_entrega: fulfillmentChoice, recojo: null });
+          const reply = isPickup
+            ? `🏪 ¡Perfecto! Tu pedido será para recoger en ${CONFIG.STORE_NAME} (${CONFIG.STORE_ADDRESS}). ¿Qué deseas pedir?`
+            : `🚚 ¡Perfecto, delivery! ¿Qué deseas pedir? También puedes enviarme tu dirección o ubicación.`;
+          return persistAndReply({}, { reply });
+        }
+
+        const flowTriggers = reopenFlowTriggers(session.estado);
+        if (isPickup) {
+          return settlePickupOrder(editableDraft, { triggers: flowTriggers });
+        }
+
+        // Vuelve a delivery: hace falta la dirección para calcular el envío antes de confirmar
+        const rejected = await rejectFlowSteps(flowTriggers);
+        if (rejected) return rejected;
+        const reopen = [PENDING_CONFIRMATION_STATE, "pedido_confirmado"].includes(session.estado) ? { estado: "pedido" } : {};
+        await sessionStore.saveSession(telefono, { tipo_entrega: fulfillmentChoice, recojo: null, ...reopen });
+        await advanceFlow(flowTriggers);
+        const reply = "🚚 ¡Perfecto, delivery!\nEnvía tu dirección completa o comparte tu ubicación para calcular el envío.";
+        return persistAndReply({}, { reply });
+      }
+    }
+
+    // Hora pedida sin productos ("para las 8 de la noche"): programa o reprograma el pedido en curso
+    const requestedTime = cartOperation || !editableDraft ? null : schedule.extractRequestedTime(mensaje);
+    if (requestedTime && !mentionsProducts(requestedTime.rest)) {
+      const check = schedule.validateScheduledTime(requestedTime.at);
+      logger.info('Requested time for order', { telefono, requestedTime: requestedTime.text, ok: check.ok, reason: check.reason });
+      metrics.record('order_schedule_request', 1, { ok: check.ok, reason: check.reason || 'ok' });
+      if (!check.ok) {
+        return persistAndReply({}, { reply: `${scheduleProblemText(check)} ¿Para qué hora lo programamos?` });
+      }
+
+      const scheduledFor = requestedTime.at.toISOString();
+      const label = schedule.formatScheduledTime(scheduledFor);
+      const draftKey = session.pedido ? "pedido" : "pedido_borrador";
+      const updated = { ...editableDraft, scheduledFor };
+      const recojo = session.tipo_entrega === fulfillment.FULFILLMENT_TYPES.PICKUP
+        ? { recojo: { listoEnMin: null, hora: label, listoA: scheduledFor } }
+        : {};
+      await sessionStore.saveSession(telefono, { [draftKey]: updated, ...recojo });
+      const current = { ...session, [draftKey]: updated, ...recojo };
+
+      if (session.estado === PENDING_CONFIRMATION_STATE) {
+        const resumen = buildOrderSummaryText(updated, updated.pricing || {});
+        return persistAndReply({}, { reply: `🗓️ ¡Listo!\n${resumen}\n\n¿Confirmamos tu pedido? Responde "Sí" o "No".` });
+      }
+      if (session.estado === "pedido_confirmado" || session.estado === "pago_verificacion") {
+        await scheduleKitchenReminder(current);
+        const envioAgente = await sendConfirmedOrderToAgent(current, updated.pricing || {});
+        await sessionStore.saveSession(telefono, { envioAgente });
+        return persistAndReply({}, { reply: `🗓️ Listo, reprogramamos tu pedido para ${label}. Ya avisamos al local.` });
+      }
+      return persistAndReply({}, { reply: `🗓️ Listo, tu pedido queda programado para ${label}.\n📍 ¿Delivery o recojo? Si es delivery, envía tu dirección o ubicación.` });
+    }
+
+    // Pago en efectivo ("pago con s/ 50"): o solo el monto cuando ya se pidió con cuánto pagará
+    const paymentMethod = cartOperation ? null : payments.detectPaymentMethod(mensaje);
+    if (session?.pedido?.items?.length && !LOCKED_ORDER_STATES.includes(session.estado) && !cartOperation) {
+      const cashAmount = payments.parseCashAmount(mensaje);
+      const totalReady = [PENDING_CONFIRMATION_STATE, "pedido_confirmado", "pago_verificacion"].includes(session.estado);
+      const awaitingAmount = totalReady && session.pago?.method === payments.PAYMENT_METHODS.CASH && session.pago.pagarCon == null;
+      const looksLikeAddress = !!detectAddress(mensaje)?.components?.street;
+      if (paymentMethod === payments.PAYMENT_METHODS.CASH || (awaitingAmount && !paymentMethod && cashAmount != null && !looksLikeAddress)) {
+        return handleCashPayment(session, cashAmount);
+      }
+      // "Pago con yape" no es un pedido nuevo aunque diga "pago con"
+      const digital = [payments.PAYMENT_METHODS.YAPE, payments.PAYMENT_METHODS.PLIN].includes(paymentMethod);
+      if (digital && intention !== INTENTIONS.PAYMENT && !mentionsProducts(mensaje)) {
+        intention = INTENTIONS.PAYMENT;
+        context.currentIntention = intention;
+      }
+    }
+
+    // Pedido esperando confirmación: Sí confirma, No cancela y lo ambiguo vuelve a preguntar.
+    // Ediciones del carrito, consultas y una nueva dirección siguen su camino normal.
+    if (session?.estado === PENDING_CONFIRMATION_STATE && session.pedido?.items?.length && !cartOperation) {
+      const answer = rules.classifyConfirmationReply(mensaje);
+      logger.info('Confirmation answer', { telefono, answer: answer || 'ambiguous' });
+      metrics.record('confirmation_answer', 1, { answer: answer || 'ambiguous' });
+
+      if (answer === 'confirm') {
+        return confirmPendingOrder(session);
+      }
+
+      if (answer === 'cancel') {
+        auditLog('order_cancelled', telefono, { estado: session.estado, reason: 'confirmation_declined' });
+        metrics.record('order_cancelled', 1);
+        await sessionStore.saveSession(telefono, { estado: "cancelado", cancelado: new Date(), tipo_entrega: null, recojo: null });
+        await cancelKitchenReminder();
+        await syncOrderRecordStatus(telefono, session.pedido.numero, "cancelado");
+        await releaseOrderStock(telefono);
+        await releaseOrderCoupon(telefono);
+        await restartFlow();
+        const reply = generateSmartResponse("order_cancelled", context);
+        return persistAndReply({ estado: "cancelado" }, { reply });
+      }
+
+      const passThrough = [INTENTIONS.ORDER_NEW, INTENTIONS.ORDER_MODIFY, INTENTIONS.ORDER_CONTINUE, INTENTIONS.HELP, INTENTIONS.STATUS].includes(intention);
+      const newAddress = detectAddress(mensaje);
+      const hasNewAddress = !!(newAddress?.isAddress && (newAddress.components?.street || newAddress.components?.district));
+      if (!passThrough && !hasNewAddress) {
+        return persistAndReply({}, { reply: buildConfirmationReprompt(session) });
+      }
+    }
+
     // Manejar diferentes intenciones
     if (intention === INTENTIONS.GREETING || intention === INTENTIONS.SMALLTALK) {
       metrics.record('interaction', 1, { type: 'greeting' });
-      const reply = generateSmartResponse("greeting", context);
+      // Un saludo solo abre un nuevo ciclo de flujo si no hay un pedido en curso
+      const openOrder = session?.estado && !["inicio", "cancelado", "entregado"].includes(session.estado);
+      const flow = openOrder ? null : await restartFlow();
+      const greeting = flow?.reply || generateSmartResponse("greeting", context);
+      const hours = validateDeliveryHours();
+      const reply = hours.available ? greeting : `${greeting}\n\n${closedNotice(hours)}`;
       return persistAndReply({}, { reply });
     }
 
@@ -991,7 +3126,13 @@ export default async function handler(req, res) {
         res.setHeader('X-Help-Block', '1');
       }
       metrics.record('interaction', 1, { type: 'help' });
-      const topCats = (menu.categorias || []).slice(0, 4).map(c => `• ${c.nombre} (${(c.productos||[]).length} items)`).join("\n");
+      // Solo lo que se puede pedir ahora: las categorías apagadas no se listan
+      const topCats = (liveMenu.categorias || [])
+        .map(c => ({ nombre: c.nombre, disponibles: (c.productos || []).filter(p => p.disponible !== false).length }))
+        .filter(c => c.disponibles > 0)
+        .slice(0, 4)
+        .map(c => `• ${c.nombre} (${c.disponibles} items)`)
+        .join("\n");
       const reply = generateSmartResponse("menu_available", context, { categories: topCats });
       return persistAndReply({}, { reply });
     }
@@ -1005,11 +3146,24 @@ export default async function handler(req, res) {
       address: addrDetection?.address?.substring(0, 30)
     });
     
-    if (addrDetection && addrDetection.isAddress && addrDetection.address) {
+    // Un número suelto ("quiero 2 pizzas", "pago con 50") no cuenta como dirección en pedidos o pagos
+    const addrComponents = addrDetection?.components || {};
+    const onlyNumberAddress = !addrComponents.street && !addrComponents.district && addrComponents.lat == null;
+    const numericIntent = [INTENTIONS.ORDER_NEW, INTENTIONS.ORDER_REPEAT, INTENTIONS.ORDER_MODIFY, INTENTIONS.ORDER_CONTINUE, INTENTIONS.PAYMENT].includes(intention);
+    
+    if (addrDetection && addrDetection.isAddress && addrDetection.address && !(onlyNumberAddress && numericIntent)) {
       // Si detectamos dirección, procesarla independiente de la intención
       context.currentIntention = INTENTIONS.HELP;
       metrics.record('address_detected', 1);
       logger.info('Address detected in message', { telefono, address: addrDetection.address });
+
+      // Igual que una ubicación compartida: completa el pedido en curso o queda para el próximo
+      const { pedido, pedido_borrador, estado } = await sessionStore.getSession(telefono) || {};
+      const draft = pedido || pedido_borrador || null;
+      const hasOrder = !!draft?.items?.length;
+      const flowTriggers = hasOrder ? [...reopenFlowTriggers(estado), 'ubicacion_recibida'] : ['ubicacion_recibida'];
+      const rejected = await rejectFlowSteps(hasOrder ? [...flowTriggers, 'pedido_completo'] : flowTriggers);
+      if (rejected) return rejected;
       
       // Geocodificar dirección y calcular delivery usando calculateRoute
       let deliveryFee = 0;
@@ -1066,55 +3220,137 @@ export default async function handler(req, res) {
       
       await sessionStore.saveAddressForPhone(telefono, addrDetection.address, addrDetection.components);
 
-      const { pedido, pedido_borrador } = await sessionStore.getSession(telefono) || {};
-      const draft = pedido || pedido_borrador || null;
-
-      if (draft?.items?.length) {
-        const itemsForCalc = draft.items.map(it => ({ id: it.id, quantity: it.quantity, variant: it.variant, extras: it.extras }));
-        const calc = pricing.calculateOrderTotal(itemsForCalc, menu, menu.reglas || [], { 
-          taxRate: 0, 
-          rounding: 0.01, 
-          delivery: { base: deliveryFee, addressComponents: addrDetection.components } 
-        });
-        
-        await sessionStore.saveSession(telefono, { 
-          estado: "pedido_confirmado", 
-          pedido: { items: draft.items, pricing: calc }, 
-          address: { address: addrDetection.address, components: addrDetection.components },
-          route: routeInfo
-        });
+      if (hasOrder) {
+        const calc = calculateDeliveryAndTotal(draft.items, addrDetection.components, { taxRate: 0, deliveryFee, coupon: session?.cupon });
         
-        logger.info('Order confirmed with address and delivery', { 
+        logger.info('Order completed with address and delivery', { 
           telefono, 
           total: calc.total, 
           deliveryFee,
           itemsCount: draft.items.length 
         });
-        metrics.record('order_confirmed', 1);
-        auditLog('order_confirmed', telefono, { total: calc.total, deliveryFee, itemsCount: draft.items.length });
         
-        const suggestions = generateSuggestions(draft.items, userProfile, menu);
-        const reply = `📍 Dirección detectada: ${addrDetection.address}\n` +
-                     `🚚 Delivery: ${formatMoney(deliveryFee)}${distanceKm > 0 ? ` (${distanceKm.toFixed(1)} km)` : ''}\n` +
-                     `💰 Total a cobrar: ${formatMoney(calc.total)}\n\n` +
-                     `${buildOrderSummaryText(draft, calc)}\n` +
-                     (suggestions.length > 0 ? `\n💡 Te sugiero: ${suggestions.slice(0, 2).map(s => s.name).join(", ")}\n` : "") +
-                     `¿Confirmas y deseas pagar ahora?`;
-        return persistAndReply({ estado: "pedido_confirmado" }, { reply });
+        const suggestions = suggestComplements(draft.items, userProfile);
+        return settleOrder(draft, calc, {
+          triggers: flowTriggers,
+          vars: { direccion_corta: addrDetection.address },
+          sessionData: {
+            address: { address: addrDetection.address, components: addrDetection.components },
+            route: routeInfo,
+            tipo_entrega: fulfillment.FULFILLMENT_TYPES.DELIVERY,
+            recojo: null
+          },
+          lead: `📍 Dirección detectada: ${addrDetection.address}`,
+          fallback: `📍 Dirección detectada: ${addrDetection.address}\n` +
+                    `🚚 Delivery: ${formatMoney(deliveryFee)}${distanceKm > 0 ? ` (${distanceKm.toFixed(1)} km)` : ''}\n` +
+                    `💰 Total a cobrar: ${formatMoney(calc.total)}\n\n` +
+                    `${buildOrderSummaryText(draft, calc)}\n` +
+                    (suggestions.length > 0 ? `\n💡 ${suggestions[0]}\n` : "") +
+                    `¿Confirmas y deseas pagar ahora?`
+        });
       }
       
+      await advanceFlow(flowTriggers, {
+        vars: { direccion_corta: addrDetection.address, delivery: Number(deliveryFee).toFixed(2) }
+      });
       const reply = `📍 Dirección detectada: ${addrDetection.address}\n` +
                    `🚚 Delivery estimado: ${formatMoney(deliveryFee)}${distanceKm > 0 ? ` (${distanceKm.toFixed(1)} km)` : ''}\n` +
                    `¿En qué puedo ayudarte?`;
       return persistAndReply({ 
         address: { address: addrDetection.address, components: addrDetection.components },
         delivery: deliveryFee,
-        route: routeInfo
+        route: routeInfo,
+        tipo_entrega: fulfillment.FULFILLMENT_TYPES.DELIVERY,
+        recojo: null
       }, { reply });
     }
 
-    // Intentar parsear orden del mensaje
-    if (intention === INTENTIONS.ORDER_NEW || intention === INTENTIONS.ORDER_REPEAT) {
+    // Editar el pedido en borrador: agregar, quitar, cambiar cantidad/variante o anotar
+    const isCartIntention = [INTENTIONS.ORDER_NEW, INTENTIONS.ORDER_MODIFY, INTENTIONS.ORDER_CONTINUE].includes(intention);
+    if (editableDraft && isCartIntention) {
+      if (debugMode) {
+        res.setHeader('X-Cart-Block', '1');
+      }
+      try {
+        metrics.record('interaction', 1, { type: 'cart_edit' });
+        const operation = cartOperation || { type: 'add', text: mensaje };
+        const { draft: updated, changes, warnings, unavailable } = cart.applyCartOperation(editableDraft, operation, liveMenu, { synonyms });
+        const agentPromoReply = await escalateAgentPromotion([...unavailable, ...updated.items]);
+        if (agentPromoReply) return agentPromoReply;
+        const unavailableText = unavailable.length > 0 ? outOfStockReply(await findOutOfStock(unavailable)) : "";
+
+        if (changes.length === 0 && unavailableText) {
+          return persistAndReply({}, { reply: `${unavailableText}\nTu pedido sigue como estaba.` });
+        }
+        if (changes.length === 0) {
+          logger.debug('Cart operation without changes', { telefono, operation: operation.type, warnings });
+          const reply = generateSmartResponse("order_incomplete", context, { errors: warnings.length ? warnings : ["No detecté cambios en tu pedido"] });
+          return persistAndReply({}, { reply });
+        }
+
+        // Solo se revisa lo que el cambio agrega: quitar o anotar siempre se permite
+        const before = inventory.trackedQuantities(editableDraft.items, liveMenu);
+        const added = inventory.trackedQuantities(updated.items, liveMenu);
+        const faltantes = await findOutOfStock(updated.items.filter(it => (added[it.id] || 0) > (before[it.id] || 0)));
+        if (faltantes.length > 0) {
+          metrics.record('order_out_of_stock', 1, { items: faltantes.length });
+          return persistAndReply({}, { reply: `${outOfStockReply(faltantes)}\nTu pedido sigue como estaba.` });
+        }
+        const previous = new Set(editableDraft.items.map(it => it.id));
+        const fueraDeDia = promotions.findOutOfSchedule(updated.items.filter(it => !previous.has(it.id)), { menu: liveMenu });
+        if (fueraDeDia.length > 0) {
+          return persistAndReply({}, { reply: `${promoScheduleReply(fueraDeDia)}\nTu pedido sigue como estaba.` });
+        }
+
+        const cambios = [cart.formatCartChanges(changes), unavailableText].filter(Boolean).join("\n");
+        auditLog('order_modified', telefono, { operation: operation.type, changes: changes.length, itemsCount: updated.items.length });
+        metrics.record('order_modified', 1, { operation: operation.type });
+
+        if (updated.items.length === 0) {
+          await releaseOrderStock(telefono);
+          await releaseOrderCoupon(telefono);
+          await sessionStore.saveSession(telefono, { pedido: null, pedido_borrador: null, estado: "inicio" });
+          await restartFlow();
+          return persistAndReply({}, { reply: `🛒 Pedido actualizado:\n${cambios}\n\nTu pedido quedó vacío. ¿Qué deseas pedir?` });
+        }
+
+        const { address, delivery } = session || {};
+        const calc = calculateDeliveryAndTotal(updated.items, address?.components, { taxRate: 0, deliveryFee: address ? delivery : 0, coupon: session?.cupon });
+        const resumen = buildOrderSummaryText(updated, calc);
+
+        // Para recojo el pedido ya está completo: se revalida (solo_delivery) y se vuelve a cerrar
+        if (session.tipo_entrega === fulfillment.FULFILLMENT_TYPES.PICKUP) {
+          return settlePickupOrder(updated, { triggers: ['intencion_modificar_pedido'], lead: `🛒 Pedido actualizado:\n${cambios}` });
+        }
+
+        // Un pedido ya completo (o confirmado) se vuelve a confirmar tras cada cambio
+        if (address && requiresOrderConfirmation() && [PENDING_CONFIRMATION_STATE, "pedido_confirmado"].includes(session.estado)) {
+          logger.info('Order modified, confirmation requested again', { telefono, operation: operation.type, total: calc.total });
+          return settleOrder(updated, calc, {
+            triggers: ['intencion_modificar_pedido'],
+            vars: { cambios, resumen },
+            lead: `🛒 Pedido actualizado:\n${cambios}`
+          });
+        }
+
+        const rejected = await rejectFlowSteps(['intencion_modificar_pedido']);
+        if (rejected) return rejected;
+        await sessionStore.saveSession(telefono, { pedido: { ...updated, pricing: calc }, pedido_borrador: null });
+
+        logger.info('Order draft modified', { telefono, operation: operation.type, changes: changes.length, total: calc.total });
+        const flow = await advanceFlow(['intencion_modificar_pedido'], { pricing: calc, order: updated, vars: { cambios, resumen } });
+        const reply = flow?.reply || `🛒 Pedido actualizado:\n${cambios}\n\n${resumen}\n¿Deseas agregar algo más o continuamos?`;
+        return persistAndReply({}, { reply });
+      } catch (err) {
+        logger.error('Cart edit error:', { telefono, error: err?.message || err });
+        metrics.record('cart_edit_error', 1);
+        const reply = generateSmartResponse("order_incomplete", context, { errors: [err?.message || 'No pude actualizar tu pedido'] });
+        return persistAndReply({}, { reply });
+      }
+    }
+
+    // Intentar parsear orden del mensaje (sin borrador editable, "agrega..." también inicia un pedido)
+    if (intention === INTENTIONS.ORDER_NEW || intention === INTENTIONS.ORDER_REPEAT || isCartIntention) {
       if (debugMode) {
         res.setHeader('X-Order-Block', '1');
       }
@@ -1134,56 +3370,139 @@ export default async function handler(req, res) {
         
         // Si no, intentar parsear el mensaje
         if (!parsed) {
-          parsed = parseOrderText(mensaje, menu, { synonyms, debug });
+          parsed = parseOrderText(mensaje, liveMenu, { synonyms, debug });
           logger.debug('Order parsed from text', { telefono, itemsCount: parsed?.items?.length || 0 });
         }
 
+        // Promos que gestiona un agente (requiere_agente): la conversación pasa a un humano
+        const requested = [...(parsed?.items || []), ...(parsed?.unavailable || [])];
+        const agentPromoReply = requested.length > 0 ? await escalateAgentPromotion(requested) : null;
+        if (agentPromoReply) return agentPromoReply;
+
+        // Items agotados o apagados: salen del pedido y se sugieren otros de la misma categoría
+        let stockWarning = null;
+        const faltantes = requested.length > 0 ? await findOutOfStock(requested) : [];
+        if (faltantes.length > 0) {
+          metrics.record('order_out_of_stock', 1, { items: faltantes.length });
+          const agotados = new Set(faltantes.map(f => f.id));
+          parsed = { ...parsed, items: parsed.items.filter(it => !agotados.has(it.id)) };
+          if (parsed.items.length === 0) {
+            return persistAndReply({}, { reply: `${outOfStockReply(faltantes)}\n¿Qué te gustaría pedir?` });
+          }
+          stockWarning = `${outOfStockReply(faltantes)}\nLo quité de tu pedido; si quieres otra cosa, escríbeme "agrega ...".`;
+        }
+
+        // Promos pedidas fuera de su día u horario (reglas de menu.json): también salen del pedido
+        let promoWarning = null;
+        const fueraDeDia = parsed?.items?.length ? promotions.findOutOfSchedule(parsed.items, { menu: liveMenu }) : [];
+        if (fueraDeDia.length > 0) {
+          metrics.record('order_promo_out_of_schedule', 1, { items: fueraDeDia.length });
+          const fuera = new Set(fueraDeDia.map(f => f.id));
+          parsed = { ...parsed, items: parsed.items.filter(it => !fuera.has(it.id)) };
+          if (parsed.items.length === 0) {
+            return persistAndReply({}, { reply: `${promoScheduleReply(fueraDeDia)}\n¿Qué te gustaría pedir?` });
+          }
+          promoWarning = `${promoScheduleReply(fueraDeDia)}\nLo quité de tu pedido.`;
+        }
+
+        // Hora pedida fuera de horario: el pedido sigue, pero para lo antes posible
+        let timeProblem = null;
+        if (parsed?.items?.length && parsed.scheduledFor) {
+          const check = schedule.validateScheduledTime(parsed.scheduledFor);
+          if (!check.ok) {
+            logger.info('Requested time rejected', { telefono, requestedTime: parsed.requestedTime, reason: check.reason });
+            timeProblem = scheduleProblemText(check);
+            parsed = { ...parsed, scheduledFor: null };
+          }
+        }
+
+        // Fuera de horario: pre-orden para la apertura (o nada si el local no las acepta)
+        let scheduleWarning = timeProblem ? `${timeProblem} Lo dejamos para lo antes posible; si prefieres otra hora, escríbeme "para las ...".` : null;
+        const hours = parsed?.items?.length && !parsed.scheduledFor ? validateDeliveryHours() : null;
+        if (hours && !hours.available) {
+          if (!hours.acceptsPreOrders || !hours.nextOpening) {
+            metrics.record('order_rejected_closed', 1);
+            return persistAndReply({}, { reply: [timeProblem, closedNotice(hours)].filter(Boolean).join("\n") });
+          }
+          logger.info('Pre-order for opening time', { telefono, nextOpening: hours.nextOpening });
+          metrics.record('order_preorder', 1);
+          parsed = { ...parsed, scheduledFor: hours.nextOpening };
+          scheduleWarning = [
+            timeProblem,
+            `🕐 Ahora estamos cerrados: tu pedido queda como pre-orden para ${schedule.formatScheduledTime(hours.nextOpening)}. Si prefieres otra hora, escríbeme "para las ...".`
+          ].filter(Boolean).join("\n");
+        }
+        const scheduledFor = parsed?.scheduledFor || null;
+        const notice = [stockWarning, promoWarning, scheduleWarning].filter(Boolean).join("\n") || null;
+
         if (parsed?.items?.length) {
+          // El pedido entra al flujo por pedido_detectado; cómo sigue depende de si ya hay dirección o recojo
+          const rejected = await rejectFlowSteps(['intencion_pedido']);
+          if (rejected) return rejected;
+
           // Aplicar preferencias del usuario
           userProfile.applyPreferences(parsed.items);
           
           await sessionStore.saveOrderDraft(telefono, parsed);
+          await sessionStore.saveSession(telefono, { pagos: [] });
           metrics.record('order_draft_created', 1, { itemsCount: parsed.items.length });
 
           const { address } = await sessionStore.getSession(telefono) || {};
           const itemsForCalc = parsed.items.map(it => {
-            const prod = findProductInMenu(menu, it.id);
+            const prod = findProductInMenu(liveMenu, it.id);
             const unitPrice = prod ? pricing.applyVariantPrice(prod, it.variant) ?? prod.precio ?? null : it.price ?? it.priceHint ?? null;
             return { id: it.id, name: it.name, quantity: it.quantity, variant: it.variant, unitPrice, extras: it.extras || [] };
           });
 
           // Validar orden
-          const validation = validateOrder(parsed);
+          const validation = validateOrder(parsed.items, liveMenu);
           if (validation.errors.length > 0) {
             logger.warn('Order validation failed', { telefono, errors: validation.errors });
             metrics.record('order_validation_failed', 1);
+            await advanceFlow(['intencion_pedido', 'resumen_provisional'], { order: parsed });
             const reply = generateSmartResponse("order_incomplete", context, { errors: validation.errors });
             return persistAndReply({ pedido_borrador: parsed }, { reply });
           }
 
+          const itemsList = parsed.items.map(i => `${i.quantity}x ${i.name}`).join(", ");
+
+          if (session?.tipo_entrega === fulfillment.FULFILLMENT_TYPES.PICKUP) {
+            return settlePickupOrder({ items: itemsForCalc, scheduledFor }, { triggers: ['intencion_pedido', 'resumen_provisional'], lead: notice || "" });
+          }
+
           if (address?.components) {
-            const calc = calculateDeliveryAndTotal(itemsForCalc, address.components, { taxRate: 0 });
+            const { delivery } = await sessionStore.getSession(telefono) || {};
+            const calc = calculateDeliveryAndTotal(itemsForCalc, address.components, { taxRate: 0, deliveryFee: delivery, coupon: session?.cupon });
             
-            logger.info('Order confirmed with delivery', { telefono, total: calc.total, deliveryFee: calc.breakdown.delivery });
-            metrics.record('order_confirmed', 1);
-            auditLog('order_confirmed', telefono, { total: calc.total, itemsCount: itemsForCalc.length });
+            logger.info('Order completed with delivery', { telefono, total: calc.total, deliveryFee: calc.breakdown.delivery });
             
-            const suggestions = generateSuggestions(itemsForCalc, userProfile, menu);
-            let reply = `✅ Pedido recibido y total calculado.\n${buildOrderSummaryText({ items: itemsForCalc }, calc)}`;
+            const suggestions = suggestComplements(itemsForCalc, userProfile);
+            let fallback = `✅ Pedido recibido y total calculado.\n${buildOrderSummaryText({ items: itemsForCalc }, calc)}`;
             if (suggestions.length > 0) {
-              reply += `\n\n💡 Para completar: ${suggestions.slice(0, 2).map(s => s.name).join(", ")}?`;
+              fallback += `\n\n💡 ${suggestions[0]}`;
             }
-            reply += `\n¿Confirmas y deseas pagar ahora?`;
+            fallback += `\n¿Confirmas y deseas pagar ahora?`;
             
-            await sessionStore.saveSession(telefono, { estado: "pedido_confirmado", pedido: { items: itemsForCalc, pricing: calc }, address });
-            return persistAndReply({ estado: "pedido_confirmado" }, { reply });
+            return settleOrder({ items: itemsForCalc, scheduledFor }, calc, {
+              triggers: ['intencion_pedido'],
+              vars: { pedido: itemsList, items_list: itemsList, tramo: calc.zone ? `zona ${calc.zone}` : null },
+              sessionData: { address },
+              lead: [notice, "✅ Pedido recibido y total calculado."].filter(Boolean).join("\n"),
+              fallback: notice ? `${notice}\n${fallback}` : fallback
+            });
           } else {
             logger.debug('Order draft saved, waiting for address', { telefono, itemsCount: parsed.items.length });
-            let reply = `✅ Pedido recibido: ${parsed.items.map(i => `${i.quantity}x ${i.name}`).join(", ")}.\n📍 ¿Delivery o recojo? Si es delivery, envía tu dirección o ubicación.`;
+            await advanceFlow(['intencion_pedido', 'resumen_provisional'], {
+              order: { items: itemsForCalc, scheduledFor },
+              vars: { pedido: itemsList, items_list: itemsList }
+            });
+            let reply = `✅ Pedido recibido: ${itemsList}.\n📍 ¿Delivery o recojo? Si es delivery, envía tu dirección o ubicación.`;
+            if (scheduledFor) reply += `\n🗓️ Programado para ${schedule.formatScheduledTime(scheduledFor)}.`;
+            if (notice) reply = `${notice}\n${reply}`;
             
-            const suggestions = generateSuggestions(itemsForCalc, userProfile, menu);
+            const suggestions = suggestComplements(itemsForCalc, userProfile);
             if (suggestions.length > 0) {
-              reply += `\n\n💡 También pedimos: ${suggestions.slice(0, 2).map(s => s.name).join(", ")}?`;
+              reply += `\n\n💡 ${suggestions[0]}`;
             }
             
             return persistAndReply({ pedido_borrador: parsed }, { reply });
@@ -1208,47 +3527,34 @@ export default async function handler(req, res) {
       const amountMatch = mensaje.match(/([0-9]+(?:[.,][0-9]{1,2})?)/);
       const amount = amountMatch ? Number(String(amountMatch[1]).replace(",", ".")) : null;
 
-      const { pedido, pedido_borrador } = await sessionStore.getSession(telefono) || {};
+      const currentSession = await sessionStore.getSession(telefono) || {};
+      const { pedido, pedido_borrador, address, delivery, pago, tipo_entrega } = currentSession;
       const draft = pedido || pedido_borrador || null;
 
+      // Un pedido en efectivo se cobra al entregar: un número en el chat no lo marca como pagado
+      const digitalMethod = [payments.PAYMENT_METHODS.YAPE, payments.PAYMENT_METHODS.PLIN].includes(paymentMethod);
+      if (draft?.items?.length && pago?.method === payments.PAYMENT_METHODS.CASH && !digitalMethod) {
+        const moment = tipo_entrega === fulfillment.FULFILLMENT_TYPES.PICKUP ? "recoger" : "entregar";
+        const reply = `💵 Tu pedido está registrado para pago en efectivo${pago.pagarCon != null ? ` (pagas con ${formatMoney(pago.pagarCon)})` : ""}. ` +
+                      `Se cobra al ${moment}; no necesitas enviar comprobante.\nSi prefieres Yape o Plin, escríbelo y te paso los datos.`;
+        return persistAndReply({}, { reply });
+      }
+
       if (draft?.items?.length) {
-        const itemsForCalc = draft.items.map(it => ({ id: it.id, quantity: it.quantity, variant: it.variant, extras: it.extras }));
-        const calc = pricing.calculateOrderTotal(itemsForCalc, menu, menu.reglas || [], { taxRate: 0, rounding: 0.01 });
-
-        if (amount != null) {
-          const diff = Math.abs(calc.total - amount);
-          const tol = CONFIG.PAYMENT_TOLERANCE;
-          if (diff <= calc.total * tol) {
-            // Actualizar perfil con orden pagada
-            userProfile.addOrder({
-              items: draft.items,
-              total: amount,
-              date: new Date(),
-              method: "manual",
-              verified: true
-            });
-            
-            logger.info('Payment confirmed manually', { telefono, amount, expectedTotal: calc.total });
-            metrics.record('payment_confirmed', 1, { method: 'manual' });
-            metrics.record('order_value', amount);
-            auditLog('payment_confirmed', telefono, { amount, method: 'manual', itemsCount: draft.items.length });
-            
-            const reply = generateSmartResponse("payment_confirmed", context, { amount });
-            await sessionStore.saveSession(telefono, { estado: "pagado", pedido: { items: draft.items, pricing: calc }, pago: { method: "manual", amount } });
-            await notifyAgent({ event: "order_paid_manual", telefono, amount, pedido: draft });
-            
-            return persistAndReply({ estado: "pagado" }, { reply });
-          } else {
-            logger.warn('Payment amount mismatch', { 
-              telefono, 
-              detected: amount, 
-              expected: calc.total,
-              difference: diff
-            });
-            metrics.record('payment_mismatch', 1);
-            const reply = generateSmartResponse("payment_mismatch", context, { detected: amount, expected: calc.total });
-            return persistAndReply({ estado: "pago_verificacion" }, { reply });
-          }
+        const calc = calculateDeliveryAndTotal(draft.items, address?.components, { taxRate: 0, deliveryFee: delivery, coupon: session?.cupon });
+        if (digitalMethod && pago?.method !== paymentMethod) {
+          await sessionStore.saveSession(telefono, { pago: { method: paymentMethod, pagarCon: null, vuelto: null } });
+        }
+
+        if (amount == null && digitalMethod) {
+          const ledger = payments.summarizeLedger(currentSession.pagos, calc.total, { tolerance: Number(CONFIG.PAYMENT_TOLERANCE) });
+          const reply = `${flowEngineModule.loadResponses().pago_yape}\n${ledger.paid > 0 ? "Saldo" : "Total"} a pagar: ${formatMoney(ledger.balance)}`;
+          return persistAndReply({}, { reply });
+        }
+
+        if (amount > 0) {
+          const entry = payments.createPaymentEntry({ method: digitalMethod ? paymentMethod : "manual", amount, source: "mensaje" });
+          return registerPayment({ ...currentSession, pedido: draft }, calc, entry);
         }
       } else {
         logger.warn('Payment attempted without order', { telefono });
@@ -1271,15 +3577,17 @@ export default async function handler(req, res) {
       const st = current.estado || "inicio";
       logger.info('Status check', { telefono, estado: st });
       metrics.record('status_check', 1, { estado: st });
+
+      // Cocina, reparto y entrega: el mismo texto que recibió el cliente con el estado real
+      const statusText = orderStatus.buildStatusMessage(current, st);
+      if (statusText) return persistAndReply({}, { reply: statusText });
       
       const replyMap = {
         inicio: { key: "no_active_order", data: {} },
         pedido_borrador: { key: "order_draft", data: {} },
+        [PENDING_CONFIRMATION_STATE]: { key: "order_pending_confirmation", data: { total: current.pedido.pricing?.total } },
         pedido_confirmado: { key: "order_confirmed", data: { total: current.pedido.pricing?.total } },
         pagado: { key: "payment_received", data: {} },
-        preparacion: { key: "order_preparing", data: {} },
-        en_reparto: { key: "order_dispatched", data: { driver: current.repartidor?.nombre, phone: current.repartidor?.telefono } },
-        entregado: { key: "order_delivered", data: {} },
         cancelado: { key: "order_cancelled", data: {} }
       };
       
@@ -1298,10 +3606,15 @@ export default async function handler(req, res) {
         auditLog('order_cancelled', telefono, { estado: current.estado });
         
         const reply = generateSmartResponse("order_cancelled", context);
-        await sessionStore.saveSession(telefono, { estado: "cancelado", cancelado: new Date() });
+        await sessionStore.saveSession(telefono, { estado: "cancelado", cancelado: new Date(), tipo_entrega: null, recojo: null });
+        await cancelKitchenReminder();
+        await restartFlow();
+        await syncOrderRecordStatus(telefono, current.pedido.numero, "cancelado");
+        await releaseOrderStock(telefono);
+        await releaseOrderCoupon(telefono);
         
         // Notify agent (non-blocking - errors handled internally)
-        notifyAgent({ event: "order_cancelled", telefono, estado: current.estado }).catch(err => {
+        notifyAgent({ event: "order_cancelled", telefono, numero: current.pedido.numero || null, estado: current.estado }).catch(err => {
           logger.warn('Agent notification failed for cancellation', { telefono, error: err.message });
         });
         
@@ -1319,7 +3632,11 @@ export default async function handler(req, res) {
       logger.info('User feedback received', { telefono, type: intention });
       auditLog('user_feedback', telefono, { type: intention, isVIP: userProfile.isVIP() });
       
-      const reply = generateSmartResponse(intention === INTENTIONS.COMPLAINT ? "complaint_received" : "feedback_received", context);
+      // Un reclamo se escala al supervisor: el bot deja de responder hasta que lo liberen o venza la inactividad
+      if (intention === INTENTIONS.COMPLAINT) {
+        return escalateAndReply('reclamo_cliente', { detalle: mensaje });
+      }
+      const reply = generateSmartResponse("feedback_received", context);
       await notifyAgent({ event: "user_feedback", telefono, type: intention, message: mensaje, userProfile: { name: userProfile.name, vipStatus: userProfile.isVIP() } });
       return persistAndReply({}, { reply });
     }
@@ -1327,8 +3644,25 @@ export default async function handler(req, res) {
     // Fallback amigable
     logger.debug('Fallback response triggered', { telefono, intention });
     metrics.record('interaction', 1, { type: 'fallback' });
-    const reply = generateSmartResponse("fallback", context);
-    return persistAndReply({}, { reply });
+    // Tras fallbacks_antes_de_escalar mensajes seguidos sin entender, el caso pasa a la cola general
+    const fallbacks = (session?.fallbacks_seguidos || 0) + 1;
+    const maxFallbacks = Number(rules.loadRules().escalado_humano?.fallbacks_antes_de_escalar || 0);
+    if (maxFallbacks > 0 && fallbacks >= maxFallbacks) {
+      return escalateAndReply('incapacidad_resolver_tras_aclaracion', {
+        detalle: mensaje,
+        acciones: Array.from({ length: fallbacks - 1 }, (_, i) => `aclaracion_${i + 1}`),
+        sessionData: { fallbacks_seguidos: 0 }
+      });
+    }
+    // Solo se pasa a error desde un estado que lo admite; a mitad de un pedido se recuerda lo que se espera
+    const rejected = await rejectFlowSteps(['mensaje_no_entendido'], {
+      lead: generateSmartResponse("fallback", context),
+      sessionData: { fallbacks_seguidos: fallbacks }
+    });
+    if (rejected) return rejected;
+    const flow = await advanceFlow(['mensaje_no_entendido']);
+    const reply = flow?.reply || generateSmartResponse("fallback", context);
+    return persistAndReply({ fallbacks_seguidos: fallbacks }, { reply });
 
   } catch (err) {
     const errorInfo = { 
@@ -1340,6 +3674,11 @@ export default async function handler(req, res) {
     };
     
     logger.error('KOMMO handler error', errorInfo);
+
+    // El reintento de Kommo debe volver a procesar un mensaje que falló
+    if (idempotencyKey) {
+      await sessionStore.releaseIncomingMessage(idempotencyKey);
+    }
     metrics.record('api_error', 1, { 
       code: err?.code || 'UNKNOWN',
       statusCode: err?.statusCode || 500,
@@ -1406,6 +3745,7 @@ export function getMetrics() {
     ocr: metrics.getStats('ocr'),
     errors: metrics.getStats('api_error'),
     responseTimes: metrics.getStats('response_time'),
+    slaBreaches: metrics.getStats('sla_breach'),
     auditTrail: metrics.getStats('audit_trail')
   };
 }
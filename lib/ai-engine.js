@@ -574,6 +574,11 @@ function generateSmartResponse(intention, context = {}, data = {}) {
     order_confirmed: [
       `Pedido confirmado ✅. ¿Deseas pagar ahora?`
     ],
+    order_pending_confirmation: [
+      data.total != null
+        ? `Tu pedido por S/${Number(data.total).toFixed(2)} espera tu confirmación. Responde "Sí" para confirmar o "No" para cancelarlo.`
+        : `Tu pedido espera tu confirmación. Responde "Sí" para confirmar o "No" para cancelarlo.`
+    ],
     order_preparing: [
       `Tu pedido ya está en preparación.`
     ],
@@ -695,7 +700,7 @@ function generateSuggestions(context = {}, menu = null) {
  * Valida que la orden sea completa y consistente
  * 
  * @param {Array<Object>} items - Items del pedido
- * @param {Object} menu - Menú para validar contra
+ * @param {Object} menu - Menú para validar contra (los productos con disponible: false son error)
  * @returns {Object} { isValid, errors, warnings, itemsCount }
  */
 function validateOrder(items, menu = null) {
@@ -743,6 +748,8 @@ function validateOrder(items, menu = null) {
         const product = findProductInMenu(menu, item.id);
         if (!product) {
           warnings.push(`No encontré "${item.name}" en el menú actual`);
+        } else if (product.disponible === false) {
+          errors.push(`${product.nombre || item.name} no está disponible por ahora`);
         }
       }
     }
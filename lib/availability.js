@@ -0,0 +1,205 @@
+/**
+ * lib/availability.js
+ *
+ * Productos o categorías apagados en vivo ("86") sobre el menú estático de data/menu.json
+ * - OVERRIDE_TYPES - Qué se puede apagar: un producto o una categoría entera
+ * - parseUntil(value, options) - "hasta" en ISO o "HH:MM" (hora del local) → Date
+ * - listOverrides(options) - Apagados vigentes (los vencidos se ignoran)
+ * - applyOverrides(menu, overrides, options) - Menú con disponible: false en lo apagado
+ * - getLiveMenu(menu, options) - Menú con los apagados guardados (el estático si falla la lectura)
+ * - setAvailability(data, options) - Apagar (opcionalmente hasta una hora) o volver a encender
+ *
+ * Los apagados se guardan en disponibilidad/{tipo}:{id} (Firestore o memoria) y se leen en cada
+ * mensaje, así que el bot deja de ofrecer el producto en cuanto se apaga.
+ */
+
+import admin from 'firebase-admin';
+import { logger, AppError, ValidationError, NotFoundError, MetricsCollector, sanitizeInput } from './utils.js';
+import businessHours from './business-hours.js';
+
+const OVERRIDES_COLLECTION = 'disponibilidad';
+const MAX_REASON_LENGTH = 200;
+
+export const OVERRIDE_TYPES = {
+  PRODUCT: 'producto',
+  CATEGORY: 'categoria'
+};
+
+const memoryOverrides = new Map();
+
+const metrics = new MetricsCollector();
+
+/**
+ * Firestore si Firebase ya fue inicializado (se consulta en cada llamada)
+ * @private
+ */
+function getDb() {
+  return admin.apps.length ? admin.firestore() : null;
+}
+
+/**
+ * @private
+ */
+function overrideKey(tipo, id) {
+  return `${tipo}:${id}`;
+}
+
+/**
+ * @private
+ */
+function isActive(override, now) {
+  return !override.hasta || new Date(override.hasta) > now;
+}
+
+/**
+ * Hora límite de un apagado
+ * "HH:MM" es la hora del local de hoy (o de mañana si ya pasó).
+ * @param {string|Date} value - ISO 8601 o "HH:MM"
+ * @param {Object} options - { now }
+ * @returns {Date} Instante
+ * @throws {ValidationError} Si no es una fecha válida o ya pasó
+ */
+export function parseUntil(value, { now = new Date() } = {}) {
+  let at;
+  const time = String(value).trim().match(/^(\d{1,2}):(\d{2})$/);
+  if (time && Number(time[1]) < 24 && Number(time[2]) < 60) {
+    const today = businessHours.getZonedParts(now);
+    at = businessHours.zonedDateTime({ ...today, hour: Number(time[1]), minute: Number(time[2]) });
+    if (at <= now) at = businessHours.zonedDateTime({ ...today, day: today.day + 1, hour: Number(time[1]), minute: Number(time[2]) });
+  } else {
+    at = value instanceof Date ? value : new Date(String(value));
+  }
+  if (Number.isNaN(at.getTime())) {
+    throw new ValidationError('hasta debe ser una fecha ISO o una hora "HH:MM"', { hasta: value });
+  }
+  if (at <= now) {
+    throw new ValidationError('hasta debe ser una hora futura', { hasta: value });
+  }
+  return at;
+}
+
+/**
+ * Apagados vigentes
+ * @param {Object} options - { now }
+ * @returns {Promise<Array>} [{ tipo, id, hasta, motivo, agente, desde }]
+ * @throws {AppError} Si falla Firestore
+ */
+export async function listOverrides({ now = new Date() } = {}) {
+  try {
+    const db = getDb();
+    const overrides = db
+      ? (await db.collection(OVERRIDES_COLLECTION).get()).docs.map(doc => doc.data())
+      : [...memoryOverrides.values()];
+    return overrides.filter(o => isActive(o, now));
+  } catch (error) {
+    logger.error('AVAILABILITY_READ_FAILED', { error: error.message });
+    throw new AppError('Error al leer la disponibilidad', 500, 'AVAILABILITY_READ_FAILED');
+  }
+}
+
+/**
+ * Menú con los productos apagados marcados disponible: false (y no_disponible_hasta)
+ * No modifica el menú recibido; sin apagados vigentes lo devuelve tal cual.
+ * @param {Object} menu - Menú { categorias: [{ id, productos }] }
+ * @param {Array} overrides - Apagados (listOverrides)
+ * @param {Object} options - { now }
+ * @returns {Object} Menú
+ */
+export function applyOverrides(menu, overrides = [], { now = new Date() } = {}) {
+  const active = overrides.filter(o => isActive(o, now));
+  if (!menu || !active.length) return menu;
+
+  const byKey = new Map(active.map(o => [overrideKey(o.tipo, o.id), o]));
+  return {
+    ...menu,
+    categorias: (menu.categorias || []).map(categoria => {
+      const off = byKey.get(overrideKey(OVERRIDE_TYPES.CATEGORY, categoria.id));
+      return {
+        ...categoria,
+        productos: (categoria.productos || []).map(producto => {
+          const override = byKey.get(overrideKey(OVERRIDE_TYPES.PRODUCT, producto.id)) || off;
+          return override ? { ...producto, disponible: false, no_disponible_hasta: override.hasta || null } : producto;
+        })
+      };
+    })
+  };
+}
+
+/**
+ * Menú del momento: el estático con los apagados guardados
+ * Si falla la lectura se usa el menú estático (el bot sigue atendiendo).
+ * @param {Object} menu - Menú estático
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} Menú
+ */
+export async function getLiveMenu(menu, { now = new Date() } = {}) {
+  try {
+    return applyOverrides(menu, await listOverrides({ now }), { now });
+  } catch (error) {
+    logger.warn('AVAILABILITY_FALLBACK_STATIC_MENU', { error: error.message });
+    return menu;
+  }
+}
+
+/**
+ * Apaga o enciende un producto o una categoría
+ * @param {Object} data - { tipo: 'producto'|'categoria', id, disponible, hasta, motivo, agente }
+ * @param {Object} options - { menu, now } menu para validar que el id exista
+ * @returns {Promise<Object>} Apagado guardado, o { tipo, id, disponible: true } al encender
+ * @throws {ValidationError} Si faltan datos o `hasta` no es válido
+ * @throws {NotFoundError} Si el producto o la categoría no existen en el menú
+ * @throws {AppError} Si falla Firestore
+ */
+export async function setAvailability({ tipo, id, disponible, hasta = null, motivo = null, agente = null } = {}, { menu, now = new Date() } = {}) {
+  if (!Object.values(OVERRIDE_TYPES).includes(tipo)) {
+    throw new ValidationError('tipo debe ser "producto" o "categoria"', { tipo });
+  }
+  if (!id || typeof disponible !== 'boolean') {
+    throw new ValidationError('id y disponible (true/false) son requeridos', { id, disponible });
+  }
+  const categorias = menu?.categorias || [];
+  const exists = tipo === OVERRIDE_TYPES.CATEGORY
+    ? categorias.some(c => c.id === id)
+    : categorias.some(c => (c.productos || []).some(p => p.id === id));
+  if (!exists) {
+    throw new NotFoundError(`${tipo === OVERRIDE_TYPES.CATEGORY ? 'Categoría' : 'Producto'} ${id} no encontrado en el menú`);
+  }
+
+  const key = overrideKey(tipo, id);
+  const override = disponible ? null : {
+    tipo,
+    id,
+    hasta: hasta ? parseUntil(hasta, { now }).toISOString() : null,
+    motivo: motivo ? sanitizeInput(String(motivo), MAX_REASON_LENGTH) : null,
+    agente: agente ? sanitizeInput(String(agente), 100) : null,
+    desde: now.toISOString()
+  };
+
+  try {
+    const db = getDb();
+    if (db) {
+      const ref = db.collection(OVERRIDES_COLLECTION).doc(key);
+      await (override ? ref.set(override) : ref.delete());
+    } else if (override) {
+      memoryOverrides.set(key, override);
+    } else {
+      memoryOverrides.delete(key);
+    }
+  } catch (error) {
+    logger.error('AVAILABILITY_SAVE_FAILED', { tipo, id, error: error.message });
+    throw new AppError('Error al guardar la disponibilidad', 500, 'AVAILABILITY_SAVE_FAILED');
+  }
+
+  logger.info('AVAILABILITY_CHANGED', { tipo, id, disponible, hasta: override?.hasta || null, agente });
+  metrics.record('availability.changed', 1, { tipo, disponible });
+  return override || { tipo, id, disponible: true };
+}
+
+export default {
+  OVERRIDE_TYPES,
+  parseUntil,
+  listOverrides,
+  applyOverrides,
+  getLiveMenu,
+  setAvailability
+};
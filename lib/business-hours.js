@@ -0,0 +1,224 @@
+/**
+ * lib/business-hours.js
+ *
+ * Horario de atención de data/horarios.json, evaluado en la zona horaria del local
+ * (Vercel corre en UTC; el local trabaja en hora de Lima)
+ * - loadBusinessHours() - Cargar horarios.json (lazy, con DELIVERY_HOURS_START/END por defecto)
+ * - getZonedParts(date, timeZone) - Fecha y hora de pared en la zona del local
+ * - zonedDateTime(parts, timeZone) - Instante de una fecha y hora de pared
+ * - getShiftsForDate(date, options) - Turnos del día (semana, feriados y días especiales)
+ * - getOpeningStatus(date, options) - Abierto/cerrado y próxima apertura
+ * - nextOpening(date, options) - Próximo inicio de turno
+ * - describeShifts(shifts) - "11:00 - 15:30 y 18:00 - 23:00"
+ *
+ * Formato de horarios.json:
+ *  {
+ *    zona_horaria: "America/Lima",
+ *    acepta_preordenes: true,
+ *    semana: { lunes: [["11:00", "15:30"], ["18:00", "23:00"]], ... }, // turnos partidos
+ *    feriados: [{ fecha: "2026-12-25", nombre: "Navidad" }],          // cerrado todo el día
+ *    especiales: [{ fecha: "2026-12-24", turnos: [["11:00", "18:00"]], motivo: "Nochebuena" }]
+ *  }
+ */
+
+import fs from 'fs';
+import { logger } from './utils.js';
+import { CONFIG } from './config.js';
+
+export const WEEKDAYS = ['domingo', 'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado'];
+const DEFAULT_TIME_ZONE = 'America/Lima';
+const MAX_DAYS_SEARCH = 14;
+
+let hoursCache = null;
+const formatters = new Map();
+
+/**
+ * Horario por defecto: todos los días DELIVERY_HOURS_START - DELIVERY_HOURS_END
+ * @private
+ */
+function defaultHours() {
+  const shift = [[CONFIG.DELIVERY_HOURS_START, CONFIG.DELIVERY_HOURS_END]];
+  return {
+    zona_horaria: DEFAULT_TIME_ZONE,
+    acepta_preordenes: true,
+    semana: Object.fromEntries(WEEKDAYS.map(day => [day, shift])),
+    feriados: [],
+    especiales: []
+  };
+}
+
+/**
+ * Carga data/horarios.json una sola vez
+ * @returns {Object} Horarios (los días que falten usan el horario por defecto)
+ */
+export function loadBusinessHours() {
+  if (!hoursCache) {
+    const defaults = defaultHours();
+    try {
+      const hoursPath = new URL('../data/horarios.json', import.meta.url);
+      const data = JSON.parse(fs.readFileSync(hoursPath, 'utf8'));
+      hoursCache = { ...defaults, ...data, semana: { ...defaults.semana, ...(data.semana || {}) } };
+      logger.debug('BUSINESS_HOURS_LOADED', { timeZone: hoursCache.zona_horaria, holidays: hoursCache.feriados.length });
+    } catch (error) {
+      logger.warn('BUSINESS_HOURS_LOAD_FAILED', { error: error.message });
+      hoursCache = defaults;
+    }
+  }
+  return hoursCache;
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+function toHHMM(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Fecha y hora de pared en una zona horaria
+ * @param {Date} date - Instante
+ * @param {string} timeZone - Zona IANA (ej. America/Lima)
+ * @returns {Object} { year, month (0-11), day, hour, minute, weekday (0 = domingo), dateKey }
+ */
+export function getZonedParts(date, timeZone = loadBusinessHours().zona_horaria) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(date).map(p => [p.type, p.value]));
+  const year = Number(parts.year);
+  const month = Number(parts.month) - 1;
+  const day = Number(parts.day);
+  return {
+    year,
+    month,
+    day,
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+    dateKey: `${parts.year}-${parts.month}-${parts.day}`
+  };
+}
+
+/**
+ * Instante de una fecha y hora de pared (los días fuera de rango se normalizan)
+ * @param {Object} parts - { year, month (0-11), day, hour, minute }
+ * @param {string} timeZone - Zona IANA
+ * @returns {Date} Instante
+ */
+export function zonedDateTime({ year, month, day, hour = 0, minute = 0 }, timeZone = loadBusinessHours().zona_horaria) {
+  const wall = Date.UTC(year, month, day, hour, minute);
+  let at = wall;
+  // Dos pasadas alcanzan para zonas con horario de verano
+  for (let i = 0; i < 2; i++) {
+    const p = getZonedParts(new Date(at), timeZone);
+    at += wall - Date.UTC(p.year, p.month, p.day, p.hour, p.minute);
+  }
+  return new Date(at);
+}
+
+/**
+ * Turnos de un día: día especial, feriado o el horario de la semana
+ * @param {Date} date - Cualquier instante del día
+ * @param {Object} options - { calendar }
+ * @returns {Object} { shifts: [{ start, end }] en minutos, closedReason: 'feriado'|'cerrado'|null, note }
+ */
+export function getShiftsForDate(date, { calendar = loadBusinessHours() } = {}) {
+  const { weekday, dateKey } = getZonedParts(date, calendar.zona_horaria);
+  const toShifts = (list) => (list || [])
+    .map(([start, end]) => ({ start: toMinutes(start), end: toMinutes(end) }))
+    .filter(s => s.end > s.start)
+    .sort((a, b) => a.start - b.start);
+
+  const special = (calendar.especiales || []).find(d => d.fecha === dateKey);
+  if (special) {
+    const shifts = toShifts(special.turnos);
+    return { shifts, closedReason: shifts.length ? null : 'cerrado', note: special.motivo || null };
+  }
+
+  const holiday = (calendar.feriados || []).find(d => (typeof d === 'string' ? d : d.fecha) === dateKey);
+  if (holiday) {
+    return { shifts: [], closedReason: 'feriado', note: holiday.nombre || null };
+  }
+
+  const shifts = toShifts(calendar.semana?.[WEEKDAYS[weekday]]);
+  return { shifts, closedReason: shifts.length ? null : 'cerrado', note: null };
+}
+
+/**
+ * Próximo inicio de turno después de un instante
+ * @param {Date} date - Desde cuándo buscar
+ * @param {Object} options - { calendar, maxDays }
+ * @returns {Date|null} Apertura o null si no hay turnos en los próximos días
+ */
+export function nextOpening(date = new Date(), { calendar = loadBusinessHours(), maxDays = MAX_DAYS_SEARCH } = {}) {
+  const tz = calendar.zona_horaria;
+  const today = getZonedParts(date, tz);
+  for (let offset = 0; offset <= maxDays; offset++) {
+    const noon = zonedDateTime({ year: today.year, month: today.month, day: today.day + offset, hour: 12 }, tz);
+    const { shifts } = getShiftsForDate(noon, { calendar });
+    const day = getZonedParts(noon, tz);
+    for (const shift of shifts) {
+      const opening = zonedDateTime({ year: day.year, month: day.month, day: day.day, hour: Math.floor(shift.start / 60), minute: shift.start % 60 }, tz);
+      if (opening > date) return opening;
+    }
+  }
+  return null;
+}
+
+/**
+ * Estado del local en un instante
+ * @param {Date} date - Instante (por defecto ahora)
+ * @param {Object} options - { calendar }
+ * @returns {Object} { open, closesAt, reason: 'feriado'|'cerrado'|'fuera_de_horario'|null, note, today, nextOpening, acceptsPreOrders }
+ */
+export function getOpeningStatus(date = new Date(), { calendar = loadBusinessHours() } = {}) {
+  const { hour, minute } = getZonedParts(date, calendar.zona_horaria);
+  const now = hour * 60 + minute;
+  const { shifts, closedReason, note } = getShiftsForDate(date, { calendar });
+  const current = shifts.find(s => now >= s.start && now < s.end);
+
+  const status = {
+    open: !!current,
+    closesAt: current ? toHHMM(current.end) : null,
+    reason: current ? null : closedReason || 'fuera_de_horario',
+    note,
+    today: describeShifts(shifts),
+    nextOpening: current ? null : nextOpening(date, { calendar }),
+    acceptsPreOrders: calendar.acepta_preordenes !== false
+  };
+  logger.debug('OPENING_STATUS', { open: status.open, reason: status.reason, nextOpening: status.nextOpening?.toISOString() });
+  return status;
+}
+
+/**
+ * Texto de los turnos de un día
+ * @param {Array} shifts - Turnos de getShiftsForDate ({ start, end } en minutos)
+ * @returns {string} "11:00 - 15:30 y 18:00 - 23:00" o "cerrado"
+ */
+export function describeShifts(shifts = []) {
+  if (!shifts.length) return 'cerrado';
+  const list = shifts.map(s => `${toHHMM(s.start)} - ${toHHMM(s.end)}`);
+  return list.length > 1 ? `${list.slice(0, -1).join(', ')} y ${list[list.length - 1]}` : list[0];
+}
+
+export default {
+  WEEKDAYS,
+  loadBusinessHours,
+  getZonedParts,
+  zonedDateTime,
+  getShiftsForDate,
+  getOpeningStatus,
+  nextOpening,
+  describeShifts
+};
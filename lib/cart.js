@@ -0,0 +1,431 @@
+/**
+ * lib/cart.js
+ *
+ * Edición incremental del pedido en borrador (carrito)
+ * - detectCartOperation(message, draft, menu, options) - Detectar agregar, quitar, cantidad, variante o nota
+ * - applyCartOperation(draft, operation, menu, options) - Aplicar la operación y recalcular precios de línea
+ * - formatCartChanges(changes) - Resumen tipo diff de los cambios aplicados
+ *
+ * Las operaciones trabajan sobre { items: [...], notes? } con el formato de parseOrderText
+ * y nunca mutan el borrador recibido. Las notas por línea se guardan en item.notes.
+ */
+
+import parseOrderText from './parse-order.js';
+import { findProductInMenu } from './zona-precios.js';
+import { logger, MetricsCollector } from './utils.js';
+
+const metrics = new MetricsCollector();
+
+const QUANTITY_WORDS = {
+  uno: 1, una: 1, un: 1, otro: 1, otra: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5,
+  seis: 6, siete: 7, ocho: 8, nueve: 9, diez: 10
+};
+const QUANTITY_TOKEN = '(\\d{1,2}|uno|una|un|otro|otra|dos|tres|cuatro|cinco|seis|siete|ocho|nueve|diez)';
+const ARTICLES_REGEX = /^(?:(?:el|la|los|las|un|una|unos|unas|del|de|al|lo)\s+)+/;
+
+const REMOVE_REGEX = /\b(quita(?:le|me|r)?|saca(?:le|me|r)?|elimina(?:r)?|borra(?:r)?|retira(?:r)?|ya no quiero|ya no)\s+(.+)$/;
+const QUANTITY_SET_REGEX = new RegExp(`\\b(?:que sean|que sea|mejor|solo|ahora|pon(?:le|me)?)\\s+${QUANTITY_TOKEN}(?:\\s+(.+))?$`);
+const QUANTITY_CHANGE_REGEX = /\bcambia(?:r|me|le)?\s+(.+?)\s+a\s+(\d{1,2})\s*$/;
+const INCREMENT_REGEX = new RegExp(`\\b${QUANTITY_TOKEN}\\s+mas\\b(?:\\s+(?:de\\s+)?(.+))?$`);
+const ANOTHER_REGEX = /\b(?:otro|otra)\b\s*(.*)$/;
+const VARIANT_VERBS_REGEX = /\b(cambia\w*|que sea|que sean|mejor|en vez de|en lugar de|hazla|hazlo|pasala|pasalo)\b/;
+const REPLACED_VARIANT_REGEX = /\b(?:en vez de|en lugar de)\s+(?:la\s+|el\s+)?\w+/g;
+const NOTE_REGEX = /^(.*?)\b(sin|con extra|con|extra|nota:?|bien|poco|poca)\s+(.+)$/;
+const NOTE_LEADING_KEYWORDS = ['sin', 'con extra', 'extra', 'bien', 'poco', 'poca'];
+const ADD_REGEX = /\b(agrega\w*|anade\w*|suma(?:le|me)?|tambien|ademas|aparte|incluye|y quiero|y dame|y trae)\b/;
+
+/**
+ * Normaliza texto: minúsculas, sin tildes ni signos
+ * @private
+ */
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\w\s:]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Igual que normalize() pero conservando tildes y ñ, para mostrar notas tal como las escribió el cliente
+ * Conserva la misma longitud que normalize() para poder recortar fragmentos en ambos textos.
+ * @private
+ */
+function normalizeForDisplay(text) {
+  return String(text || '')
+    .normalize('NFC')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}_\s:]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Forma singular aproximada para comparar ("pizzas" -> "pizza")
+ * @private
+ */
+function singular(word) {
+  if (word.length > 4 && word.endsWith('es') && !/[aeiou]es$/.test(word)) return word.slice(0, -2);
+  if (word.length > 3 && word.endsWith('s')) return word.slice(0, -1);
+  return word;
+}
+
+/**
+ * @private
+ */
+function significantTokens(text) {
+  return normalize(text).split(' ').filter(t => t.length > 2).map(singular);
+}
+
+/**
+ * @private
+ */
+function parseQuantity(token) {
+  if (token == null) return null;
+  if (/^\d+$/.test(token)) return Number(token);
+  return QUANTITY_WORDS[token] ?? null;
+}
+
+/**
+ * Variantes disponibles de un producto (acepta mapa { mediana: 20.9 } o arreglo)
+ * @private
+ */
+function getVariantOptions(product) {
+  if (!product?.variantes) return [];
+  if (Array.isArray(product.variantes)) {
+    return product.variantes
+      .filter(Boolean)
+      .map(v => ({ key: normalize(v.id || v.nombre), precio: typeof v.precio === 'number' ? v.precio : null }));
+  }
+  return Object.entries(product.variantes)
+    .map(([key, precio]) => ({ key: normalize(key), precio: typeof precio === 'number' ? precio : null }));
+}
+
+/**
+ * Recalcula precio unitario y total de una línea desde el menú
+ * @private
+ */
+function priceLine(item, menu) {
+  const product = findProductInMenu(menu, item.id);
+  let unitPrice = item.unitPrice ?? null;
+
+  if (product) {
+    const variant = item.variant ? getVariantOptions(product).find(v => v.key === normalize(item.variant)) : null;
+    unitPrice = variant?.precio ?? (typeof product.precio === 'number' ? product.precio : unitPrice);
+  }
+
+  const quantity = item.quantity || 1;
+  return {
+    ...item,
+    quantity,
+    unitPrice,
+    price: unitPrice != null ? Math.round(unitPrice * quantity * 100) / 100 : null
+  };
+}
+
+/**
+ * Busca la línea del carrito a la que se refiere un texto ("la pepsi", "las alitas")
+ * Primero por nombre; si no, usando parseOrderText para resolver sinónimos.
+ * @param {Object} draft - Borrador { items }
+ * @param {string} target - Texto de referencia
+ * @param {Object} menu - Menú
+ * @param {Object} options - { synonyms }
+ * @returns {number} Índice de la línea o -1
+ * @private
+ */
+function findLineIndex(draft, target, menu, options = {}) {
+  const items = draft?.items || [];
+  const text = normalize(target).replace(ARTICLES_REGEX, '').trim();
+  if (!text || items.length === 0) return -1;
+
+  // 1) Nombre contenido en el texto (o al revés); gana el nombre más largo
+  let best = -1;
+  let bestLength = 0;
+  for (let i = items.length - 1; i >= 0; i--) {
+    const name = normalize(items[i].name || items[i].id);
+    if (name && (text.includes(name) || name.includes(text)) && name.length > bestLength) {
+      best = i;
+      bestLength = name.length;
+    }
+  }
+  if (best >= 0) return best;
+
+  // 2) Palabras en común; en empate gana la línea más reciente
+  const targetTokens = significantTokens(text);
+  let bestScore = 0;
+  for (let i = items.length - 1; i >= 0; i--) {
+    const nameTokens = significantTokens(items[i].name || items[i].id);
+    const score = targetTokens.filter(t => nameTokens.includes(t)).length;
+    if (score > bestScore) {
+      best = i;
+      bestScore = score;
+    }
+  }
+  if (best >= 0) return best;
+
+  try {
+    const parsed = parseOrderText(target, menu, { synonyms: options.synonyms });
+    const ids = (parsed.items || []).map(it => String(it.id));
+    for (let i = items.length - 1; i >= 0; i--) {
+      if (ids.includes(String(items[i].id))) return i;
+    }
+  } catch (error) {
+    logger.debug('CART_TARGET_PARSE_FAILED', { error: error.message });
+  }
+  return -1;
+}
+
+/**
+ * Línea a la que aplica una nota sin producto explícito ("sin piña")
+ * Prefiere la línea cuyo producto tiene un modificador equivalente; si no, la última.
+ * @private
+ */
+function findLineForNote(draft, note, menu) {
+  const items = draft?.items || [];
+  const normalizedNote = normalize(note);
+  for (let i = items.length - 1; i >= 0; i--) {
+    const product = findProductInMenu(menu, items[i].id);
+    const modifiers = Array.isArray(product?.modificadores) ? product.modificadores : [];
+    if (modifiers.some(m => normalize(m.nombre) === normalizedNote || normalize(m.id).replace(/_/g, ' ') === normalizedNote)) {
+      return i;
+    }
+  }
+  return items.length - 1;
+}
+
+/**
+ * Detecta la variante pedida para alguna línea del carrito ("que sea familiar")
+ * @private
+ */
+function detectVariantChange(text, draft, menu, options) {
+  if (!VARIANT_VERBS_REGEX.test(text)) return null;
+
+  const searchable = text.replace(REPLACED_VARIANT_REGEX, ' ');
+  const words = searchable.split(' ').map(singular);
+  const items = draft.items || [];
+  const candidates = [];
+
+  for (let i = items.length - 1; i >= 0; i--) {
+    const product = findProductInMenu(menu, items[i].id);
+    const variant = getVariantOptions(product).find(v =>
+      words.includes(singular(v.key)) && v.key !== normalize(items[i].variant)
+    );
+    if (variant) candidates.push({ index: i, variant: variant.key });
+  }
+  if (candidates.length === 0) return null;
+
+  const named = findLineIndex(draft, searchable, menu, options);
+  const chosen = candidates.find(c => c.index === named) || candidates[0];
+  return { type: 'variant', index: chosen.index, variant: chosen.variant };
+}
+
+/**
+ * Detecta una operación de carrito en el mensaje del cliente
+ * Devuelve null si el mensaje no es una edición del borrador (p.ej. "ya no quiero nada").
+ * @param {string} message - Mensaje del cliente
+ * @param {Object} draft - Borrador actual { items }
+ * @param {Object} menu - Menú
+ * @param {Object} options - { synonyms }
+ * @returns {Object|null} { type: add|remove|quantity|variant|note, index?, quantity?, delta?, variant?, note?, text? }
+ */
+export function detectCartOperation(message, draft, menu, options = {}) {
+  const text = normalize(message);
+  const items = draft?.items || [];
+  if (!text) return null;
+
+  const display = normalizeForDisplay(message);
+  const asWritten = (fragment) => {
+    const at = display.length === text.length ? text.lastIndexOf(fragment) : -1;
+    return at >= 0 ? display.substr(at, fragment.length) : fragment;
+  };
+
+  if (items.length > 0) {
+    const removeMatch = text.match(REMOVE_REGEX);
+    if (removeMatch) {
+      const [, verb, target] = removeMatch;
+      const ingredientVerb = /^(quitale|quitame|sacale|sacame)$/.test(verb);
+      // "quítale la cebolla a la hamburguesa": nota sobre la línea nombrada
+      const [ingredient, itemTarget] = ingredientVerb ? target.split(/\s+(?:a|al)\s+/) : [target];
+      if (itemTarget) {
+        const index = findLineIndex(draft, itemTarget, menu, options);
+        if (index >= 0) return { type: 'note', index, note: `sin ${asWritten(ingredient.replace(ARTICLES_REGEX, ''))}` };
+      }
+      const index = findLineIndex(draft, target, menu, options);
+      if (index >= 0) return { type: 'remove', index };
+      // "quítale la cebolla": no es un item del carrito, es una nota
+      if (ingredientVerb) {
+        const note = `sin ${asWritten(target.replace(ARTICLES_REGEX, ''))}`;
+        return { type: 'note', index: findLineForNote(draft, note, menu), note };
+      }
+    }
+
+    const changeMatch = text.match(QUANTITY_CHANGE_REGEX);
+    if (changeMatch) {
+      const index = findLineIndex(draft, changeMatch[1], menu, options);
+      if (index >= 0) return { type: 'quantity', index, quantity: Number(changeMatch[2]) };
+    }
+
+    const setMatch = text.match(QUANTITY_SET_REGEX);
+    if (setMatch) {
+      const quantity = parseQuantity(setMatch[1]);
+      const index = setMatch[2] ? findLineIndex(draft, setMatch[2], menu, options) : items.length - 1;
+      if (quantity != null && index >= 0) return { type: 'quantity', index, quantity };
+    }
+
+    const incrementMatch = text.match(INCREMENT_REGEX);
+    if (incrementMatch) {
+      const delta = parseQuantity(incrementMatch[1]) || 1;
+      const index = incrementMatch[2] ? findLineIndex(draft, incrementMatch[2], menu, options) : items.length - 1;
+      if (index >= 0) return { type: 'quantity', index, delta };
+    }
+
+    const anotherMatch = text.match(ANOTHER_REGEX);
+    if (anotherMatch) {
+      const index = anotherMatch[1] ? findLineIndex(draft, anotherMatch[1], menu, options) : items.length - 1;
+      if (index >= 0) return { type: 'quantity', index, delta: 1 };
+    }
+
+    const variantChange = detectVariantChange(text, draft, menu, options);
+    if (variantChange) return variantChange;
+
+    const noteMatch = text.match(NOTE_REGEX);
+    if (noteMatch) {
+      const [, prefix, keyword, detail] = noteMatch;
+      const cleanPrefix = prefix.replace(ADD_REGEX, ' ').trim();
+      // "nota: tocar el timbre" sin producto es una nota para todo el pedido
+      if (!cleanPrefix && keyword.startsWith('nota')) {
+        return { type: 'note', index: null, note: asWritten(detail) };
+      }
+      const note = `${keyword} ${asWritten(detail)}`.trim();
+      const index = cleanPrefix
+        ? findLineIndex(draft, cleanPrefix, menu, options)
+        : (NOTE_LEADING_KEYWORDS.includes(keyword) ? findLineForNote(draft, note, menu) : -1);
+      if (index >= 0) return { type: 'note', index, note };
+    }
+  }
+
+  if (ADD_REGEX.test(text)) return { type: 'add', text: message };
+  return null;
+}
+
+/**
+ * Aplica una operación de carrito sobre el borrador
+ * @param {Object} draft - Borrador { items, ... }
+ * @param {Object} operation - Resultado de detectCartOperation
+ * @param {Object} menu - Menú
+ * @param {Object} options - { synonyms }
+ * @returns {Object} { draft, changes, warnings, unavailable } (unavailable: productos apagados que no se agregaron)
+ */
+export function applyCartOperation(draft, operation, menu, options = {}) {
+  const items = (draft?.items || []).map(it => ({ ...it }));
+  const notes = [...(draft?.notes || [])];
+  const changes = [];
+  const warnings = [];
+  const unavailable = [];
+  const line = operation?.index != null ? items[operation.index] : null;
+
+  switch (operation?.type) {
+    case 'add': {
+      const parsed = parseOrderText(operation.text, menu, { synonyms: options.synonyms });
+      warnings.push(...(parsed.warnings || []));
+      unavailable.push(...(parsed.unavailable || []));
+      for (const item of parsed.items || []) {
+        const existing = items.find(it => String(it.id) === String(item.id) && normalize(it.variant) === normalize(item.variant));
+        const quantity = item.quantity || 1;
+        if (existing) {
+          existing.quantity = (existing.quantity || 1) + quantity;
+        } else {
+          items.push({ ...item, quantity });
+        }
+        changes.push({ type: 'added', name: item.name || item.id, quantity, variant: item.variant || null });
+      }
+      if (changes.length === 0) warnings.push('No detecté productos para agregar');
+      break;
+    }
+
+    case 'remove':
+      if (line) {
+        items.splice(operation.index, 1);
+        changes.push({ type: 'removed', name: line.name || line.id, quantity: line.quantity || 1 });
+      }
+      break;
+
+    case 'quantity':
+      if (line) {
+        const from = line.quantity || 1;
+        const to = operation.quantity != null ? operation.quantity : from + (operation.delta || 0);
+        if (to <= 0) {
+          items.splice(operation.index, 1);
+          changes.push({ type: 'removed', name: line.name || line.id, quantity: from });
+        } else if (to !== from) {
+          line.quantity = to;
+          changes.push({ type: 'quantity', name: line.name || line.id, from, to });
+        }
+      }
+      break;
+
+    case 'variant':
+      if (line) {
+        changes.push({ type: 'variant', name: line.name || line.id, from: line.variant || null, to: operation.variant });
+        line.variant = operation.variant;
+      }
+      break;
+
+    case 'note':
+      if (line) {
+        line.notes = [...(line.notes || []), operation.note];
+        changes.push({ type: 'note', name: line.name || line.id, note: operation.note });
+      } else if (operation.index == null) {
+        notes.push(operation.note);
+        changes.push({ type: 'note', name: 'Pedido', note: operation.note });
+      }
+      break;
+
+    default:
+      warnings.push('Operación de carrito no reconocida');
+  }
+
+  if (operation?.index != null && !line) {
+    warnings.push('No encontré ese producto en tu pedido');
+  }
+
+  const pricedItems = items.map(it => priceLine(it, menu));
+  metrics.record('cart.operation', 1, { type: operation?.type || 'unknown', changes: changes.length });
+  logger.debug('CART_OPERATION_APPLIED', { type: operation?.type, changes: changes.length, items: pricedItems.length });
+
+  const updated = { ...(draft || {}), items: pricedItems };
+  if (notes.length > 0) updated.notes = notes;
+  return { draft: updated, changes, warnings, unavailable };
+}
+
+/**
+ * Resumen tipo diff de los cambios del carrito
+ * @param {Array} changes - Cambios devueltos por applyCartOperation
+ * @returns {string} Una línea por cambio
+ */
+export function formatCartChanges(changes = []) {
+  return changes.map(change => {
+    switch (change.type) {
+      case 'added':
+        return `➕ ${change.quantity}x ${change.name}${change.variant ? ` (${change.variant})` : ''}`;
+      case 'removed':
+        return `➖ ${change.quantity}x ${change.name}`;
+      case 'quantity':
+        return `✏️ ${change.name}: ${change.from} → ${change.to}`;
+      case 'variant':
+        return `🔁 ${change.name}: ${change.from || 'sin tamaño'} → ${change.to}`;
+      case 'note':
+        return `📝 ${change.name}: ${change.note}`;
+      default:
+        return null;
+    }
+  }).filter(Boolean).join('\n');
+}
+
+export default {
+  detectCartOperation,
+  applyCartOperation,
+  formatCartChanges
+};
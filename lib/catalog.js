@@ -1,6 +1,4 @@
 import axios from 'axios';
-import fs from 'fs/promises';
-import path from 'path';
 import { 
   logger, 
   ValidationError, 
@@ -11,10 +9,10 @@ import {
   retryAsync, 
   Cache,
   MetricsCollector,
-  sanitizeInput,
-  parseJSON
+  sanitizeInput
 } from './utils.js';
 import CONFIG from './config.js';
+import menuAdmin from './menu-admin.js';
 
 /**
  * lib/catalog.js
@@ -23,12 +21,11 @@ import CONFIG from './config.js';
  * - Intenta obtener catálogo de WhatsApp Graph API
  * - Soporta paginación, reintentos con backoff exponencial, timeout
  * - Cache en memoria con TTL
- * - Fallback a menu.json local si WhatsApp falla
+ * - Fallback al menú local (versión activa de lib/menu-admin.js) si WhatsApp falla
  * - GET /api/catalog?source=whatsapp|local|auto
  */
 
 // Configuración
-const LOCAL_MENU_PATH = process.env.MENU_DATA_PATH || path.resolve(process.cwd(), 'data', 'menu.json');
 const WHATSAPP_GRAPH_ENDPOINT = 'https://graph.facebook.com/v18.0';
 const AXIOS_TIMEOUT_MS = CONFIG.API_TIMEOUT_MS || 15000;
 const MAX_RETRIES = 3;
@@ -81,35 +78,18 @@ function normalizeWhatsAppProduct(raw) {
 }
 
 /**
- * Lee el catálogo local desde menu.json
- * @returns {Object} { source, products, raw }
- * @throws {AppError} Si falla leer o parsear el archivo
+ * Lee el catálogo local: la versión activa del menú (lib/menu-admin.js)
+ * @returns {Object} { source, products, raw, version }
+ * @throws {AppError} Si falla procesar el menú
  * @private
  */
 async function readLocalMenu() {
   const startTime = Date.now();
   try {
-    logger.debug('CATALOG_LOCAL_READ_START', { path: LOCAL_MENU_PATH });
+    const { version, menu: parsed } = await menuAdmin.getActiveMenu();
+    logger.debug('CATALOG_LOCAL_READ_START', { version });
     metrics.record('catalog.local.read', 1);
 
-    const content = await fs.readFile(LOCAL_MENU_PATH, 'utf8');
-
-    if (!content) {
-      throw new ValidationError('El archivo menu.json está vacío');
-    }
-
-    let parsed;
-    try {
-      parsed = parseJSON(content);
-      if (!parsed) {
-        throw new Error('JSON parse returned null');
-      }
-    } catch (jsonErr) {
-      logger.error('CATALOG_INVALID_JSON', { error: jsonErr.message });
-      metrics.record('catalog.local.invalid_json', 1);
-      throw new AppError('El archivo menu.json contiene JSON inválido', 400, 'INVALID_MENU_JSON');
-    }
-
     // Procesar estructura con categorías
     if (Array.isArray(parsed.categorias)) {
       logger.debug('CATALOG_LOCAL_PROCESSING_CATEGORIES', { count: parsed.categorias.length });
@@ -134,7 +114,7 @@ async function readLocalMenu() {
       logger.info('CATALOG_LOCAL_LOADED', { source: 'local', products: products.length, duration_ms: duration });
       metrics.record('catalog.local.success', 1);
       metrics.record('catalog.local.duration_ms', duration);
-      return { source: 'local', products, raw: parsed };
+      return { source: 'local', products, raw: parsed, version };
     }
 
     // Si es array directo
@@ -143,7 +123,7 @@ async function readLocalMenu() {
       logger.info('CATALOG_LOCAL_LOADED', { source: 'local', products: parsed.length, duration_ms: duration });
       metrics.record('catalog.local.success', 1);
       metrics.record('catalog.local.duration_ms', duration);
-      return { source: 'local', products: parsed, raw: parsed };
+      return { source: 'local', products: parsed, raw: parsed, version };
     }
 
     // Si es objeto single
@@ -151,13 +131,13 @@ async function readLocalMenu() {
     logger.info('CATALOG_LOCAL_LOADED', { source: 'local', products: 1, duration_ms: duration });
     metrics.record('catalog.local.success', 1);
     metrics.record('catalog.local.duration_ms', duration);
-    return { source: 'local', products: [parsed], raw: parsed };
+    return { source: 'local', products: [parsed], raw: parsed, version };
 
   } catch (error) {
     metrics.record('catalog.local.error', 1);
     if (error instanceof ValidationError || error instanceof AppError) throw error;
-    logger.error('CATALOG_LOCAL_READ_FAILED', { error: error.message, path: LOCAL_MENU_PATH });
-    throw new AppError(`Error leyendo menu.json: ${error.message}`, 500, 'LOCAL_MENU_READ_FAILED');
+    logger.error('CATALOG_LOCAL_READ_FAILED', { error: error.message });
+    throw new AppError(`Error leyendo el menú: ${error.message}`, 500, 'LOCAL_MENU_READ_FAILED');
   }
 }
 
@@ -311,7 +291,8 @@ export default asyncHandler(async (req, res) => {
   // Verificar cache válido
   if (!forceRefresh) {
     const cached = catalogCache.get('catalog');
-    if (cached) {
+    // Una edición del menú (/api/menu) invalida el catálogo local cacheado
+    if (cached && (cached.source !== 'local' || cached.version === (await menuAdmin.getActiveMenu()).version)) {
       logger.info('CATALOG_CACHE_HIT', { source: cached.source, products: cached.products.length, requestId });
       metrics.record('catalog.cache_hit', 1);
       return sendSuccess(res, {
@@ -76,6 +76,7 @@ export const CONFIG = {
   DELIVERY_HOURS_START: process.env.DELIVERY_HOURS_START || '11:00',
   DELIVERY_HOURS_END: process.env.DELIVERY_HOURS_END || '23:00',
   DELIVERY_TIME_ESTIMATE_MINS: parseInt(process.env.DELIVERY_TIME_ESTIMATE_MINS || '35', 10),
+  KITCHEN_REMINDER_LEAD_MINS: parseInt(process.env.KITCHEN_REMINDER_LEAD_MINS || '45', 10), // aviso a cocina de pedidos programados
   
   // Pricing
   TAX_RATE: parseFloat(process.env.TAX_RATE || '0.18'),
@@ -103,6 +104,7 @@ export const CONFIG = {
   // Cache
   CACHE_TTL_MS: parseInt(process.env.CACHE_TTL_MS || '300000', 10), // 5 min
   CACHE_MAX_SIZE: parseInt(process.env.CACHE_MAX_SIZE || '1000', 10),
+  MENU_REFRESH_MS: parseInt(process.env.MENU_REFRESH_MS || '30000', 10), // cada cuánto se relee la versión activa del menú (/api/menu)
   
   // Session
   SESSION_TTL_MS: parseInt(process.env.SESSION_TTL_MS || '86400000', 10), // 24h
@@ -124,6 +126,20 @@ export const CONFIG = {
   ENABLE_CORS: process.env.ENABLE_CORS !== 'false',
   CORS_ORIGIN: process.env.CORS_ORIGIN || '*',
   RATE_LIMIT_ENABLED: process.env.RATE_LIMIT_ENABLED !== 'false',
+  MESSAGE_MERGE_WINDOW_MS: parseInt(process.env.MESSAGE_MERGE_WINDOW_MS || '600', 10), // ráfagas de mensajes (0 = desactivado); cada texto espera esta ventana antes de responder
+  HUMAN_CONTROL_IDLE_MINS: parseInt(process.env.HUMAN_CONTROL_IDLE_MINS || '30', 10), // el bot retoma si el agente no responde
+  IDEMPOTENCY_TTL_HOURS: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10), // reintentos del webhook de Kommo
+  CRON_SECRET: process.env.CRON_SECRET || null, // Bearer de Vercel Cron para /api/recordatorios, /api/sla y /api/seguimientos
+  AGENT_API_KEY: process.env.AGENT_API_KEY || null, // API para agentes (/api/humano), cocina/reparto (/api/estado-pedido, /api/ticket, /api/disponibilidad) y back office (/api/pedidos, /api/cierre, /api/menu, /api/cupones)
+  ORDERS_EXPORT_MAX: parseInt(process.env.ORDERS_EXPORT_MAX || '5000', 10), // filas máximas de una exportación CSV/JSONL
+  TICKET_PAPER_WIDTH: parseInt(process.env.TICKET_PAPER_WIDTH || '80', 10), // ancho del papel de la impresora de cocina (58 u 80 mm)
+  SHEETS_ADAPTER: process.env.SHEETS_ADAPTER || null, // copia de pedidos en hoja de cálculo: "google" o "csv" (desarrollo)
+  SHEETS_CSV_PATH: process.env.SHEETS_CSV_PATH || './tmp/pedidos-hoja.csv',
+  GOOGLE_SHEETS_ID: process.env.GOOGLE_SHEETS_ID || null,
+  GOOGLE_SHEETS_TAB: process.env.GOOGLE_SHEETS_TAB || 'Pedidos',
+  GOOGLE_SHEETS_CLIENT_EMAIL: process.env.GOOGLE_SHEETS_CLIENT_EMAIL || process.env.FIREBASE_CLIENT_EMAIL || null, // por defecto la cuenta de servicio de Firebase
+  GOOGLE_SHEETS_PRIVATE_KEY: (process.env.GOOGLE_SHEETS_PRIVATE_KEY || process.env.FIREBASE_PRIVATE_KEY || '').replace(/\\n/g, '\n') || null,
+  ESCALATION_WEBHOOKS: process.env.ESCALATION_WEBHOOKS || null, // JSON { "finanzas": "https://...", "default": "..." }
   
   // File Paths
   MENU_DATA_PATH: process.env.MENU_DATA_PATH || './data/menu.json',
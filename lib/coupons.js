@@ -0,0 +1,540 @@
+/**
+ * lib/coupons.js
+ *
+ * Cupones y códigos de descuento ("tengo un código de descuento")
+ * - COUPON_TYPES - Descuento en porcentaje o monto fijo
+ * - HOLD_STATES - Estados del uso de un cupón en el pedido del cliente
+ * - normalizeCode(code) - "bienvenida10 " → "BIENVENIDA10" (null si no es un código válido)
+ * - detectCouponCode(text, rulesData) - El cliente menciona un cupón (palabras_cupon de reglas.json) y cuál
+ * - saveCoupon(data, options) - Crear o actualizar un cupón (back office)
+ * - listCoupons() - Cupones con sus usos
+ * - getCoupon(codigo) - Un cupón (null si no existe)
+ * - validateCoupon(codigo, options) - Si el cliente puede usar el cupón ahora (vigencia, límites, primer pedido)
+ * - computeCouponDiscount(coupon, items, options) - Descuento del cupón sobre los items (mínimo y alcance)
+ * - redeemCoupon(codigo, telefono, options) - Usar el cupón al confirmar el pedido
+ * - commitCoupon(telefono) - El pedido se pagó o pasó a cocina: el uso queda firme
+ * - releaseCoupon(telefono) - Devolver el uso al cancelar o abandonar el pedido
+ *
+ * Un cupón vive en cupones/{CODIGO}:
+ *  {
+ *    codigo: "BIENVENIDA10", tipo: "porcentaje" | "monto", valor: 10, tope: 15,  // tope: máximo en S/ del porcentaje
+ *    minimo: 30,                                  // subtotal mínimo del pedido
+ *    productos: ["pizza_americana"], categorias: ["pizzas"],  // alcance; vacío = todo el pedido
+ *    desde: "2026-10-01T00:00:00Z", hasta: null,  // vigencia
+ *    limite_total: 100, limite_por_cliente: 1,    // null = sin límite
+ *    solo_primer_pedido: false, activo: true, usos: 0
+ *  }
+ * El pedido del cliente retiene un uso (cupones_reservas/{telefono}) y cada cliente lleva su cuenta en
+ * cupones_usos/{CODIGO}:{telefono}. Los usos se cuentan en una transacción de Firestore (o sin esperas
+ * entre lectura y escritura en memoria) para que dos pedidos a la vez no pasen el límite.
+ */
+
+import admin from 'firebase-admin';
+import { logger, AppError, ValidationError, NotFoundError, MetricsCollector, sanitizeInput } from './utils.js';
+import rules from './rules.js';
+
+const COUPONS_COLLECTION = 'cupones';
+const HOLDS_COLLECTION = 'cupones_reservas';
+const USES_COLLECTION = 'cupones_usos';
+const CODE_REGEX = /^[A-Z0-9_-]{3,20}$/;
+const DEFAULT_COUPON_WORDS = ['cupon', 'codigo de descuento', 'codigo promocional'];
+// Palabras que acompañan al código en el mensaje ("tengo un código de descuento: ...")
+const FILLER_WORDS = new Set([
+  'tengo', 'un', 'una', 'mi', 'el', 'la', 'es', 'de', 'del', 'con', 'este', 'esta', 'para', 'por', 'que', 'y',
+  'aplica', 'aplicar', 'aplicame', 'usar', 'uso', 'quiero', 'favor', 'porfa', 'hola', 'descuento', 'promocional',
+  'promo', 'code', 'cupon', 'cupones', 'codigo', 'promocode'
+]);
+
+// Palabras tras las que va el código ("cupón BIENVENIDA10", "código de descuento verano")
+const KEYWORD_TOKENS = new Set(['cupon', 'codigo', 'descuento', 'promocional', 'promo', 'code', 'promocode']);
+
+export const COUPON_TYPES = {
+  PERCENT: 'porcentaje',
+  FIXED: 'monto'
+};
+
+export const HOLD_STATES = {
+  RESERVED: 'reservado',
+  USED: 'usado',
+  RELEASED: 'liberado'
+};
+
+const memoryCoupons = new Map();
+const memoryHolds = new Map();
+const memoryUses = new Map();
+
+const metrics = new MetricsCollector();
+
+/**
+ * Firestore si Firebase ya fue inicializado (se consulta en cada llamada)
+ * @private
+ */
+function getDb() {
+  return admin.apps.length ? admin.firestore() : null;
+}
+
+/**
+ * @private
+ */
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * @private
+ */
+function useKey(codigo, telefono) {
+  return `${codigo}:${telefono}`;
+}
+
+/**
+ * @private
+ */
+function formatSoles(amount) {
+  return `S/${Number(amount).toFixed(2)}`;
+}
+
+/**
+ * Normaliza un código de cupón
+ * @param {string} code - Código escrito por el cliente o el back office
+ * @returns {string|null} Código en mayúsculas, o null si no es válido
+ */
+export function normalizeCode(code) {
+  const value = String(code || '').trim().toUpperCase();
+  return CODE_REGEX.test(value) ? value : null;
+}
+
+/**
+ * Detecta si el mensaje habla de un cupón y extrae el código
+ * según palabras_cupon de reglas.json ("tengo un cupón BIENVENIDA10").
+ * @param {string} text - Mensaje del cliente
+ * @param {Object} [rulesData] - Reglas (por defecto data/reglas.json)
+ * @returns {Object|null} { codigo } (codigo null si no lo escribió), o null si no menciona un cupón
+ */
+export function detectCouponCode(text, rulesData = rules.loadRules()) {
+  const words = rulesData.palabras_cupon?.length ? rulesData.palabras_cupon : DEFAULT_COUPON_WORDS;
+  if (!rules.matchesKeywords(text, words)) return null;
+
+  const tokens = String(text).split(/[\s,.:;!?¡¿"'()]+/).filter(Boolean);
+  const plain = (token) => token.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  const isCandidate = (token) => !FILLER_WORDS.has(plain(token)) && !!normalizeCode(token);
+  // Lo escrito en mayúsculas o con números es un código; una palabra suelta solo justo después de
+  // "cupón" o "descuento" ("cupón bienvenida"), así "¿tienen algún cupón?" no trae código
+  const best = tokens.find(token => isCandidate(token) && (token === token.toUpperCase() || /\d/.test(token))) ||
+    tokens.find((token, i) => i > 0 && KEYWORD_TOKENS.has(plain(tokens[i - 1])) && isCandidate(token));
+  return { codigo: best ? normalizeCode(best) : null };
+}
+
+/**
+ * Lista de ids (productos o categorías) de un cupón
+ * @private
+ */
+function idList(value, field) {
+  if (value == null) return [];
+  if (!Array.isArray(value) || value.some(id => typeof id !== 'string' || !id.trim())) {
+    throw new ValidationError(`${field} debe ser una lista de ids`, { [field]: value });
+  }
+  return value.map(id => id.trim());
+}
+
+/**
+ * Número opcional mayor o igual a `min`
+ * @private
+ */
+function optionalNumber(value, field, { min = 0, integer = false } = {}) {
+  if (value == null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min || (integer && !Number.isInteger(number))) {
+    throw new ValidationError(`${field} debe ser un número ${integer ? 'entero ' : ''}mayor o igual a ${min}`, { [field]: value });
+  }
+  return number;
+}
+
+/**
+ * Fecha ISO opcional
+ * @private
+ */
+function optionalDate(value, field) {
+  if (value == null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} debe ser una fecha ISO`, { [field]: value });
+  }
+  return date.toISOString();
+}
+
+/**
+ * Definición del cupón sin contadores (la que se guarda en la sesión del cliente)
+ * @private
+ */
+function definition(coupon) {
+  const { usos, createdAt, updatedAt, ...rest } = coupon;
+  return rest;
+}
+
+/**
+ * Motivo por el que el cupón no se puede usar ahora, o null
+ * @private
+ */
+function couponProblem(coupon, { now, primerPedido, usosCliente = 0, usos = coupon?.usos || 0 }) {
+  if (!coupon || coupon.activo === false) return 'no está activo';
+  if (coupon.desde && new Date(coupon.desde) > now) return 'todavía no está vigente';
+  if (coupon.hasta && new Date(coupon.hasta) <= now) return 'ya venció';
+  if (coupon.solo_primer_pedido && !primerPedido) return 'es solo para el primer pedido';
+  if (coupon.limite_total != null && usos >= coupon.limite_total) return 'ya se agotó';
+  if (coupon.limite_por_cliente != null && usosCliente >= coupon.limite_por_cliente) return 'ya lo usaste el máximo de veces';
+  return null;
+}
+
+/**
+ * Crea o actualiza un cupón (conserva sus usos)
+ * @param {Object} data - { codigo, tipo, valor, tope, minimo, productos, categorias, desde, hasta,
+ *   limite_total, limite_por_cliente, solo_primer_pedido, activo, descripcion }
+ * @param {Object} options - { menu, now } menu para validar productos y categorías
+ * @returns {Promise<Object>} Cupón guardado
+ * @throws {ValidationError} Si los datos son inválidos
+ * @throws {NotFoundError} Si un producto o categoría no existe en el menú
+ * @throws {AppError} Si falla Firestore
+ */
+export async function saveCoupon(data = {}, { menu, now = new Date() } = {}) {
+  const codigo = normalizeCode(data.codigo);
+  if (!codigo) {
+    throw new ValidationError('codigo debe tener de 3 a 20 letras, números, "-" o "_"', { codigo: data.codigo });
+  }
+  if (!Object.values(COUPON_TYPES).includes(data.tipo)) {
+    throw new ValidationError('tipo debe ser "porcentaje" o "monto"', { tipo: data.tipo });
+  }
+  const valor = optionalNumber(data.valor, 'valor', { min: 0.01 });
+  if (valor == null || (data.tipo === COUPON_TYPES.PERCENT && valor > 100)) {
+    throw new ValidationError('valor es requerido (porcentaje de 0.01 a 100, o monto en soles)', { valor: data.valor });
+  }
+  const productos = idList(data.productos, 'productos');
+  const categorias = idList(data.categorias, 'categorias');
+  if (menu) {
+    const categoriasMenu = menu.categorias || [];
+    const missing = [
+      ...productos.filter(id => !categoriasMenu.some(c => (c.productos || []).some(p => p.id === id))),
+      ...categorias.filter(id => !categoriasMenu.some(c => c.id === id))
+    ];
+    if (missing.length) throw new NotFoundError(`No están en el menú: ${missing.join(', ')}`);
+  }
+  const desde = optionalDate(data.desde, 'desde');
+  const hasta = optionalDate(data.hasta, 'hasta');
+  if (desde && hasta && hasta <= desde) {
+    throw new ValidationError('hasta debe ser posterior a desde', { desde, hasta });
+  }
+
+  const cupon = {
+    codigo,
+    tipo: data.tipo,
+    valor,
+    tope: data.tipo === COUPON_TYPES.PERCENT ? optionalNumber(data.tope, 'tope', { min: 0.01 }) : null,
+    minimo: optionalNumber(data.minimo, 'minimo'),
+    productos,
+    categorias,
+    desde,
+    hasta,
+    limite_total: optionalNumber(data.limite_total, 'limite_total', { min: 1, integer: true }),
+    limite_por_cliente: optionalNumber(data.limite_por_cliente, 'limite_por_cliente', { min: 1, integer: true }),
+    solo_primer_pedido: data.solo_primer_pedido === true || data.solo_primer_pedido === 'true',
+    activo: data.activo !== false && data.activo !== 'false',
+    descripcion: data.descripcion ? sanitizeInput(String(data.descripcion), 200) : null
+  };
+
+  try {
+    const db = getDb();
+    if (db) {
+      const ref = db.collection(COUPONS_COLLECTION).doc(codigo);
+      const saved = await db.runTransaction(async (tx) => {
+        const snap = await tx.get(ref);
+        const doc = { ...cupon, usos: snap.exists ? snap.data().usos || 0 : 0, updatedAt: now.toISOString() };
+        tx.set(ref, snap.exists ? doc : { ...doc, createdAt: now.toISOString() }, { merge: true });
+        return doc;
+      });
+      Object.assign(cupon, { usos: saved.usos });
+    } else {
+      const previous = memoryCoupons.get(codigo);
+      Object.assign(cupon, { usos: previous?.usos || 0 });
+      memoryCoupons.set(codigo, { ...cupon, createdAt: previous?.createdAt || now.toISOString(), updatedAt: now.toISOString() });
+    }
+  } catch (error) {
+    logger.error('COUPON_SAVE_FAILED', { codigo, error: error.message });
+    throw new AppError('Error al guardar el cupón', 500, 'COUPON_SAVE_FAILED');
+  }
+
+  logger.info('COUPON_SAVED', { codigo, tipo: cupon.tipo, valor: cupon.valor, activo: cupon.activo });
+  metrics.record('coupon.saved', 1, { tipo: cupon.tipo });
+  return cupon;
+}
+
+/**
+ * Cupones con sus usos
+ * @returns {Promise<Array>} Cupones ordenados por código
+ * @throws {AppError} Si falla Firestore
+ */
+export async function listCoupons() {
+  try {
+    const db = getDb();
+    const cupones = db
+      ? (await db.collection(COUPONS_COLLECTION).get()).docs.map(doc => doc.data())
+      : [...memoryCoupons.values()];
+    return cupones.sort((a, b) => a.codigo.localeCompare(b.codigo));
+  } catch (error) {
+    logger.error('COUPON_READ_FAILED', { error: error.message });
+    throw new AppError('Error al leer los cupones', 500, 'COUPON_READ_FAILED');
+  }
+}
+
+/**
+ * Un cupón por código
+ * @param {string} codigo - Código (se normaliza)
+ * @returns {Promise<Object|null>} Cupón, o null si no existe
+ * @throws {AppError} Si falla Firestore
+ */
+export async function getCoupon(codigo) {
+  const code = normalizeCode(codigo);
+  if (!code) return null;
+  try {
+    const db = getDb();
+    if (!db) return memoryCoupons.get(code) || null;
+    const snap = await db.collection(COUPONS_COLLECTION).doc(code).get();
+    return snap.exists ? snap.data() : null;
+  } catch (error) {
+    logger.error('COUPON_READ_FAILED', { codigo: code, error: error.message });
+    throw new AppError('Error al leer el cupón', 500, 'COUPON_READ_FAILED');
+  }
+}
+
+/**
+ * Documento de Firestore (o de memoria) por clave
+ * @private
+ */
+async function readDoc(collection, memory, key) {
+  const db = getDb();
+  if (!db) return memory.get(key) || null;
+  try {
+    const snap = await db.collection(collection).doc(key).get();
+    return snap.exists ? snap.data() : null;
+  } catch (error) {
+    logger.error('COUPON_READ_FAILED', { collection, key, error: error.message });
+    throw new AppError('Error al leer el cupón', 500, 'COUPON_READ_FAILED');
+  }
+}
+
+
+/**
+ * Revisa si el cliente puede usar el cupón ahora
+ * El pedido mínimo y el alcance se revisan al calcular el descuento (computeCouponDiscount).
+ * @param {string} codigo - Código escrito por el cliente
+ * @param {Object} options - { telefono, primerPedido, now }
+ * @returns {Promise<Object>} { ok, cupon (definición sin contadores), motivo }
+ * @throws {AppError} Si falla Firestore
+ */
+export async function validateCoupon(codigo, { telefono, primerPedido = false, now = new Date() } = {}) {
+  const code = normalizeCode(codigo);
+  const coupon = code ? await getCoupon(code) : null;
+  if (!coupon) return { ok: false, cupon: null, motivo: 'no existe' };
+
+  const [hold, uses] = await Promise.all([readDoc(HOLDS_COLLECTION, memoryHolds, String(telefono)), readDoc(USES_COLLECTION, memoryUses, useKey(code, telefono))]);
+  // El uso que ya retiene su pedido no cuenta contra los límites
+  const held = hold?.estado === HOLD_STATES.RESERVED && hold.codigo === code ? 1 : 0;
+  const motivo = couponProblem(coupon, { now, primerPedido, usosCliente: Math.max((uses?.usos || 0) - held, 0), usos: (coupon.usos || 0) - held });
+  return { ok: !motivo, cupon: definition(coupon), motivo };
+}
+
+/**
+ * Descuento del cupón sobre los items del pedido
+ * Con productos o categorías solo cuentan esos items; sin alcance, todo el pedido menos las promociones.
+ * @param {Object} coupon - Cupón (definición)
+ * @param {Array} items - Items { id, quantity, price } con precio unitario
+ * @param {Object} options - { menu, subtotal, descuentoPrevio } descuentoPrevio: promociones ya aplicadas
+ * @returns {Object} { codigo, monto, motivo } (monto 0 y motivo si no aplica)
+ */
+export function computeCouponDiscount(coupon, items = [], { menu, subtotal = null, descuentoPrevio = 0 } = {}) {
+  const codigo = coupon?.codigo || null;
+  const lineTotal = (it) => (Number(it.price) || 0) * (Number(it.quantity) || 1);
+  const total = subtotal ?? items.reduce((sum, it) => sum + lineTotal(it), 0);
+  const remaining = Math.max(total - descuentoPrevio, 0);
+
+  if (coupon?.minimo && total < coupon.minimo) {
+    return { codigo, monto: 0, motivo: `requiere un pedido mínimo de ${formatSoles(coupon.minimo)}` };
+  }
+
+  const productos = coupon?.productos || [];
+  const categorias = coupon?.categorias || [];
+  let base = remaining;
+  if (productos.length || categorias.length) {
+    const categoryOf = new Map();
+    for (const categoria of menu?.categorias || []) {
+      for (const producto of categoria.productos || []) categoryOf.set(producto.id, categoria.id);
+    }
+    const scoped = items.filter(it => productos.includes(it.id) || categorias.includes(categoryOf.get(it.id)));
+    if (!scoped.length) return { codigo, monto: 0, motivo: 'no aplica a los productos de tu pedido' };
+    base = Math.min(scoped.reduce((sum, it) => sum + lineTotal(it), 0), remaining);
+  }
+
+  let monto = coupon?.tipo === COUPON_TYPES.PERCENT ? base * (Number(coupon.valor) || 0) / 100 : Number(coupon?.valor) || 0;
+  if (coupon?.tope) monto = Math.min(monto, coupon.tope);
+  return { codigo, monto: round2(Math.min(monto, base)), motivo: null };
+}
+
+/**
+ * Lee la reserva del cliente, los cupones y sus usos, aplica `update` y guarda lo que devuelve
+ * `update(hold, coupons, uses)` es síncrona y devuelve { result, coupons, uses, hold }.
+ * @private
+ */
+async function transact(telefono, codigos, update) {
+  const key = String(telefono);
+  const codesFor = (hold) => [...new Set([...codigos, ...(hold?.codigo ? [hold.codigo] : [])])];
+  const db = getDb();
+
+  if (!db) {
+    const hold = memoryHolds.get(key) || null;
+    const codes = codesFor(hold);
+    const coupons = Object.fromEntries(codes.map(c => [c, memoryCoupons.get(c) || null]));
+    const uses = Object.fromEntries(codes.map(c => [c, memoryUses.get(useKey(c, key)) || null]));
+    const out = update(hold, coupons, uses);
+    const updatedAt = new Date().toISOString();
+    for (const [c, patch] of Object.entries(out.coupons || {})) memoryCoupons.set(c, { ...memoryCoupons.get(c), ...patch, updatedAt });
+    for (const [c, use] of Object.entries(out.uses || {})) memoryUses.set(useKey(c, key), { ...use, updatedAt });
+    if (out.hold) memoryHolds.set(key, { ...out.hold, updatedAt });
+    return out.result;
+  }
+
+  return db.runTransaction(async (tx) => {
+    const holdRef = db.collection(HOLDS_COLLECTION).doc(key);
+    const holdSnap = await tx.get(holdRef);
+    const hold = holdSnap.exists ? holdSnap.data() : null;
+    const codes = codesFor(hold);
+    const snaps = codes.length ? await tx.getAll(
+      ...codes.map(c => db.collection(COUPONS_COLLECTION).doc(c)),
+      ...codes.map(c => db.collection(USES_COLLECTION).doc(useKey(c, key)))
+    ) : [];
+    const coupons = Object.fromEntries(codes.map((c, i) => [c, snaps[i].exists ? snaps[i].data() : null]));
+    const uses = Object.fromEntries(codes.map((c, i) => [c, snaps[codes.length + i].exists ? snaps[codes.length + i].data() : null]));
+    const out = update(hold, coupons, uses);
+    const updatedAt = admin.firestore.Timestamp.now();
+    for (const [c, patch] of Object.entries(out.coupons || {})) {
+      tx.set(db.collection(COUPONS_COLLECTION).doc(c), { ...patch, updatedAt }, { merge: true });
+    }
+    for (const [c, use] of Object.entries(out.uses || {})) {
+      tx.set(db.collection(USES_COLLECTION).doc(useKey(c, key)), { ...use, updatedAt });
+    }
+    if (out.hold) tx.set(holdRef, { ...out.hold, updatedAt });
+    return out.result;
+  });
+}
+
+/**
+ * Devuelve el uso retenido por la reserva (dentro de una transacción)
+ * @private
+ */
+function releaseHeld(hold, coupons, uses, telefono) {
+  const codigo = hold.codigo;
+  return {
+    coupons: coupons[codigo] ? { [codigo]: { usos: Math.max((coupons[codigo].usos || 0) - 1, 0) } } : {},
+    uses: { [codigo]: { codigo, telefono: String(telefono), usos: Math.max((uses[codigo]?.usos || 0) - 1, 0) } }
+  };
+}
+
+/**
+ * Usa el cupón en el pedido del cliente (al confirmarlo)
+ * Confirmar de nuevo el mismo pedido no cuenta otro uso; cambiar de cupón devuelve el anterior.
+ * La vigencia, el primer pedido y los límites total y por cliente se revisan dentro de la transacción.
+ * @param {string} codigo - Código
+ * @param {string} telefono - Teléfono del cliente
+ * @param {Object} options - { subtotal, primerPedido, now }
+ * @returns {Promise<Object>} { ok, motivo }
+ * @throws {AppError} Si falla la transacción
+ */
+export async function redeemCoupon(codigo, telefono, { subtotal = null, primerPedido = false, now = new Date() } = {}) {
+  const code = normalizeCode(codigo);
+  if (!code) return { ok: false, motivo: 'no existe' };
+
+  let result;
+  try {
+    result = await transact(telefono, [code], (hold, coupons, uses) => {
+      const coupon = coupons[code];
+      const sameHold = hold?.estado === HOLD_STATES.RESERVED && hold.codigo === code;
+      if (sameHold) return { result: { ok: true, motivo: null } };
+      if (!coupon) return { result: { ok: false, motivo: 'no existe' } };
+
+      const motivo = couponProblem(coupon, { now, primerPedido, usosCliente: uses[code]?.usos || 0 }) ||
+        (coupon.minimo && subtotal != null && subtotal < coupon.minimo ? `requiere un pedido mínimo de ${formatSoles(coupon.minimo)}` : null);
+      if (motivo) return { result: { ok: false, motivo } };
+
+      // El pedido tenía otro cupón: ese uso vuelve a su cupón
+      const previous = hold?.estado === HOLD_STATES.RESERVED ? releaseHeld(hold, coupons, uses, telefono) : { coupons: {}, uses: {} };
+      return {
+        result: { ok: true, motivo: null },
+        coupons: { ...previous.coupons, [code]: { usos: (coupon.usos || 0) + 1 } },
+        uses: { ...previous.uses, [code]: { codigo: code, telefono: String(telefono), usos: (uses[code]?.usos || 0) + 1 } },
+        hold: { telefono: String(telefono), codigo: code, estado: HOLD_STATES.RESERVED, desde: now.toISOString() }
+      };
+    });
+  } catch (error) {
+    logger.error('COUPON_REDEEM_FAILED', { codigo: code, telefono, error: error.message });
+    throw new AppError('Error al usar el cupón', 500, 'COUPON_REDEEM_FAILED');
+  }
+
+  logger.info(result.ok ? 'COUPON_REDEEMED' : 'COUPON_REJECTED', { codigo: code, telefono, motivo: result.motivo });
+  metrics.record(result.ok ? 'coupon.redeemed' : 'coupon.rejected', 1, { codigo: code });
+  return result;
+}
+
+/**
+ * El pedido con cupón se pagó o pasó a cocina: su uso ya no se devuelve al cancelar
+ * @param {string} telefono - Teléfono del cliente
+ * @returns {Promise<boolean>} true si había un uso retenido
+ * @throws {AppError} Si falla la transacción
+ */
+export async function commitCoupon(telefono) {
+  try {
+    return await transact(telefono, [], (hold) => {
+      if (hold?.estado !== HOLD_STATES.RESERVED) return { result: false };
+      return { result: true, hold: { ...hold, estado: HOLD_STATES.USED } };
+    });
+  } catch (error) {
+    logger.error('COUPON_COMMIT_FAILED', { telefono, error: error.message });
+    throw new AppError('Error al confirmar el uso del cupón', 500, 'COUPON_COMMIT_FAILED');
+  }
+}
+
+/**
+ * Devuelve el uso del cupón que retenía un pedido cancelado o abandonado
+ * @param {string} telefono - Teléfono del cliente
+ * @returns {Promise<boolean>} true si había un uso retenido
+ * @throws {AppError} Si falla la transacción
+ */
+export async function releaseCoupon(telefono) {
+  let released;
+  try {
+    released = await transact(telefono, [], (hold, coupons, uses) => {
+      if (hold?.estado !== HOLD_STATES.RESERVED) return { result: null };
+      return { result: hold.codigo, ...releaseHeld(hold, coupons, uses, telefono), hold: { ...hold, estado: HOLD_STATES.RELEASED } };
+    });
+  } catch (error) {
+    logger.error('COUPON_RELEASE_FAILED', { telefono, error: error.message });
+    throw new AppError('Error al devolver el cupón', 500, 'COUPON_RELEASE_FAILED');
+  }
+  if (released) {
+    logger.info('COUPON_RELEASED', { codigo: released, telefono });
+    metrics.record('coupon.released', 1, { codigo: released });
+  }
+  return !!released;
+}
+
+export default {
+  COUPON_TYPES,
+  HOLD_STATES,
+  normalizeCode,
+  detectCouponCode,
+  saveCoupon,
+  listCoupons,
+  getCoupon,
+  validateCoupon,
+  computeCouponDiscount,
+  redeemCoupon,
+  commitCoupon,
+  releaseCoupon
+};
@@ -0,0 +1,230 @@
+/**
+ * lib/daily-report.js
+ *
+ * Cierre de caja del día del local a partir de los pedidos guardados (lib/pedidos.js)
+ * - SALE_STATES - Estados que cuentan como venta (los cancelados van aparte)
+ * - localDateKey(date) - Día del local "AAAA-MM-DD"
+ * - summarizeOrders(pedidos, options) - Totales por método de pago, entrega, descuentos y productos
+ * - buildDailyReport(fecha, options) - Lee los pedidos del día y arma el cierre
+ * - renderReportText(report, options) - Cierre en texto para imprimir
+ */
+
+import { ValidationError } from './utils.js';
+import { buscarPedidos } from './pedidos.js';
+import businessHours from './business-hours.js';
+import payments from './payments.js';
+
+export const SALE_STATES = ['pedido_confirmado', 'pagado', 'preparacion', 'en_reparto', 'entregado'];
+
+const CANCELLED_STATE = 'cancelado';
+const COMBINED = 'combinado';
+const PAGE_SIZE = 200;
+const DEFAULT_TOP_PRODUCTS = 10;
+// Diferencia aceptada entre comprobantes y pedidos (redondeo de céntimos)
+const RECONCILIATION_TOLERANCE = 0.01;
+
+const round2 = (n) => Number((Number(n) || 0).toFixed(2));
+const bucket = () => ({ pedidos: 0, monto: 0 });
+const add = (target, monto) => {
+  target.pedidos += 1;
+  target.monto = round2(target.monto + (Number(monto) || 0));
+};
+
+/**
+ * Día del local para una fecha
+ * @param {Date} [date] - Instante (por defecto ahora)
+ * @returns {string} "AAAA-MM-DD" en la zona horaria de horarios.json
+ */
+export function localDateKey(date = new Date()) {
+  return businessHours.getZonedParts(date).dateKey;
+}
+
+/**
+ * Método de pago del pedido para el cierre: el único usado, "combinado" o "sin_metodo"
+ * (confirmado sin elegir pago todavía)
+ * @private
+ */
+function paymentBucket(pedido) {
+  const metodos = pedido.metodos_pago?.length ? pedido.metodos_pago : [pedido.pago].filter(Boolean);
+  if (metodos.length > 1) return COMBINED;
+  return metodos[0] || 'sin_metodo';
+}
+
+/**
+ * Parte del pedido que debe llegar por Yape/Plin (el total menos el saldo en efectivo)
+ * @private
+ */
+function expectedDigital(pedido) {
+  const pagos = pedido.pagos || [];
+  const metodos = pedido.metodos_pago || [pedido.pago].filter(Boolean);
+  if (!metodos.some(m => m !== payments.PAYMENT_METHODS.CASH)) return 0;
+  const cash = pagos.filter(p => p.method === payments.PAYMENT_METHODS.CASH).reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+  return round2(Math.max((Number(pedido.total) || 0) - cash, 0));
+}
+
+/**
+ * Totales de una lista de pedidos
+ * La conciliación compara lo que debía pagarse por Yape/Plin con los comprobantes verificados;
+ * `cuadra` es false si difieren y `pedidos` lista los que no cuadran.
+ * @param {Array} pedidos - Pedidos guardados
+ * @param {Object} options - { top } cantidad de productos en el ranking
+ * @returns {Object} { ventas, porMetodo, porEntrega, delivery, cancelados, descuentos, productos, conciliacion }
+ */
+export function summarizeOrders(pedidos = [], { top = DEFAULT_TOP_PRODUCTS } = {}) {
+  const ventas = { pedidos: 0, monto: 0, subtotal: 0, ticketPromedio: 0 };
+  const porMetodo = {
+    [payments.PAYMENT_METHODS.YAPE]: bucket(),
+    [payments.PAYMENT_METHODS.PLIN]: bucket(),
+    [payments.PAYMENT_METHODS.CASH]: bucket(),
+    [COMBINED]: bucket()
+  };
+  const porEntrega = { delivery: bucket(), recojo: bucket() };
+  const delivery = bucket();
+  const cancelados = bucket();
+  const descuentos = { monto: 0, porPromocion: [] };
+  const promociones = new Map();
+  const productos = new Map();
+  const conciliacion = { esperadoDigital: 0, verificado: 0, diferencia: 0, cuadra: true, pedidos: [] };
+
+  for (const pedido of pedidos) {
+    if (pedido.estado === CANCELLED_STATE) {
+      add(cancelados, pedido.total);
+      continue;
+    }
+    if (!SALE_STATES.includes(pedido.estado)) continue;
+
+    ventas.pedidos += 1;
+    ventas.monto = round2(ventas.monto + (Number(pedido.total) || 0));
+    ventas.subtotal = round2(ventas.subtotal + (Number(pedido.subtotal ?? pedido.total) || 0));
+
+    const metodo = paymentBucket(pedido);
+    porMetodo[metodo] = porMetodo[metodo] || bucket();
+    add(porMetodo[metodo], pedido.total);
+
+    const entrega = pedido.tipo_entrega === 'recojo' ? 'recojo' : 'delivery';
+    add(porEntrega[entrega], pedido.total);
+    if (entrega === 'delivery' && Number(pedido.costo_envio) > 0) add(delivery, pedido.costo_envio);
+
+    descuentos.monto = round2(descuentos.monto + (Number(pedido.descuento) || 0));
+    for (const promo of pedido.promociones || []) {
+      const entry = promociones.get(promo.id) || { id: promo.id, nombre: promo.nombre || promo.id, pedidos: 0, monto: 0 };
+      add(entry, promo.monto);
+      promociones.set(promo.id, entry);
+    }
+
+    for (const item of pedido.pedido || []) {
+      const key = item.id || item.nombre;
+      const entry = productos.get(key) || { id: item.id || null, nombre: item.nombre || item.id, cantidad: 0, monto: 0 };
+      const cantidad = Number(item.cantidad) || 1;
+      entry.cantidad += cantidad;
+      entry.monto = round2(entry.monto + (Number(item.precio) || 0) * cantidad);
+      productos.set(key, entry);
+    }
+
+    const esperado = expectedDigital(pedido);
+    const verificado = round2((pedido.pagos || [])
+      .filter(p => p.verified && p.method !== payments.PAYMENT_METHODS.CASH)
+      .reduce((sum, p) => sum + (Number(p.amount) || 0), 0));
+    conciliacion.esperadoDigital = round2(conciliacion.esperadoDigital + esperado);
+    conciliacion.verificado = round2(conciliacion.verificado + verificado);
+    if (Math.abs(esperado - verificado) > RECONCILIATION_TOLERANCE) {
+      conciliacion.pedidos.push({ numero: pedido.numero || pedido.id, estado: pedido.estado, esperado, verificado, diferencia: round2(verificado - esperado) });
+    }
+  }
+
+  ventas.ticketPromedio = ventas.pedidos ? round2(ventas.monto / ventas.pedidos) : 0;
+  descuentos.porPromocion = [...promociones.values()].sort((a, b) => b.monto - a.monto);
+  conciliacion.diferencia = round2(conciliacion.verificado - conciliacion.esperadoDigital);
+  conciliacion.cuadra = Math.abs(conciliacion.diferencia) <= RECONCILIATION_TOLERANCE && conciliacion.pedidos.length === 0;
+
+  return {
+    ventas,
+    porMetodo,
+    porEntrega,
+    delivery,
+    cancelados,
+    descuentos,
+    productos: [...productos.values()].sort((a, b) => b.cantidad - a.cantidad || b.monto - a.monto).slice(0, top),
+    conciliacion
+  };
+}
+
+/**
+ * Cierre del día del local
+ * @param {string} [fecha] - "AAAA-MM-DD" (por defecto hoy en la zona del local)
+ * @param {Object} options - { top, now }
+ * @returns {Promise<Object>} { fecha, generadoEn, ...summarizeOrders }
+ * @throws {ValidationError} Si la fecha no es válida
+ * @throws {AppError} Si falla la lectura de pedidos
+ */
+export async function buildDailyReport(fecha, { top = DEFAULT_TOP_PRODUCTS, now = new Date() } = {}) {
+  const dia = fecha || localDateKey(now);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(dia) || Number.isNaN(Date.parse(dia))) {
+    throw new ValidationError('fecha debe tener el formato AAAA-MM-DD', { fecha });
+  }
+
+  const pedidos = [];
+  let cursor = null;
+  do {
+    const page = await buscarPedidos({ desde: dia, hasta: dia, orden: 'createdAt', direccion: 'asc', limite: PAGE_SIZE, cursor });
+    pedidos.push(...page.pedidos);
+    cursor = page.siguienteCursor;
+  } while (cursor);
+
+  return { fecha: dia, generadoEn: now.toISOString(), ...summarizeOrders(pedidos, { top }) };
+}
+
+/**
+ * Cierre en texto monoespaciado
+ * @param {Object} report - Resultado de buildDailyReport
+ * @param {Object} options - { columns } caracteres por línea (48 = papel de 80 mm)
+ * @returns {string} Texto para imprimir
+ */
+export function renderReportText(report, { columns = 48 } = {}) {
+  const money = (n) => `S/ ${round2(n).toFixed(2)}`;
+  const row = (label, value) => {
+    const text = String(value);
+    return `${label.slice(0, columns - text.length - 1).padEnd(columns - text.length)}${text}`;
+  };
+  const count = (label, b) => row(`${label} (${b.pedidos})`, money(b.monto));
+  const rule = '-'.repeat(columns);
+  const labels = { yape: 'Yape', plin: 'Plin', efectivo: 'Efectivo', combinado: 'Combinado', sin_metodo: 'Pago pendiente' };
+
+  const lines = [
+    `CIERRE DEL DÍA ${report.fecha}`,
+    rule,
+    row(`Ventas (${report.ventas.pedidos})`, money(report.ventas.monto)),
+    row('Ticket promedio', money(report.ventas.ticketPromedio)),
+    rule,
+    'POR MÉTODO DE PAGO',
+    ...Object.entries(report.porMetodo).map(([metodo, b]) => count(labels[metodo] || metodo, b)),
+    rule,
+    'POR TIPO DE ENTREGA',
+    count('Delivery', report.porEntrega.delivery),
+    count('Recojo', report.porEntrega.recojo),
+    count('Cobrado por delivery', report.delivery),
+    rule,
+    count('Cancelados', report.cancelados),
+    row('Descuentos', money(report.descuentos.monto)),
+    ...report.descuentos.porPromocion.map(p => count(`  ${p.nombre}`, p)),
+    rule,
+    'PRODUCTOS MÁS VENDIDOS',
+    ...report.productos.map((p, i) => row(`${i + 1}. ${p.nombre}`, p.cantidad)),
+    rule,
+    'CONCILIACIÓN YAPE/PLIN',
+    row('Pedidos', money(report.conciliacion.esperadoDigital)),
+    row('Comprobantes verificados', money(report.conciliacion.verificado)),
+    row('Diferencia', money(report.conciliacion.diferencia)),
+    report.conciliacion.cuadra ? 'OK: cuadra' : '*** NO CUADRA: revisar pedidos ***',
+    ...report.conciliacion.pedidos.map(p => row(`  ${p.numero} (${p.estado})`, money(p.diferencia)))
+  ];
+  return `${lines.join('\n')}\n`;
+}
+
+export default {
+  SALE_STATES,
+  localDateKey,
+  summarizeOrders,
+  buildDailyReport,
+  renderReportText
+};
@@ -0,0 +1,327 @@
+/**
+ * lib/escalation.js
+ *
+ * Escalado a humanos según flujos.json → escalado_y_paquetes
+ * - detectEscalationTrigger(text, rulesData) - Gatillo pedido por el cliente (palabras_escalado de reglas.json)
+ * - isLargeOrder(order, pricing, rulesData) - Pedido por encima de los umbrales de escalado_humano
+ * - routeEscalation(trigger, options) - Categoría y destinatario (seleccion_destinatario_por_regla)
+ * - buildEscalationPacket(data) - Paquete con los campos de paquete_escalado_campos
+ * - deliverEscalation(escalation) - Enviar el paquete al webhook del equipo destinatario
+ * - buildCaseRecord(previous, escalation, delivery, now, options) - Caso a guardar en session.escalado
+ * - isEscalationOpen(session) - Caso abierto (bloquea el cierre automático de la conversación)
+ * - getCustomerMessage(options) - Texto para el cliente al escalar
+ */
+
+import axios from 'axios';
+import { logger, ValidationError, MetricsCollector, generateId, parseJSON } from './utils.js';
+import { CONFIG } from './config.js';
+import rules from './rules.js';
+import payments from './payments.js';
+import fulfillment from './fulfillment.js';
+import flowEngine from './flow-engine.js';
+
+const metrics = new MetricsCollector();
+
+const RECENT_INPUTS_LIMIT = 5;
+const DEFAULT_CUSTOMER_MESSAGE = 'Lamento el inconveniente. He asignado su caso a un agente humano; en breve le contactarán.';
+
+/**
+ * Categoría de ruteo y grupo de prioridad (escalado_humano.prioridad) de cada gatillo
+ * Los gatillos sin grupo de prioridad quedan con prioridad "baja".
+ */
+export const ESCALATION_TRIGGERS = {
+  comprobante_invalido: { categoria: 'pagos', prioridad: 'pago' },
+  solicita_reembolso: { categoria: 'pagos', prioridad: 'pago' },
+  direccion_no_localizada: { categoria: 'logistica', prioridad: 'direccion' },
+  problema_repartidor: { categoria: 'logistica', prioridad: 'direccion' },
+  item_fuera_de_stock: { categoria: 'cocina', prioridad: null },
+  alergia_o_instruccion_compleja: { categoria: 'cocina', prioridad: 'alergia' },
+  pedido_grande_mayor_umbrales: { categoria: 'cocina', prioridad: 'pedido_grande' },
+  cliente_solicita_gerente: { categoria: 'reclamos', prioridad: 'reclamo' },
+  reclamo_cliente: { categoria: 'reclamos', prioridad: 'reclamo' },
+  incapacidad_resolver_tras_aclaracion: { categoria: 'default', prioridad: null },
+  sla_verificacion_pago: { categoria: 'pagos', prioridad: 'pago' },
+  sla_cocina: { categoria: 'cocina', prioridad: null },
+  sla_reparto: { categoria: 'logistica', prioridad: null },
+  sla_hot_lead: { categoria: 'default', prioridad: null },
+  sla_contacto_perdido: { categoria: 'default', prioridad: null },
+  promo_requiere_agente: { categoria: 'default', prioridad: null }
+};
+
+/**
+ * Sección escalado_y_paquetes de flujos.json
+ * @private
+ */
+function escalationSpec(flows) {
+  return (flows || flowEngine.loadFlows()).escalado || {};
+}
+
+/**
+ * "Verdadero", "true" o true
+ * @private
+ */
+function isTruthy(value) {
+  return value === true || /^(verdadero|true|si|sí)$/i.test(String(value || '').trim());
+}
+
+/**
+ * Detecta un gatillo de escalado en el mensaje del cliente
+ * ("quiero hablar con el gerente", "quiero un reembolso", "soy alérgico al maní")
+ * @param {string} text - Mensaje del cliente
+ * @param {Object} [rulesData] - Reglas (por defecto data/reglas.json)
+ * @returns {string|null} Gatillo o null
+ */
+export function detectEscalationTrigger(text, rulesData = rules.loadRules()) {
+  const words = rulesData.palabras_escalado || {};
+  const trigger = Object.keys(words).find(name => ESCALATION_TRIGGERS[name] && rules.matchesKeywords(text, words[name]));
+  if (trigger) logger.debug('ESCALATION_TRIGGER_DETECTED', { trigger });
+  return trigger || null;
+}
+
+/**
+ * Indica si un pedido supera los umbrales de escalado_humano.umbral_pedido_grande
+ * @param {Object} order - Pedido { items }
+ * @param {Object} pricing - Totales { total }
+ * @param {Object} [rulesData] - Reglas (por defecto data/reglas.json)
+ * @returns {boolean} true si el total o las unidades superan el umbral
+ */
+export function isLargeOrder(order, pricing = {}, rulesData = rules.loadRules()) {
+  const threshold = rulesData.escalado_humano?.umbral_pedido_grande;
+  if (!threshold || !order?.items?.length) return false;
+  const units = order.items.reduce((sum, it) => sum + (Number(it.quantity) || 1), 0);
+  return (threshold.total != null && Number(pricing?.total) > Number(threshold.total)) ||
+    (threshold.unidades != null && units > Number(threshold.unidades));
+}
+
+/**
+ * Categoría y destinatario de un gatillo
+ * @param {string} trigger - Gatillo de gatillos_escalado
+ * @param {Object} options - { flows }
+ * @returns {Object} { categoria, destinatario }
+ * @throws {ValidationError} Si el gatillo no está en flujos.json
+ */
+export function routeEscalation(trigger, { flows = null } = {}) {
+  const spec = escalationSpec(flows);
+  const known = spec.gatillos_escalado || Object.keys(ESCALATION_TRIGGERS);
+  if (!known.includes(trigger)) {
+    throw new ValidationError('Gatillo de escalado desconocido', { trigger });
+  }
+
+  const routing = spec.seleccion_destinatario_por_regla || {};
+  const categoria = ESCALATION_TRIGGERS[trigger]?.categoria || 'default';
+  return { categoria, destinatario: routing[categoria] || routing.default || 'cola_general' };
+}
+
+/**
+ * Prioridad según el orden de escalado_humano.prioridad (los dos primeros grupos son "alta")
+ * @private
+ */
+function priorityFor(trigger, rulesData) {
+  const order = rulesData.escalado_humano?.prioridad || [];
+  const index = order.indexOf(ESCALATION_TRIGGERS[trigger]?.prioridad);
+  if (index === -1) return 'baja';
+  return index < 2 ? 'alta' : index < 4 ? 'media' : 'baja';
+}
+
+/**
+ * Últimos mensajes del cliente guardados en el contexto de conversación
+ * @private
+ */
+function recentInputs(context) {
+  const messages = context?.messages?.length ? context.messages : context?.recentMessages || [];
+  return messages
+    .filter(m => m?.role === 'user' && m.content)
+    .slice(-RECENT_INPUTS_LIMIT)
+    .map(m => ({ texto: m.content, fecha_hora: m.timestamp ? new Date(m.timestamp).toISOString() : null }));
+}
+
+/**
+ * Arma el paquete de escalado con los campos de paquete_escalado_campos
+ * @param {Object} data - { trigger, telefono, nombre, session, context, acciones, detalle, now, flows, rulesData }
+ * @returns {Object} { id, gatillo, categoria, destinatario, prioridad, tags, paquete }
+ * @throws {ValidationError} Si el gatillo no es válido o falta el teléfono
+ */
+export function buildEscalationPacket({
+  trigger,
+  telefono,
+  nombre = null,
+  session = {},
+  context = null,
+  acciones = [],
+  detalle = null,
+  now = new Date(),
+  flows = null,
+  rulesData = rules.loadRules()
+} = {}) {
+  if (!telefono) throw new ValidationError('Teléfono requerido para escalar', { trigger });
+  const { categoria, destinatario } = routeEscalation(trigger, { flows });
+
+  const current = session || {};
+  const order = current.pedido || current.pedido_borrador || null;
+  const pricing = order?.pricing || {};
+  const components = current.address?.components || {};
+  const isPickup = current.tipo_entrega === fulfillment.FULFILLMENT_TYPES.PICKUP;
+  const ledger = payments.summarizeLedger(current.pagos, pricing.total, { tolerance: Number(CONFIG.PAYMENT_TOLERANCE) });
+
+  const prioridad = priorityFor(trigger, rulesData);
+  const baseTags = rulesData.escalado_humano?.tags || ['requiere_humano'];
+  const tags = [...new Set([
+    ...baseTags.filter(tag => tag !== 'pendiente_verificacion' || categoria === 'pagos' || categoria === 'logistica'),
+    categoria,
+    trigger
+  ])];
+
+  const values = {
+    id_orden: order?.numero || order?.id || null,
+    fecha_hora: now.toISOString(),
+    motivo: { gatillo: trigger, detalle: detalle || null },
+    datos_cliente: {
+      nombre: nombre || current.userProfile?.name || null,
+      telefono: String(telefono),
+      pedidos_previos: current.userProfile?.orders?.length || 0
+    },
+    direccion_y_coordenadas: {
+      tipo_entrega: current.tipo_entrega || null,
+      direccion: isPickup ? null : current.address?.address || null,
+      coordenadas: !isPickup && components.lat != null ? { lat: components.lat, lon: components.lon } : null
+    },
+    items_y_precios: (order?.items || []).map(it => ({
+      nombre: it.name || it.id,
+      cantidad: it.quantity || 1,
+      variante: it.variant || null,
+      precio_unitario: it.unitPrice != null ? Number(it.unitPrice) : null,
+      subtotal: it.unitPrice != null ? Number((Number(it.unitPrice) * (it.quantity || 1)).toFixed(2)) : null
+    })),
+    subtotal_delivery_total: {
+      subtotal: pricing.subtotal ?? null,
+      delivery: pricing.deliveryFee ?? null,
+      total: pricing.total ?? null
+    },
+    estado_pago_y_comprobantes: {
+      metodo: current.pago?.method || null,
+      estado: ledger.status,
+      pagado: ledger.paid,
+      saldo: ledger.balance,
+      comprobantes: (current.pagos || []).map(p => ({
+        metodo: p.method,
+        monto: p.amount,
+        operacion: p.reference,
+        verificado: p.verified,
+        fecha_hora: p.at
+      })),
+      ultimo_comprobante_rechazado: current.comprobante?.detected != null ? { monto: current.comprobante.detected } : null
+    },
+    ultimas_entradas: recentInputs(context || current.context),
+    acciones_intentadas: acciones,
+    prioridad,
+    tags
+  };
+
+  const fields = escalationSpec(flows).paquete_escalado_campos || Object.keys(values);
+  const paquete = Object.fromEntries(fields.map(field => [field, values[field] ?? null]));
+
+  return { id: generateId('esc'), gatillo: trigger, categoria, destinatario, prioridad, tags, paquete };
+}
+
+/**
+ * Webhook del equipo destinatario (ESCALATION_WEBHOOKS, JSON { "finanzas": "https://...", "default": "..." })
+ * Sin webhook del equipo se usa el de agentes de Kommo.
+ * @private
+ */
+function webhookFor(destinatario) {
+  const webhooks = parseJSON(CONFIG.ESCALATION_WEBHOOKS || '', {}) || {};
+  return webhooks[destinatario] || webhooks.default || CONFIG.KOMMO_AGENT_WEBHOOK || null;
+}
+
+/**
+ * Envía el paquete de escalado al equipo destinatario
+ * Nunca lanza: un envío fallido queda registrado y el caso sigue abierto en la sesión.
+ * @param {Object} escalation - Resultado de buildEscalationPacket
+ * @returns {Promise<Object>} { sent, method, destinatario }
+ */
+export async function deliverEscalation(escalation) {
+  const { id, destinatario, categoria, prioridad } = escalation;
+  const url = webhookFor(destinatario);
+  if (!url) {
+    logger.warn('ESCALATION_NOT_DELIVERED', { id, destinatario, reason: 'sin webhook configurado' });
+    metrics.record('escalation.delivery', 1, { destinatario, status: 'log_only' });
+    return { sent: false, method: 'log', destinatario };
+  }
+
+  try {
+    await axios.post(url, { event: 'escalation', ...escalation }, {
+      headers: { 'Content-Type': 'application/json' },
+      timeout: CONFIG.API_TIMEOUT_MS
+    });
+    logger.info('ESCALATION_DELIVERED', { id, destinatario, categoria, prioridad });
+    metrics.record('escalation.delivery', 1, { destinatario, status: 'success' });
+    return { sent: true, method: 'webhook', destinatario };
+  } catch (error) {
+    logger.error('ESCALATION_DELIVERY_FAILED', { id, destinatario, error: error.message });
+    metrics.record('escalation.delivery', 1, { destinatario, status: 'failed' });
+    return { sent: false, method: 'webhook', destinatario };
+  }
+}
+
+/**
+ * Caso a guardar en session.escalado
+ * Un caso ya abierto conserva su id y su inicio: el nuevo paquete se suma al mismo caso.
+ * Se guarda completo (con nulls explícitos) porque Firestore combina los mapas con merge.
+ * Con `blocksClosing: false` el caso es solo un aviso y no bloquea el cierre automático
+ * (salvo que el caso abierto ya lo bloqueara).
+ * @param {Object|null} previous - session.escalado actual
+ * @param {Object} escalation - Resultado de buildEscalationPacket
+ * @param {Object} delivery - Resultado de deliverEscalation
+ * @param {Date} now - Instante del escalado
+ * @param {Object} options - { blocksClosing }
+ * @returns {Object} { abierto, id, gatillo, categoria, destinatario, prioridad, desde, bloqueaCierre, envio, resueltoEn, resueltoPor }
+ */
+export function buildCaseRecord(previous, escalation, delivery, now = new Date(), { blocksClosing = true } = {}) {
+  const open = !!previous?.abierto;
+  return {
+    abierto: true,
+    id: open ? previous.id : escalation.id,
+    gatillo: escalation.gatillo,
+    categoria: escalation.categoria,
+    destinatario: escalation.destinatario,
+    prioridad: escalation.prioridad,
+    desde: open ? previous.desde : now.toISOString(),
+    bloqueaCierre: blocksClosing || (open && previous.bloqueaCierre !== false),
+    envio: delivery,
+    resueltoEn: null,
+    resueltoPor: null
+  };
+}
+
+/**
+ * Indica si la sesión tiene un caso escalado abierto que bloquea el cierre automático
+ * (bloqueo_cierre_automatico de flujos.json)
+ * @param {Object} session - Sesión del cliente
+ * @param {Object} options - { flows }
+ * @returns {boolean} true si la conversación no se debe cerrar ni reiniciar sola
+ */
+export function isEscalationOpen(session, { flows = null } = {}) {
+  if (!session?.escalado?.abierto || session.escalado.bloqueaCierre === false) return false;
+  return isTruthy(escalationSpec(flows).bloqueo_cierre_automatico ?? true);
+}
+
+/**
+ * Texto para el cliente al escalar (comunicacion_al_cliente_al_escalar)
+ * @param {Object} options - { flows }
+ * @returns {string} Mensaje
+ */
+export function getCustomerMessage({ flows = null } = {}) {
+  return escalationSpec(flows).comunicacion_al_cliente_al_escalar || DEFAULT_CUSTOMER_MESSAGE;
+}
+
+export default {
+  ESCALATION_TRIGGERS,
+  detectEscalationTrigger,
+  isLargeOrder,
+  routeEscalation,
+  buildEscalationPacket,
+  deliverEscalation,
+  buildCaseRecord,
+  isEscalationOpen,
+  getCustomerMessage
+};
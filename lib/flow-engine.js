@@ -0,0 +1,425 @@
+/**
+ * lib/flow-engine.js
+ *
+ * Máquina de estados conversacional basada en data/flujos.json
+ * - loadFlows(source) - Cargar y normalizar la definición de flujos
+ * - FlowEngine - Resolver triggers contra next_states, ejecutar acciones y elegir respuesta
+ * - createFlowEngine(options) - Crear un motor listo para usar (flujos + respuestas.json)
+ *
+ * El motor no depende del handler HTTP: recibe el estado actual del flujo
+ * (guardado en la sesión como `flujo`) y devuelve el nuevo estado, las acciones
+ * ejecutadas y la respuesta renderizada. Así los flujos se pueden probar aislados.
+ */
+
+import fs from 'fs';
+import { logger, ValidationError, MetricsCollector } from './utils.js';
+
+const DEFAULT_INITIAL_STATE = 'inicio';
+const DEFAULT_HISTORY_LIMIT = 20;
+const PLACEHOLDER_REGEX = /\{\{?\s*([^{}]+?)\s*\}?\}/g;
+
+const metrics = new MetricsCollector();
+
+let flowsCache = null;
+let responsesCache = null;
+
+/**
+ * Lee un JSON de la carpeta data/
+ * @param {string} fileName - Nombre del archivo
+ * @param {*} fallback - Valor por defecto si falla la lectura
+ * @returns {*} Contenido parseado
+ * @private
+ */
+function readDataFile(fileName, fallback) {
+  try {
+    const filePath = new URL(`../data/${fileName}`, import.meta.url);
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    logger.warn('FLOW_DATA_READ_FAILED', { fileName, error: error.message });
+    return fallback;
+  }
+}
+
+/**
+ * Normaliza la definición cruda de flujos.json
+ * Un estado es cualquier entrada de primer nivel con un arreglo `next_states`.
+ * @param {Object} raw - Contenido de flujos.json
+ * @returns {Object} { meta, states, acciones, templates, escalado, unknownReferences }
+ * @throws {ValidationError} Si la definición no contiene estados
+ */
+function normalizeFlows(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new ValidationError('La definición de flujos debe ser un objeto');
+  }
+
+  const states = {};
+  for (const [name, value] of Object.entries(raw)) {
+    if (value && typeof value === 'object' && Array.isArray(value.next_states)) {
+      states[name] = {
+        name,
+        descripcion: value.descripcion || '',
+        triggers: Array.isArray(value.triggers) ? value.triggers : [],
+        accion: Array.isArray(value.accion) ? value.accion : (value.accion ? [value.accion] : []),
+        responder: value.responder || null,
+        responder_texto: value.responder_texto || null,
+        responder_texto_template: value.responder_texto_template || null,
+        next_states: value.next_states
+      };
+    }
+  }
+
+  if (Object.keys(states).length === 0) {
+    throw new ValidationError('La definición de flujos no contiene estados con next_states');
+  }
+
+  const unknownReferences = [];
+  for (const state of Object.values(states)) {
+    for (const target of state.next_states) {
+      if (!states[target]) unknownReferences.push({ from: state.name, to: target });
+    }
+  }
+
+  if (unknownReferences.length > 0) {
+    logger.warn('FLOW_UNKNOWN_STATE_REFERENCES', {
+      count: unknownReferences.length,
+      references: unknownReferences.map(r => `${r.from}->${r.to}`)
+    });
+  }
+
+  return {
+    meta: raw.meta || {},
+    states,
+    acciones: raw.acciones || {},
+    templates: raw.templates || {},
+    escalado: raw.escalado_y_paquetes || {},
+    unknownReferences
+  };
+}
+
+/**
+ * Carga y normaliza los flujos conversacionales
+ * @param {Object} [source] - Definición cruda; si se omite se lee data/flujos.json
+ * @returns {Object} Flujos normalizados
+ */
+export function loadFlows(source = null) {
+  if (source) return normalizeFlows(source);
+
+  if (!flowsCache) {
+    flowsCache = normalizeFlows(readDataFile('flujos.json', {}));
+    logger.debug('FLOWS_LOADED', { states: Object.keys(flowsCache.states).length });
+  }
+  return flowsCache;
+}
+
+/**
+ * Carga las plantillas de respuesta de data/respuestas.json
+ * @returns {Object} Mapa de plantillas
+ */
+export function loadResponses() {
+  if (!responsesCache) {
+    responsesCache = readDataFile('respuestas.json', {});
+  }
+  return responsesCache;
+}
+
+/**
+ * Reemplaza placeholders {var} y {{var}} en una plantilla
+ * @param {string} template - Plantilla
+ * @param {Object} vars - Variables disponibles
+ * @returns {Object} { text, missing }
+ */
+export function renderTemplate(template, vars = {}) {
+  const missing = [];
+  const text = String(template).replace(PLACEHOLDER_REGEX, (match, key) => {
+    const value = vars[key];
+    if (value === undefined || value === null || value === '') {
+      missing.push(key);
+      return match;
+    }
+    return String(value);
+  });
+  return { text, missing };
+}
+
+/**
+ * Motor de estados conversacionales
+ */
+export class FlowEngine {
+  /**
+   * @param {Object} flows - Flujos normalizados (ver loadFlows)
+   * @param {Object} options - { actions, responses, initialState, historyLimit }
+   */
+  constructor(flows, options = {}) {
+    if (!flows?.states) {
+      throw new ValidationError('FlowEngine requiere flujos normalizados');
+    }
+
+    this.flows = flows;
+    this.responses = options.responses || {};
+    this.actions = {};
+    this.initialState = options.initialState || DEFAULT_INITIAL_STATE;
+    this.historyLimit = options.historyLimit || DEFAULT_HISTORY_LIMIT;
+
+    if (!this.flows.states[this.initialState]) {
+      throw new ValidationError(`Estado inicial desconocido: ${this.initialState}`);
+    }
+
+    for (const [name, handler] of Object.entries(options.actions || {})) {
+      this.registerAction(name, handler);
+    }
+  }
+
+  /**
+   * Registra el ejecutor de una acción nombrada en flujos.json
+   * @param {string} name - Nombre de la acción (ej. "guardar_pedido_temporal")
+   * @param {Function} handler - async (ctx, info) => Object|void; lo devuelto se agrega a ctx.vars
+   */
+  registerAction(name, handler) {
+    if (typeof handler !== 'function') {
+      throw new ValidationError(`La acción ${name} debe ser una función`);
+    }
+    this.actions[name] = handler;
+  }
+
+  hasState(name) {
+    return !!this.flows.states[name];
+  }
+
+  getState(name) {
+    return this.flows.states[name] || null;
+  }
+
+  /**
+   * Estados alcanzables desde un estado (solo los definidos)
+   * @param {string} from - Estado de origen
+   * @returns {Array<string>}
+   */
+  getAllowedTransitions(from) {
+    const state = this.getState(from);
+    if (!state) return [];
+    return state.next_states.filter(name => this.hasState(name));
+  }
+
+  canTransition(from, to) {
+    return this.getAllowedTransitions(from).includes(to);
+  }
+
+  /**
+   * Busca el siguiente estado cuyo trigger coincide
+   * @param {string} from - Estado de origen
+   * @param {string} trigger - Trigger recibido (ej. "ubicacion_recibida")
+   * @returns {string|null}
+   */
+  findTargetByTrigger(from, trigger) {
+    const target = this.getAllowedTransitions(from)
+      .find(name => this.getState(name).triggers.includes(trigger));
+    return target || null;
+  }
+
+  /**
+   * Obtiene el nombre del estado actual desde un snapshot de sesión
+   * @param {Object|string|null} current - Snapshot { estado, historial } o nombre
+   * @returns {string}
+   */
+  currentStateOf(current) {
+    if (typeof current === 'string' && current) return current;
+    if (current?.estado && this.hasState(current.estado)) return current.estado;
+    return this.initialState;
+  }
+
+  /**
+   * Elige y renderiza la respuesta de un estado
+   * Orden: respuestas.json[responder] → templates[responder] → responder_texto_template
+   * → responder_texto. Gana la primera sin placeholders faltantes; si ninguna se completa
+   * devuelve reply null para que el llamador use su propia respuesta.
+   * @param {string} stateName - Estado
+   * @param {Object} vars - Variables para la plantilla
+   * @returns {Object} { reply, template, missing }
+   */
+  renderReply(stateName, vars = {}) {
+    const state = this.getState(stateName);
+    if (!state) return { reply: null, template: null, missing: [] };
+
+    const candidates = [
+      state.responder && { key: `respuestas.${state.responder}`, text: this.responses[state.responder] },
+      state.responder && { key: `templates.${state.responder}`, text: this.flows.templates[state.responder] },
+      { key: `${stateName}.responder_texto_template`, text: state.responder_texto_template },
+      { key: `${stateName}.responder_texto`, text: state.responder_texto }
+    ].filter(c => c && typeof c.text === 'string');
+
+    let firstMissing = [];
+    for (const candidate of candidates) {
+      const { text, missing } = renderTemplate(candidate.text, vars);
+      if (missing.length === 0) {
+        return { reply: text, template: candidate.key, missing: [] };
+      }
+      if (firstMissing.length === 0) firstMissing = missing;
+    }
+
+    return { reply: null, template: null, missing: firstMissing };
+  }
+
+  /**
+   * Ejecuta las acciones declaradas en un estado
+   * Las acciones sin ejecutor registrado se reportan como "skipped".
+   * Un fallo en una acción se registra pero no revierte la transición.
+   * @private
+   */
+  async runActions(state, ctx) {
+    const results = [];
+    for (const name of state.accion) {
+      const handler = this.actions[name];
+      if (!handler) {
+        results.push({ name, status: 'skipped' });
+        continue;
+      }
+      try {
+        const output = await handler(ctx, { state: state.name, flows: this.flows });
+        if (output && typeof output === 'object') {
+          Object.assign(ctx.vars, output);
+        }
+        results.push({ name, status: 'ok' });
+      } catch (error) {
+        logger.error('FLOW_ACTION_FAILED', { state: state.name, action: name, error: error.message });
+        metrics.record('flow.action.failed', 1, { action: name });
+        results.push({ name, status: 'failed', error: error.message });
+      }
+    }
+    return results;
+  }
+
+  /**
+   * Entra a un estado sin validar el origen (uso interno y reinicios)
+   * @private
+   */
+  async enter(fromName, current, toName, ctx = {}) {
+    const state = this.getState(toName);
+    const runCtx = { ...ctx, vars: { ...(ctx.vars || {}) } };
+    const actions = await this.runActions(state, runCtx);
+    const { reply, template, missing } = this.renderReply(toName, runCtx.vars);
+
+    const history = Array.isArray(current?.historial) ? current.historial.slice() : [];
+    history.push({ de: fromName, a: toName, at: new Date().toISOString() });
+
+    const flujo = {
+      estado: toName,
+      anterior: fromName,
+      historial: history.slice(-this.historyLimit),
+      updatedAt: new Date().toISOString()
+    };
+
+    metrics.record('flow.transition', 1, { from: fromName || 'none', to: toName });
+    logger.info('FLOW_TRANSITION', {
+      from: fromName,
+      to: toName,
+      actions: actions.map(a => `${a.name}:${a.status}`),
+      template
+    });
+
+    return { ok: true, from: fromName, to: toName, reply, template, missing, actions, vars: runCtx.vars, flujo };
+  }
+
+  /**
+   * Transiciona al estado indicado si next_states lo permite
+   * @param {Object|string|null} current - Snapshot del flujo o nombre de estado
+   * @param {string} to - Estado destino
+   * @param {Object} ctx - Contexto para acciones y plantillas ({ vars, ... })
+   * @returns {Promise<Object>} { ok, from, to, reply, actions, flujo, error? }
+   */
+  async transition(current, to, ctx = {}) {
+    const from = this.currentStateOf(current);
+
+    if (!this.hasState(to)) {
+      logger.warn('FLOW_TRANSITION_REJECTED', { from, to, reason: 'UNKNOWN_STATE' });
+      metrics.record('flow.transition.rejected', 1, { reason: 'unknown_state' });
+      return { ok: false, from, to, error: 'UNKNOWN_STATE', allowed: this.getAllowedTransitions(from), reply: null, actions: [], flujo: current || null };
+    }
+
+    if (!this.canTransition(from, to)) {
+      logger.warn('FLOW_TRANSITION_REJECTED', { from, to, reason: 'INVALID_TRANSITION', allowed: this.getAllowedTransitions(from) });
+      metrics.record('flow.transition.rejected', 1, { reason: 'invalid_transition' });
+      return { ok: false, from, to, error: 'INVALID_TRANSITION', allowed: this.getAllowedTransitions(from), reply: null, actions: [], flujo: current || null };
+    }
+
+    return this.enter(from, current, to, ctx);
+  }
+
+  /**
+   * Resuelve el destino por trigger y transiciona
+   * @param {Object|string|null} current - Snapshot del flujo o nombre de estado
+   * @param {string} trigger - Trigger recibido
+   * @param {Object} ctx - Contexto
+   * @returns {Promise<Object>} Resultado de transition() o rechazo NO_MATCHING_TRIGGER
+   */
+  async dispatch(current, trigger, ctx = {}) {
+    const from = this.currentStateOf(current);
+    const target = this.findTargetByTrigger(from, trigger);
+
+    if (!target) {
+      logger.warn('FLOW_TRANSITION_REJECTED', { from, trigger, reason: 'NO_MATCHING_TRIGGER' });
+      metrics.record('flow.transition.rejected', 1, { reason: 'no_matching_trigger' });
+      return { ok: false, from, to: null, trigger, error: 'NO_MATCHING_TRIGGER', allowed: this.getAllowedTransitions(from), reply: null, actions: [], flujo: current || null };
+    }
+
+    return this.transition(current, target, ctx);
+  }
+
+  /**
+   * Valida una cadena de triggers sin entrar a ningún estado (no corre acciones ni respuestas)
+   * Permite rechazar un paso antes de que el llamador haga cambios que el flujo no admite.
+   * @param {Object|string|null} current - Snapshot del flujo o nombre de estado
+   * @param {Array<string>} triggers - Triggers en orden
+   * @returns {Object} { ok, from, path } o, si un trigger no coincide, { ok: false, from, path, at, trigger, error, allowed }
+   */
+  planDispatch(current, triggers = []) {
+    const from = this.currentStateOf(current);
+    const path = [];
+    let at = from;
+    for (const trigger of triggers) {
+      const target = this.findTargetByTrigger(at, trigger);
+      if (!target) {
+        return { ok: false, from, path, at, trigger, error: 'NO_MATCHING_TRIGGER', allowed: this.getAllowedTransitions(at) };
+      }
+      path.push(target);
+      at = target;
+    }
+    return { ok: true, from, path };
+  }
+
+  /**
+   * Reinicia el flujo en el estado inicial (nuevo ciclo de conversación)
+   * @param {Object|string|null} current - Snapshot previo (se conserva el historial)
+   * @param {Object} ctx - Contexto
+   * @returns {Promise<Object>}
+   */
+  async reset(current, ctx = {}) {
+    const from = current ? this.currentStateOf(current) : null;
+    return this.enter(from, current, this.initialState, ctx);
+  }
+
+  getMetrics() {
+    return {
+      transitions: metrics.getStats('flow.transition'),
+      actionsFailed: metrics.getStats('flow.action.failed')
+    };
+  }
+}
+
+/**
+ * Crea un motor con los flujos y respuestas del proyecto
+ * @param {Object} options - { flows, responses, actions, initialState }
+ * @returns {FlowEngine}
+ */
+export function createFlowEngine(options = {}) {
+  const flows = options.flows ? loadFlows(options.flows) : loadFlows();
+  const responses = options.responses || loadResponses();
+  return new FlowEngine(flows, { ...options, responses });
+}
+
+export default {
+  loadFlows,
+  loadResponses,
+  renderTemplate,
+  FlowEngine,
+  createFlowEngine
+};
@@ -0,0 +1,154 @@
+/**
+ * lib/follow-ups.js
+ *
+ * Seguimiento de carritos abandonados: un recordatorio amable al cliente que dejó de
+ * responder antes de pagar y, si sigue sin responder, cierre del borrador
+ * - FOLLOW_UP_STATES - Estados previos al pago que se revisan
+ * - loadFollowUpSettings(rulesData) - Tiempos de reglas.json → seguimiento_carrito en ms
+ * - isAwaitingCustomer(session) - Pedido abierto que depende del cliente (sin pago ni efectivo acordado)
+ * - abandonmentReason(session) - Motivo del abandono según dónde quedó el pedido
+ * - planFollowUp(session, options) - Qué toca hacer ahora: recordatorio, cierre o nada
+ * - recordAbandonment(record) - Guardar el abandono para analítica (Firestore o memoria)
+ */
+
+import admin from 'firebase-admin';
+import { logger, AppError, MetricsCollector } from './utils.js';
+import { CONFIG } from './config.js';
+import rules from './rules.js';
+import sla from './sla.js';
+import payments from './payments.js';
+import fulfillment from './fulfillment.js';
+
+const ABANDONMENTS_COLLECTION = 'abandonos';
+const memoryAbandonments = [];
+const MEMORY_ABANDONMENTS_MAX = 500;
+
+const metrics = new MetricsCollector();
+
+export const FOLLOW_UP_STATES = ['pedido_borrador', 'pedido', 'direccion', 'pendiente_confirmacion', 'pedido_confirmado'];
+
+const DEFAULT_SETTINGS = {
+  recordatorio_tras: '20m',
+  cierre_tras_recordatorio: '1h',
+  ventana_whatsapp: '24h'
+};
+
+/**
+ * Firestore si Firebase ya fue inicializado (se consulta en cada llamada)
+ * @private
+ */
+function getDb() {
+  return admin.apps.length ? admin.firestore() : null;
+}
+
+/**
+ * Tiempos del seguimiento en milisegundos
+ * @param {Object} [rulesData] - Reglas (por defecto data/reglas.json)
+ * @returns {Object} { reminderAfterMs, closeAfterMs, windowMs }
+ */
+export function loadFollowUpSettings(rulesData = rules.loadRules()) {
+  const settings = { ...DEFAULT_SETTINGS, ...(rulesData.seguimiento_carrito || {}) };
+  return {
+    reminderAfterMs: sla.parseDuration(settings.recordatorio_tras) || sla.parseDuration(DEFAULT_SETTINGS.recordatorio_tras),
+    closeAfterMs: sla.parseDuration(settings.cierre_tras_recordatorio) || sla.parseDuration(DEFAULT_SETTINGS.cierre_tras_recordatorio),
+    windowMs: sla.parseDuration(settings.ventana_whatsapp) || sla.parseDuration(DEFAULT_SETTINGS.ventana_whatsapp)
+  };
+}
+
+/**
+ * Indica si el pedido está detenido esperando al cliente antes del pago
+ * Un pedido confirmado solo cuenta si no está pagado, no acordó efectivo y no es programado.
+ * @param {Object} session - Sesión del cliente
+ * @returns {boolean} true si corresponde hacer seguimiento
+ */
+export function isAwaitingCustomer(session) {
+  if (!session || !FOLLOW_UP_STATES.includes(session.estado)) return false;
+  const order = session.pedido || session.pedido_borrador;
+  if (!order?.items?.length) return false;
+  if (session.estado !== 'pedido_confirmado') return true;
+
+  if (order.scheduledFor) return false;
+  if (session.pago?.method === payments.PAYMENT_METHODS.CASH) return false;
+  const total = order.pricing?.total;
+  return !payments.summarizeLedger(session.pagos, total, { tolerance: Number(CONFIG.PAYMENT_TOLERANCE) }).covered;
+}
+
+/**
+ * Motivo del abandono según la etapa donde quedó el pedido
+ * @param {Object} session - Sesión del cliente
+ * @returns {string} 'sin_tipo_entrega' | 'sin_direccion' | 'sin_confirmacion' | 'sin_pago'
+ */
+export function abandonmentReason(session) {
+  if (session.estado === 'pedido_confirmado') return 'sin_pago';
+  if (session.estado === 'pendiente_confirmacion') return 'sin_confirmacion';
+  if (!session.tipo_entrega) return 'sin_tipo_entrega';
+  if (session.tipo_entrega === fulfillment.FULFILLMENT_TYPES.DELIVERY && !session.address?.address) return 'sin_direccion';
+  return 'sin_confirmacion';
+}
+
+/**
+ * Decide el siguiente paso del seguimiento
+ * El reloj corre desde el último mensaje del cliente; un mensaje nuevo después del
+ * recordatorio reinicia el ciclo. Fuera de la ventana de 24 h de WhatsApp no se envía
+ * texto libre: el borrador se cierra sin recordatorio.
+ * @param {Object} session - Sesión del cliente
+ * @param {Object} options - { now, settings }
+ * @returns {Object} { action: 'recordatorio'|'cerrar'|null, reason, insideWindow, idleMin }
+ */
+export function planFollowUp(session, { now = new Date(), settings = loadFollowUpSettings() } = {}) {
+  const none = { action: null, reason: null, insideWindow: false, idleMin: 0 };
+  if (!isAwaitingCustomer(session)) return none;
+
+  const lastMessage = session.ultimoMensajeCliente || session.estadoDesde || session.updatedAt;
+  const idle = now.getTime() - Date.parse(lastMessage);
+  if (!lastMessage || Number.isNaN(idle)) return none;
+
+  const insideWindow = idle < settings.windowMs;
+  const reason = abandonmentReason(session);
+  const idleMin = Math.round(idle / 60000);
+  const reminded = session.seguimiento?.recordatorioEn && session.seguimiento.ultimoMensaje === lastMessage;
+
+  if (!reminded) {
+    if (idle < settings.reminderAfterMs) return none;
+    return { action: insideWindow ? 'recordatorio' : 'cerrar', reason, insideWindow, idleMin };
+  }
+
+  const sinceReminder = now.getTime() - Date.parse(session.seguimiento.recordatorioEn);
+  return sinceReminder >= settings.closeAfterMs
+    ? { action: 'cerrar', reason, insideWindow, idleMin }
+    : none;
+}
+
+/**
+ * Guarda un carrito abandonado para analítica
+ * @param {Object} record - { telefono, motivo, estado, total, items, recordatorioEnviado, ultimoMensajeCliente }
+ * @returns {Promise<Object>} Registro guardado
+ * @throws {AppError} Si falla Firestore
+ */
+export async function recordAbandonment(record) {
+  const doc = { ...record, telefono: String(record.telefono), cerradoEn: new Date().toISOString() };
+  try {
+    const db = getDb();
+    if (db) {
+      await db.collection(ABANDONMENTS_COLLECTION).add(doc);
+    } else {
+      memoryAbandonments.push(doc);
+      if (memoryAbandonments.length > MEMORY_ABANDONMENTS_MAX) memoryAbandonments.shift();
+    }
+    logger.info('CART_ABANDONED', { telefono: doc.telefono, motivo: doc.motivo, total: doc.total });
+    metrics.record('follow_up.abandoned', 1, { motivo: doc.motivo });
+    return doc;
+  } catch (error) {
+    logger.error('ABANDONMENT_SAVE_FAILED', { telefono: doc.telefono, error: error.message });
+    throw new AppError('Error al registrar abandono', 500, 'ABANDONMENT_SAVE_FAILED');
+  }
+}
+
+export default {
+  FOLLOW_UP_STATES,
+  loadFollowUpSettings,
+  isAwaitingCustomer,
+  abandonmentReason,
+  planFollowUp,
+  recordAbandonment
+};
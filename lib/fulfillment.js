@@ -0,0 +1,104 @@
+/**
+ * lib/fulfillment.js
+ *
+ * Modalidad de entrega del pedido: delivery o recojo en local
+ * - detectFulfillmentChoice(text) - Detectar si el cliente elige delivery o recojo (reglas.json)
+ * - findDeliveryOnlyItems(items, menu) - Items que solo se venden por delivery (tag 'solo_delivery')
+ * - estimatePickupTime(items, menu, options) - Minutos y hora en que el pedido estará listo
+ */
+
+import { logger } from './utils.js';
+import rules from './rules.js';
+import pricing from './zona-precios.js';
+
+export const FULFILLMENT_TYPES = {
+  DELIVERY: 'delivery',
+  PICKUP: 'recojo'
+};
+
+const DEFAULT_DELIVERY_ONLY_TAGS = ['solo_delivery'];
+const DEFAULT_PREP_TIME_MIN = 15;
+const EXTRA_UNIT_PREP_MIN = 2;
+
+/**
+ * Detecta si el mensaje elige delivery o recojo
+ * según palabras_delivery y palabras_recojo de reglas.json.
+ * @param {string} text - Mensaje del cliente
+ * @param {Object} [rulesData] - Reglas (por defecto data/reglas.json)
+ * @returns {string|null} 'delivery', 'recojo' o null si no hay elección clara
+ */
+export function detectFulfillmentChoice(text, rulesData = rules.loadRules()) {
+  const pickup = rules.matchesKeywords(text, rulesData.palabras_recojo || []);
+  const delivery = rules.matchesKeywords(text, rulesData.palabras_delivery || []);
+  if (pickup && !delivery) return FULFILLMENT_TYPES.PICKUP;
+  if (delivery && !pickup) return FULFILLMENT_TYPES.DELIVERY;
+  return null;
+}
+
+/**
+ * Tags de producto que bloquean el recojo (regla 'canal_venta' de menu.json)
+ * @param {Object} menu - Menú completo
+ * @returns {Array<string>} Tags
+ * @private
+ */
+function deliveryOnlyTags(menu) {
+  const rule = (menu?.reglas || []).find(r => r?.tipo === 'canal_venta');
+  const tags = rule?.condiciones?.aplicable_a_tags;
+  return Array.isArray(tags) && tags.length > 0 ? tags : DEFAULT_DELIVERY_ONLY_TAGS;
+}
+
+/**
+ * Items del pedido que solo están disponibles para delivery
+ * @param {Array} items - Items del pedido ({ id, name })
+ * @param {Object} menu - Menú completo
+ * @returns {Array<Object>} Items bloqueados para recojo ({ id, name })
+ */
+export function findDeliveryOnlyItems(items = [], menu = {}) {
+  const tags = deliveryOnlyTags(menu);
+  const blocked = [];
+  for (const item of items) {
+    const product = pricing.findProductInMenu(menu, item.id);
+    if (product && (product.tags || []).some(tag => tags.includes(tag))) {
+      blocked.push({ id: item.id, name: item.name || product.nombre });
+    }
+  }
+  return blocked;
+}
+
+/**
+ * Estima cuándo estará listo un pedido para recoger
+ * Los productos se preparan en paralelo: manda el prep_time_min más largo
+ * y cada unidad adicional suma unos minutos de armado.
+ * @param {Array} items - Items del pedido ({ id, quantity })
+ * @param {Object} menu - Menú completo
+ * @param {Object} options - { now, extraUnitMin }
+ * @returns {Object} { minutes, readyAt, readyAtText }
+ */
+export function estimatePickupTime(items = [], menu = {}, { now = new Date(), extraUnitMin = EXTRA_UNIT_PREP_MIN } = {}) {
+  let longest = 0;
+  let units = 0;
+  for (const item of items) {
+    const product = pricing.findProductInMenu(menu, item.id);
+    const prep = Number(product?.prep_time_min) || DEFAULT_PREP_TIME_MIN;
+    longest = Math.max(longest, prep);
+    units += Number(item.quantity) || 1;
+  }
+
+  const minutes = Math.ceil((longest || DEFAULT_PREP_TIME_MIN) + extraUnitMin * Math.max(units - 1, 0));
+  const readyAt = new Date(now.getTime() + minutes * 60 * 1000);
+  const readyAtText = readyAt.toLocaleTimeString('es-PE', {
+    timeZone: 'America/Lima',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  logger.debug('PICKUP_TIME_ESTIMATED', { items: items.length, units, minutes });
+  return { minutes, readyAt, readyAtText };
+}
+
+export default {
+  FULFILLMENT_TYPES,
+  detectFulfillmentChoice,
+  findDeliveryOnlyItems,
+  estimatePickupTime
+};
@@ -0,0 +1,416 @@
+/**
+ * lib/inventory.js
+ *
+ * Stock de los productos del menú (campo `stock`) con reservas por cliente
+ * - RESERVATION_STATES - Estados de una reserva
+ * - trackedQuantities(items, menu) - Unidades pedidas de los productos con control de stock
+ * - checkStock(items, options) - Items sin stock suficiente, con alternativas de la misma categoría
+ * - reserveStock(telefono, items, options) - Reservar (o ajustar la reserva) al confirmar el pedido
+ * - commitStock(telefono, items, options) - Descontar del stock al pagar o pasar a cocina
+ * - releaseStock(telefono) - Devolver la reserva al cancelar o abandonar el pedido
+ * - setStock(productId, stock) - Reponer o corregir el stock de un producto
+ *
+ * Cada producto lleva { stock, reservado } en inventario/{id}; la primera vez se toma el stock de
+ * menu.json. Un cliente tiene una sola reserva activa (la del pedido de su sesión) en
+ * reservas_stock/{telefono}. Las reservas se hacen en una transacción de Firestore (o sin esperas
+ * entre lectura y escritura en memoria) para que dos pedidos a la vez no vendan la misma unidad.
+ * Los productos sin `stock` no se controlan; los que tienen disponible: false no tienen unidades libres.
+ */
+
+import admin from 'firebase-admin';
+import { logger, AppError, ValidationError, MetricsCollector } from './utils.js';
+
+const INVENTORY_COLLECTION = 'inventario';
+const RESERVATIONS_COLLECTION = 'reservas_stock';
+const DEFAULT_ALTERNATIVES = 3;
+
+export const RESERVATION_STATES = {
+  RESERVED: 'reservada',
+  COMMITTED: 'confirmada',
+  RELEASED: 'liberada'
+};
+
+const memoryLevels = new Map();
+const memoryReservations = new Map();
+const menuIndexes = new WeakMap();
+
+const metrics = new MetricsCollector();
+
+/**
+ * Firestore si Firebase ya fue inicializado (se consulta en cada llamada)
+ * @private
+ */
+function getDb() {
+  return admin.apps.length ? admin.firestore() : null;
+}
+
+/**
+ * Productos del menú por id y productos de cada categoría (se calcula una vez por menú)
+ * @private
+ */
+function menuIndex(menu) {
+  if (!menu) return { products: new Map(), categories: new Map() };
+  if (!menuIndexes.has(menu)) {
+    const products = new Map();
+    const categories = new Map();
+    for (const categoria of menu.categorias || []) {
+      categories.set(categoria.id, (categoria.productos || []).map(p => p.id));
+      for (const producto of categoria.productos || []) products.set(producto.id, { producto, categoria: categoria.id });
+    }
+    menuIndexes.set(menu, { products, categories });
+  }
+  return menuIndexes.get(menu);
+}
+
+/**
+ * @private
+ */
+function isTracked(producto) {
+  return !!producto && ((producto.stock != null && Number.isFinite(Number(producto.stock))) || producto.disponible === false);
+}
+
+/**
+ * Nivel guardado o el inicial desde menu.json
+ * @private
+ */
+function levelOf(saved, producto) {
+  if (saved) return { stock: Number(saved.stock) || 0, reservado: Number(saved.reservado) || 0 };
+  return { stock: Math.max(Math.floor(Number(producto?.stock) || 0), 0), reservado: 0 };
+}
+
+/**
+ * Unidades que se pueden reservar
+ * @private
+ */
+function freeUnits(level, producto) {
+  if (producto?.disponible === false) return 0;
+  return Math.max(level.stock - level.reservado, 0);
+}
+
+/**
+ * Items de la reserva si sigue activa
+ * @private
+ */
+function activeItems(reservation) {
+  return reservation?.estado === RESERVATION_STATES.RESERVED ? reservation.items || {} : {};
+}
+
+/**
+ * Número de pedido de la reserva si sigue activa (uno ya descontado o liberado es de otro pedido)
+ * @private
+ */
+function heldNumber(reservation) {
+  return reservation?.estado === RESERVATION_STATES.RESERVED ? reservation.numero || null : null;
+}
+
+/**
+ * @private
+ */
+function shortage(id, solicitado, disponible, index) {
+  const producto = index.products.get(id)?.producto;
+  return { id, nombre: producto?.nombre || id, solicitado, disponible: Math.max(disponible, 0), hasta: producto?.no_disponible_hasta || null };
+}
+
+/**
+ * Unidades pedidas por producto, solo de los productos con control de stock
+ * @param {Array} items - Items del pedido ({ id, quantity } o { id, cantidad })
+ * @param {Object} menu - Menú (data/menu.json)
+ * @returns {Object} { productId: unidades }
+ */
+export function trackedQuantities(items = [], menu) {
+  const { products } = menuIndex(menu);
+  const quantities = {};
+  for (const item of items) {
+    if (!isTracked(products.get(item.id)?.producto)) continue;
+    const cantidad = Math.max(Math.floor(Number(item.quantity ?? item.cantidad ?? 1)) || 1, 1);
+    quantities[item.id] = (quantities[item.id] || 0) + cantidad;
+  }
+  return quantities;
+}
+
+/**
+ * Lee la reserva y el stock de los productos, aplica `update` y guarda lo que devuelve
+ * `update(reservation, levels)` es síncrona y devuelve { result, levels, reservation }.
+ * @private
+ */
+async function transact(telefono, productIds, update) {
+  const key = String(telefono);
+  const idsFor = (reservation) => [...new Set([...productIds, ...Object.keys(activeItems(reservation))])];
+  const db = getDb();
+
+  if (!db) {
+    const reservation = memoryReservations.get(key) || null;
+    const levels = Object.fromEntries(idsFor(reservation).map(id => [id, memoryLevels.get(id) || null]));
+    const out = update(reservation, levels);
+    const updatedAt = new Date().toISOString();
+    for (const [id, level] of Object.entries(out.levels || {})) memoryLevels.set(id, { ...level, updatedAt });
+    if (out.reservation) memoryReservations.set(key, { ...out.reservation, updatedAt });
+    return out.result;
+  }
+
+  return db.runTransaction(async (tx) => {
+    const reservationRef = db.collection(RESERVATIONS_COLLECTION).doc(key);
+    const reservationSnap = await tx.get(reservationRef);
+    const reservation = reservationSnap.exists ? reservationSnap.data() : null;
+    const ids = idsFor(reservation);
+    const snaps = ids.length ? await tx.getAll(...ids.map(id => db.collection(INVENTORY_COLLECTION).doc(id))) : [];
+    const levels = Object.fromEntries(ids.map((id, i) => [id, snaps[i].exists ? snaps[i].data() : null]));
+    const out = update(reservation, levels);
+    const updatedAt = admin.firestore.Timestamp.now();
+    for (const [id, level] of Object.entries(out.levels || {})) {
+      tx.set(db.collection(INVENTORY_COLLECTION).doc(id), { ...level, updatedAt }, { merge: true });
+    }
+    if (out.reservation) tx.set(reservationRef, { ...out.reservation, updatedAt });
+    return out.result;
+  });
+}
+
+/**
+ * Stock guardado de varios productos (null si aún no tiene documento)
+ * @private
+ */
+async function readLevels(ids) {
+  const db = getDb();
+  if (!db) return Object.fromEntries(ids.map(id => [id, memoryLevels.get(id) || null]));
+  if (!ids.length) return {};
+  const snaps = await db.getAll(...ids.map(id => db.collection(INVENTORY_COLLECTION).doc(id)));
+  return Object.fromEntries(ids.map((id, i) => [id, snaps[i].exists ? snaps[i].data() : null]));
+}
+
+/**
+ * @private
+ */
+async function readReservation(telefono) {
+  const db = getDb();
+  if (!db) return memoryReservations.get(String(telefono)) || null;
+  const snap = await db.collection(RESERVATIONS_COLLECTION).doc(String(telefono)).get();
+  return snap.exists ? snap.data() : null;
+}
+
+/**
+ * Agrega a cada faltante hasta `limit` productos de su categoría con unidades libres
+ * @private
+ */
+async function withAlternatives(faltantes, index, wanted, limit) {
+  const candidates = new Map(faltantes.map(f => {
+    const categoria = index.products.get(f.id)?.categoria;
+    return [f.id, (index.categories.get(categoria) || []).filter(id => id !== f.id && !(id in wanted))];
+  }));
+  const levels = await readLevels([...new Set([...candidates.values()].flat())]);
+  return faltantes.map(f => ({
+    ...f,
+    alternativas: candidates.get(f.id)
+      .map(id => index.products.get(id).producto)
+      .filter(p => p.disponible !== false && (!isTracked(p) || freeUnits(levelOf(levels[p.id], p), p) > 0))
+      .slice(0, limit)
+      .map(p => ({ id: p.id, nombre: p.nombre, precio: p.precio ?? null }))
+  }));
+}
+
+/**
+ * Items del pedido sin stock suficiente (la reserva activa del cliente cuenta como suya)
+ * @param {Array} items - Items del pedido
+ * @param {Object} options - { menu, telefono, limit } limit = alternativas por item
+ * @returns {Promise<Array>} [{ id, nombre, solicitado, disponible, hasta, alternativas: [{ id, nombre, precio }] }]
+ *   (hasta: fin de un apagado temporal de lib/availability.js)
+ * @throws {AppError} Si falla la lectura del stock
+ */
+export async function checkStock(items = [], { menu, telefono = null, limit = DEFAULT_ALTERNATIVES } = {}) {
+  const index = menuIndex(menu);
+  const wanted = trackedQuantities(items, menu);
+  const ids = Object.keys(wanted);
+  if (!ids.length) return [];
+
+  try {
+    const held = activeItems(telefono ? await readReservation(telefono) : null);
+    const levels = await readLevels(ids);
+    const faltantes = ids
+      .map(id => {
+        const producto = index.products.get(id).producto;
+        return shortage(id, wanted[id], freeUnits(levelOf(levels[id], producto), producto) + (held[id] || 0), index);
+      })
+      .filter(f => f.solicitado > f.disponible);
+    return faltantes.length ? await withAlternatives(faltantes, index, wanted, limit) : [];
+  } catch (error) {
+    logger.error('STOCK_CHECK_FAILED', { telefono, error: error.message });
+    throw new AppError('Error al consultar el stock', 500, 'STOCK_CHECK_FAILED');
+  }
+}
+
+/**
+ * Reserva las unidades del pedido; si el cliente ya tenía una reserva activa solo se
+ * reserva (o devuelve) la diferencia. No se reserva nada si falta stock de algún item.
+ * @param {string} telefono - Teléfono del cliente
+ * @param {Array} items - Items del pedido
+ * @param {Object} options - { menu, numero, limit }
+ * @returns {Promise<Object>} { ok, faltantes } (faltantes como en checkStock)
+ * @throws {AppError} Si falla la transacción
+ */
+export async function reserveStock(telefono, items = [], { menu, numero = null, limit = DEFAULT_ALTERNATIVES } = {}) {
+  const index = menuIndex(menu);
+  const wanted = trackedQuantities(items, menu);
+
+  let result;
+  try {
+    result = await transact(telefono, Object.keys(wanted), (reservation, levels) => {
+      const previous = activeItems(reservation);
+      if (!Object.keys(levels).length) return { result: { ok: true, faltantes: [] } };
+
+      const faltantes = [];
+      const changed = {};
+      for (const id of Object.keys(levels)) {
+        const delta = (wanted[id] || 0) - (previous[id] || 0);
+        if (!delta) continue;
+        const producto = index.products.get(id)?.producto;
+        const level = levelOf(levels[id], producto);
+        const libre = freeUnits(level, producto);
+        if (delta > libre) {
+          faltantes.push(shortage(id, wanted[id], libre + (previous[id] || 0), index));
+          continue;
+        }
+        changed[id] = { stock: level.stock, reservado: Math.max(level.reservado + delta, 0) };
+      }
+      if (faltantes.length) return { result: { ok: false, faltantes } };
+
+      return {
+        result: { ok: true, faltantes: [] },
+        levels: changed,
+        reservation: { telefono: String(telefono), numero: numero || heldNumber(reservation), items: wanted, estado: RESERVATION_STATES.RESERVED }
+      };
+    });
+  } catch (error) {
+    logger.error('STOCK_RESERVE_FAILED', { telefono, error: error.message });
+    throw new AppError('Error al reservar stock', 500, 'STOCK_RESERVE_FAILED');
+  }
+
+  if (!result.ok) {
+    logger.info('STOCK_SHORTAGE', { telefono, items: result.faltantes.map(f => f.id) });
+    metrics.record('inventory.shortage', 1, { items: result.faltantes.length });
+    return { ok: false, faltantes: await withAlternatives(result.faltantes, index, wanted, limit) };
+  }
+  if (Object.keys(wanted).length) {
+    logger.debug('STOCK_RESERVED', { telefono, items: wanted });
+    metrics.record('inventory.reserved', 1);
+  }
+  return result;
+}
+
+/**
+ * Descuenta del stock las unidades del pedido pagado (o que pasó a cocina) y libera su reserva
+ * Un pedido ya descontado con el mismo número no se descuenta dos veces. Si se vendió más de lo
+ * libre (pedido pagado sin reserva) el stock queda en 0 y el item se devuelve en `faltantes`.
+ * @param {string} telefono - Teléfono del cliente
+ * @param {Array} items - Items del pedido
+ * @param {Object} options - { menu, numero }
+ * @returns {Promise<Object>} { committed, faltantes }
+ * @throws {AppError} Si falla la transacción
+ */
+export async function commitStock(telefono, items = [], { menu, numero = null } = {}) {
+  const index = menuIndex(menu);
+  const wanted = trackedQuantities(items, menu);
+
+  try {
+    const result = await transact(telefono, Object.keys(wanted), (reservation, levels) => {
+      const done = reservation?.estado === RESERVATION_STATES.COMMITTED && !!numero && reservation.numero === numero;
+      if (done || !Object.keys(levels).length) return { result: { committed: false, faltantes: [] } };
+
+      const held = activeItems(reservation);
+      const faltantes = [];
+      const changed = {};
+      for (const id of Object.keys(levels)) {
+        const producto = index.products.get(id)?.producto;
+        const level = levelOf(levels[id], producto);
+        const cantidad = wanted[id] || 0;
+        const libre = freeUnits(level, producto);
+        if (cantidad - (held[id] || 0) > libre) faltantes.push(shortage(id, cantidad, libre + (held[id] || 0), index));
+        changed[id] = { stock: Math.max(level.stock - cantidad, 0), reservado: Math.max(level.reservado - (held[id] || 0), 0) };
+      }
+      return {
+        result: { committed: true, faltantes },
+        levels: changed,
+        reservation: { telefono: String(telefono), numero: numero || heldNumber(reservation), items: wanted, estado: RESERVATION_STATES.COMMITTED }
+      };
+    });
+    if (result.committed) {
+      logger.info('STOCK_COMMITTED', { telefono, numero, items: wanted });
+      metrics.record('inventory.committed', 1);
+    }
+    if (result.faltantes.length) {
+      logger.warn('STOCK_OVERSOLD', { telefono, numero, items: result.faltantes.map(f => f.id) });
+      metrics.record('inventory.oversold', 1, { items: result.faltantes.length });
+    }
+    return result;
+  } catch (error) {
+    logger.error('STOCK_COMMIT_FAILED', { telefono, numero, error: error.message });
+    throw new AppError('Error al descontar stock', 500, 'STOCK_COMMIT_FAILED');
+  }
+}
+
+/**
+ * Devuelve las unidades de la reserva activa del cliente
+ * @param {string} telefono - Teléfono del cliente
+ * @returns {Promise<boolean>} true si había una reserva activa
+ * @throws {AppError} Si falla la transacción
+ */
+export async function releaseStock(telefono) {
+  try {
+    const released = await transact(telefono, [], (reservation, levels) => {
+      if (reservation?.estado !== RESERVATION_STATES.RESERVED) return { result: false };
+      const held = activeItems(reservation);
+      const changed = {};
+      for (const id of Object.keys(levels)) {
+        const level = levelOf(levels[id], null);
+        changed[id] = { stock: level.stock, reservado: Math.max(level.reservado - (held[id] || 0), 0) };
+      }
+      return { result: true, levels: changed, reservation: { ...reservation, estado: RESERVATION_STATES.RELEASED } };
+    });
+    if (released) {
+      logger.info('STOCK_RELEASED', { telefono });
+      metrics.record('inventory.released', 1);
+    }
+    return released;
+  } catch (error) {
+    logger.error('STOCK_RELEASE_FAILED', { telefono, error: error.message });
+    throw new AppError('Error al liberar stock', 500, 'STOCK_RELEASE_FAILED');
+  }
+}
+
+/**
+ * Fija el stock de un producto (las unidades reservadas se mantienen)
+ * @param {string} productId - ID del producto
+ * @param {number} stock - Unidades en el local
+ * @returns {Promise<Object>} { id, stock }
+ * @throws {ValidationError} Si el stock no es un entero >= 0
+ * @throws {AppError} Si falla Firestore
+ */
+export async function setStock(productId, stock) {
+  if (!productId || !Number.isInteger(Number(stock)) || Number(stock) < 0) {
+    throw new ValidationError('El stock debe ser un entero mayor o igual a 0', { productId, stock });
+  }
+  const value = Number(stock);
+  try {
+    const db = getDb();
+    if (db) {
+      await db.collection(INVENTORY_COLLECTION).doc(String(productId))
+        .set({ stock: value, updatedAt: admin.firestore.Timestamp.now() }, { merge: true });
+    } else {
+      const current = memoryLevels.get(String(productId));
+      memoryLevels.set(String(productId), { reservado: 0, ...current, stock: value, updatedAt: new Date().toISOString() });
+    }
+    logger.info('STOCK_SET', { productId, stock: value });
+    return { id: String(productId), stock: value };
+  } catch (error) {
+    logger.error('STOCK_SET_FAILED', { productId, error: error.message });
+    throw new AppError('Error al actualizar stock', 500, 'STOCK_SET_FAILED');
+  }
+}
+
+export default {
+  RESERVATION_STATES,
+  trackedQuantities,
+  checkStock,
+  reserveStock,
+  commitStock,
+  releaseStock,
+  setStock
+};
@@ -0,0 +1,248 @@
+/**
+ * lib/kitchen-ticket.js
+ *
+ * Ticket de cocina para la impresora térmica a partir de un pedido guardado (lib/pedidos.js)
+ * - PAPER_WIDTHS - Caracteres por línea de cada ancho de papel (fuente A)
+ * - loadKitchenStations(rulesData) - Estaciones de reglas.json → estaciones_cocina
+ * - groupByStation(items, options) - Items agrupados por estación según la categoría del menú
+ * - buildTicketLines(pedido, options) - Líneas del ticket con su estilo (grande, negrita, centrado)
+ * - renderTicketText(pedido, options) - Vista previa en texto plano
+ * - renderTicketEscPos(pedido, options) - Bytes ESC/POS listos para la impresora
+ */
+
+import { ValidationError } from './utils.js';
+import rules from './rules.js';
+import schedule from './schedule.js';
+import businessHours from './business-hours.js';
+
+export const PAPER_WIDTHS = { 58: 32, 80: 48 };
+
+const OTHER_STATION = { id: 'otros', nombre: 'Otros', categorias: [] };
+
+const DEFAULT_STATIONS = {
+  pizzas: { nombre: 'Pizzas', categorias: ['pizzas', 'pastas'] },
+  freidora: { nombre: 'Freidora', categorias: ['entradas', 'alitas_crispy', 'hamburguesas', 'filete_choripan', 'salchipapas', 'promos', 'menu_especial'] },
+  bebidas: { nombre: 'Bebidas', categorias: ['bebidas', 'helados'] }
+};
+
+// Comandos ESC/POS
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+const CMD_INIT = [ESC, 0x40];
+const CMD_CODEPAGE_PC850 = [ESC, 0x74, 0x02];
+const CMD_FEED_AND_CUT = [ESC, 0x64, 0x04, GS, 0x56, 0x42, 0x00];
+
+// Caracteres del español en la página de códigos PC850; el resto se imprime sin tilde
+const PC850 = {
+  'á': 0xa0, 'é': 0x82, 'í': 0xa1, 'ó': 0xa2, 'ú': 0xa3, 'ñ': 0xa4, 'Ñ': 0xa5, 'ü': 0x81, 'Ü': 0x9a,
+  'Á': 0xb5, 'É': 0x90, 'Í': 0xd6, 'Ó': 0xe0, 'Ú': 0xe9, '¿': 0xa8, '¡': 0xad, '°': 0xf8, 'º': 0xa7, 'ª': 0xa6
+};
+
+const productCategories = new WeakMap();
+
+/**
+ * Estaciones de cocina en el orden en que se imprimen
+ * @param {Object} [rulesData] - Reglas (por defecto data/reglas.json)
+ * @returns {Array} [{ id, nombre, categorias }]
+ */
+export function loadKitchenStations(rulesData = rules.loadRules()) {
+  const stations = rulesData.estaciones_cocina || DEFAULT_STATIONS;
+  return Object.entries(stations).map(([id, station]) => ({
+    id,
+    nombre: station.nombre || id,
+    categorias: station.categorias || []
+  }));
+}
+
+/**
+ * Categoría de cada producto del menú (se calcula una vez por menú)
+ * @private
+ */
+function categoryOf(menu, productId) {
+  if (!menu) return null;
+  if (!productCategories.has(menu)) {
+    const index = new Map();
+    for (const categoria of menu.categorias || []) {
+      for (const producto of categoria.productos || []) index.set(producto.id, categoria.id);
+    }
+    productCategories.set(menu, index);
+  }
+  return productCategories.get(menu).get(productId) || null;
+}
+
+/**
+ * Agrupa los items por estación; los productos sin estación van a "Otros" al final
+ * @param {Array} items - Items del pedido guardado ({ id, nombre, cantidad, variante, extras, notas })
+ * @param {Object} options - { menu, stations }
+ * @returns {Array} [{ id, nombre, items }] solo estaciones con items
+ */
+export function groupByStation(items = [], { menu, stations = loadKitchenStations() } = {}) {
+  const groups = new Map([...stations, OTHER_STATION].map(station => [station.id, { id: station.id, nombre: station.nombre, items: [] }]));
+  for (const item of items) {
+    const categoria = categoryOf(menu, item.id);
+    const station = stations.find(s => s.categorias.includes(categoria)) || OTHER_STATION;
+    groups.get(station.id).items.push(item);
+  }
+  return [...groups.values()].filter(group => group.items.length);
+}
+
+/**
+ * Corta un texto en líneas del ancho dado; las líneas siguientes llevan la sangría `indent`
+ * @private
+ */
+function wrap(text, columns, indent = '') {
+  const lines = [];
+  const lead = String(text).match(/^\s*/)[0];
+  let line = '';
+  for (const word of String(text).split(/\s+/).filter(Boolean)) {
+    const candidate = line ? `${line} ${word}` : `${lead}${word}`;
+    if (candidate.length <= columns || !line) {
+      line = candidate;
+    } else {
+      lines.push(line);
+      line = `${indent}${word}`;
+    }
+  }
+  if (line) lines.push(line);
+  return lines.flatMap(l => (l.length > columns ? l.match(new RegExp(`.{1,${columns}}`, 'g')) : [l]));
+}
+
+/**
+ * Hora del local "dd/mm hh:mm"
+ * @private
+ */
+function localTime(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  const p = businessHours.getZonedParts(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${pad(p.day)}/${pad(p.month + 1)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * Líneas del ticket con su estilo
+ * El número de pedido y las estaciones van en letra doble (la mitad de caracteres por línea);
+ * no se imprimen precios.
+ * @param {Object} pedido - Pedido guardado (numero, pedido, tipo_entrega, nombre_cliente, programado_para, notas, createdAt)
+ * @param {Object} options - { width: 58 | 80, menu, stations, now }
+ * @returns {Array} [{ text, big, bold, center }]
+ * @throws {ValidationError} Si el ancho no es 58 u 80 o el pedido no tiene items
+ */
+export function buildTicketLines(pedido, { width = 80, menu, stations = loadKitchenStations(), now = new Date() } = {}) {
+  const columns = PAPER_WIDTHS[width];
+  if (!columns) {
+    throw new ValidationError('El ancho del ticket debe ser 58 u 80 mm', { width });
+  }
+  const items = pedido?.pedido || pedido?.items || [];
+  if (!items.length) {
+    throw new ValidationError('El pedido no tiene items para imprimir', { numero: pedido?.numero || null });
+  }
+
+  const bigColumns = Math.floor(columns / 2);
+  const lines = [];
+  const push = (text, style = {}) => {
+    for (const line of wrap(text, style.big ? bigColumns : columns, style.indent || '')) {
+      lines.push({ text: line, big: !!style.big, bold: !!style.bold, center: !!style.center });
+    }
+  };
+  const rule = () => lines.push({ text: '-'.repeat(columns), big: false, bold: false, center: false });
+
+  push(`N° ${pedido.numero || pedido.id || 'S/N'}`, { big: true, bold: true, center: true });
+  push(pedido.tipo_entrega === 'recojo' ? 'RECOJO EN LOCAL' : 'DELIVERY', { bold: true, center: true });
+  if (pedido.programado_para) {
+    push(`PROGRAMADO: ${schedule.formatScheduledTime(pedido.programado_para, { now }).toUpperCase()}`, { bold: true, center: true });
+  }
+  const hora = localTime(pedido.createdAt);
+  if (hora) push(`Hora: ${hora}`);
+  if (pedido.nombre_cliente) push(`Cliente: ${pedido.nombre_cliente}`);
+
+  let unidades = 0;
+  for (const group of groupByStation(items, { menu, stations })) {
+    rule();
+    push(group.nombre.toUpperCase(), { big: true, bold: true });
+    for (const item of group.items) {
+      const cantidad = Number(item.cantidad || item.quantity || 1);
+      const variante = item.variante || item.variant;
+      unidades += cantidad;
+      push(`${cantidad}x ${item.nombre || item.name || item.id}${variante ? ` (${variante})` : ''}`, { bold: true, indent: '   ' });
+      for (const extra of item.extras || []) push(`   + ${extra}`, { indent: '     ' });
+      const notas = item.notas || (item.notes?.length ? item.notes.join(', ') : null);
+      if (notas) push(`   * ${notas}`, { bold: true, indent: '     ' });
+    }
+  }
+
+  rule();
+  if (pedido.notas) {
+    push('NOTA DEL PEDIDO:', { bold: true });
+    push(pedido.notas, { bold: true });
+    rule();
+  }
+  push(`Unidades: ${unidades}`);
+  return lines;
+}
+
+/**
+ * Vista previa del ticket en texto plano
+ * @param {Object} pedido - Pedido guardado
+ * @param {Object} options - Opciones de buildTicketLines
+ * @returns {string} Texto con el ancho del papel
+ */
+export function renderTicketText(pedido, options = {}) {
+  const columns = PAPER_WIDTHS[options.width || 80];
+  return buildTicketLines(pedido, options)
+    .map(line => {
+      const text = line.center ? line.text.padStart(Math.floor((columns + line.text.length) / 2)) : line.text;
+      return text.trimEnd();
+    })
+    .join('\n') + '\n';
+}
+
+/**
+ * Texto → bytes PC850 (los caracteres que no existen en la impresora, como emojis, se omiten)
+ * @private
+ */
+function encodeText(text) {
+  const bytes = [];
+  for (const char of text) {
+    const code = char.codePointAt(0);
+    if (code >= 0x20 && code < 0x7f) {
+      bytes.push(code);
+    } else if (PC850[char]) {
+      bytes.push(PC850[char]);
+    } else {
+      const base = char.normalize('NFD').charCodeAt(0);
+      if (base >= 0x20 && base < 0x7f) bytes.push(base);
+    }
+  }
+  return bytes;
+}
+
+/**
+ * Ticket en ESC/POS: letra doble para el número y las estaciones, negrita, centrado,
+ * página de códigos PC850 y corte parcial al final
+ * @param {Object} pedido - Pedido guardado
+ * @param {Object} options - Opciones de buildTicketLines
+ * @returns {Buffer} Bytes para enviar a la impresora
+ */
+export function renderTicketEscPos(pedido, options = {}) {
+  const bytes = [...CMD_INIT, ...CMD_CODEPAGE_PC850];
+  for (const line of buildTicketLines(pedido, options)) {
+    bytes.push(ESC, 0x61, line.center ? 1 : 0);
+    bytes.push(ESC, 0x45, line.bold ? 1 : 0);
+    bytes.push(GS, 0x21, line.big ? 0x11 : 0x00);
+    bytes.push(...encodeText(line.text), LF);
+  }
+  bytes.push(ESC, 0x61, 0, ESC, 0x45, 0, GS, 0x21, 0x00, ...CMD_FEED_AND_CUT);
+  return Buffer.from(bytes);
+}
+
+export default {
+  PAPER_WIDTHS,
+  loadKitchenStations,
+  groupByStation,
+  buildTicketLines,
+  renderTicketText,
+  renderTicketEscPos
+};
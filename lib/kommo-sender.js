@@ -3,12 +3,14 @@
  * 
  * Sistema Ultra Inteligente de Envío de Pedidos a Kommo
  * Envía resúmenes de pedidos confirmados al agente humano
- * vía el mismo número del bot de WhatsApp
+ * vía el mismo número del bot de WhatsApp, recordatorios a cocina
+ * de pedidos programados y mensajes proactivos al cliente
  */
 
 import axios from 'axios';
 import { logger, AppError, ValidationError, MetricsCollector, formatMoney } from './utils.js';
 import { CONFIG } from './config.js';
+import { formatScheduledTime } from './schedule.js';
 
 const metrics = new MetricsCollector();
 
@@ -26,11 +28,23 @@ export function formatOrderForAgent(pedido, cliente = {}) {
     });
 
     const lines = [];
+    const isPickup = (pedido.tipoEntrega || pedido.tipo_entrega) === 'recojo';
+    const scheduledLabel = pedido.scheduledFor ? formatScheduledTime(pedido.scheduledFor) : null;
     
     // Header ultra visible
     lines.push('🔔 ═══════════════════════════════');
     lines.push('    ¡NUEVO PEDIDO CONFIRMADO!');
+    if (isPickup) lines.push('    🏪 PARA RECOJO EN LOCAL');
+    if (scheduledLabel) lines.push('    🗓️ PEDIDO PROGRAMADO');
     lines.push('═══════════════════════════════ 🔔\n');
+    if (pedido.numero) lines.push(`🧾 PEDIDO N° ${pedido.numero}\n`);
+
+    // Pedido para más tarde: la hora va antes que todo lo demás
+    if (scheduledLabel) {
+      lines.push(`🗓️ ${isPickup ? 'RECOGE' : 'ENTREGAR'}: ${scheduledLabel.toUpperCase()}`);
+      lines.push('   No preparar todavía: cocina recibirá un recordatorio');
+      lines.push('');
+    }
     
     // Info del cliente
     lines.push('👤 CLIENTE:');
@@ -84,33 +98,53 @@ export function formatOrderForAgent(pedido, cliente = {}) {
     lines.push('💳 PAGO:');
     const metodoPago = pedido.metodoPago || pedido.paymentMethod || 'No especificado';
     lines.push(`   Método: ${metodoPago}`);
+    // Pagos combinados: comprobantes ya verificados y saldo por cobrar
+    const pagosVerificados = (pedido.pagos || []).filter(p => p.verified);
+    const totalPagado = pagosVerificados.reduce((sum, p) => sum + (Number(p.amount) || 0), 0);
+    const porCobrar = Math.max(total - totalPagado, 0);
+    if (pagosVerificados.length > 0) {
+      lines.push(`   Pagos recibidos: ${pagosVerificados.map(p => `${p.method} S/ ${Number(p.amount).toFixed(2)}`).join(' + ')}`);
+    }
     if (pedido.pagoVerificado) {
       lines.push('   ✅ Pago verificado');
     } else if (metodoPago.toLowerCase().includes('efectivo')) {
-      lines.push('   💵 Pago en efectivo al entregar');
+      lines.push(`   💵 Pago en efectivo al ${isPickup ? 'recoger' : 'entregar'}`);
+      if (pagosVerificados.length > 0) {
+        lines.push(`   Saldo a cobrar: S/ ${porCobrar.toFixed(2)}`);
+      }
       if (pedido.pagarCon) {
         lines.push(`   Cliente pagará con: S/ ${pedido.pagarCon}`);
-        const cambio = pedido.pagarCon - total;
+        const cambio = pedido.pagarCon - porCobrar;
         if (cambio > 0) lines.push(`   Cambio: S/ ${cambio.toFixed(2)}`);
       }
     }
     lines.push('');
     
-    // Dirección de entrega
-    lines.push('📍 ENTREGA:');
-    if (pedido.direccion || pedido.address) {
-      lines.push(`   ${pedido.direccion || pedido.address}`);
-      if (pedido.referencia) {
-        lines.push(`   Ref: ${pedido.referencia}`);
-      }
-      if (pedido.coordenadas) {
-        lines.push(`   📌 Coords: ${pedido.coordenadas.lat}, ${pedido.coordenadas.lon}`);
+    // Dirección de entrega (o recojo en local)
+    if (isPickup) {
+      lines.push('🏪 RECOJO EN LOCAL:');
+      lines.push('   El cliente recoge en tienda (sin delivery)');
+      if (pedido.listoParaRecoger) {
+        lines.push(`   ⏰ Listo para recoger: ${pedido.listoParaRecoger}`);
       }
     } else {
-      lines.push('   ⚠️ SIN DIRECCIÓN - Preguntar al cliente');
+      lines.push('📍 ENTREGA:');
+      if (pedido.direccion || pedido.address) {
+        lines.push(`   ${pedido.direccion || pedido.address}`);
+        if (pedido.referencia) {
+          lines.push(`   Ref: ${pedido.referencia}`);
+        }
+        if (pedido.coordenadas) {
+          lines.push(`   📌 Coords: ${pedido.coordenadas.lat}, ${pedido.coordenadas.lon}`);
+        }
+      } else {
+        lines.push('   ⚠️ SIN DIRECCIÓN - Preguntar al cliente');
+      }
     }
     
-    if (pedido.tiempoEstimado) {
+    if (scheduledLabel) {
+      lines.push(`   🗓️ Hora solicitada: ${scheduledLabel}`);
+    } else if (pedido.tiempoEstimado) {
       lines.push(`   ⏰ Tiempo estimado: ${pedido.tiempoEstimado} min`);
     }
     lines.push('');
@@ -132,7 +166,7 @@ export function formatOrderForAgent(pedido, cliente = {}) {
     
     // Footer
     lines.push('\n═══════════════════════════════');
-    lines.push('  Procesar este pedido AHORA');
+    lines.push(scheduledLabel ? `  Preparar para ${scheduledLabel}` : '  Procesar este pedido AHORA');
     lines.push('═══════════════════════════════');
     
     const formattedMessage = lines.join('\n');
@@ -295,6 +329,98 @@ export async function sendOrderToAgent(pedido, cliente = {}) {
   }
 }
 
+/**
+ * Envía a cocina el recordatorio de un pedido programado
+ * Usa el mismo canal que sendOrderToAgent (webhook del agente o registro para revisión).
+ * @param {Object} pedido - Pedido (items, scheduledFor, tipoEntrega)
+ * @param {Object} cliente - Datos del cliente
+ * @returns {Promise<Object>} { ok, sent, method }
+ */
+export async function sendKitchenReminder(pedido, cliente = {}) {
+  const scheduledLabel = pedido?.scheduledFor ? formatScheduledTime(pedido.scheduledFor) : 'pronto';
+  const isPickup = (pedido?.tipoEntrega || pedido?.tipo_entrega) === 'recojo';
+  const message = [
+    '⏰ RECORDATORIO PARA COCINA',
+    `Pedido${pedido?.numero ? ` ${pedido.numero}` : ''} programado ${isPickup ? 'para recoger' : 'para entregar'} ${scheduledLabel}`,
+    `Cliente: ${cliente.nombre || 'Cliente'} (${cliente.telefono || 'N/A'})`,
+    ...(pedido?.items || []).map(item => `• ${item.cantidad || item.quantity || 1}x ${item.nombre || item.name || 'Item'}${item.tamano ? ` (${item.tamano})` : ''}`),
+    'Comenzar la preparación ahora'
+  ].join('\n');
+
+  if (CONFIG.KOMMO_AGENT_WEBHOOK) {
+    try {
+      await axios.post(
+        CONFIG.KOMMO_AGENT_WEBHOOK,
+        {
+          to: CONFIG.KOMMO_PHONE_NUMBER,
+          from: cliente.telefono,
+          message,
+          type: 'kitchen_reminder',
+          order: pedido,
+          client: cliente,
+          timestamp: new Date().toISOString()
+        },
+        { timeout: 10000, headers: { 'Content-Type': 'application/json', 'User-Agent': 'DYPSI-Middleware/2.0' } }
+      );
+      logger.info('KITCHEN_REMINDER_SENT', { clientPhone: cliente.telefono, scheduledFor: pedido?.scheduledFor });
+      metrics.record('kitchen_reminder', 1, { method: 'webhook' });
+      return { ok: true, sent: true, method: 'webhook' };
+    } catch (error) {
+      logger.error('KITCHEN_REMINDER_WEBHOOK_FAILED', { error: error.message, willFallback: true });
+    }
+  }
+
+  // Sin webhook: queda en el log para revisión del agente
+  logger.info('KITCHEN_REMINDER_SAVED_FOR_REVIEW', { clientPhone: cliente.telefono, message });
+  metrics.record('kitchen_reminder', 1, { method: 'log' });
+  return { ok: true, sent: false, method: 'log', formattedMessage: message };
+}
+
+/**
+ * Envía un mensaje proactivo al cliente (seguimientos, avisos de estado)
+ * Kommo lo entrega desde el número del bot; WhatsApp solo permite texto libre
+ * dentro de las 24 h desde el último mensaje del cliente (lo valida quien llama).
+ * @param {string} telefono - Teléfono del cliente
+ * @param {string} message - Texto a enviar
+ * @param {Object} options - { type, data }
+ * @returns {Promise<Object>} { ok, sent, method }
+ * @throws {ValidationError} Si falta el teléfono o el texto
+ */
+export async function sendCustomerMessage(telefono, message, { type = 'customer_message', data = {} } = {}) {
+  if (!telefono || !message) {
+    throw new ValidationError('Teléfono y mensaje requeridos', { telefono, type });
+  }
+
+  if (CONFIG.KOMMO_AGENT_WEBHOOK) {
+    try {
+      await axios.post(
+        CONFIG.KOMMO_AGENT_WEBHOOK,
+        {
+          to: String(telefono),
+          from: CONFIG.KOMMO_PHONE_NUMBER,
+          message,
+          type,
+          data,
+          timestamp: new Date().toISOString()
+        },
+        { timeout: 10000, headers: { 'Content-Type': 'application/json', 'User-Agent': 'DYPSI-Middleware/2.0' } }
+      );
+      logger.info('CUSTOMER_MESSAGE_SENT', { telefono, type });
+      metrics.record('customer_message', 1, { type, method: 'webhook' });
+      return { ok: true, sent: true, method: 'webhook' };
+    } catch (error) {
+      logger.error('CUSTOMER_MESSAGE_WEBHOOK_FAILED', { telefono, type, error: error.message });
+      metrics.record('customer_message', 1, { type, method: 'failed' });
+      return { ok: false, sent: false, method: 'webhook' };
+    }
+  }
+
+  // Sin webhook: queda en el log para que un agente lo envíe
+  logger.info('CUSTOMER_MESSAGE_SAVED_FOR_REVIEW', { telefono, type, message });
+  metrics.record('customer_message', 1, { type, method: 'log' });
+  return { ok: true, sent: false, method: 'log' };
+}
+
 /**
  * Crea un resumen corto del pedido para notificaciones rápidas
  * @param {Object} pedido 
@@ -310,7 +436,9 @@ export function createOrderShortSummary(pedido) {
     const more = items.length > 3 ? ` +${items.length - 3} más` : '';
     const total = pedido.total || 0;
     
-    return `🔔 Pedido S/${total.toFixed(2)}: ${itemsText}${more}`;
+    const pickup = (pedido.tipoEntrega || pedido.tipo_entrega) === 'recojo' ? ' (recojo)' : '';
+    
+    return `🔔 Pedido${pickup} S/${total.toFixed(2)}: ${itemsText}${more}`;
     
   } catch (error) {
     logger.error('SHORT_SUMMARY_ERROR', error);
@@ -346,7 +474,8 @@ export function validateOrderForAgent(pedido) {
   // Warnings (no críticos)
   const warnings = [];
   
-  if (!pedido.direccion && !pedido.address) {
+  const isPickup = (pedido.tipoEntrega || pedido.tipo_entrega) === 'recojo';
+  if (!isPickup && !pedido.direccion && !pedido.address) {
     warnings.push('Sin dirección de entrega');
   }
   
@@ -372,6 +501,8 @@ export function validateOrderForAgent(pedido) {
 
 export default {
   sendOrderToAgent,
+  sendKitchenReminder,
+  sendCustomerMessage,
   formatOrderForAgent,
   createOrderShortSummary,
   validateOrderForAgent
@@ -0,0 +1,527 @@
+/**
+ * lib/menu-admin.js
+ *
+ * Administración del menú con historial de versiones
+ * - ENTITY_TYPES - Qué se puede editar: categoría, producto, variante o modificador
+ * - CHANGE_ACTIONS - crear, actualizar o eliminar
+ * - validateMenu(menu) - Errores contra data/menu.schema.json e ids repetidos ([] si es válido)
+ * - applyChange(menu, change) - Menú con un cambio aplicado (no modifica el recibido)
+ * - diffMenus(before, after) - Categorías y productos agregados, eliminados o modificados
+ * - getActiveMenu(options) - Versión activa del menú (la versión 0 es data/menu.json)
+ * - listVersions(options) - Historial, de la versión más reciente a la más antigua
+ * - getVersion(version) - Una versión con su menú completo
+ * - updateMenu(change, options) - Aplicar un cambio y activarlo como versión nueva
+ * - restoreVersion(version, options) - Volver a una versión anterior (se guarda como versión nueva)
+ *
+ * Cada versión guarda el menú completo en menu_versiones/{n} y contadores/menu lleva
+ * { ultima, activa } (Firestore o memoria). Cada instancia relee la versión activa cada
+ * MENU_REFRESH_MS, así que el bot toma los cambios sin redeploy.
+ */
+
+import fs from 'fs';
+import admin from 'firebase-admin';
+import Ajv from 'ajv';
+import addFormats from 'ajv-formats';
+import { logger, AppError, ValidationError, NotFoundError, MetricsCollector, sanitizeInput } from './utils.js';
+import { CONFIG } from './config.js';
+import inventory from './inventory.js';
+
+const VERSIONS_COLLECTION = 'menu_versiones';
+const COUNTERS_COLLECTION = 'contadores';
+const POINTER_DOC = 'menu';
+const MAX_ERRORS = 20;
+const DEFAULT_HISTORY_LIMIT = 20;
+const MAX_HISTORY_LIMIT = 100;
+
+export const ENTITY_TYPES = {
+  CATEGORY: 'categoria',
+  PRODUCT: 'producto',
+  VARIANT: 'variante',
+  MODIFIER: 'modificador'
+};
+
+export const CHANGE_ACTIONS = {
+  CREATE: 'crear',
+  UPDATE: 'actualizar',
+  DELETE: 'eliminar'
+};
+
+const memoryVersions = new Map();
+const memoryPointer = { ultima: 0, activa: 0 };
+let staticMenu = null;
+let schema = null;
+let schemaValidator = null;
+let activeCache = null;
+
+const metrics = new MetricsCollector();
+
+/**
+ * Firestore si Firebase ya fue inicializado (se consulta en cada llamada)
+ * @private
+ */
+function getDb() {
+  return admin.apps.length ? admin.firestore() : null;
+}
+
+/**
+ * @private
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * data/menu.json, la versión 0 (se lee una vez)
+ * @private
+ */
+function loadStaticMenu() {
+  if (!staticMenu) {
+    try {
+      staticMenu = JSON.parse(fs.readFileSync(new URL('../data/menu.json', import.meta.url), 'utf8'));
+    } catch (error) {
+      logger.warn('MENU_STATIC_READ_FAILED', { error: error.message });
+      staticMenu = { categorias: [] };
+    }
+  }
+  return staticMenu;
+}
+
+/**
+ * data/menu.schema.json compilado con ajv (se compila una vez)
+ * @private
+ */
+function getSchema() {
+  if (!schemaValidator) {
+    schema = JSON.parse(fs.readFileSync(new URL('../data/menu.schema.json', import.meta.url), 'utf8'));
+    const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+    addFormats(ajv);
+    schemaValidator = ajv.compile(schema);
+  }
+  return { schema, validate: schemaValidator };
+}
+
+/**
+ * Campos editables de una categoría o un producto según el esquema (el id no se cambia)
+ * @private
+ */
+function editableFields(tipo) {
+  const categoria = getSchema().schema.properties.categorias.items;
+  const props = tipo === ENTITY_TYPES.CATEGORY ? categoria.properties : categoria.properties.productos.items.properties;
+  return Object.keys(props).filter(field => field !== 'id' && field !== 'productos');
+}
+
+/**
+ * Errores del esquema e ids repetidos
+ * Los productos se buscan por id en todo el menú, así que su id no se puede repetir entre categorías.
+ * @param {Object} menu - Menú { meta, categorias, reglas }
+ * @returns {Array} [{ ruta, mensaje }] vacío si el menú es válido
+ */
+export function validateMenu(menu) {
+  const { validate } = getSchema();
+  const errors = validate(menu)
+    ? []
+    : validate.errors.map(e => ({ ruta: e.instancePath || '/', mensaje: e.message }));
+
+  const seenCategories = new Set();
+  const seenProducts = new Map();
+  (menu?.categorias || []).forEach((categoria, c) => {
+    if (seenCategories.has(categoria?.id)) {
+      errors.push({ ruta: `/categorias/${c}/id`, mensaje: `la categoría ${categoria.id} está repetida` });
+    }
+    seenCategories.add(categoria?.id);
+    (categoria?.productos || []).forEach((producto, p) => {
+      const ruta = `/categorias/${c}/productos/${p}`;
+      if (seenProducts.has(producto?.id)) {
+        errors.push({ ruta: `${ruta}/id`, mensaje: `el producto ${producto.id} ya está en ${seenProducts.get(producto.id)}` });
+      }
+      seenProducts.set(producto?.id, categoria?.id);
+      const modifiers = (producto?.modificadores || []).map(m => m?.id);
+      modifiers.forEach((id, m) => {
+        if (modifiers.indexOf(id) !== m) errors.push({ ruta: `${ruta}/modificadores/${m}/id`, mensaje: `el modificador ${id} está repetido` });
+      });
+    });
+  });
+  return errors;
+}
+
+/**
+ * Categoría y producto de un menú (copiado) por id
+ * @private
+ */
+function locate(menu, productId) {
+  for (const categoria of menu.categorias) {
+    const index = (categoria.productos || []).findIndex(p => p.id === productId);
+    if (index >= 0) return { categoria, index, producto: categoria.productos[index] };
+  }
+  throw new NotFoundError(`Producto ${productId} no encontrado en el menú`);
+}
+
+/**
+ * Solo los campos que el esquema define para ese tipo
+ * @private
+ */
+function pickFields(tipo, datos = {}) {
+  const allowed = editableFields(tipo);
+  const unknown = Object.keys(datos).filter(field => field !== 'id' && !allowed.includes(field));
+  if (unknown.length) {
+    throw new ValidationError(`Campos no permitidos en ${tipo}: ${unknown.join(', ')}`, { campos: unknown });
+  }
+  return Object.fromEntries(Object.entries(datos).filter(([field]) => field !== 'id'));
+}
+
+/**
+ * Aplica un cambio sobre una copia del menú
+ * Variantes: { precio } dentro de producto.variantes; modificadores: { nombre, precio } en producto.modificadores.
+ * @param {Object} menu - Menú base
+ * @param {Object} change - { accion: 'crear'|'actualizar'|'eliminar', tipo, id, categoria, producto, datos }
+ *   categoria: destino al crear un producto (o al moverlo al actualizar); producto: dueño de la variante o el modificador
+ * @returns {Object} Menú nuevo
+ * @throws {ValidationError} Si el cambio está incompleto o el id ya existe
+ * @throws {NotFoundError} Si la categoría, el producto, la variante o el modificador no existen
+ */
+export function applyChange(menu, { accion, tipo, id, categoria = null, producto = null, datos = {} } = {}) {
+  if (!Object.values(CHANGE_ACTIONS).includes(accion)) {
+    throw new ValidationError('accion debe ser "crear", "actualizar" o "eliminar"', { accion });
+  }
+  if (!Object.values(ENTITY_TYPES).includes(tipo)) {
+    throw new ValidationError('tipo debe ser "categoria", "producto", "variante" o "modificador"', { tipo });
+  }
+  if (!id || typeof id !== 'string') {
+    throw new ValidationError('id es requerido', { id });
+  }
+  if (datos === null || typeof datos !== 'object' || Array.isArray(datos)) {
+    throw new ValidationError('datos debe ser un objeto', { datos });
+  }
+
+  const next = clone(menu);
+  next.categorias = next.categorias || [];
+  const findCategory = (categoryId) => {
+    const found = next.categorias.find(c => c.id === categoryId);
+    if (!found) throw new NotFoundError(`Categoría ${categoryId} no encontrada en el menú`);
+    return found;
+  };
+
+  if (tipo === ENTITY_TYPES.CATEGORY) {
+    if (accion === CHANGE_ACTIONS.CREATE) {
+      if (next.categorias.some(c => c.id === id)) throw new ValidationError(`La categoría ${id} ya existe`, { id });
+      next.categorias.push({ id, ...pickFields(tipo, datos), productos: [] });
+    } else if (accion === CHANGE_ACTIONS.UPDATE) {
+      Object.assign(findCategory(id), pickFields(tipo, datos));
+    } else {
+      const target = findCategory(id);
+      if (target.productos?.length) {
+        throw new ValidationError(`La categoría ${id} tiene ${target.productos.length} productos: muévelos o elimínalos primero`, { id });
+      }
+      next.categorias = next.categorias.filter(c => c.id !== id);
+    }
+    return next;
+  }
+
+  if (tipo === ENTITY_TYPES.PRODUCT) {
+    if (accion === CHANGE_ACTIONS.CREATE) {
+      if (!categoria) throw new ValidationError('categoria es requerida para crear un producto', { id });
+      if (next.categorias.some(c => (c.productos || []).some(p => p.id === id))) {
+        throw new ValidationError(`El producto ${id} ya existe`, { id });
+      }
+      const target = findCategory(categoria);
+      target.productos = [...(target.productos || []), { id, ...pickFields(tipo, datos) }];
+    } else if (accion === CHANGE_ACTIONS.UPDATE) {
+      const found = locate(next, id);
+      Object.assign(found.producto, pickFields(tipo, datos));
+      if (categoria && categoria !== found.categoria.id) {
+        const target = findCategory(categoria);
+        found.categoria.productos.splice(found.index, 1);
+        target.productos = [...(target.productos || []), found.producto];
+      }
+    } else {
+      const found = locate(next, id);
+      found.categoria.productos.splice(found.index, 1);
+    }
+    return next;
+  }
+
+  if (!producto) throw new ValidationError(`producto es requerido para editar un ${tipo}`, { id });
+  const owner = locate(next, producto).producto;
+
+  if (tipo === ENTITY_TYPES.VARIANT) {
+    const variantes = owner.variantes && typeof owner.variantes === 'object' ? owner.variantes : {};
+    const exists = Object.prototype.hasOwnProperty.call(variantes, id);
+    if (accion === CHANGE_ACTIONS.CREATE && exists) throw new ValidationError(`La variante ${id} ya existe en ${producto}`, { id });
+    if (accion !== CHANGE_ACTIONS.CREATE && !exists) throw new NotFoundError(`Variante ${id} no encontrada en ${producto}`);
+    if (accion === CHANGE_ACTIONS.DELETE) {
+      delete variantes[id];
+    } else {
+      variantes[id] = datos.precio;
+    }
+    owner.variantes = Object.keys(variantes).length ? variantes : null;
+    return next;
+  }
+
+  const modificadores = owner.modificadores || [];
+  const index = modificadores.findIndex(m => m.id === id);
+  if (accion === CHANGE_ACTIONS.CREATE && index >= 0) throw new ValidationError(`El modificador ${id} ya existe en ${producto}`, { id });
+  if (accion !== CHANGE_ACTIONS.CREATE && index < 0) throw new NotFoundError(`Modificador ${id} no encontrado en ${producto}`);
+  const { nombre, precio } = datos;
+  const campos = Object.fromEntries(Object.entries({ nombre, precio }).filter(([, value]) => value !== undefined));
+  if (accion === CHANGE_ACTIONS.CREATE) modificadores.push({ id, ...campos });
+  else if (accion === CHANGE_ACTIONS.UPDATE) Object.assign(modificadores[index], campos);
+  else modificadores.splice(index, 1);
+  owner.modificadores = modificadores;
+  return next;
+}
+
+/**
+ * Diferencias entre dos menús
+ * Las variantes y los modificadores aparecen como campos modificados del producto.
+ * @param {Object} before - Menú anterior
+ * @param {Object} after - Menú nuevo
+ * @returns {Array} [{ tipo: 'categoria'|'producto', id, cambio: 'agregado'|'eliminado'|'modificado', campos }]
+ *   campos: { campo: { antes, despues } } en los modificados
+ */
+export function diffMenus(before, after) {
+  const index = (menu) => {
+    const categories = new Map();
+    const products = new Map();
+    for (const categoria of menu?.categorias || []) {
+      const { productos, ...rest } = categoria;
+      categories.set(categoria.id, rest);
+      for (const producto of productos || []) products.set(producto.id, { ...producto, categoria: categoria.id });
+    }
+    return { [ENTITY_TYPES.CATEGORY]: categories, [ENTITY_TYPES.PRODUCT]: products };
+  };
+  const a = index(before);
+  const b = index(after);
+
+  const changes = [];
+  for (const tipo of [ENTITY_TYPES.CATEGORY, ENTITY_TYPES.PRODUCT]) {
+    for (const [id, antes] of a[tipo]) {
+      const despues = b[tipo].get(id);
+      if (!despues) {
+        changes.push({ tipo, id, cambio: 'eliminado' });
+        continue;
+      }
+      const campos = {};
+      for (const field of new Set([...Object.keys(antes), ...Object.keys(despues)])) {
+        if (JSON.stringify(antes[field]) !== JSON.stringify(despues[field])) {
+          campos[field] = { antes: antes[field] ?? null, despues: despues[field] ?? null };
+        }
+      }
+      if (Object.keys(campos).length) changes.push({ tipo, id, cambio: 'modificado', campos });
+    }
+    for (const id of b[tipo].keys()) {
+      if (!a[tipo].has(id)) changes.push({ tipo, id, cambio: 'agregado' });
+    }
+  }
+  return changes;
+}
+
+/**
+ * @private
+ */
+async function readPointer(db) {
+  if (!db) return { ...memoryPointer };
+  const snap = await db.collection(COUNTERS_COLLECTION).doc(POINTER_DOC).get();
+  return snap.exists ? { ultima: Number(snap.data().ultima) || 0, activa: Number(snap.data().activa) || 0 } : { ultima: 0, activa: 0 };
+}
+
+/**
+ * Versión guardada (null si no existe); la 0 es data/menu.json
+ * @private
+ */
+async function readVersion(db, version) {
+  if (version === 0) return { version: 0, menu: loadStaticMenu(), cambio: null, agente: null, createdAt: null };
+  if (!db) return memoryVersions.get(version) || null;
+  const snap = await db.collection(VERSIONS_COLLECTION).doc(String(version)).get();
+  if (!snap.exists) return null;
+  const data = snap.data();
+  return { ...data, createdAt: data.createdAt?.toDate ? data.createdAt.toDate().toISOString() : data.createdAt };
+}
+
+/**
+ * Versión activa del menú
+ * Se cachea MENU_REFRESH_MS por instancia; si falla la lectura se sigue con la última conocida
+ * (o con data/menu.json) para que el bot siga atendiendo.
+ * @param {Object} options - { force } true para releer sin esperar el refresco
+ * @returns {Promise<Object>} { version, menu }
+ */
+export async function getActiveMenu({ force = false } = {}) {
+  if (!force && activeCache && Date.now() - activeCache.checkedAt < CONFIG.MENU_REFRESH_MS) {
+    return { version: activeCache.version, menu: activeCache.menu };
+  }
+  try {
+    const db = getDb();
+    const { activa } = await readPointer(db);
+    if (activeCache?.version !== activa) {
+      const record = await readVersion(db, activa);
+      if (!record) throw new Error(`versión ${activa} no encontrada`);
+      activeCache = { version: activa, menu: record.menu };
+      logger.info('MENU_VERSION_LOADED', { version: activa });
+    }
+    activeCache.checkedAt = Date.now();
+  } catch (error) {
+    logger.warn('MENU_ACTIVE_READ_FAILED', { error: error.message, version: activeCache?.version ?? 0 });
+    activeCache = { version: 0, menu: loadStaticMenu(), ...activeCache, checkedAt: Date.now() };
+  }
+  return { version: activeCache.version, menu: activeCache.menu };
+}
+
+/**
+ * Historial de versiones (sin el menú completo)
+ * @param {Object} options - { limite }
+ * @returns {Promise<Object>} { activa, versiones: [{ version, cambio, agente, createdAt }] }
+ * @throws {AppError} Si falla Firestore
+ */
+export async function listVersions({ limite = DEFAULT_HISTORY_LIMIT } = {}) {
+  const limit = Math.min(Math.max(parseInt(limite, 10) || DEFAULT_HISTORY_LIMIT, 1), MAX_HISTORY_LIMIT);
+  try {
+    const db = getDb();
+    const { activa } = await readPointer(db);
+    const records = db
+      ? (await db.collection(VERSIONS_COLLECTION).orderBy('version', 'desc').limit(limit)
+        .select('version', 'cambio', 'agente', 'createdAt').get()).docs.map(doc => doc.data())
+      : [...memoryVersions.values()].sort((x, y) => y.version - x.version).slice(0, limit);
+    const versiones = records.map(({ version, cambio, agente, createdAt }) => ({
+      version,
+      cambio,
+      agente,
+      createdAt: createdAt?.toDate ? createdAt.toDate().toISOString() : createdAt
+    }));
+    return { activa, versiones };
+  } catch (error) {
+    logger.error('MENU_HISTORY_FAILED', { error: error.message });
+    throw new AppError('Error al leer el historial del menú', 500, 'MENU_HISTORY_FAILED');
+  }
+}
+
+/**
+ * Una versión con su menú completo (0 = data/menu.json)
+ * @param {number|string} version - Número de versión
+ * @returns {Promise<Object>} { version, menu, cambio, agente, createdAt }
+ * @throws {ValidationError} Si el número no es válido
+ * @throws {NotFoundError} Si la versión no existe
+ * @throws {AppError} Si falla Firestore
+ */
+export async function getVersion(version) {
+  const n = Number(version);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new ValidationError('version debe ser un entero mayor o igual a 0', { version });
+  }
+  let record;
+  try {
+    record = await readVersion(getDb(), n);
+  } catch (error) {
+    logger.error('MENU_VERSION_READ_FAILED', { version: n, error: error.message });
+    throw new AppError('Error al leer la versión del menú', 500, 'MENU_VERSION_READ_FAILED');
+  }
+  if (!record) throw new NotFoundError(`Versión ${n} del menú no encontrada`);
+  return record;
+}
+
+/**
+ * Guarda como versión nueva (y activa) el menú que `build(base)` arma sobre la versión activa
+ * El número sale de una transacción sobre contadores/menu para que dos cambios a la vez no se pisen.
+ * @private
+ */
+async function saveVersion(build, cambio, agente) {
+  const createdAt = new Date();
+  const record = (base, version) => {
+    const menu = build(base.menu);
+    const errores = validateMenu(menu);
+    if (errores.length) {
+      const error = new ValidationError('El menú no cumple el esquema', { errores: errores.slice(0, MAX_ERRORS) });
+      error.exposeDetails = true; // quien edita necesita saber qué corregir
+      throw error;
+    }
+    menu.meta = { ...menu.meta, revision: version };
+    return {
+      saved: { version, menu, cambio, agente, base: base.version },
+      diferencias: diffMenus(base.menu, menu)
+    };
+  };
+
+  const db = getDb();
+  let result;
+  if (!db) {
+    result = record(await readVersion(null, memoryPointer.activa), memoryPointer.ultima + 1);
+    memoryVersions.set(result.saved.version, { ...result.saved, createdAt: createdAt.toISOString() });
+    memoryPointer.ultima = memoryPointer.activa = result.saved.version;
+  } else {
+    try {
+      result = await db.runTransaction(async (tx) => {
+        const pointerRef = db.collection(COUNTERS_COLLECTION).doc(POINTER_DOC);
+        const snap = await tx.get(pointerRef);
+        const ultima = snap.exists ? Number(snap.data().ultima) || 0 : 0;
+        const activa = snap.exists ? Number(snap.data().activa) || 0 : 0;
+        const base = activa
+          ? { version: activa, ...(await tx.get(db.collection(VERSIONS_COLLECTION).doc(String(activa)))).data() }
+          : { version: 0, menu: loadStaticMenu() };
+        const out = record(base, ultima + 1);
+        const timestamp = admin.firestore.Timestamp.fromDate(createdAt);
+        tx.set(db.collection(VERSIONS_COLLECTION).doc(String(out.saved.version)), { ...out.saved, createdAt: timestamp });
+        tx.set(pointerRef, { ultima: out.saved.version, activa: out.saved.version, updatedAt: timestamp }, { merge: true });
+        return out;
+      });
+    } catch (error) {
+      if (error instanceof AppError) throw error;
+      logger.error('MENU_SAVE_FAILED', { cambio, error: error.message });
+      throw new AppError('Error al guardar la versión del menú', 500, 'MENU_SAVE_FAILED');
+    }
+  }
+
+  activeCache = { version: result.saved.version, menu: result.saved.menu, checkedAt: Date.now() };
+  logger.info('MENU_VERSION_SAVED', { version: result.saved.version, ...cambio, agente, diferencias: result.diferencias.length });
+  metrics.record('menu.version', 1, { accion: cambio.accion, tipo: cambio.tipo || null });
+  return { version: result.saved.version, cambio, agente, diferencias: result.diferencias };
+}
+
+/**
+ * Aplica un cambio a la versión activa y lo activa como versión nueva
+ * Si cambia el stock de un producto también se corrige el inventario (lib/inventory.js).
+ * @param {Object} change - Ver applyChange
+ * @param {Object} options - { agente }
+ * @returns {Promise<Object>} { version, cambio, agente, diferencias }
+ * @throws {ValidationError} Si el cambio es inválido o el menú resultante no cumple el esquema
+ * @throws {NotFoundError} Si lo que se edita no existe
+ * @throws {AppError} Si falla Firestore
+ */
+export async function updateMenu(change = {}, { agente = null } = {}) {
+  const { accion, tipo, id, categoria = null, producto = null } = change;
+  const cambio = { accion, tipo, id, categoria, producto };
+  const result = await saveVersion(menu => applyChange(menu, change), cambio, agente ? sanitizeInput(String(agente), 100) : null);
+
+  if (tipo === ENTITY_TYPES.PRODUCT && accion !== CHANGE_ACTIONS.DELETE && change.datos?.stock != null) {
+    try {
+      await inventory.setStock(id, change.datos.stock);
+    } catch (error) {
+      logger.warn('MENU_STOCK_NOT_SYNCED', { id, stock: change.datos.stock, error: error.message });
+    }
+  }
+  return result;
+}
+
+/**
+ * Vuelve a una versión anterior: su menú se guarda como versión nueva, así el historial no se pierde
+ * @param {number|string} version - Versión a restaurar (0 = data/menu.json)
+ * @param {Object} options - { agente }
+ * @returns {Promise<Object>} { version, cambio, agente, diferencias }
+ * @throws {ValidationError} Si la versión no cumple el esquema actual
+ * @throws {NotFoundError} Si la versión no existe
+ * @throws {AppError} Si falla Firestore
+ */
+export async function restoreVersion(version, { agente = null } = {}) {
+  const target = await getVersion(version);
+  return saveVersion(() => clone(target.menu), { accion: 'restaurar', version: target.version }, agente ? sanitizeInput(String(agente), 100) : null);
+}
+
+export default {
+  ENTITY_TYPES,
+  CHANGE_ACTIONS,
+  validateMenu,
+  applyChange,
+  diffMenus,
+  getActiveMenu,
+  listVersions,
+  getVersion,
+  updateMenu,
+  restoreVersion
+};
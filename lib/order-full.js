@@ -1,10 +1,10 @@
 import axios from "axios";
-import fs from "fs/promises";
-import path from "path";
 import { parseOrderText } from "./parse-order.js";
 import { calculateRoute } from "./route-price.js";
 import { readImage } from "./ocr.js";
 import { CONFIG } from "./config.js";
+import menuAdmin from "./menu-admin.js";
+import promotions from "./promotions.js";
 import {
   logger,
   AppError,
@@ -23,11 +23,11 @@ import {
  *
  * Robust order parsing and pricing endpoint for Vercel middleware (DYPSI).
  * - Tries to fetch WhatsApp Business catalog (Graph API) with retries and timeout.
- * - Falls back to local menu.json if WhatsApp fails or is not configured.
+ * - Falls back to the local menu (active version from lib/menu-admin.js) if WhatsApp fails or is not configured.
  * - Accepts text message or imageUrl (OCR) to extract order text.
  * - Parses order items using parseOrderText (user-provided parser).
  * - Calculates route/delivery price using calculateRoute (user-provided).
- * - Applies basic promo/combo rules and returns detailed breakdown.
+ * - Applies the menu's promo/combo rules (lib/promotions.js) and returns detailed breakdown.
  * - Returns structured JSON with items, delivery, subtotal, discounts, total, currency and warnings.
  *
  * @module order-full
@@ -38,7 +38,7 @@ import {
  * @property {Object|string} [origin] - Origin location as {lat, lon} or address string
  * @property {Object|string} [destination] - Destination location as {lat, lon} or address string
  * @property {string} [imageUrl] - Optional image URL for OCR processing
- * @property {boolean} [forceLocalCatalog] - Force use of local menu.json
+ * @property {boolean} [forceLocalCatalog] - Force use of the local menu
  * 
  * @example
  * POST /api/order-full
@@ -53,14 +53,13 @@ import {
  * - WHATSAPP_TOKEN (optional)
  *
  * Deploy notes:
- * - Place menu.json at project root for local fallback.
+ * - The local fallback is data/menu.json or the version activated through /api/menu.
  * - parse-order.js and route-price.js must export the expected functions.
  */
 
 /* ---------- Config ---------- */
 const WHATSAPP_API_TIMEOUT = 8000;
 const WHATSAPP_MAX_RETRIES = 2;
-const LOCAL_MENU_PATH = CONFIG.MENU_DATA_PATH || path.resolve(process.cwd(), "menu.json");
 const AXIOS_TIMEOUT = 8000;
 
 /* ---------- Rate Limiter for WhatsApp API ---------- */
@@ -215,65 +214,36 @@ async function fetchWhatsAppCatalog() {
 }
 
 /**
- * Read local menu.json file with retry logic
+ * Read the local menu: the active version from lib/menu-admin.js (data/menu.json until it is edited)
  * @returns {Promise<Object>} Menu object with source and products
- * @throws {AppError} If local menu read fails
+ * @throws {AppError} If the local menu cannot be read
  */
 async function readLocalMenu() {
-  logger.debug('Reading local menu from:', LOCAL_MENU_PATH);
-  
   try {
-    const result = await retryAsync(
-      async () => {
-        const content = await fs.readFile(LOCAL_MENU_PATH, "utf8");
-        
-        if (!content || content.trim().length === 0) {
-          throw new AppError('Local menu file is empty', 500, 'MENU_EMPTY');
-        }
-        
-        const parsed = JSON.parse(content);
-        
-        // Validate parsed structure
-        if (!parsed) {
-          throw new AppError('Local menu file has invalid JSON', 500, 'MENU_INVALID');
-        }
-        
-        logger.info('Local menu loaded successfully');
-        
-        // If menu.json uses categorias -> flatten to products
-        if (parsed && Array.isArray(parsed.categorias)) {
-          const products = [];
-          for (const cat of parsed.categorias) {
-            if (Array.isArray(cat.productos)) {
-              for (const p of cat.productos) {
-                products.push({ ...p, categoria: cat.id || cat.nombre || null });
-              }
-            }
+    const { version, menu: parsed } = await menuAdmin.getActiveMenu();
+    logger.info('Local menu loaded successfully', { version });
+
+    // If the menu uses categorias -> flatten to products
+    if (parsed && Array.isArray(parsed.categorias)) {
+      const products = [];
+      for (const cat of parsed.categorias) {
+        if (Array.isArray(cat.productos)) {
+          for (const p of cat.productos) {
+            products.push({ ...p, categoria: cat.id || cat.nombre || null });
           }
-          metrics.record('catalog_fetch', 1, { source: 'local', result: 'success' });
-          return { source: "local", products, raw: parsed };
-        }
-        // If parsed is array of products
-        if (Array.isArray(parsed)) {
-          metrics.record('catalog_fetch', 1, { source: 'local', result: 'success' });
-          return { source: "local", products: parsed, raw: parsed };
-        }
-        // Otherwise wrap object
-        metrics.record('catalog_fetch', 1, { source: 'local', result: 'success' });
-        return { source: "local", products: [parsed], raw: parsed };
-      },
-      {
-        maxRetries: 2,
-        initialDelayMs: 100,
-        maxDelayMs: 500,
-        shouldRetry: (err) => {
-          // Retry on file system errors but not on JSON parse errors
-          return err.code === 'ENOENT' || err.code === 'EACCES' || err.code === 'EMFILE';
         }
       }
-    );
-    
-    return result;
+      metrics.record('catalog_fetch', 1, { source: 'local', result: 'success' });
+      return { source: "local", products, raw: parsed };
+    }
+    // If parsed is array of products
+    if (Array.isArray(parsed)) {
+      metrics.record('catalog_fetch', 1, { source: 'local', result: 'success' });
+      return { source: "local", products: parsed, raw: parsed };
+    }
+    // Otherwise wrap object
+    metrics.record('catalog_fetch', 1, { source: 'local', result: 'success' });
+    return { source: "local", products: [parsed], raw: parsed };
   } catch (err) {
     logger.error('Local menu read failed:', err.message);
     metrics.record('catalog_fetch', 1, { source: 'local', result: 'failed' });
@@ -283,13 +253,13 @@ async function readLocalMenu() {
 
 /**
  * Apply promotional rules and calculate pricing
+ * Combos and day promos come from the menu's reglas (lib/promotions.js).
  * @param {Array} items - Parsed order items
- * @param {Object} [rules] - Optional promo rules
+ * @param {Object} [menu] - Menu with reglas (active version of the local menu)
  * @returns {Object} Result with items, discounts, subtotal, total
  */
-function applyPromosAndCalculate(items, rules = {}) {
+function applyPromosAndCalculate(items, menu = {}) {
   // items: [{ id, name, price, quantity, variant, extras }]
-  // rules: optional rules object (not required here)
   logger.debug('Applying promo rules to', items.length, 'items');
   
   const result = {
@@ -302,62 +272,23 @@ function applyPromosAndCalculate(items, rules = {}) {
   // compute subtotal
   result.subtotal = result.items.reduce((s, it) => s + safeNumber(it.price) * safeNumber(it.quantity), 0);
 
-  // Example promo rules implemented from menu:
-  // - combo_burger_pepsi: if burger_clasica + pepsi_355 present, set combo price 11 for both
-  // - promo_2_pizzas_clasicas_jueves handled elsewhere (requires date)
-  // - mostro/mostrito combos handled if item id matches
-  // We'll implement combo_burger_pepsi and mostro detection heuristics.
-
-  // Helper find by id or name fuzzy
-  const findItem = (predicate) => result.items.find(predicate);
-
-  // Combo: burger_clasica + pepsi_355 => total 11
-  const burger = findItem((i) => i.id === "burger_clasica" || /burger_clasica|hamburguesa clásica|hamburguesa clasica/i.test(String(i.id || i.name || "")));
-  const pepsi = findItem((i) => i.id === "pepsi_355" || /pepsi_355|pepsi 355|pepsi 355ml/i.test(String(i.id || i.name || "")));
-  if (burger && pepsi) {
-    // Determine how many combos can be formed
-    const combos = Math.min(burger.quantity || 0, pepsi.quantity || 0);
-    if (combos > 0) {
-      // Calculate original price for those combos
-      const original = (burger.price || 0) + (pepsi.price || 0);
-      const comboPrice = 11.0;
-      const discountPerCombo = original - comboPrice;
-      const totalDiscount = discountPerCombo * combos;
-      if (totalDiscount > 0) {
-        logger.info(`Applied combo_burger_pepsi: ${combos} combos, discount: ${totalDiscount.toFixed(2)}`);
-        metrics.record('promos_applied', 1, { promo: 'combo_burger_pepsi', combos });
-        result.discounts.push({
-          id: "combo_burger_pepsi",
-          description: `Combo Burger Clásica + Pepsi 355ml (${combos}x)`,
-          amount: Number(totalDiscount.toFixed(2))
-        });
-      }
-      // Adjust subtotal by subtracting discount
-      result.subtotal = Number((result.subtotal - totalDiscount).toFixed(2));
-    }
-  }
-
-  // Mostro / Mostrito detection: if item name includes 'mostro' or explicit combo item id
-  const mostroItem = findItem((i) => /mostro|mostrito/i.test(String(i.id || i.name || "")));
-  if (mostroItem) {
-    // If price differs from expected, we don't override; just note promo tag
-    logger.info('Detected mostro/mostrito promo item');
-    metrics.record('promos_applied', 1, { promo: 'mostro' });
+  const { descuento, promociones } = promotions.evaluatePromotions(result.items, { menu });
+  for (const promo of promociones) {
+    logger.info(`Applied ${promo.id}: ${promo.veces}x, discount: ${promo.monto.toFixed(2)}`);
+    metrics.record('promos_applied', 1, { promo: promo.id, combos: promo.veces });
     result.discounts.push({
-      id: "mostro_promo_note",
-      description: "Mostro/Mostrito promo applied (fixed price S/11 if matched)",
-      amount: 0
+      id: promo.id,
+      description: `${promo.nombre} (${promo.veces}x)`,
+      amount: promo.monto
     });
   }
-
-  // Track total discounts
-  const totalDiscountAmount = result.discounts.reduce((sum, d) => sum + (d.amount || 0), 0);
-  if (totalDiscountAmount > 0) {
-    metrics.record('discounts_applied', totalDiscountAmount);
+  if (descuento > 0) {
+    metrics.record('discounts_applied', descuento);
   }
 
-  // Final total (subtotal already adjusted)
-  result.total = Number(result.subtotal.toFixed(2));
+  // Final total: subtotal minus the promo discounts
+  result.subtotal = Number((result.subtotal - descuento).toFixed(2));
+  result.total = result.subtotal;
   
   logger.debug('Promo calculation complete:', {
     subtotal: result.subtotal,
@@ -576,8 +507,8 @@ export default async function handler(req, res) {
         logger.info(`WhatsApp catalog loaded: ${catalog.products.length} products`);
       } catch (err) {
         // fallback to local
-        logger.warn(`WhatsApp catalog fetch failed: ${err.message}. Falling back to local menu.json.`);
-        responsePayload.warnings.push(`WhatsApp catalog fetch failed: ${err.message}. Falling back to local menu.json.`);
+        logger.warn(`WhatsApp catalog fetch failed: ${err.message}. Falling back to local menu.`);
+        responsePayload.warnings.push(`WhatsApp catalog fetch failed: ${err.message}. Falling back to local menu.`);
         metrics.record('error_types', 1, { type: 'catalog_error', source: 'whatsapp' });
         
         try {
@@ -737,7 +668,7 @@ export default async function handler(req, res) {
     logger.debug('Raw subtotal before promos:', subtotalRaw);
     
     // Apply promos (function returns adjusted subtotal and discounts)
-    const promoResult = applyPromosAndCalculate(normalizedItems);
+    const promoResult = applyPromosAndCalculate(normalizedItems, (await menuAdmin.getActiveMenu()).menu);
     // If promoResult.subtotal differs, use it; else fallback to computed subtotal
     const subtotal = promoResult.subtotal != null ? promoResult.subtotal : subtotalRaw;
     const discounts = promoResult.discounts || [];
@@ -0,0 +1,129 @@
+/**
+ * lib/order-status.js
+ *
+ * Ciclo de vida del pedido después de la confirmación (cocina → reparto → entrega)
+ * y los avisos al cliente de respuestas.json
+ * - ORDER_STATUS_TRANSITIONS - Estados de origen permitidos para cada estado operativo
+ * - STATUS_TEMPLATES - Plantilla de respuestas.json para cada estado operativo
+ * - normalizeOrderStatus(value) - Estado pedido por cocina/reparto ("en_cocina" = "preparacion")
+ * - checkTransition(session, target) - Validar el cambio de estado
+ * - statusVars(session, options) - Variables de las plantillas (repartidor, ETA de reparto)
+ * - buildStatusMessage(session, estado, options) - Texto para el cliente según el estado real
+ */
+
+import { ValidationError } from './utils.js';
+import { CONFIG } from './config.js';
+import flowEngine from './flow-engine.js';
+import fulfillment from './fulfillment.js';
+import payments from './payments.js';
+
+const MIN_ETA_MINS = 5;
+
+export const ORDER_STATUS_TRANSITIONS = {
+  preparacion: ['pedido_confirmado', 'pagado'],
+  en_reparto: ['preparacion'],
+  entregado: ['en_reparto', 'preparacion']
+};
+
+export const STATUS_TEMPLATES = {
+  preparacion: 'en_cocina',
+  en_reparto: 'en_reparto',
+  entregado: 'entregado'
+};
+
+const STATUS_ALIASES = {
+  en_cocina: 'preparacion',
+  cocina: 'preparacion',
+  reparto: 'en_reparto',
+  en_camino: 'en_reparto'
+};
+
+/**
+ * Estado operativo pedido por cocina o reparto
+ * @param {string} value - "preparacion", "en_cocina", "en_reparto", "entregado"...
+ * @returns {string|null} Estado de sesión o null si no es un estado operativo
+ */
+export function normalizeOrderStatus(value) {
+  const key = String(value || '').trim().toLowerCase();
+  const estado = STATUS_ALIASES[key] || key;
+  return ORDER_STATUS_TRANSITIONS[estado] ? estado : null;
+}
+
+/**
+ * Valida el cambio de estado de un pedido
+ * Cocina solo recibe pedidos pagados o con efectivo acordado; el reparto es solo para
+ * delivery y un recojo pasa de preparación a entregado.
+ * @param {Object} session - Sesión del cliente
+ * @param {string} target - Estado destino (ya normalizado)
+ * @throws {ValidationError} Si el pedido no puede pasar a ese estado
+ */
+export function checkTransition(session, target) {
+  const estado = session?.estado || 'inicio';
+  const details = { estado, destino: target };
+  if (!session?.pedido?.items?.length) {
+    throw new ValidationError('No hay un pedido confirmado para este cliente', details);
+  }
+  if (!ORDER_STATUS_TRANSITIONS[target]?.includes(estado)) {
+    throw new ValidationError(`El pedido no puede pasar de "${estado}" a "${target}"`, details);
+  }
+
+  const isPickup = session.tipo_entrega === fulfillment.FULFILLMENT_TYPES.PICKUP;
+  if (target === 'en_reparto' && isPickup) {
+    throw new ValidationError('Un pedido para recojo no sale a reparto', details);
+  }
+  if (target === 'entregado' && estado === 'preparacion' && !isPickup) {
+    throw new ValidationError('Un delivery debe salir a reparto antes de entregarse', details);
+  }
+  if (target === 'preparacion' && estado === 'pedido_confirmado') {
+    const cash = session.pago?.method === payments.PAYMENT_METHODS.CASH;
+    const { covered } = payments.summarizeLedger(session.pagos, session.pedido.pricing?.total, { tolerance: Number(CONFIG.PAYMENT_TOLERANCE) });
+    if (!cash && !covered) {
+      throw new ValidationError('El pedido tiene el pago pendiente', details);
+    }
+  }
+}
+
+/**
+ * Variables de las plantillas de estado
+ * La ETA de reparto descuenta el tiempo desde la salida del repartidor.
+ * @param {Object} session - Sesión del cliente (session.repartidor = { id, nombre, telefono, salidaEn, etaMin })
+ * @param {Object} options - { now }
+ * @returns {Object} { repartidor_id, eta_reparto }
+ */
+export function statusVars(session, { now = new Date() } = {}) {
+  const repartidor = session?.repartidor || {};
+  const vars = { repartidor_id: repartidor.nombre || repartidor.id || null, eta_reparto: null };
+  if (repartidor.etaMin) {
+    const elapsed = repartidor.salidaEn ? Math.floor((now.getTime() - Date.parse(repartidor.salidaEn)) / 60000) : 0;
+    vars.eta_reparto = Math.max(repartidor.etaMin - Math.max(elapsed, 0), MIN_ETA_MINS);
+  }
+  return vars;
+}
+
+/**
+ * Texto para el cliente según el estado operativo del pedido (con el número de pedido si existe)
+ * @param {Object} session - Sesión del cliente
+ * @param {string} estado - preparacion | en_reparto | entregado
+ * @param {Object} options - { now, responses }
+ * @returns {string|null} Texto o null si el estado no tiene plantilla
+ */
+export function buildStatusMessage(session, estado, { now = new Date(), responses = flowEngine.loadResponses() } = {}) {
+  const template = responses[STATUS_TEMPLATES[estado]];
+  if (!template) return null;
+  const { text, missing } = flowEngine.renderTemplate(template, statusVars(session, { now }));
+  // Sin repartidor o ETA se omite la línea en lugar de mostrar el placeholder
+  const body = missing.length
+    ? text.split('\n').filter(line => !missing.some(key => line.includes(`{{${key}}}`))).join('\n')
+    : text;
+  const numero = session?.pedido?.numero;
+  return numero ? `🧾 Pedido N° ${numero}\n${body}` : body;
+}
+
+export default {
+  ORDER_STATUS_TRANSITIONS,
+  STATUS_TEMPLATES,
+  normalizeOrderStatus,
+  checkTransition,
+  statusVars,
+  buildStatusMessage
+};
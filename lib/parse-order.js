@@ -15,12 +15,16 @@
  *    - fuzzyThreshold: number (0-1) (default 0.5)
  *    - preferExactVariant: boolean (default true)
  *    - debug: boolean (si true, incluye campo diagnostics)
+ *    - now: Date (referencia para horas relativas, default ahora)
  *
  * Devuelve:
  *  {
  *    items: [{ id, name, quantity, variant, extras, unitPrice, price, confidence, candidates, rawMatches }],
+ *    unavailable: [{ id, name, quantity, variant }], // productos con disponible: false (no van en items)
  *    warnings: [],
  *    extrasDetected: [],
+ *    scheduledFor?: string, // ISO, si el pedido es para una hora futura ("para las 8 de la noche")
+ *    requestedTime?: string, // expresión de hora tal como la escribió el cliente
  *    diagnostics?: {...} // si options.debug = true
  *  }
  */
@@ -36,6 +40,7 @@ import {
   MetricsCollector 
 } from './utils.js';
 import { extremeNormalize, fuzzyMatch, jaroWinklerSimilarity } from './text-normalizer.js';
+import { extractRequestedTime } from './schedule.js';
 
 /* -------------------- Module-level instances -------------------- */
 
@@ -168,6 +173,9 @@ function generateCacheKey(text, catalogOrMenu, options) {
   const catalogFingerprint = Array.isArray(catalogOrMenu) 
     ? catalogOrMenu.length 
     : (catalogOrMenu.categorias || []).reduce((sum, cat) => sum + (cat.productos || []).length, 0);
+  // Los productos apagados y las ediciones del menú (meta.revision) cambian el resultado aunque el catálogo tenga el mismo tamaño
+  const unavailableKey = flattenProducts(catalogOrMenu).filter(p => p.disponible === false).map(p => p.id).join(',');
+  const revision = Array.isArray(catalogOrMenu) ? '' : catalogOrMenu.meta?.revision ?? '';
   
   const optionsKey = JSON.stringify({
     lang: options.language,
@@ -176,7 +184,7 @@ function generateCacheKey(text, catalogOrMenu, options) {
     hasSynonyms: !!(options.synonyms && Object.keys(options.synonyms).length)
   });
   
-  return `parse:${text.substring(0, 200)}:${catalogFingerprint}:${optionsKey}`;
+  return `parse:${text.substring(0, 200)}:${catalogFingerprint}:${revision}:${unavailableKey}:${optionsKey}`;
 }
 
 /* -------------------- Utilidades -------------------- */
@@ -317,6 +325,12 @@ function extractExtras(raw) {
 
 /* -------------------- Catalog helpers -------------------- */
 
+function flattenProducts(menuOrArray) {
+  if (!menuOrArray) return [];
+  if (Array.isArray(menuOrArray)) return menuOrArray.filter(Boolean);
+  return (menuOrArray.categorias || []).flatMap(cat => (cat?.productos || []).filter(Boolean));
+}
+
 function flattenCatalog(menuOrArray) {
   const list = [];
   if (!menuOrArray) return list;
@@ -544,17 +558,24 @@ export function parseOrderText(text = "", catalogOrMenu = [], options = {}) {
     validateParseInput(text, catalogOrMenu, options);
     
     // Sanitize text input
-    const sanitizedText = sanitizeInput(text, 5000);
+    const fullText = sanitizeInput(text, 5000);
+
+    // Hora pedida: se quita del texto para que "a las 8" no se lea como cantidad
+    const timeRequest = extractRequestedTime(fullText, { now: options.now });
+    const sanitizedText = timeRequest ? timeRequest.rest : fullText;
+    const withSchedule = (parsed) => (timeRequest
+      ? { ...parsed, scheduledFor: timeRequest.at.toISOString(), requestedTime: timeRequest.text }
+      : parsed);
     
     if (!sanitizedText.trim()) {
       logger.warn('Empty or whitespace-only text provided');
       metrics.record('parseOrderText.empty', 1);
-      return { 
+      return withSchedule({ 
         items: [], 
         warnings: ["No text provided"], 
         extrasDetected: [], 
         diagnostics: options.debug ? { steps: ['Empty text'] } : undefined 
-      };
+      });
     }
     
     // Check cache
@@ -564,7 +585,7 @@ export function parseOrderText(text = "", catalogOrMenu = [], options = {}) {
       logger.debug('Cache hit for parse request', { textLength: sanitizedText.length });
       metrics.record('parseOrderText.cache_hit', 1);
       metrics.record('parseOrderText.duration', Date.now() - startTime, { cached: true });
-      return cached;
+      return withSchedule(cached);
     }
     
     if (cached) {
@@ -796,8 +817,19 @@ export function parseOrderText(text = "", catalogOrMenu = [], options = {}) {
       };
     });
 
-    // 7) Warnings for ambiguous items (low confidence or multiple candidates)
+    // 7) Productos con disponible: false (menú o apagados en vivo): no entran al pedido
     const warnings = [];
+    const unavailable = [];
+    for (let i = items.length - 1; i >= 0; i--) {
+      const prod = catalog.find(c => String(c.id) === String(items[i].id));
+      if (prod?.raw?.disponible !== false) continue;
+      const [it] = items.splice(i, 1);
+      unavailable.unshift({ id: it.id, name: it.name, quantity: it.quantity, variant: it.variant });
+      warnings.push(`${it.name} no está disponible por ahora`);
+      metrics.record('parseOrderText.unavailable', 1);
+    }
+
+    // 8) Warnings for ambiguous items (low confidence or multiple candidates)
     for (const it of items) {
       if (it.confidence < 0.6) {
         warnings.push(`Posible ambigüedad para "${it.name}" (confidence ${it.confidence.toFixed(2)}).`);
@@ -821,6 +853,7 @@ export function parseOrderText(text = "", catalogOrMenu = [], options = {}) {
 
     const result = {
       items,
+      unavailable,
       warnings,
       extrasDetected: extrasGlobal,
       diagnostics: debug ? diagnostics : undefined
@@ -850,7 +883,7 @@ export function parseOrderText(text = "", catalogOrMenu = [], options = {}) {
       metrics.record('parseOrderText.slow_parse', 1);
     }
 
-    return result;
+    return withSchedule(result);
     
   } catch (error) {
     const duration = Date.now() - startTime;
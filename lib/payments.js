@@ -0,0 +1,178 @@
+/**
+ * lib/payments.js
+ *
+ * Métodos de pago del pedido
+ * - detectPaymentMethod(text) - Detectar efectivo o Yape/Plin (palabras de reglas.json)
+ * - parseCashAmount(text) - Extraer con cuánto pagará en efectivo ("pago con s/ 50")
+ * - calculateChange(total, pagarCon) - Validar el billete y calcular el vuelto
+ * - createPaymentEntry(data) - Crear un pago del ledger (comprobante, mensaje o efectivo)
+ * - addPaymentEntry(entries, entry) - Agregar un pago sin duplicar comprobantes
+ * - summarizeLedger(entries, total, options) - Pagado, saldo y estado del pedido
+ */
+
+import { logger, ValidationError } from './utils.js';
+import rules from './rules.js';
+
+export const PAYMENT_METHODS = {
+  CASH: 'efectivo',
+  YAPE: 'yape',
+  PLIN: 'plin'
+};
+
+export const LEDGER_STATUS = {
+  PENDING: 'pendiente',
+  PARTIAL: 'parcial',
+  COVERED_WITH_CASH: 'cubierto_con_efectivo',
+  PAID: 'pagado'
+};
+
+const PLIN_WORDS = ['plin', 'plinee', 'plineado'];
+
+const AMOUNT = '(\\d+(?:[.,]\\d{1,2})?)';
+const CASH_AMOUNT_PATTERNS = [
+  new RegExp(`s\\/\\.?\\s*${AMOUNT}`, 'i'),
+  new RegExp(`${AMOUNT}\\s*(?:soles|sol|lucas)\\b`, 'i'),
+  new RegExp(`\\b(?:con|billete de|de)\\s+(?:un\\s+billete\\s+de\\s+)?${AMOUNT}`, 'i')
+];
+
+/**
+ * Detecta el método de pago mencionado en el mensaje
+ * según palabras_pago_efectivo y palabras_pago_yape de reglas.json.
+ * Yape/Plin prevalece: "pago con yape" usa la frase genérica "pago con" de efectivo.
+ * @param {string} text - Mensaje del cliente
+ * @param {Object} [rulesData] - Reglas (por defecto data/reglas.json)
+ * @returns {string|null} 'efectivo', 'yape', 'plin' o null
+ */
+export function detectPaymentMethod(text, rulesData = rules.loadRules()) {
+  const digital = rules.matchesKeywords(text, rulesData.palabras_pago_yape || []);
+  if (digital) {
+    return rules.matchesKeywords(text, PLIN_WORDS) ? PAYMENT_METHODS.PLIN : PAYMENT_METHODS.YAPE;
+  }
+  if (rules.matchesKeywords(text, rulesData.palabras_pago_efectivo || [])) return PAYMENT_METHODS.CASH;
+  return null;
+}
+
+/**
+ * Extrae el monto del billete con el que pagará el cliente
+ * Acepta "pago con 50", "con un billete de 100", "s/ 50", "50 soles" o solo "50".
+ * @param {string} text - Mensaje del cliente
+ * @returns {number|null} Monto o null si no se encontró
+ */
+export function parseCashAmount(text) {
+  const source = String(text || '');
+  for (const pattern of CASH_AMOUNT_PATTERNS) {
+    const match = source.match(pattern);
+    if (match) return Number(match[1].replace(',', '.'));
+  }
+
+  const numbers = source.match(/\d+(?:[.,]\d{1,2})?/g) || [];
+  return numbers.length === 1 ? Number(numbers[0].replace(',', '.')) : null;
+}
+
+/**
+ * Calcula el vuelto de un pago en efectivo
+ * @param {number} total - Total del pedido
+ * @param {number} pagarCon - Monto con el que paga el cliente
+ * @returns {Object} { ok, vuelto, faltante }
+ * @throws {ValidationError} Si los montos no son válidos
+ */
+export function calculateChange(total, pagarCon) {
+  const due = Number(total);
+  const paid = Number(pagarCon);
+  if (!Number.isFinite(due) || due < 0 || !Number.isFinite(paid) || paid <= 0) {
+    throw new ValidationError('Montos de pago inválidos', { total, pagarCon });
+  }
+
+  const diff = Number((paid - due).toFixed(2));
+  logger.debug('CASH_CHANGE_CALCULATED', { total: due, pagarCon: paid, diff });
+  return diff >= 0
+    ? { ok: true, vuelto: diff, faltante: 0 }
+    : { ok: false, vuelto: 0, faltante: -diff };
+}
+
+/**
+ * Crea un pago para el ledger del pedido
+ * Los pagos en efectivo quedan pendientes de cobro (no verificados). Un pago que el cliente
+ * solo avisa por mensaje ("ya pagué 20") tampoco cuenta hasta que llegue el comprobante o
+ * lo confirme un agente.
+ * @param {Object} data - { method, amount, reference, source, verified, now }
+ * @returns {Object} Pago normalizado
+ * @throws {ValidationError} Si el monto no es válido
+ */
+export function createPaymentEntry({ method, amount, reference = null, source = 'mensaje', verified = source !== 'mensaje', now = new Date() } = {}) {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new ValidationError('Monto de pago inválido', { method, amount });
+  }
+
+  const isCash = method === PAYMENT_METHODS.CASH;
+  return {
+    method: method || 'desconocido',
+    amount: Number(value.toFixed(2)),
+    reference: reference ? String(reference) : null,
+    source,
+    verified: isCash ? false : !!verified,
+    at: now.toISOString()
+  };
+}
+
+/**
+ * Agrega un pago al ledger
+ * Un comprobante con el mismo número de operación no se cuenta dos veces
+ * y el efectivo reemplaza al saldo en efectivo anterior.
+ * @param {Array} entries - Pagos registrados
+ * @param {Object} entry - Pago de createPaymentEntry
+ * @returns {Object} { ok, entries, duplicate }
+ */
+export function addPaymentEntry(entries = [], entry) {
+  const current = Array.isArray(entries) ? entries : [];
+  if (entry.reference && current.some(e => e.reference === entry.reference)) {
+    logger.warn('PAYMENT_ENTRY_DUPLICATE', { reference: entry.reference });
+    return { ok: false, entries: current, duplicate: true };
+  }
+
+  const kept = entry.method === PAYMENT_METHODS.CASH
+    ? current.filter(e => e.method !== PAYMENT_METHODS.CASH)
+    : current;
+  return { ok: true, entries: [...kept, entry], duplicate: false };
+}
+
+/**
+ * Resume el ledger contra el total del pedido
+ * El pedido está pagado cuando los pagos verificados cubren el total
+ * dentro de la tolerancia; el efectivo solo cubre el saldo hasta la entrega.
+ * @param {Array} entries - Pagos registrados
+ * @param {number} total - Total del pedido
+ * @param {Object} options - { tolerance } (fracción del total, ej. 0.08)
+ * @returns {Object} { total, paid, cashPending, balance, status, paidInFull, covered }
+ */
+export function summarizeLedger(entries = [], total = 0, { tolerance = 0 } = {}) {
+  const due = Number(total) || 0;
+  const list = Array.isArray(entries) ? entries : [];
+  const sum = (filter) => Number(list.filter(filter).reduce((acc, e) => acc + (Number(e.amount) || 0), 0).toFixed(2));
+
+  const paid = sum(e => e.verified && e.method !== PAYMENT_METHODS.CASH);
+  const cashPending = sum(e => e.method === PAYMENT_METHODS.CASH);
+  const slack = due * tolerance;
+  const paidInFull = due > 0 && paid >= due - slack;
+  const covered = paidInFull || (due > 0 && paid + cashPending >= due - slack);
+  const balance = Number(Math.max(due - paid, 0).toFixed(2));
+
+  let status = LEDGER_STATUS.PENDING;
+  if (paidInFull) status = LEDGER_STATUS.PAID;
+  else if (covered) status = LEDGER_STATUS.COVERED_WITH_CASH;
+  else if (paid > 0) status = LEDGER_STATUS.PARTIAL;
+
+  return { total: due, paid, cashPending, balance: paidInFull ? 0 : balance, status, paidInFull, covered, count: list.length };
+}
+
+export default {
+  PAYMENT_METHODS,
+  LEDGER_STATUS,
+  detectPaymentMethod,
+  parseCashAmount,
+  calculateChange,
+  createPaymentEntry,
+  addPaymentEntry,
+  summarizeLedger
+};
@@ -0,0 +1,118 @@
+/**
+ * lib/pedidos-export.js
+ *
+ * Exportación de pedidos guardados (lib/pedidos.js) para conciliación en hoja de cálculo
+ * - COLUMNAS_CSV - Columnas del CSV, en orden
+ * - pedidoParaExportar(pedido) - Pedido con fechas en ISO (Timestamp de Firestore → texto)
+ * - pedidoAFila(pedido) - Fila plana con pagos y referencias de operación
+ * - valoresACsv(valores) - Una línea CSV (comillas y celdas sin fórmulas)
+ * - pedidosACsv(pedidos, options) - CSV (RFC 4180) listo para abrir en Excel o Sheets
+ * - pedidosAJsonLines(pedidos) - Un pedido JSON por línea
+ */
+
+export const COLUMNAS_CSV = [
+  'numero', 'fecha', 'estado', 'telefono', 'cliente', 'tipo_entrega', 'direccion',
+  'metodos_pago', 'subtotal', 'delivery', 'total', 'pagado', 'referencias', 'items'
+];
+
+// Celdas que Excel interpretaría como fórmula
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * @private
+ */
+function aIso(value) {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function monto(value) {
+  return value == null || value === '' ? '' : Number(value).toFixed(2);
+}
+
+/**
+ * Pedido con fechas en texto ISO, apto para JSON
+ * @param {Object} pedido - Pedido de buscarPedidos
+ * @returns {Object} Pedido exportable
+ */
+export function pedidoParaExportar(pedido) {
+  return { ...pedido, createdAt: aIso(pedido.createdAt), updatedAt: aIso(pedido.updatedAt) };
+}
+
+/**
+ * Fila plana del CSV; `pagado` suma solo pagos verificados (el efectivo se cobra al entregar)
+ * @param {Object} pedido - Pedido de buscarPedidos
+ * @returns {Object} { columna: valor } con las COLUMNAS_CSV
+ */
+export function pedidoAFila(pedido) {
+  const pagos = pedido.pagos || [];
+  return {
+    numero: pedido.numero || pedido.id,
+    fecha: aIso(pedido.createdAt) || '',
+    estado: pedido.estado || '',
+    telefono: pedido.telefono_cliente || '',
+    cliente: pedido.nombre_cliente || '',
+    tipo_entrega: pedido.tipo_entrega || '',
+    direccion: pedido.direccion || '',
+    metodos_pago: (pedido.metodos_pago || [pedido.pago].filter(Boolean)).join('|'),
+    subtotal: monto(pedido.subtotal),
+    delivery: monto(pedido.costo_envio),
+    total: monto(pedido.total),
+    pagado: monto(pagos.filter(p => p.verified).reduce((sum, p) => sum + Number(p.amount || 0), 0)),
+    referencias: pagos.filter(p => p.reference).map(p => `${p.method}:${p.reference}`).join('|'),
+    items: (pedido.pedido || []).map(it => `${it.cantidad}x ${it.nombre}${it.variante ? ` (${it.variante})` : ''}`).join('; ')
+  };
+}
+
+/**
+ * @private
+ */
+function celdaCsv(value) {
+  let text = value == null ? '' : String(value);
+  if (FORMULA_PREFIX.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Una línea CSV, sin fin de línea
+ * @param {Array} valores - Celdas en orden
+ * @returns {string} Línea con comillas RFC 4180 donde hacen falta
+ */
+export function valoresACsv(valores) {
+  return valores.map(celdaCsv).join(',');
+}
+
+/**
+ * Pedidos en CSV
+ * @param {Array} pedidos - Pedidos de buscarPedidos
+ * @param {Object} options - { encabezado } false para páginas siguientes de una exportación
+ * @returns {string} CSV con BOM UTF-8 (para que Excel muestre tildes) y fin de línea CRLF
+ */
+export function pedidosACsv(pedidos, { encabezado = true } = {}) {
+  const lines = pedidos.map(p => {
+    const fila = pedidoAFila(p);
+    return valoresACsv(COLUMNAS_CSV.map(col => fila[col]));
+  });
+  if (encabezado) lines.unshift(COLUMNAS_CSV.join(','));
+  const csv = lines.length ? `${lines.join('\r\n')}\r\n` : '';
+  return encabezado ? `\uFEFF${csv}` : csv;
+}
+
+/**
+ * Pedidos en JSON Lines
+ * @param {Array} pedidos - Pedidos de buscarPedidos
+ * @returns {string} Un pedido JSON por línea
+ */
+export function pedidosAJsonLines(pedidos) {
+  return pedidos.map(p => `${JSON.stringify(pedidoParaExportar(p))}\n`).join('');
+}
+
+export default {
+  COLUMNAS_CSV,
+  pedidoParaExportar,
+  pedidoAFila,
+  valoresACsv,
+  pedidosACsv,
+  pedidosAJsonLines
+};
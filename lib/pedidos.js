@@ -1,20 +1,85 @@
 /**
  * lib/pedidos.js
  *
- * Manejo de almacenamiento de pedidos en Firebase
- * - guardarPedidoFirebase(pedidoData) - Guarda un pedido en Firestore
+ * Manejo de almacenamiento de pedidos en Firebase, con respaldo en memoria cuando
+ * Firebase no está inicializado
+ * - guardarPedidoFirebase(pedidoData) - Guarda un pedido con su número (DY-000123)
+ * - buscarPedidos(consulta) - Pedidos con filtros, orden y paginación por cursor
  * - obtenerPedidos(filtros) - Obtiene pedidos con filtros
+ * - obtenerPedido(pedidoId) - Un pedido por su número
+ * - actualizarPedido(pedidoId, cambios) - Actualiza datos de un pedido guardado
  * - actualizarEstadoPedido(pedidoId, nuevoEstado) - Actualiza estado de pedido
+ * - formatearNumeroPedido(n) - Número correlativo → "DY-000123"
+ * - metodosDePago(pago, pagos) - Métodos usados en un pedido (yape, plin, efectivo...)
  */
 
 import admin from 'firebase-admin';
 import { logger, ValidationError, AppError, asyncHandler, sendSuccess, sendError, MetricsCollector, validatePhone, sanitizeInput } from './utils.js';
+import businessHours from './business-hours.js';
 
-const db = admin.firestore();
 const PEDIDOS_COLLECTION = 'pedidos';
+const CONTADORES_COLLECTION = 'contadores';
+const NUMERO_PREFIJO = 'DY';
+const NUMERO_DIGITOS = 6;
+const CAMPOS_ORDEN = ['createdAt', 'total'];
+const LIMITE_POR_DEFECTO = 50;
+const LIMITE_MAXIMO = 200;
+const LIMITE_MAXIMO_LEGADO = 100;
+const MAX_ESTADOS_FILTRO = 10; // límite del operador "in" de Firestore
+const memoryPedidos = new Map();
+let memoryContador = 0;
 
 const metrics = new MetricsCollector();
 
+/**
+ * Firestore si Firebase ya fue inicializado (se consulta en cada llamada)
+ * @returns {Object|null} Firestore o null para usar memoria
+ * @private
+ */
+function getDb() {
+  return admin.apps.length ? admin.firestore() : null;
+}
+
+/**
+ * Número de pedido legible para clientes y personal
+ * @param {number} n - Correlativo
+ * @returns {string} "DY-000123"
+ */
+export function formatearNumeroPedido(n) {
+  return `${NUMERO_PREFIJO}-${String(n).padStart(NUMERO_DIGITOS, '0')}`;
+}
+
+/**
+ * Métodos de pago usados en un pedido, para filtrar por método aunque el pago sea combinado
+ * @param {string} pago - Método principal ('yape', 'efectivo', 'combinado'...)
+ * @param {Array} pagos - Pagos registrados ({ method })
+ * @returns {Array<string>} Métodos sin repetir
+ */
+export function metodosDePago(pago, pagos = []) {
+  return [...new Set([pago, ...(pagos || []).map(p => p.method)])]
+    .filter(m => m && m !== 'combinado')
+    .map(m => String(m).toLowerCase());
+}
+
+/**
+ * Siguiente correlativo (transacción sobre contadores/pedidos para no repetir números)
+ * @returns {Promise<string>} Número de pedido
+ * @private
+ */
+async function siguienteNumeroPedido() {
+  const db = getDb();
+  if (!db) return formatearNumeroPedido(++memoryContador);
+
+  const ref = db.collection(CONTADORES_COLLECTION).doc(PEDIDOS_COLLECTION);
+  const ultimo = await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    const next = (snap.exists ? Number(snap.data().ultimo) || 0 : 0) + 1;
+    tx.set(ref, { ultimo: next, updatedAt: admin.firestore.Timestamp.now() }, { merge: true });
+    return next;
+  });
+  return formatearNumeroPedido(ultimo);
+}
+
 /**
  * Valida estructura de un pedido
  * @param {Object} pedido - Datos del pedido
@@ -51,7 +116,7 @@ function validarPedido(pedido) {
 }
 
 /**
- * Guarda un pedido en Firestore
+ * Guarda un pedido en Firestore con un número correlativo que también es el ID del documento
  * @param {Object} pedidoData - Datos del pedido
  * @param {string} pedidoData.nombre_cliente - Nombre del cliente
  * @param {string} pedidoData.telefono_cliente - Teléfono del cliente
@@ -60,7 +125,15 @@ function validarPedido(pedido) {
  * @param {string} pedidoData.pago - Método de pago
  * @param {Array} pedidoData.pedido - Items del pedido
  * @param {number} pedidoData.total - Total del pedido
- * @returns {Object} { id, pedido: { ...datos guardados } }
+ * @param {string} [pedidoData.estado] - Estado inicial ('pendiente', 'pedido_confirmado', 'pagado'...)
+ * @param {number} [pedidoData.subtotal] - Subtotal sin delivery
+ * @param {number} [pedidoData.costo_envio] - Costo del delivery
+ * @param {Object} [pedidoData.cupon] - Cupón usado { codigo, monto }
+ * @param {Array} [pedidoData.pagos] - Pagos registrados
+ * @param {Array} [pedidoData.metodos_pago] - Métodos usados (por defecto pago + métodos de pagos)
+ * @param {string} [pedidoData.programado_para] - Hora de un pedido programado (ISO)
+ * @param {string} [pedidoData.notas] - Notas del pedido
+ * @returns {Object} { id, numero, pedido: { ...datos guardados } }
  * @throws {ValidationError} Si los datos son inválidos
  * @throws {AppError} Si falla la operación en Firestore
  */
@@ -71,7 +144,17 @@ export async function guardarPedidoFirebase({
   tipo_entrega = 'delivery',
   pago = '',
   pedido = [],
-  total = 0
+  total = 0,
+  estado = 'pendiente',
+  subtotal = null,
+  costo_envio = null,
+  descuento = 0,
+  promociones = [],
+  cupon = null,
+  pagos = [],
+  metodos_pago = null,
+  programado_para = null,
+  notas = null
 }) {
   const startTime = Date.now();
   metrics.record('pedidos.guardar.call', 1);
@@ -92,25 +175,43 @@ export async function guardarPedidoFirebase({
 
     validarPedido(pedidoData);
 
-    // Calcular total como validación adicional
+    // Calcular total como validación adicional (el delivery no entra en la suma de items)
     const calculatedTotal = pedido.reduce((sum, item) => sum + (item.precio * item.cantidad), 0);
-    if (Math.abs(calculatedTotal - pedidoData.total) > 0.01) {
-      logger.warn('PEDIDO_TOTAL_MISMATCH', { expected: calculatedTotal, received: pedidoData.total });
+    const expectedItemsTotal = subtotal != null ? Number(subtotal) : pedidoData.total;
+    if (Math.abs(calculatedTotal - expectedItemsTotal) > 0.01) {
+      logger.warn('PEDIDO_TOTAL_MISMATCH', { expected: calculatedTotal, received: expectedItemsTotal });
     }
 
     // Crear documento
+    const db = getDb();
+    const numero = await siguienteNumeroPedido();
+    const now = db ? admin.firestore.Timestamp.now() : new Date();
     const pedidoDoc = {
       ...pedidoData,
-      estado: 'pendiente',
-      createdAt: admin.firestore.Timestamp.now(),
-      updatedAt: admin.firestore.Timestamp.now()
+      numero,
+      estado,
+      subtotal: subtotal != null ? Number(subtotal) : null,
+      costo_envio: costo_envio != null ? Number(costo_envio) : null,
+      descuento: Number(descuento) || 0,
+      promociones,
+      cupon,
+      pagos,
+      metodos_pago: metodos_pago || metodosDePago(pago, pagos),
+      programado_para,
+      notas,
+      createdAt: now,
+      updatedAt: now
     };
 
-    const ref = await db.collection(PEDIDOS_COLLECTION).add(pedidoDoc);
+    if (db) {
+      await db.collection(PEDIDOS_COLLECTION).doc(numero).set(pedidoDoc);
+    } else {
+      memoryPedidos.set(numero, pedidoDoc);
+    }
 
     const duration = Date.now() - startTime;
     logger.info('PEDIDO_SAVED', {
-      pedidoId: ref.id,
+      pedidoId: numero,
       telefono: telefono_cliente,
       total: pedidoData.total,
       items: pedido.length,
@@ -121,7 +222,8 @@ export async function guardarPedidoFirebase({
     metrics.record('pedidos.guardar.items', pedido.length);
 
     return {
-      id: ref.id,
+      id: numero,
+      numero,
       pedido: pedidoDoc
     };
 
@@ -137,44 +239,175 @@ export async function guardarPedidoFirebase({
 }
 
 /**
- * Obtiene pedidos con filtros opcionales
- * @param {Object} filtros - Filtros (telefono, estado, etc)
- * @returns {Array} Array de pedidos
+ * Fecha de un pedido (Timestamp de Firestore o Date en memoria)
+ * @private
+ */
+function aFecha(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Límite de un rango de fechas; "AAAA-MM-DD" es un día en la hora del local
+ * (como `hasta` incluye ese día completo, se toma la medianoche siguiente)
+ * @private
+ */
+function limiteDeRango(value, { finDeDia = false } = {}) {
+  const dia = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!dia) return aFecha(value);
+  return businessHours.zonedDateTime({ year: Number(dia[1]), month: Number(dia[2]) - 1, day: Number(dia[3]) + (finDeDia ? 1 : 0) });
+}
+
+/**
+ * Cursor opaco para continuar después del último pedido de una página
+ * @private
+ */
+function codificarCursor(pedido, campo) {
+  const valor = campo === 'createdAt' ? aFecha(pedido.createdAt)?.toISOString() : pedido[campo];
+  return Buffer.from(JSON.stringify([valor ?? null, pedido.id])).toString('base64url');
+}
+
+/**
+ * @private
+ * @throws {ValidationError} Si el cursor no es válido
+ */
+function decodificarCursor(cursor) {
+  try {
+    const [valor, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof id !== 'string') throw new Error('id');
+    return { valor, id };
+  } catch {
+    throw new ValidationError('Cursor inválido', { cursor });
+  }
+}
+
+/**
+ * Valida y normaliza una consulta de pedidos
+ * @param {Object} consulta - { desde, hasta, estado, telefono, pago, tipo_entrega, limite, cursor, orden, direccion }
+ * @returns {Object} Consulta normalizada
+ * @throws {ValidationError} Si algún filtro no es válido
+ * @private
+ */
+function normalizarConsulta(consulta = {}) {
+  const desde = consulta.desde != null ? limiteDeRango(consulta.desde) : null;
+  const hasta = consulta.hasta != null ? limiteDeRango(consulta.hasta, { finDeDia: true }) : null;
+  if ((consulta.desde != null && !desde) || (consulta.hasta != null && !hasta)) {
+    throw new ValidationError('Rango de fechas inválido', { desde: consulta.desde, hasta: consulta.hasta });
+  }
+  const orden = consulta.orden || 'createdAt';
+  if (!CAMPOS_ORDEN.includes(orden)) {
+    throw new ValidationError(`orden debe ser ${CAMPOS_ORDEN.map(c => `"${c}"`).join(' o ')}`, { orden });
+  }
+  // Firestore exige ordenar primero por el campo del rango de fechas
+  if (orden !== 'createdAt' && (desde || hasta)) {
+    throw new ValidationError('Con rango de fechas los pedidos solo se ordenan por fecha', { orden });
+  }
+  const direccion = String(consulta.direccion || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(direccion)) {
+    throw new ValidationError('direccion debe ser "asc" o "desc"', { direccion });
+  }
+  const estados = [].concat(consulta.estado || []).flatMap(e => String(e).split(',')).map(e => e.trim()).filter(Boolean);
+  if (estados.length > MAX_ESTADOS_FILTRO) {
+    throw new ValidationError(`Máximo ${MAX_ESTADOS_FILTRO} estados por consulta`, { estados });
+  }
+  const limite = Math.min(Math.max(parseInt(consulta.limite, 10) || LIMITE_POR_DEFECTO, 1), LIMITE_MAXIMO);
+  return {
+    desde,
+    hasta,
+    estados,
+    telefono: consulta.telefono ? String(consulta.telefono) : null,
+    pago: consulta.pago ? String(consulta.pago).toLowerCase() : null,
+    tipoEntrega: consulta.tipo_entrega ? String(consulta.tipo_entrega).toLowerCase() : null,
+    limite,
+    cursor: consulta.cursor ? decodificarCursor(consulta.cursor) : null,
+    orden,
+    direccion
+  };
+}
+
+/**
+ * Página de pedidos en memoria con los mismos filtros y orden que Firestore
+ * @private
+ */
+function buscarEnMemoria(q) {
+  const valor = (p) => (q.orden === 'createdAt' ? aFecha(p.createdAt)?.getTime() ?? 0 : Number(p[q.orden]) || 0);
+  const signo = q.direccion === 'asc' ? 1 : -1;
+  const comparar = (a, b) => signo * ((valor(a) - valor(b)) || a.id.localeCompare(b.id));
+  const cursor = q.cursor && {
+    id: q.cursor.id,
+    createdAt: q.orden === 'createdAt' ? q.cursor.valor : undefined,
+    [q.orden]: q.cursor.valor
+  };
+
+  return [...memoryPedidos.entries()]
+    .map(([id, p]) => ({ id, ...p }))
+    .filter(p => {
+      const fecha = aFecha(p.createdAt);
+      return (!q.desde || fecha >= q.desde) &&
+        (!q.hasta || fecha < q.hasta) &&
+        (!q.estados.length || q.estados.includes(p.estado)) &&
+        (!q.telefono || p.telefono_cliente === q.telefono) &&
+        (!q.pago || (p.metodos_pago || []).includes(q.pago)) &&
+        (!q.tipoEntrega || p.tipo_entrega === q.tipoEntrega);
+    })
+    .sort(comparar)
+    .filter(p => !cursor || comparar(p, cursor) > 0)
+    .slice(0, q.limite + 1);
+}
+
+/**
+ * Busca pedidos con filtros, orden y paginación por cursor
+ * `hasta` con hora es exclusivo y como "AAAA-MM-DD" incluye ese día; `pago` coincide con cualquier método usado en el pedido (metodos_pago).
+ * En Firestore cada combinación de filtros con orden necesita su índice compuesto.
+ * @param {Object} consulta - { desde, hasta, estado, telefono, pago, tipo_entrega, limite, cursor, orden: 'createdAt'|'total', direccion: 'asc'|'desc' }
+ * @returns {Promise<Object>} { pedidos, siguienteCursor } (siguienteCursor null en la última página)
+ * @throws {ValidationError} Si la consulta no es válida
  * @throws {AppError} Si falla la consulta en Firestore
  */
-export async function obtenerPedidos(filtros = {}) {
+export async function buscarPedidos(consulta = {}) {
   const startTime = Date.now();
   metrics.record('pedidos.obtener.call', 1);
+  const q = normalizarConsulta(consulta);
   
   try {
-    logger.debug('PEDIDOS_FETCH_START', { filtros });
-
-    let query = db.collection(PEDIDOS_COLLECTION);
-
-    if (filtros.telefono) {
-      query = query.where('telefono_cliente', '==', String(filtros.telefono));
-    }
-
-    if (filtros.estado) {
-      query = query.where('estado', '==', filtros.estado);
+    logger.debug('PEDIDOS_FETCH_START', { consulta: { ...q, cursor: !!q.cursor } });
+
+    let pagina;
+    const db = getDb();
+    if (!db) {
+      pagina = buscarEnMemoria(q);
+    } else {
+      let query = db.collection(PEDIDOS_COLLECTION);
+      if (q.desde) query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(q.desde));
+      if (q.hasta) query = query.where('createdAt', '<', admin.firestore.Timestamp.fromDate(q.hasta));
+      if (q.estados.length === 1) query = query.where('estado', '==', q.estados[0]);
+      if (q.estados.length > 1) query = query.where('estado', 'in', q.estados);
+      if (q.telefono) query = query.where('telefono_cliente', '==', q.telefono);
+      if (q.pago) query = query.where('metodos_pago', 'array-contains', q.pago);
+      if (q.tipoEntrega) query = query.where('tipo_entrega', '==', q.tipoEntrega);
+
+      query = query.orderBy(q.orden, q.direccion).orderBy(admin.firestore.FieldPath.documentId(), q.direccion);
+      if (q.cursor) {
+        const valor = q.orden === 'createdAt' ? admin.firestore.Timestamp.fromDate(new Date(q.cursor.valor)) : q.cursor.valor;
+        query = query.startAfter(valor, q.cursor.id);
+      }
+
+      const snap = await query.limit(q.limite + 1).get();
+      pagina = [];
+      snap.forEach(doc => pagina.push({ id: doc.id, ...doc.data() }));
     }
 
-    const snap = await query.limit(100).get();
-
-    const pedidos = [];
-    snap.forEach(doc => {
-      pedidos.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+    const pedidos = pagina.slice(0, q.limite);
+    const siguienteCursor = pagina.length > q.limite ? codificarCursor(pedidos[pedidos.length - 1], q.orden) : null;
 
     const duration = Date.now() - startTime;
-    logger.info('PEDIDOS_FETCHED', { count: pedidos.length, filtros, duration_ms: duration });
+    logger.info('PEDIDOS_FETCHED', { count: pedidos.length, more: !!siguienteCursor, duration_ms: duration });
     metrics.record('pedidos.obtener.success', 1);
     metrics.record('pedidos.obtener.duration_ms', duration);
     metrics.record('pedidos.obtener.count', pedidos.length);
-    return pedidos;
+    return { pedidos, siguienteCursor };
 
   } catch (error) {
     metrics.record('pedidos.obtener.error', 1);
@@ -184,14 +417,51 @@ export async function obtenerPedidos(filtros = {}) {
 }
 
 /**
- * Actualiza el estado de un pedido
- * @param {string} pedidoId - ID del pedido
- * @param {string} nuevoEstado - Nuevo estado
+ * Obtiene pedidos con filtros opcionales (primera página de buscarPedidos, hasta 100)
+ * @param {Object} filtros - Filtros (telefono, estado, etc)
+ * @returns {Array} Array de pedidos
+ * @throws {AppError} Si falla la consulta en Firestore
+ */
+export async function obtenerPedidos(filtros = {}) {
+  const { pedidos } = await buscarPedidos({ ...filtros, limite: LIMITE_MAXIMO_LEGADO });
+  return pedidos;
+}
+
+/**
+ * Obtiene un pedido por su número
+ * @param {string} pedidoId - ID del pedido (su número, ej. DY-000123)
+ * @returns {Object|null} Pedido o null si no existe
+ * @throws {ValidationError} Si falta el ID
+ * @throws {AppError} Si falla la consulta en Firestore
+ */
+export async function obtenerPedido(pedidoId) {
+  if (!pedidoId || typeof pedidoId !== 'string') {
+    throw new ValidationError('El ID del pedido es requerido');
+  }
+
+  try {
+    const db = getDb();
+    if (!db) {
+      const pedido = memoryPedidos.get(pedidoId);
+      return pedido ? { id: pedidoId, ...pedido } : null;
+    }
+    const doc = await db.collection(PEDIDOS_COLLECTION).doc(pedidoId).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  } catch (error) {
+    logger.error('PEDIDO_FETCH_FAILED', { pedidoId, error: error.message });
+    throw new AppError('Error al obtener pedido', 500, 'PEDIDO_FETCH_FAILED');
+  }
+}
+
+/**
+ * Actualiza datos de un pedido guardado (estado, pagos, items, totales)
+ * @param {string} pedidoId - ID del pedido (su número)
+ * @param {Object} cambios - Campos a actualizar
  * @returns {boolean} true si se actualizó
  * @throws {ValidationError} Si los parámetros son inválidos
  * @throws {AppError} Si falla la operación
  */
-export async function actualizarEstadoPedido(pedidoId, nuevoEstado) {
+export async function actualizarPedido(pedidoId, cambios) {
   const startTime = Date.now();
   metrics.record('pedidos.actualizar.call', 1);
   
@@ -200,19 +470,26 @@ export async function actualizarEstadoPedido(pedidoId, nuevoEstado) {
       throw new ValidationError('El ID del pedido es requerido');
     }
 
-    if (!nuevoEstado || typeof nuevoEstado !== 'string') {
-      throw new ValidationError('El nuevo estado es requerido');
+    if (!cambios || typeof cambios !== 'object' || Object.keys(cambios).length === 0) {
+      throw new ValidationError('Los cambios del pedido son requeridos');
     }
 
-    logger.debug('PEDIDO_UPDATE_START', { pedidoId, nuevoEstado });
+    logger.debug('PEDIDO_UPDATE_START', { pedidoId, campos: Object.keys(cambios) });
 
-    await db.collection(PEDIDOS_COLLECTION).doc(pedidoId).update({
-      estado: nuevoEstado,
-      updatedAt: admin.firestore.Timestamp.now()
-    });
+    const db = getDb();
+    if (db) {
+      await db.collection(PEDIDOS_COLLECTION).doc(pedidoId).update({
+        ...cambios,
+        updatedAt: admin.firestore.Timestamp.now()
+      });
+    } else {
+      const current = memoryPedidos.get(pedidoId);
+      if (!current) throw new Error(`Pedido ${pedidoId} no encontrado`);
+      memoryPedidos.set(pedidoId, { ...current, ...cambios, updatedAt: new Date() });
+    }
 
     const duration = Date.now() - startTime;
-    logger.info('PEDIDO_UPDATED', { pedidoId, nuevoEstado, duration_ms: duration });
+    logger.info('PEDIDO_UPDATED', { pedidoId, estado: cambios.estado, duration_ms: duration });
     metrics.record('pedidos.actualizar.success', 1);
     metrics.record('pedidos.actualizar.duration_ms', duration);
     return true;
@@ -225,6 +502,21 @@ export async function actualizarEstadoPedido(pedidoId, nuevoEstado) {
   }
 }
 
+/**
+ * Actualiza el estado de un pedido
+ * @param {string} pedidoId - ID del pedido
+ * @param {string} nuevoEstado - Nuevo estado
+ * @returns {boolean} true si se actualizó
+ * @throws {ValidationError} Si los parámetros son inválidos
+ * @throws {AppError} Si falla la operación
+ */
+export async function actualizarEstadoPedido(pedidoId, nuevoEstado) {
+  if (!nuevoEstado || typeof nuevoEstado !== 'string') {
+    throw new ValidationError('El nuevo estado es requerido');
+  }
+  return actualizarPedido(pedidoId, { estado: nuevoEstado });
+}
+
 /**
  * Handler API para guardar pedidos
  * POST /api/pedidos
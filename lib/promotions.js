@@ -0,0 +1,281 @@
+/**
+ * lib/promotions.js
+ *
+ * Motor de promociones y combos: evalúa las reglas de precio de menu.json (reglas)
+ * - PRICING_RULE_TYPES - Tipos de regla que cambian el precio del pedido
+ * - isRuleActive(rule, options) - La regla aplica en este día y hora del local
+ * - describeSchedule(rule) - "los jueves", "los martes de 18:00 a 23:00"
+ * - evaluatePromotions(items, options) - Descuento total y reglas aplicadas
+ * - findAgentPromotions(items, options) - Promos del pedido que gestiona un agente (requiere_agente)
+ * - findOutOfSchedule(items, options) - Productos de promo pedidos fuera de su día u horario
+ *
+ * Formato de una regla:
+ *  {
+ *    id: "regla_2_pizzas_jueves", nombre: "2 Pizzas Clásicas Jueves", tipo: "promo_dia",
+ *    precio: 29.9,                                   // combo completo, o tope por unidad en precio_fijo
+ *    productos_afectados: ["promo_2_pizzas_clasicas_jueves"],
+ *    condiciones: {
+ *      productos_requeridos: [{ categorias: ["pizzas"], variantes: ["mediana"], cantidad: 2 }],
+ *      sabores_permitidos: ["pizza_americana", "pizza_pepperoni"], // qué productos llenan los grupos
+ *      dias_semana: ["jueves"],                                    // hora del local (horarios.json)
+ *      horario: { desde: "18:00", hasta: "23:00" },
+ *      aplicable_a_tags: ["promo"]                                 // reglas sin precio (canal, stock...)
+ *    }
+ *  }
+ * Un grupo de productos_requeridos se llena con productos que cumplan ids, categorias, tags y variantes
+ * (los que estén definidos). Cada unidad del pedido entra en un solo combo, así las reglas no se acumulan.
+ */
+
+import { logger, MetricsCollector } from './utils.js';
+import businessHours from './business-hours.js';
+
+export const PRICING_RULE_TYPES = ['precio_combo', 'precio_fijo', 'promo_dia'];
+const AGENT_RULE_TYPE = 'requiere_agente';
+const MAX_SETS_PER_RULE = 50;
+
+const metrics = new MetricsCollector();
+
+/**
+ * @private
+ */
+function round2(value) {
+  return Math.round((value + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * "Miércoles" → "miercoles" (como WEEKDAYS de business-hours)
+ * @private
+ */
+function normalizeDay(day) {
+  return String(day || '').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim();
+}
+
+/**
+ * dias_semana como lista (acepta también el antiguo dia_semana: "jueves")
+ * @private
+ */
+function ruleDays(rule) {
+  const { dias_semana: dias, dia_semana: dia } = rule?.condiciones || {};
+  const list = Array.isArray(dias) ? dias : dias ? [dias] : dia ? [dia] : [];
+  return list.map(normalizeDay).filter(Boolean);
+}
+
+/**
+ * "HH:MM" → minutos desde medianoche (null si no es válido)
+ * @private
+ */
+function toMinutes(value) {
+  const match = String(value || '').match(/^(\d{1,2}):(\d{2})$/);
+  return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Productos del menú por id con su categoría
+ * @private
+ */
+function indexMenu(menu) {
+  const index = new Map();
+  for (const categoria of menu?.categorias || []) {
+    for (const producto of categoria.productos || []) {
+      index.set(producto.id, { producto, categoria: categoria.id });
+    }
+  }
+  return index;
+}
+
+/**
+ * Precio unitario: el del item o el del menú (variantes como objeto o como lista)
+ * @private
+ */
+function unitPrice(item, producto) {
+  const price = Number(item.price ?? item.unitPrice ?? item.priceHint);
+  if (Number.isFinite(price) && price > 0) return price;
+  const variantes = producto?.variantes;
+  if (item.variant && variantes) {
+    const variante = Array.isArray(variantes)
+      ? variantes.find(v => v?.id === item.variant)?.precio
+      : variantes[item.variant];
+    if (typeof variante === 'number') return variante;
+  }
+  return typeof producto?.precio === 'number' ? producto.precio : 0;
+}
+
+/**
+ * El producto puede ocupar un lugar del grupo
+ * @private
+ */
+function matchesGroup(unit, group, allowed) {
+  if (allowed && !allowed.includes(unit.id)) return false;
+  const { ids, categorias, tags, variantes } = group;
+  if (!ids && !categorias && !tags) return false;
+  if (ids && !ids.includes(unit.id)) return false;
+  if (categorias && !categorias.includes(unit.categoria)) return false;
+  if (tags && !tags.some(tag => unit.tags.includes(tag))) return false;
+  if (variantes && !variantes.includes(unit.variant)) return false;
+  return true;
+}
+
+/**
+ * Arma un combo con las unidades libres más caras; null si falta algún producto
+ * @private
+ */
+function takeSet(units, rule) {
+  const { productos_requeridos: groups, sabores_permitidos: allowed } = rule.condiciones;
+  const picked = [];
+  for (const group of groups) {
+    const needed = Math.max(1, Number(group.cantidad) || 1);
+    const matches = units.filter(u => !u.used && !picked.includes(u) && matchesGroup(u, group, allowed));
+    if (matches.length < needed) return null;
+    picked.push(...matches.slice(0, needed));
+  }
+  return picked;
+}
+
+/**
+ * Indica si la regla aplica en este momento (dias_semana y horario en hora del local)
+ * Una regla sin días ni horario aplica siempre.
+ * @param {Object} rule - Regla de menu.json
+ * @param {Object} options - { now }
+ * @returns {boolean}
+ */
+export function isRuleActive(rule, { now = new Date() } = {}) {
+  const days = ruleDays(rule);
+  const horario = rule?.condiciones?.horario;
+  if (!days.length && !horario) return true;
+
+  const parts = businessHours.getZonedParts(now);
+  if (days.length && !days.includes(businessHours.WEEKDAYS[parts.weekday])) return false;
+
+  const desde = toMinutes(horario?.desde);
+  const hasta = toMinutes(horario?.hasta);
+  if (desde === null || hasta === null) return true;
+  const minute = parts.hour * 60 + parts.minute;
+  // Un horario que cruza la medianoche (22:00 - 02:00) se parte en dos tramos
+  return desde <= hasta ? minute >= desde && minute < hasta : minute >= desde || minute < hasta;
+}
+
+/**
+ * Cuándo aplica la regla, para explicárselo al cliente
+ * @param {Object} rule - Regla de menu.json
+ * @returns {string} "los jueves", "los martes y jueves de 18:00 a 23:00" o "" si aplica siempre
+ */
+export function describeSchedule(rule) {
+  const days = ruleDays(rule);
+  const horario = rule?.condiciones?.horario;
+  const parts = [];
+  if (days.length) {
+    const names = days.map(d => (d.endsWith('s') ? d : `${d}s`));
+    parts.push(`los ${names.length > 1 ? `${names.slice(0, -1).join(', ')} y ${names[names.length - 1]}` : names[0]}`);
+  }
+  if (horario?.desde && horario?.hasta) parts.push(`de ${horario.desde} a ${horario.hasta}`);
+  return parts.join(' ');
+}
+
+/**
+ * Evalúa las reglas de precio sobre los items del pedido
+ * precio_combo / promo_dia: cada combo completo (productos_requeridos) cuesta `precio`.
+ * precio_fijo: cada unidad de productos_afectados cuesta como máximo `precio`.
+ * Solo se aplica una regla si abarata el pedido.
+ * @param {Array} items - Items { id, variant, quantity, price }
+ * @param {Object} options - { menu, now }
+ * @returns {Object} { descuento, promociones: [{ id, nombre, tipo, veces, monto }] }
+ */
+export function evaluatePromotions(items = [], { menu, now = new Date() } = {}) {
+  const rules = (menu?.reglas || []).filter(r => PRICING_RULE_TYPES.includes(r?.tipo) && typeof r.precio === 'number');
+  if (!rules.length || !items.length) return { descuento: 0, promociones: [] };
+
+  const index = indexMenu(menu);
+  const units = [];
+  for (const item of items) {
+    const entry = index.get(item.id);
+    const price = unitPrice(item, entry?.producto);
+    const quantity = Math.max(1, Number(item.quantity) || 1);
+    for (let i = 0; i < quantity; i++) {
+      units.push({ id: item.id, variant: item.variant || null, categoria: entry?.categoria || null, tags: entry?.producto?.tags || [], price, used: false });
+    }
+  }
+  // Los combos se arman primero con lo más caro: el cliente recibe el mayor descuento
+  units.sort((a, b) => b.price - a.price);
+
+  const promociones = [];
+  for (const rule of rules) {
+    if (!isRuleActive(rule, { now })) continue;
+    let monto = 0;
+    let veces = 0;
+
+    if (rule.tipo === 'precio_fijo') {
+      for (const unit of units) {
+        if (unit.used || !(rule.productos_afectados || []).includes(unit.id) || unit.price <= rule.precio) continue;
+        unit.used = true;
+        monto += unit.price - rule.precio;
+        veces++;
+      }
+    } else if (Array.isArray(rule.condiciones?.productos_requeridos) && rule.condiciones.productos_requeridos.length) {
+      while (veces < MAX_SETS_PER_RULE) {
+        const set = takeSet(units, rule);
+        const total = set ? set.reduce((sum, u) => sum + u.price, 0) : 0;
+        if (!set || total <= rule.precio) break;
+        set.forEach(u => { u.used = true; });
+        monto += total - rule.precio;
+        veces++;
+      }
+    }
+
+    if (monto > 0) {
+      promociones.push({ id: rule.id, nombre: rule.nombre || rule.descripcion || rule.id, tipo: rule.tipo, veces, monto: round2(monto) });
+    }
+  }
+
+  const descuento = round2(promociones.reduce((sum, p) => sum + p.monto, 0));
+  if (promociones.length) {
+    logger.debug('PROMOTIONS_APPLIED', { reglas: promociones.map(p => p.id), descuento });
+    promociones.forEach(p => metrics.record('promotion.applied', p.veces, { regla: p.id }));
+  }
+  return { descuento, promociones };
+}
+
+/**
+ * Promos del pedido que no maneja el bot (tipo requiere_agente), p. ej. Martes de Barra Libre
+ * Aplican cualquier día: el agente explica las condiciones y cobra.
+ * @param {Array} items - Items { id }
+ * @param {Object} options - { menu }
+ * @returns {Array<Object>} [{ id, nombre, productos }]
+ */
+export function findAgentPromotions(items = [], { menu } = {}) {
+  const ids = new Set(items.map(it => it?.id).filter(Boolean));
+  return (menu?.reglas || [])
+    .filter(r => r?.tipo === AGENT_RULE_TYPE)
+    .map(r => ({ id: r.id, nombre: r.nombre || r.descripcion || r.id, productos: (r.productos_afectados || []).filter(id => ids.has(id)) }))
+    .filter(r => r.productos.length > 0);
+}
+
+/**
+ * Productos de promo (productos_afectados) pedidos fuera del día u horario de su regla
+ * @param {Array} items - Items { id, name }
+ * @param {Object} options - { menu, now }
+ * @returns {Array<Object>} [{ id, nombre, regla, cuando }]
+ */
+export function findOutOfSchedule(items = [], { menu, now = new Date() } = {}) {
+  const inactive = (menu?.reglas || []).filter(r =>
+    PRICING_RULE_TYPES.includes(r?.tipo) && (r.productos_afectados || []).length && !isRuleActive(r, { now })
+  );
+  if (!inactive.length) return [];
+
+  const out = [];
+  for (const item of items) {
+    const rule = inactive.find(r => r.productos_afectados.includes(item.id));
+    if (rule && !out.some(o => o.id === item.id)) {
+      out.push({ id: item.id, nombre: item.name || item.id, regla: rule.id, cuando: describeSchedule(rule) });
+    }
+  }
+  return out;
+}
+
+export default {
+  PRICING_RULE_TYPES,
+  isRuleActive,
+  describeSchedule,
+  evaluatePromotions,
+  findAgentPromotions,
+  findOutOfSchedule
+};
@@ -0,0 +1,165 @@
+/**
+ * lib/reminders.js
+ *
+ * Recordatorios programados (ej. aviso a cocina de un pedido para más tarde)
+ * en Firestore, con respaldo en memoria cuando Firebase no está inicializado
+ * - scheduleReminder(reminder) - Programar o reprogramar un recordatorio
+ * - cancelReminders(telefono, tipo) - Cancelar los recordatorios pendientes de un cliente
+ * - listDueReminders(options) - Recordatorios pendientes cuya hora ya llegó
+ * - markReminderSent(id, result) - Marcar un recordatorio como enviado
+ */
+
+import admin from 'firebase-admin';
+import { logger, ValidationError, AppError, MetricsCollector } from './utils.js';
+
+const REMINDERS_COLLECTION = 'recordatorios';
+const memoryReminders = new Map();
+
+const metrics = new MetricsCollector();
+
+export const REMINDER_TYPES = {
+  KITCHEN: 'cocina_pedido_programado'
+};
+
+/**
+ * Firestore si Firebase ya fue inicializado (se consulta en cada llamada)
+ * @returns {Object|null} Firestore o null para usar memoria
+ * @private
+ */
+function getDb() {
+  return admin.apps.length ? admin.firestore() : null;
+}
+
+/**
+ * Programa un recordatorio (mismo id = reprogramar)
+ * @param {Object} reminder - { id, telefono, tipo, dueAt, payload }
+ * @returns {Promise<Object>} Recordatorio guardado
+ * @throws {ValidationError} Si faltan datos
+ * @throws {AppError} Si falla Firestore
+ */
+export async function scheduleReminder({ id, telefono, tipo, dueAt, payload = {} }) {
+  const due = dueAt instanceof Date ? dueAt : new Date(dueAt);
+  if (!id || !telefono || !tipo || Number.isNaN(due.getTime())) {
+    throw new ValidationError('Recordatorio inválido', { id, telefono, tipo, dueAt });
+  }
+
+  const doc = {
+    id,
+    telefono: String(telefono),
+    tipo,
+    dueAt: due.toISOString(),
+    payload,
+    estado: 'pendiente',
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    const db = getDb();
+    if (db) {
+      await db.collection(REMINDERS_COLLECTION).doc(id).set(doc);
+    } else {
+      memoryReminders.set(id, doc);
+    }
+    logger.info('REMINDER_SCHEDULED', { id, tipo, dueAt: doc.dueAt });
+    metrics.record('reminders.scheduled', 1, { tipo });
+    return doc;
+  } catch (error) {
+    logger.error('REMINDER_SCHEDULE_FAILED', { id, error: error.message });
+    throw new AppError('Error al programar recordatorio', 500, 'REMINDER_SCHEDULE_FAILED');
+  }
+}
+
+/**
+ * Lista los recordatorios pendientes (todos o los de un cliente)
+ * @private
+ */
+async function listPending(telefono = null) {
+  const db = getDb();
+  if (!db) {
+    return [...memoryReminders.values()]
+      .filter(r => r.estado === 'pendiente' && (!telefono || r.telefono === String(telefono)));
+  }
+
+  let query = db.collection(REMINDERS_COLLECTION).where('estado', '==', 'pendiente');
+  if (telefono) query = query.where('telefono', '==', String(telefono));
+  const snap = await query.get();
+  return snap.docs.map(d => d.data());
+}
+
+/**
+ * Actualiza el estado de un recordatorio
+ * @private
+ */
+async function updateReminder(id, data) {
+  const db = getDb();
+  if (db) {
+    await db.collection(REMINDERS_COLLECTION).doc(id).set(data, { merge: true });
+  } else if (memoryReminders.has(id)) {
+    memoryReminders.set(id, { ...memoryReminders.get(id), ...data });
+  }
+}
+
+/**
+ * Cancela los recordatorios pendientes de un cliente
+ * @param {string} telefono - Teléfono del cliente
+ * @param {string} [tipo] - Solo este tipo de recordatorio
+ * @returns {Promise<number>} Cantidad cancelada
+ */
+export async function cancelReminders(telefono, tipo = null) {
+  try {
+    const pending = (await listPending(telefono)).filter(r => !tipo || r.tipo === tipo);
+    for (const reminder of pending) {
+      await updateReminder(reminder.id, { estado: 'cancelado', canceladoAt: new Date().toISOString() });
+    }
+    if (pending.length > 0) {
+      logger.info('REMINDERS_CANCELLED', { telefono, count: pending.length });
+      metrics.record('reminders.cancelled', pending.length);
+    }
+    return pending.length;
+  } catch (error) {
+    logger.error('REMINDER_CANCEL_FAILED', { telefono, error: error.message });
+    throw new AppError('Error al cancelar recordatorios', 500, 'REMINDER_CANCEL_FAILED');
+  }
+}
+
+/**
+ * Recordatorios pendientes cuya hora ya llegó, del más antiguo al más reciente
+ * @param {Object} options - { now, limit }
+ * @returns {Promise<Array>} Recordatorios vencidos
+ */
+export async function listDueReminders({ now = new Date(), limit = 50 } = {}) {
+  try {
+    const due = (await listPending())
+      .filter(r => new Date(r.dueAt) <= now)
+      .sort((a, b) => a.dueAt.localeCompare(b.dueAt))
+      .slice(0, limit);
+    logger.debug('REMINDERS_DUE', { count: due.length });
+    return due;
+  } catch (error) {
+    logger.error('REMINDER_LIST_FAILED', { error: error.message });
+    throw new AppError('Error al consultar recordatorios', 500, 'REMINDER_LIST_FAILED');
+  }
+}
+
+/**
+ * Marca un recordatorio como enviado
+ * @param {string} id - Id del recordatorio
+ * @param {Object} result - Resultado del envío ({ sent, method })
+ * @returns {Promise<void>}
+ */
+export async function markReminderSent(id, result = {}) {
+  await updateReminder(id, {
+    estado: 'enviado',
+    enviadoAt: new Date().toISOString(),
+    resultado: { sent: !!result.sent, method: result.method || null }
+  });
+  metrics.record('reminders.sent', 1);
+}
+
+export default {
+  REMINDER_TYPES,
+  scheduleReminder,
+  cancelReminders,
+  listDueReminders,
+  markReminderSent
+};
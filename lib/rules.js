@@ -0,0 +1,103 @@
+/**
+ * lib/rules.js
+ *
+ * Reglas de negocio y listas de palabras clave de data/reglas.json
+ * - loadRules() - Cargar reglas.json (lazy, con valores por defecto)
+ * - getBusinessRule(name, fallback) - Leer una regla de reglas_negocio
+ * - matchesKeywords(text, words) - Buscar palabras/frases completas en un mensaje
+ * - classifyConfirmationReply(text) - Clasificar una respuesta sí/no
+ */
+
+import fs from 'fs';
+import { logger } from './utils.js';
+
+const DEFAULT_RULES = {
+  palabras_confirmacion: ['si', 'confirmo', 'ok'],
+  palabras_cancelacion: ['cancelar', 'no quiero'],
+  reglas_negocio: {}
+};
+
+let rulesCache = null;
+
+/**
+ * Carga data/reglas.json una sola vez
+ * @returns {Object} Reglas (con listas por defecto si el archivo no se puede leer)
+ */
+export function loadRules() {
+  if (!rulesCache) {
+    try {
+      const rulesPath = new URL('../data/reglas.json', import.meta.url);
+      rulesCache = { ...DEFAULT_RULES, ...JSON.parse(fs.readFileSync(rulesPath, 'utf8')) };
+      logger.debug('RULES_LOADED', { keys: Object.keys(rulesCache).length });
+    } catch (error) {
+      logger.warn('RULES_LOAD_FAILED', { error: error.message });
+      rulesCache = { ...DEFAULT_RULES };
+    }
+  }
+  return rulesCache;
+}
+
+/**
+ * Lee una regla de reglas_negocio
+ * @param {string} name - Nombre de la regla (ej. 'confirmacion_obligatoria')
+ * @param {*} fallback - Valor si la regla no está definida
+ * @returns {*} Valor de la regla
+ */
+export function getBusinessRule(name, fallback = null) {
+  const value = loadRules().reglas_negocio?.[name];
+  return value === undefined ? fallback : value;
+}
+
+/**
+ * Normaliza texto para comparar palabras: minúsculas, sin tildes ni signos
+ * @param {string} text - Texto
+ * @returns {string} Texto normalizado con espacios simples
+ * @private
+ */
+function normalizeWords(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9ñ\s]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Indica si el mensaje contiene alguna de las palabras o frases como palabra completa
+ * ("si" coincide con "sí, confirmo" pero no con "sigue")
+ * @param {string} text - Mensaje del cliente
+ * @param {Array<string>} words - Lista de palabras/frases
+ * @returns {boolean} true si alguna coincide
+ */
+export function matchesKeywords(text, words = []) {
+  const haystack = ` ${normalizeWords(text)} `;
+  if (haystack.trim() === '') return false;
+  return words.some(word => {
+    const needle = normalizeWords(word);
+    return needle !== '' && haystack.includes(` ${needle} `);
+  });
+}
+
+/**
+ * Clasifica la respuesta del cliente a la confirmación del pedido
+ * según palabras_confirmacion y palabras_cancelacion.
+ * @param {string} text - Mensaje del cliente
+ * @param {Object} [rules] - Reglas (por defecto data/reglas.json)
+ * @returns {string|null} 'confirm', 'cancel' o null si es ambigua
+ */
+export function classifyConfirmationReply(text, rules = loadRules()) {
+  const confirms = matchesKeywords(text, rules.palabras_confirmacion);
+  const cancels = matchesKeywords(text, rules.palabras_cancelacion);
+  if (confirms && !cancels) return 'confirm';
+  if (cancels && !confirms) return 'cancel';
+  return null;
+}
+
+export default {
+  loadRules,
+  getBusinessRule,
+  matchesKeywords,
+  classifyConfirmationReply
+};
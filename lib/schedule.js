@@ -0,0 +1,253 @@
+/**
+ * lib/schedule.js
+ *
+ * Pedidos programados para una hora futura ("para las 8 de la noche", "en 2 horas")
+ * - extractRequestedTime(text, options) - Extraer la hora pedida (hora del local)
+ * - validateScheduledTime(at, options) - Verificar que la hora cae en el horario de atención
+ * - formatScheduledTime(at, options) - Texto para el cliente y el agente ("hoy a las 20:00")
+ * - kitchenReminderAt(at, options) - Cuándo avisar a cocina
+ */
+
+import { logger } from './utils.js';
+import { CONFIG } from './config.js';
+import businessHours from './business-hours.js';
+
+const MAX_DAYS_AHEAD = 7;
+
+const NUMBER_WORDS = {
+  un: 1, una: 1, uno: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5, seis: 6, siete: 7, ocho: 8,
+  nueve: 9, diez: 10, once: 11, doce: 12, quince: 15, veinte: 20, treinta: 30, cuarenta: 40
+};
+const NUMBER = `(\\d{1,3}|${Object.keys(NUMBER_WORDS).join('|')})`;
+const { WEEKDAYS } = businessHours;
+
+const RELATIVE_PATTERNS = [
+  { regex: /\b(?:para\s+)?(?:en|dentro de)\s+media\s+hora\b/, minutes: () => 30 },
+  { regex: /\b(?:para\s+)?(?:en|dentro de)\s+(?:una\s+)?hora\s+y\s+media\b/, minutes: () => 90 },
+  {
+    regex: new RegExp(`\\b(?:para\\s+)?(?:en|dentro de)\\s+(?:un par de|${NUMBER})\\s*(horas?|hrs?|h|minutos?|mins?|min)(\\s+y\\s+media)?\\b`),
+    minutes: (m) => {
+      const value = m[1] ? toNumber(m[1]) : 2;
+      const isHours = /^h/.test(m[2]);
+      return (isHours ? value * 60 : value) + (m[3] ? 30 : 0);
+    }
+  }
+];
+
+const ABSOLUTE_PATTERN = new RegExp(
+  '\\b(?:para|a)\\s+(?:las|la)\\s+' + NUMBER +
+  '(?:\\s*[:.h]\\s*(\\d{2}))?' +
+  '(?:\\s+y\\s+(media|cuarto))?' +
+  '(?:\\s*(a\\.?\\s?m\\.?|p\\.?\\s?m\\.?|de la (?:manana|tarde|noche)|del mediodia|hrs?\\b|horas\\b))?'
+);
+const CLOCK_PATTERN = /\b(\d{1,2})(?:\s*[:.h]\s*(\d{2}))?\s*(a\.?\s?m\.?|p\.?\s?m\.?)(?![a-z])|\b(\d{1,2})[:h](\d{2})\b/;
+const NOON_PATTERN = /\b(?:(?:para|a)\s+)?(?:al\s+)?medio\s?dia\b/;
+
+/**
+ * Minúsculas y sin tildes, conservando la longitud del texto
+ * (los índices de las coincidencias sirven para recortar el original)
+ * @param {string} text - Texto original
+ * @returns {string} Texto normalizado
+ * @private
+ */
+function normalizeSameLength(text) {
+  return Array.from(String(text || '').toLowerCase())
+    .map(c => (c.length === 1 ? c.normalize('NFD').charAt(0) : c))
+    .join('');
+}
+
+function toNumber(token) {
+  return NUMBER_WORDS[token] ?? Number(token);
+}
+
+/**
+ * Fecha/hora de pared en la zona del local
+ * @private
+ */
+function localParts(date) {
+  return businessHours.getZonedParts(date);
+}
+
+/**
+ * Instante correspondiente a una hora de pared del local (los días fuera de rango se normalizan)
+ * @private
+ */
+function fromLocal(year, month, day, hour, minute) {
+  return businessHours.zonedDateTime({ year, month, day, hour, minute });
+}
+
+function toMinutes(hhmm) {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return h * 60 + (m || 0);
+}
+
+/**
+ * Día pedido: hoy, mañana, pasado mañana o un día de la semana
+ * ("de la mañana" es la franja horaria, no el día)
+ * @param {string} normalized - Texto normalizado
+ * @param {number} weekday - Día de la semana actual en Lima
+ * @returns {Object|null} { offset, match } o null si no se menciona día
+ * @private
+ */
+function extractDayOffset(normalized, weekday) {
+  const dayPatterns = [
+    { regex: /\b(?:para\s+)?pasado\s+manana\b/, offset: () => 2 },
+    { regex: /(?<!de la )\b(?:para\s+)?manana\b/, offset: () => 1 },
+    { regex: /\b(?:para\s+)?hoy\b/, offset: () => 0 },
+    {
+      regex: new RegExp(`\\b(?:para\\s+)?(?:el\\s+)?(${WEEKDAYS.join('|')})\\b`),
+      offset: (m) => ((WEEKDAYS.indexOf(m[1]) - weekday + 7) % 7) || 7
+    }
+  ];
+  for (const { regex, offset } of dayPatterns) {
+    const match = normalized.match(regex);
+    if (match) return { offset: offset(match), match };
+  }
+  return null;
+}
+
+/**
+ * Hora del día a partir de hora, minutos y franja ("8 de la noche" = 20:00)
+ * Sin franja, las horas antes de la apertura se toman como de la tarde/noche ("a las 8" = 20:00).
+ * @private
+ */
+function resolveHour(hour, period, opensAt) {
+  const p = (period || '').replace(/[\s.]/g, '');
+  if (/^(pm|delatarde|delanoche)$/.test(p)) return hour < 12 ? hour + 12 : hour;
+  if (/^(am|delamanana)$/.test(p)) return hour === 12 ? 0 : hour;
+  if (p === 'delmediodia') return 12;
+  if (hour < 12 && hour * 60 < toMinutes(opensAt)) return hour + 12;
+  return hour;
+}
+
+/**
+ * Extrae la hora pedida para el pedido
+ * Acepta expresiones relativas ("en 2 horas", "dentro de media hora") y absolutas
+ * ("para las 8 de la noche", "a las 20:30", "mañana a la 1 pm", "al mediodía").
+ * @param {string} text - Mensaje del cliente
+ * @param {Object} options - { now, opensAt }
+ * @returns {Object|null} { at, text, rest, relative } o null si no pide una hora
+ */
+export function extractRequestedTime(text, { now = new Date(), opensAt = CONFIG.DELIVERY_HOURS_START } = {}) {
+  const original = String(text || '');
+  const normalized = normalizeSameLength(original);
+  if (!normalized.trim()) return null;
+
+  const cut = (match) => ({
+    text: original.slice(match.index, match.index + match[0].length).trim(),
+    rest: `${original.slice(0, match.index)} ${original.slice(match.index + match[0].length)}`.replace(/\s+/g, ' ').trim()
+  });
+
+  for (const { regex, minutes } of RELATIVE_PATTERNS) {
+    const match = normalized.match(regex);
+    if (match) {
+      const at = new Date(now.getTime() + minutes(match) * 60000);
+      logger.debug('REQUESTED_TIME_RELATIVE', { text: match[0], at: at.toISOString() });
+      return { at, relative: true, ...cut(match) };
+    }
+  }
+
+  let hour = null;
+  let minute = 0;
+  let period = null;
+  let match = normalized.match(ABSOLUTE_PATTERN);
+  if (match) {
+    hour = toNumber(match[1]);
+    minute = match[2] ? Number(match[2]) : match[3] === 'media' ? 30 : match[3] === 'cuarto' ? 15 : 0;
+    period = match[4] || null;
+  } else if ((match = normalized.match(CLOCK_PATTERN))) {
+    hour = Number(match[1] ?? match[4]);
+    minute = Number(match[2] ?? match[5] ?? 0);
+    period = match[3] || null;
+  } else if ((match = normalized.match(NOON_PATTERN))) {
+    hour = 12;
+    period = 'del mediodia';
+  }
+
+  if (hour == null || hour > 23 || minute > 59) return null;
+
+  const today = localParts(now);
+  const day = extractDayOffset(normalized, today.weekday);
+  const resolvedHour = resolveHour(hour, period, opensAt);
+  let at = fromLocal(today.year, today.month, today.day + (day?.offset || 0), resolvedHour, minute);
+  // Sin día mencionado, una hora que ya pasó hoy es para mañana
+  if (!day && at <= now) at = fromLocal(today.year, today.month, today.day + 1, resolvedHour, minute);
+
+  // Recortar también el día mencionado ("mañana a las 8")
+  const { text: timeText, rest: withoutTime } = cut(match);
+  let rest = withoutTime;
+  let requested = timeText;
+  if (day) {
+    const dayText = original.slice(day.match.index, day.match.index + day.match[0].length).trim();
+    rest = rest.replace(dayText, ' ').replace(/\s+/g, ' ').trim();
+    requested = day.match.index < match.index ? `${dayText} ${timeText}` : `${timeText} ${dayText}`;
+  }
+
+  logger.debug('REQUESTED_TIME_ABSOLUTE', { text: requested, at: at.toISOString() });
+  return { at, relative: false, text: requested, rest };
+}
+
+/**
+ * Verifica que la hora pedida se pueda atender
+ * @param {Date} at - Hora pedida
+ * La hora debe caer dentro de un turno del día (horarios.json); la hora de cierre cuenta como válida.
+ * @param {Object} options - { now, calendar, leadMin, maxDaysAhead }
+ * @returns {Object} { ok, reason: 'past'|'too_soon'|'too_far'|'outside_hours'|null, hours } hours = turnos de ese día
+ */
+export function validateScheduledTime(at, {
+  now = new Date(),
+  calendar = businessHours.loadBusinessHours(),
+  leadMin = CONFIG.DELIVERY_TIME_ESTIMATE_MINS,
+  maxDaysAhead = MAX_DAYS_AHEAD
+} = {}) {
+  const date = at instanceof Date ? at : new Date(at);
+  const valid = !Number.isNaN(date.getTime());
+  const { shifts, note } = valid ? businessHours.getShiftsForDate(date, { calendar }) : { shifts: [], note: null };
+  const hours = note ? `${businessHours.describeShifts(shifts)} por ${note}` : businessHours.describeShifts(shifts);
+  const result = (reason) => ({ ok: reason === null, reason, hours });
+  if (!valid || date <= now) return result('past');
+  if (date.getTime() - now.getTime() < leadMin * 60000) return result('too_soon');
+  if (date.getTime() - now.getTime() > maxDaysAhead * 24 * 3600000) return result('too_far');
+
+  const { hour, minute } = localParts(date);
+  const minuteOfDay = hour * 60 + minute;
+  if (!shifts.some(s => minuteOfDay >= s.start && minuteOfDay <= s.end)) return result('outside_hours');
+  return result(null);
+}
+
+/**
+ * Texto de la hora programada en hora del local
+ * @param {Date|string} at - Hora programada
+ * @param {Object} options - { now }
+ * @returns {string} "hoy a las 20:00", "mañana a las 13:30" o "sábado 21/11 a las 20:00"
+ */
+export function formatScheduledTime(at, { now = new Date() } = {}) {
+  const date = at instanceof Date ? at : new Date(at);
+  const target = localParts(date);
+  const today = localParts(now);
+  const dayDiff = Math.round((Date.UTC(target.year, target.month, target.day) - Date.UTC(today.year, today.month, today.day)) / 86400000);
+  const time = `${String(target.hour).padStart(2, '0')}:${String(target.minute).padStart(2, '0')}`;
+
+  if (dayDiff === 0) return `hoy a las ${time}`;
+  if (dayDiff === 1) return `mañana a las ${time}`;
+  const weekday = WEEKDAYS[target.weekday].replace('miercoles', 'miércoles').replace('sabado', 'sábado');
+  return `${weekday} ${String(target.day).padStart(2, '0')}/${String(target.month + 1).padStart(2, '0')} a las ${time}`;
+}
+
+/**
+ * Momento en que cocina debe recibir el recordatorio de un pedido programado
+ * @param {Date|string} at - Hora programada
+ * @param {Object} options - { leadMin } minutos de anticipación
+ * @returns {Date} Hora del recordatorio
+ */
+export function kitchenReminderAt(at, { leadMin = CONFIG.KITCHEN_REMINDER_LEAD_MINS } = {}) {
+  const date = at instanceof Date ? at : new Date(at);
+  return new Date(date.getTime() - leadMin * 60000);
+}
+
+export default {
+  extractRequestedTime,
+  validateScheduledTime,
+  formatScheduledTime,
+  kitchenReminderAt
+};
@@ -7,6 +7,17 @@
  * - saveAddressForPhone(phone, address) - Guardar dirección
  * - saveOrderDraft(phone, parsedOrder) - Guardar borrador de orden
  * - deleteSession(phone) - Eliminar sesión
+ * - claimIncomingMessage(key, options) - Reservar un mensaje entrante (idempotencia de reintentos)
+ * - completeIncomingMessage(key, response) - Guardar la respuesta de un mensaje procesado
+ * - releaseIncomingMessage(key) - Liberar un mensaje que falló para que el reintento lo procese
+ * - bufferIncomingMessage(phone, text) - Acumular un mensaje de una ráfaga
+ * - takeMessageBuffer(phone, seq) - Tomar la ráfaga completa si no llegó otro mensaje después
+ * - setHumanControl(phone, options) - Un agente toma (o sigue atendiendo) la conversación
+ * - clearHumanControl(phone) - El bot retoma la conversación
+ * - getHumanControlStatus(session, now) - Si el agente sigue a cargo o ya venció la inactividad
+ * - listSessionsByState(states, options) - Sesiones en ciertos estados (barridos de SLA)
+ *
+ * Cada cambio de `estado` queda registrado en estadoDesde y tiempos_estado[estado] (medición de SLAs).
  */
 
 import admin from 'firebase-admin';
@@ -16,6 +27,13 @@ const db = admin.apps.length ? admin.firestore() : null;
 const memorySessions = new Map();
 const SESSIONS_COLLECTION = 'sessions';
 const SESSION_TTL_HOURS = 24;
+const PROCESSED_MESSAGES_COLLECTION = 'mensajes_procesados';
+const memoryProcessedMessages = new Map();
+const MEMORY_PROCESSED_MESSAGES_MAX = 500;
+const PROCESSING_STALE_MS = 60 * 1000;
+const MESSAGE_BUFFERS_COLLECTION = 'rafagas_mensajes';
+const memoryMessageBuffers = new Map();
+const BUFFER_STALE_MS = 60 * 1000;
 
 const metrics = new MetricsCollector();
 
@@ -48,11 +66,28 @@ function getOrCreateMemorySession(phoneStr) {
   return memorySessions.get(phoneStr);
 }
 
+/**
+ * Marcas de tiempo del cambio de estado: solo cuando `estado` cambia respecto de la sesión guardada
+ * @param {Object|null} previous - Sesión guardada
+ * @param {Object} data - Datos a guardar
+ * @returns {Object} { estadoDesde, tiempos_estado } o {} si el estado no cambia
+ * @private
+ */
+function stateTimestamps(previous, data) {
+  if (typeof data.estado !== 'string' || data.estado === previous?.estado) return {};
+  const now = new Date().toISOString();
+  return {
+    estadoDesde: now,
+    tiempos_estado: { ...(previous?.tiempos_estado || {}), [data.estado]: now }
+  };
+}
+
 function saveMemorySession(phoneStr, data) {
   const current = memorySessions.get(phoneStr) || {};
   const merged = {
     ...current,
     ...data,
+    ...stateTimestamps(current, data),
     updatedAt: new Date().toISOString()
   };
   if (!merged.createdAt) merged.createdAt = new Date().toISOString();
@@ -60,6 +95,28 @@ function saveMemorySession(phoneStr, data) {
   return merged;
 }
 
+/**
+ * Escribe (merge) en el documento de sesión de Firestore
+ * Si data trae `estado`, el cambio se compara con la sesión guardada dentro de la misma
+ * transacción para registrar estadoDesde y tiempos_estado.
+ * @private
+ */
+async function writeSessionDoc(phoneStr, data) {
+  const ref = db.collection(SESSIONS_COLLECTION).doc(phoneStr);
+  if (typeof data.estado !== 'string') {
+    await ref.set({ ...data, updatedAt: new Date().toISOString() }, { merge: true });
+    return;
+  }
+  await db.runTransaction(async (tx) => {
+    const snap = await tx.get(ref);
+    tx.set(ref, {
+      ...data,
+      ...stateTimestamps(snap.exists ? snap.data() : null, data),
+      updatedAt: new Date().toISOString()
+    }, { merge: true });
+  });
+}
+
 /**
  * Valida un número de teléfono
  * @param {string} phone - Número de teléfono
@@ -171,11 +228,7 @@ export async function saveSession(phone, data) {
       return true;
     }
 
-    const ref = db.collection(SESSIONS_COLLECTION).doc(phoneStr);
-    await ref.set({
-      ...data,
-      updatedAt: new Date().toISOString()
-    }, { merge: true });
+    await writeSessionDoc(phoneStr, data);
 
     const duration = Date.now() - startTime;
     logger.info('SESSION_SAVED', { phone: phoneStr, duration_ms: duration });
@@ -229,8 +282,7 @@ export async function saveAddressForPhone(phone, address, components = {}) {
       return payload;
     }
 
-    const ref = db.collection(SESSIONS_COLLECTION).doc(phoneStr);
-    await ref.set(payload, { merge: true });
+    await writeSessionDoc(phoneStr, payload);
 
     const duration = Date.now() - startTime;
     logger.info('ADDRESS_SAVED', { phone: phoneStr, duration_ms: duration });
@@ -283,8 +335,7 @@ export async function saveOrderDraft(phone, parsedOrder) {
       return payload;
     }
 
-    const ref = db.collection(SESSIONS_COLLECTION).doc(phoneStr);
-    await ref.set(payload, { merge: true });
+    await writeSessionDoc(phoneStr, payload);
 
     const duration = Date.now() - startTime;
     logger.info('ORDER_DRAFT_SAVED', { phone: phoneStr, duration_ms: duration });
@@ -343,10 +394,337 @@ export async function deleteSession(phone) {
   }
 }
 
+/**
+ * Un registro reservado que no puede volver a procesarse:
+ * completado y sin vencer, o en proceso desde hace menos de PROCESSING_STALE_MS
+ * @private
+ */
+function isActiveRecord(record, now) {
+  if (!record || new Date(record.expiresAt).getTime() <= now) return false;
+  if (record.estado === 'procesando') return now - new Date(record.claimedAt).getTime() < PROCESSING_STALE_MS;
+  return true;
+}
+
+function pruneMemoryProcessedMessages(now) {
+  if (memoryProcessedMessages.size < MEMORY_PROCESSED_MESSAGES_MAX) return;
+  for (const [key, record] of memoryProcessedMessages) {
+    if (new Date(record.expiresAt).getTime() <= now) memoryProcessedMessages.delete(key);
+  }
+}
+
+/**
+ * Reserva un mensaje entrante antes de procesarlo
+ * Si el mensaje ya se procesó (o se está procesando) devuelve el registro existente
+ * para responder al reintento sin repetir efectos. Un mensaje en proceso desde hace
+ * más de un minuto (función caída) se puede volver a reservar.
+ * @param {string} key - Id del mensaje o hash del contenido
+ * @param {Object} options - { telefono, ttlHours, now }
+ * @returns {Promise<Object>} { claimed, record }
+ * @throws {ValidationError} Si falta la clave
+ * @throws {AppError} Si falla Firestore
+ */
+export async function claimIncomingMessage(key, { telefono = null, ttlHours = SESSION_TTL_HOURS, now: at = new Date() } = {}) {
+  if (!key || typeof key !== 'string') {
+    throw new ValidationError('Clave de idempotencia inválida');
+  }
+
+  const now = at.getTime();
+  const record = {
+    key,
+    telefono: telefono ? String(telefono) : null,
+    estado: 'procesando',
+    claimedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + ttlHours * 3600 * 1000).toISOString()
+  };
+
+  try {
+    if (!db) {
+      pruneMemoryProcessedMessages(now);
+      const existing = memoryProcessedMessages.get(key);
+      if (isActiveRecord(existing, now)) {
+        metrics.record('session.message.duplicate', 1, { estado: existing.estado });
+        return { claimed: false, record: existing };
+      }
+      memoryProcessedMessages.set(key, record);
+      metrics.record('session.message.claimed', 1);
+      return { claimed: true, record };
+    }
+
+    const ref = db.collection(PROCESSED_MESSAGES_COLLECTION).doc(key);
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const existing = snap.exists ? snap.data() : null;
+      if (isActiveRecord(existing, now)) return { claimed: false, record: existing };
+      tx.set(ref, record);
+      return { claimed: true, record };
+    });
+    metrics.record(result.claimed ? 'session.message.claimed' : 'session.message.duplicate', 1);
+    return result;
+
+  } catch (error) {
+    logger.error('MESSAGE_CLAIM_FAILED', { key, error: error.message });
+    throw new AppError('Error al registrar mensaje entrante', 500, 'MESSAGE_CLAIM_FAILED');
+  }
+}
+
+/**
+ * Guarda la respuesta de un mensaje reservado para devolverla en los reintentos
+ * @param {string} key - Clave de claimIncomingMessage
+ * @param {Object} response - Cuerpo de la respuesta enviada
+ * @returns {Promise<void>}
+ */
+export async function completeIncomingMessage(key, response = {}) {
+  const data = {
+    estado: 'completado',
+    completedAt: new Date().toISOString(),
+    response: JSON.parse(JSON.stringify(response))
+  };
+
+  try {
+    if (!db) {
+      const current = memoryProcessedMessages.get(key);
+      if (current) memoryProcessedMessages.set(key, { ...current, ...data });
+      return;
+    }
+    await db.collection(PROCESSED_MESSAGES_COLLECTION).doc(key).set(data, { merge: true });
+  } catch (error) {
+    // La respuesta ya se envió: un fallo aquí solo afecta a un eventual reintento
+    logger.error('MESSAGE_COMPLETE_FAILED', { key, error: error.message });
+    metrics.record('session.message.complete_error', 1);
+  }
+}
+
+/**
+ * Libera un mensaje reservado cuyo procesamiento falló
+ * @param {string} key - Clave de claimIncomingMessage
+ * @returns {Promise<void>}
+ */
+export async function releaseIncomingMessage(key) {
+  try {
+    if (!db) {
+      memoryProcessedMessages.delete(key);
+      return;
+    }
+    await db.collection(PROCESSED_MESSAGES_COLLECTION).doc(key).delete();
+  } catch (error) {
+    logger.error('MESSAGE_RELEASE_FAILED', { key, error: error.message });
+  }
+}
+
+/**
+ * Acumula un mensaje de texto en la ráfaga del cliente
+ * Los mensajes de una ráfaga anterior que nunca se procesó (más de un minuto) se descartan.
+ * @param {string} phone - Número de teléfono
+ * @param {string} text - Mensaje recibido
+ * @returns {Promise<Object>} { seq, count } seq identifica a este mensaje dentro de la ráfaga
+ * @throws {ValidationError} Si el teléfono es inválido
+ * @throws {AppError} Si falla Firestore
+ */
+export async function bufferIncomingMessage(phone, text) {
+  const phoneStr = validatePhone(phone);
+  const now = Date.now();
+  const append = (current) => {
+    const fresh = current && now - new Date(current.lastAt).getTime() < BUFFER_STALE_MS;
+    const messages = fresh ? current.messages : [];
+    return {
+      messages: [...messages, { text: String(text || ''), at: new Date(now).toISOString() }],
+      seq: (current?.seq || 0) + 1,
+      lastAt: new Date(now).toISOString()
+    };
+  };
+
+  try {
+    if (!db) {
+      const buffer = append(memoryMessageBuffers.get(phoneStr));
+      memoryMessageBuffers.set(phoneStr, buffer);
+      return { seq: buffer.seq, count: buffer.messages.length };
+    }
+
+    const ref = db.collection(MESSAGE_BUFFERS_COLLECTION).doc(phoneStr);
+    const buffer = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const next = append(snap.exists ? snap.data() : null);
+      tx.set(ref, next);
+      return next;
+    });
+    return { seq: buffer.seq, count: buffer.messages.length };
+
+  } catch (error) {
+    logger.error('MESSAGE_BUFFER_FAILED', { phone: phoneStr, error: error.message });
+    throw new AppError('Error al acumular mensaje', 500, 'MESSAGE_BUFFER_FAILED');
+  }
+}
+
+/**
+ * Toma los mensajes acumulados si seq sigue siendo el último de la ráfaga
+ * El buffer se vacía al tomarlo; la secuencia se conserva para los siguientes mensajes.
+ * @param {string} phone - Número de teléfono
+ * @param {number} seq - Secuencia devuelta por bufferIncomingMessage
+ * @returns {Promise<Array<string>|null>} Textos en orden, o null si llegó un mensaje posterior
+ * @throws {AppError} Si falla Firestore
+ */
+export async function takeMessageBuffer(phone, seq) {
+  const phoneStr = validatePhone(phone);
+  const take = (current) => (current && current.seq === seq ? current.messages.map(m => m.text) : null);
+
+  try {
+    if (!db) {
+      const current = memoryMessageBuffers.get(phoneStr);
+      const texts = take(current);
+      if (texts) memoryMessageBuffers.set(phoneStr, { ...current, messages: [] });
+      return texts;
+    }
+
+    const ref = db.collection(MESSAGE_BUFFERS_COLLECTION).doc(phoneStr);
+    return await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const current = snap.exists ? snap.data() : null;
+      const texts = take(current);
+      if (texts) tx.set(ref, { ...current, messages: [] });
+      return texts;
+    });
+
+  } catch (error) {
+    logger.error('MESSAGE_BUFFER_TAKE_FAILED', { phone: phoneStr, error: error.message });
+    throw new AppError('Error al leer mensajes acumulados', 500, 'MESSAGE_BUFFER_TAKE_FAILED');
+  }
+}
+
+/**
+ * Marca la conversación como atendida por un agente humano
+ * Cada llamada cuenta como actividad del agente y extiende el vencimiento.
+ * @param {string} phone - Número de teléfono
+ * @param {Object} options - { agente, motivo, idleMinutes }
+ * @returns {Promise<Object>} Estado guardado en session.humano
+ * @throws {ValidationError} Si el teléfono o los minutos son inválidos
+ */
+export async function setHumanControl(phone, { agente = null, motivo = null, idleMinutes = 30 } = {}) {
+  const minutes = Number(idleMinutes);
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    throw new ValidationError('Los minutos de inactividad deben ser un número positivo');
+  }
+
+  const current = await getSession(phone);
+  const now = new Date();
+  const previous = getHumanControlStatus(current, now).active ? current.humano : null;
+  const humano = {
+    activo: true,
+    agente: agente || previous?.agente || null,
+    motivo: motivo || previous?.motivo || null,
+    desde: previous?.desde || now.toISOString(),
+    ultimaActividad: now.toISOString(),
+    expiraEn: new Date(now.getTime() + minutes * 60000).toISOString(),
+    idleMinutes: minutes
+  };
+  await saveSession(phone, { humano });
+  logger.info('HUMAN_CONTROL_SET', { phone: String(phone), agente: humano.agente, expiraEn: humano.expiraEn });
+  metrics.record(previous ? 'session.human.activity' : 'session.human.taken', 1);
+  return humano;
+}
+
+/**
+ * Devuelve la conversación al bot
+ * @param {string} phone - Número de teléfono
+ * @param {Object} options - { reason } 'agente' o 'inactividad'
+ * @returns {Promise<Object>} Estado guardado en session.humano
+ */
+export async function clearHumanControl(phone, { reason = 'agente' } = {}) {
+  // Campos explícitos en null: Firestore combina los mapas con merge
+  const humano = {
+    activo: false,
+    agente: null,
+    motivo: null,
+    desde: null,
+    ultimaActividad: null,
+    expiraEn: null,
+    idleMinutes: null,
+    liberadoEn: new Date().toISOString(),
+    liberadoPor: reason
+  };
+  await saveSession(phone, { humano });
+  logger.info('HUMAN_CONTROL_CLEARED', { phone: String(phone), reason });
+  metrics.record('session.human.released', 1, { reason });
+  return humano;
+}
+
+/**
+ * Estado del control humano de una sesión
+ * @param {Object} session - Sesión (con session.humano)
+ * @param {Date} now - Instante a evaluar
+ * @returns {Object} { active, expired } expired = el agente dejó de responder y el bot debe retomar
+ */
+export function getHumanControlStatus(session, now = new Date()) {
+  const humano = session?.humano;
+  if (!humano?.activo) return { active: false, expired: false };
+  const expired = !humano.expiraEn || new Date(humano.expiraEn) <= now;
+  return { active: !expired, expired };
+}
+
+/**
+ * Sesiones cuyo estado está en la lista
+ * Recorre la consulta completa por páginas ordenadas por teléfono: los barridos deben ver
+ * todas las sesiones, no solo las primeras que devuelva Firestore.
+ * @param {Array<string>} states - Estados buscados
+ * @param {Object} options - { pageSize } Sesiones por lectura
+ * @returns {Promise<Array>} [{ telefono, session }]
+ * @throws {AppError} Si falla Firestore
+ */
+export async function listSessionsByState(states = [], { pageSize = 200 } = {}) {
+  if (!Array.isArray(states) || states.length === 0) return [];
+  try {
+    const results = [];
+    // Firestore acepta hasta 10 valores por consulta "in"
+    for (let i = 0; i < states.length; i += 10) {
+      const chunk = states.slice(i, i + 10);
+      let after = null;
+      let page;
+      do {
+        page = await listSessionsPage(chunk, after, pageSize);
+        results.push(...page);
+        after = page.length ? page[page.length - 1].telefono : after;
+      } while (page.length === pageSize);
+    }
+    return results;
+  } catch (error) {
+    logger.error('SESSION_LIST_FAILED', { states, error: error.message });
+    throw new AppError('Error al listar sesiones', 500, 'SESSION_LIST_FAILED');
+  }
+}
+
+/**
+ * Una página de sesiones en ciertos estados, después del teléfono `after`
+ * @private
+ */
+async function listSessionsPage(states, after, pageSize) {
+  if (!db) {
+    return [...memorySessions.entries()]
+      .filter(([telefono, session]) => states.includes(session.estado) && (after === null || telefono > after))
+      .sort(([a], [b]) => (a < b ? -1 : 1))
+      .slice(0, pageSize)
+      .map(([telefono, session]) => ({ telefono, session }));
+  }
+
+  let query = db.collection(SESSIONS_COLLECTION)
+    .where('estado', 'in', states)
+    .orderBy(admin.firestore.FieldPath.documentId());
+  if (after !== null) query = query.startAfter(after);
+  const snap = await query.limit(pageSize).get();
+  return snap.docs.map(doc => ({ telefono: doc.id, session: doc.data() }));
+}
+
 export default {
   getSession,
   saveSession,
   saveAddressForPhone,
   saveOrderDraft,
-  deleteSession
+  deleteSession,
+  claimIncomingMessage,
+  completeIncomingMessage,
+  releaseIncomingMessage,
+  bufferIncomingMessage,
+  takeMessageBuffer,
+  setHumanControl,
+  clearHumanControl,
+  getHumanControlStatus,
+  listSessionsByState
 };
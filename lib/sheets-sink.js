@@ -0,0 +1,249 @@
+/**
+ * lib/sheets-sink.js
+ *
+ * Copia de los pedidos confirmados en una hoja de cálculo (reglas.json → integraciones.google_sheets)
+ * Una fila por pedido con el número en la columna A; la fila se actualiza cuando cambia el estado.
+ * - SHEET_COLUMNS - Columnas de la hoja, en orden
+ * - orderToRow(pedido) - Fila de un pedido guardado
+ * - createCsvFileAdapter(options) - Hoja local en un archivo CSV (desarrollo)
+ * - createGoogleSheetsAdapter(options) - Google Sheets API v4 con cuenta de servicio
+ * - getSheetsAdapter() - Adaptador configurado en SHEETS_ADAPTER o null si la integración está apagada
+ * - upsertOrderRow(pedido, options) - Agregar o actualizar la fila del pedido
+ * - backfillOrders(pedidos, options) - Copiar pedidos históricos sin duplicar filas
+ *
+ * Un adaptador implementa readKeys() (columna A), appendRows(rows) y updateRow(rowNumber, row).
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { logger, AppError, MetricsCollector } from './utils.js';
+import { CONFIG } from './config.js';
+import rules from './rules.js';
+import businessHours from './business-hours.js';
+import pedidosExport from './pedidos-export.js';
+
+export const SHEET_COLUMNS = ['numero', 'hora', 'cliente', 'telefono', 'items', 'total', 'pago', 'direccion', 'estado'];
+
+const SHEETS_API = 'https://sheets.googleapis.com/v4/spreadsheets';
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const SHEETS_SCOPE = 'https://www.googleapis.com/auth/spreadsheets';
+const TOKEN_TTL_S = 3600;
+const TOKEN_REFRESH_MARGIN_MS = 60000;
+
+const metrics = new MetricsCollector();
+let configuredAdapter;
+
+/**
+ * Fila de un pedido guardado (una sola línea por celda)
+ * @param {Object} pedido - Pedido de lib/pedidos.js
+ * @returns {Array} Valores en el orden de SHEET_COLUMNS
+ */
+export function orderToRow(pedido) {
+  const fila = pedidosExport.pedidoAFila(pedido);
+  const fecha = fila.fecha ? businessHours.getZonedParts(new Date(fila.fecha)) : null;
+  const pad = n => String(n).padStart(2, '0');
+  const values = {
+    numero: fila.numero,
+    hora: fecha ? `${fecha.dateKey} ${pad(fecha.hour)}:${pad(fecha.minute)}` : '',
+    cliente: fila.cliente,
+    telefono: fila.telefono,
+    items: fila.items,
+    total: Number(pedido.total) || 0,
+    pago: fila.metodos_pago,
+    direccion: fila.direccion,
+    estado: fila.estado
+  };
+  return SHEET_COLUMNS.map(col => (typeof values[col] === 'string' ? values[col].replace(/\s*[\r\n]+\s*/g, ' ') : values[col]));
+}
+
+/**
+ * Hoja local en CSV para desarrollo (se reescribe el archivo al actualizar una fila)
+ * @param {Object} options - { filePath }
+ * @returns {Object} Adaptador
+ */
+export function createCsvFileAdapter({ filePath = CONFIG.SHEETS_CSV_PATH } = {}) {
+  const readLines = async () => {
+    try {
+      const text = await fs.readFile(filePath, 'utf8');
+      return text.replace(/^\uFEFF/, '').split('\r\n').filter(Boolean);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  };
+  const writeLines = async (lines) => {
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, `\uFEFF${lines.join('\r\n')}\r\n`, 'utf8');
+  };
+
+  return {
+    name: 'csv',
+    async readKeys() {
+      // El número de pedido nunca lleva comas ni comillas
+      return (await readLines()).map(line => line.split(',')[0]);
+    },
+    async appendRows(rows) {
+      const lines = await readLines();
+      await writeLines([...lines, ...rows.map(pedidosExport.valoresACsv)]);
+    },
+    async updateRow(rowNumber, row) {
+      const lines = await readLines();
+      lines[rowNumber - 1] = pedidosExport.valoresACsv(row);
+      await writeLines(lines);
+    }
+  };
+}
+
+/**
+ * Google Sheets API v4 con la cuenta de servicio (JWT firmado con la clave privada)
+ * Los valores se escriben con valueInputOption=RAW: Sheets no interpreta fórmulas.
+ * @param {Object} options - { spreadsheetId, sheet, clientEmail, privateKey, http }
+ * @returns {Object} Adaptador
+ * @throws {AppError} Si faltan el ID de la hoja o las credenciales
+ */
+export function createGoogleSheetsAdapter({
+  spreadsheetId = CONFIG.GOOGLE_SHEETS_ID,
+  sheet = CONFIG.GOOGLE_SHEETS_TAB,
+  clientEmail = CONFIG.GOOGLE_SHEETS_CLIENT_EMAIL,
+  privateKey = CONFIG.GOOGLE_SHEETS_PRIVATE_KEY,
+  http = axios
+} = {}) {
+  if (!spreadsheetId || !clientEmail || !privateKey) {
+    throw new AppError('Google Sheets requiere GOOGLE_SHEETS_ID y credenciales de cuenta de servicio', 500, 'SHEETS_CONFIG_INCOMPLETE');
+  }
+  let token = null;
+
+  const getToken = async () => {
+    if (token && token.expiresAt - TOKEN_REFRESH_MARGIN_MS > Date.now()) return token.value;
+    const now = Math.floor(Date.now() / 1000);
+    const encode = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+    const unsigned = `${encode({ alg: 'RS256', typ: 'JWT' })}.${encode({ iss: clientEmail, scope: SHEETS_SCOPE, aud: TOKEN_URL, iat: now, exp: now + TOKEN_TTL_S })}`;
+    const signature = crypto.createSign('RSA-SHA256').update(unsigned).sign(privateKey, 'base64url');
+    const { data } = await http.post(TOKEN_URL, new URLSearchParams({
+      grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+      assertion: `${unsigned}.${signature}`
+    }).toString(), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: CONFIG.API_TIMEOUT_MS });
+    token = { value: data.access_token, expiresAt: Date.now() + (data.expires_in || TOKEN_TTL_S) * 1000 };
+    return token.value;
+  };
+
+  const range = (a1) => encodeURIComponent(`'${sheet.replace(/'/g, "''")}'!${a1}`);
+  const request = async (method, url, data) => {
+    const accessToken = await getToken();
+    const response = await http.request({
+      method,
+      url: `${SHEETS_API}/${spreadsheetId}/values/${url}`,
+      data,
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: CONFIG.API_TIMEOUT_MS
+    });
+    return response.data;
+  };
+
+  return {
+    name: 'google',
+    async readKeys() {
+      const data = await request('get', range('A:A'));
+      return (data.values || []).map(row => row[0] || '');
+    },
+    async appendRows(rows) {
+      await request('post', `${range('A1')}:append?valueInputOption=RAW&insertDataOption=INSERT_ROWS`, { values: rows });
+    },
+    async updateRow(rowNumber, row) {
+      await request('put', `${range(`A${rowNumber}`)}?valueInputOption=RAW`, { values: [row] });
+    }
+  };
+}
+
+/**
+ * Adaptador de SHEETS_ADAPTER ("google" o "csv"); null si integraciones.google_sheets está
+ * apagado o no hay adaptador configurado
+ * @returns {Object|null} Adaptador (se crea una sola vez)
+ */
+export function getSheetsAdapter() {
+  if (configuredAdapter !== undefined) return configuredAdapter;
+  configuredAdapter = null;
+  if (!rules.loadRules().integraciones?.google_sheets) return configuredAdapter;
+
+  try {
+    if (CONFIG.SHEETS_ADAPTER === 'google') configuredAdapter = createGoogleSheetsAdapter();
+    else if (CONFIG.SHEETS_ADAPTER === 'csv') configuredAdapter = createCsvFileAdapter();
+    else if (CONFIG.SHEETS_ADAPTER) logger.warn('SHEETS_ADAPTER_UNKNOWN', { adapter: CONFIG.SHEETS_ADAPTER });
+  } catch (error) {
+    logger.error('SHEETS_ADAPTER_INIT_FAILED', { adapter: CONFIG.SHEETS_ADAPTER, error: error.message });
+  }
+  return configuredAdapter;
+}
+
+/**
+ * Agrega la fila del pedido o la actualiza si el número ya está en la hoja
+ * (la primera fila de una hoja vacía es el encabezado)
+ * @param {Object} pedido - Pedido guardado
+ * @param {Object} options - { adapter }
+ * @returns {Promise<string|null>} 'agregada' | 'actualizada' | null sin adaptador
+ * @throws {AppError} Si falla la escritura
+ */
+export async function upsertOrderRow(pedido, { adapter = getSheetsAdapter() } = {}) {
+  if (!adapter) return null;
+  const row = orderToRow(pedido);
+  try {
+    const keys = await adapter.readKeys();
+    const index = keys.indexOf(row[0]);
+    if (index >= 0) {
+      await adapter.updateRow(index + 1, row);
+    } else {
+      await adapter.appendRows(keys.length ? [row] : [SHEET_COLUMNS, row]);
+    }
+    const action = index >= 0 ? 'actualizada' : 'agregada';
+    metrics.record('sheets.row', 1, { adapter: adapter.name, action });
+    logger.debug('SHEETS_ROW_SAVED', { numero: row[0], action });
+    return action;
+  } catch (error) {
+    metrics.record('sheets.error', 1, { adapter: adapter.name });
+    logger.error('SHEETS_ROW_FAILED', { numero: row[0], adapter: adapter.name, error: error.message });
+    throw new AppError('Error al escribir la fila del pedido en la hoja', 502, 'SHEETS_WRITE_FAILED');
+  }
+}
+
+/**
+ * Copia pedidos históricos: las filas nuevas van en un solo bloque y las existentes se actualizan
+ * @param {Array} pedidos - Pedidos guardados (en el orden en que deben quedar)
+ * @param {Object} options - { adapter }
+ * @returns {Promise<Object>} { agregadas, actualizadas }
+ * @throws {AppError} Si no hay adaptador o falla la escritura
+ */
+export async function backfillOrders(pedidos = [], { adapter = getSheetsAdapter() } = {}) {
+  if (!adapter) {
+    throw new AppError('La integración con hojas de cálculo no está configurada', 400, 'SHEETS_DISABLED');
+  }
+  try {
+    const keys = await adapter.readKeys();
+    const rows = pedidos.map(orderToRow);
+    const nuevas = rows.filter(row => !keys.includes(row[0]));
+    let actualizadas = 0;
+    for (const row of rows) {
+      const index = keys.indexOf(row[0]);
+      if (index < 0) continue;
+      await adapter.updateRow(index + 1, row);
+      actualizadas++;
+    }
+    if (nuevas.length) await adapter.appendRows(keys.length ? nuevas : [SHEET_COLUMNS, ...nuevas]);
+    logger.info('SHEETS_BACKFILL_DONE', { adapter: adapter.name, agregadas: nuevas.length, actualizadas });
+    return { agregadas: nuevas.length, actualizadas };
+  } catch (error) {
+    logger.error('SHEETS_BACKFILL_FAILED', { adapter: adapter.name, error: error.message });
+    throw new AppError('Error al copiar pedidos a la hoja', 502, 'SHEETS_BACKFILL_FAILED');
+  }
+}
+
+export default {
+  SHEET_COLUMNS,
+  orderToRow,
+  createCsvFileAdapter,
+  createGoogleSheetsAdapter,
+  getSheetsAdapter,
+  upsertOrderRow,
+  backfillOrders
+};
@@ -0,0 +1,154 @@
+/**
+ * lib/sla.js
+ *
+ * SLAs de reglas.json (slas) medidos con los tiempos de estado de la sesión
+ * (estadoDesde, tiempos_estado y ultimoMensajeCliente)
+ * - parseDuration(value) - "15m", "2h", "90s" o minutos → milisegundos
+ * - loadSlaLimits(rulesData) - Límite de cada etapa en milisegundos
+ * - SLA_STAGES - Etapas medidas: estados, desde cuándo corre el reloj y gatillo de escalado
+ * - SLA_STATES - Estados de sesión que revisa el barrido
+ * - checkSessionSla(session, options) - Etapas vencidas de una sesión
+ */
+
+import { logger } from './utils.js';
+import rules from './rules.js';
+import schedule from './schedule.js';
+
+const DRAFT_STATES = ['pedido_borrador', 'pedido', 'direccion', 'pendiente_confirmacion'];
+const KITCHEN_STATES = ['pedido_confirmado', 'pagado', 'preparacion'];
+const UNITS_MS = { s: 1000, m: 60000, h: 3600000 };
+
+/**
+ * Convierte una duración de reglas.json en milisegundos
+ * @param {string|number} value - "15m", "2h", "90s" o un número de minutos
+ * @returns {number|null} Milisegundos o null si no es válida
+ */
+export function parseDuration(value) {
+  if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value * 60000 : null;
+  const match = String(value || '').trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*([smh]?)$/);
+  if (!match) return null;
+  return Number(match[1]) * UNITS_MS[match[2] || 'm'];
+}
+
+/**
+ * Momento en que la sesión entró a un grupo de estados en el ciclo actual
+ * Se toma el primer estado del grupo posterior al último estado fuera del grupo,
+ * así las marcas de un pedido anterior no cuentan.
+ * @private
+ */
+function stageEntry(session, states) {
+  const times = Object.entries(session.tiempos_estado || {});
+  const lastOutside = Math.max(0, ...times.filter(([state]) => !states.includes(state)).map(([, at]) => Date.parse(at) || 0));
+  const inside = times
+    .filter(([state]) => states.includes(state))
+    .map(([, at]) => Date.parse(at))
+    .filter(at => at >= lastOutside);
+  if (inside.length) return new Date(Math.min(...inside));
+  return session.estadoDesde ? new Date(session.estadoDesde) : null;
+}
+
+/**
+ * Cocina: desde la confirmación, o desde el aviso a cocina si el pedido es programado
+ * @private
+ */
+function kitchenStart(session) {
+  const confirmed = stageEntry(session, KITCHEN_STATES);
+  const scheduledFor = session.pedido?.scheduledFor;
+  if (!scheduledFor) return confirmed;
+  const reminder = schedule.kitchenReminderAt(scheduledFor);
+  return !confirmed || reminder > confirmed ? reminder : confirmed;
+}
+
+/**
+ * Etapas medidas. `since` devuelve desde cuándo corre el reloj;
+ * las etapas con `skipWhenHuman` no cuentan mientras un agente atiende el chat y las de
+ * `blocksClosing: false` solo avisan (el seguimiento de carritos puede cerrar el pedido).
+ */
+export const SLA_STAGES = {
+  verificacion_pago: {
+    states: ['pago_verificacion'],
+    trigger: 'sla_verificacion_pago',
+    since: (session) => stageEntry(session, ['pago_verificacion'])
+  },
+  cocina: {
+    states: KITCHEN_STATES,
+    trigger: 'sla_cocina',
+    since: kitchenStart
+  },
+  reparto: {
+    states: ['en_reparto'],
+    trigger: 'sla_reparto',
+    since: (session) => stageEntry(session, ['en_reparto'])
+  },
+  hot_lead: {
+    states: DRAFT_STATES,
+    trigger: 'sla_hot_lead',
+    skipWhenHuman: true,
+    blocksClosing: false,
+    since: (session) => (session.estadoDesde ? new Date(session.estadoDesde) : null)
+  },
+  contacto_perdido: {
+    states: DRAFT_STATES,
+    trigger: 'sla_contacto_perdido',
+    skipWhenHuman: true,
+    blocksClosing: false,
+    since: (session) => (session.ultimoMensajeCliente ? new Date(session.ultimoMensajeCliente) : null)
+  }
+};
+
+export const SLA_STATES = [...new Set(Object.values(SLA_STAGES).flatMap(stage => stage.states))];
+
+/**
+ * Límites de reglas.json → slas en milisegundos (las etapas sin límite válido no se miden)
+ * @param {Object} [rulesData] - Reglas (por defecto data/reglas.json)
+ * @returns {Object} { etapa: ms }
+ */
+export function loadSlaLimits(rulesData = rules.loadRules()) {
+  const limits = {};
+  for (const [stage, value] of Object.entries(rulesData.slas || {})) {
+    const ms = parseDuration(value);
+    if (ms) limits[stage] = ms;
+    else logger.warn('SLA_INVALID_DURATION', { stage, value });
+  }
+  return limits;
+}
+
+/**
+ * Etapas vencidas de una sesión
+ * Cada etapa alerta una sola vez por entrada: sla_alertas[etapa] guarda el inicio ya alertado.
+ * @param {Object} session - Sesión del cliente
+ * @param {Object} options - { now, limits, humanActive }
+ * @returns {Array} [{ stage, trigger, since, limitMin, overdueMin, blocksClosing }]
+ */
+export function checkSessionSla(session, { now = new Date(), limits = loadSlaLimits(), humanActive = false } = {}) {
+  if (!session?.estado) return [];
+  const breaches = [];
+  for (const [stage, definition] of Object.entries(SLA_STAGES)) {
+    const limit = limits[stage];
+    if (!limit || !definition.states.includes(session.estado)) continue;
+    if (definition.skipWhenHuman && humanActive) continue;
+
+    const since = definition.since(session);
+    if (!since || Number.isNaN(since.getTime())) continue;
+    const overdue = now.getTime() - since.getTime() - limit;
+    if (overdue <= 0 || session.sla_alertas?.[stage] === since.toISOString()) continue;
+
+    breaches.push({
+      stage,
+      trigger: definition.trigger,
+      since: since.toISOString(),
+      limitMin: Math.round(limit / 60000),
+      overdueMin: Math.round(overdue / 60000),
+      blocksClosing: definition.blocksClosing !== false
+    });
+  }
+  return breaches;
+}
+
+export default {
+  SLA_STAGES,
+  SLA_STATES,
+  parseDuration,
+  loadSlaLimits,
+  checkSessionSla
+};
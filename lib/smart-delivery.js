@@ -10,6 +10,7 @@
 
 import { logger, ValidationError, AppError, MetricsCollector } from './utils.js';
 import { CONFIG } from './config.js';
+import businessHours from './business-hours.js';
 
 const metrics = new MetricsCollector();
 
@@ -376,33 +377,31 @@ export function geocodeAddressSimple(address) {
 }
 
 /**
- * Valida horario de delivery
- * @returns {Object} { available, message, currentTime, opensAt, closesAt }
+ * Valida horario de delivery según data/horarios.json, en la zona horaria del local
+ * @param {Date} now - Instante a evaluar (por defecto ahora)
+ * @returns {Object} { available, message, currentTime, opensAt, closesAt, nextOpening, reason, note, acceptsPreOrders }
  */
-export function validateDeliveryHours() {
+export function validateDeliveryHours(now = new Date()) {
   try {
-    const now = new Date();
-    const hours = now.getHours();
-    const minutes = now.getMinutes();
-    const currentTime = `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}`;
-    
-    const [openHour, openMin] = CONFIG.DELIVERY_HOURS_START.split(':').map(Number);
-    const [closeHour, closeMin] = CONFIG.DELIVERY_HOURS_END.split(':').map(Number);
-    
-    const currentMinutes = hours * 60 + minutes;
-    const openMinutes = openHour * 60 + openMin;
-    const closeMinutes = closeHour * 60 + closeMin;
-    
-    const isOpen = currentMinutes >= openMinutes && currentMinutes < closeMinutes;
+    const { hour, minute } = businessHours.getZonedParts(now);
+    const currentTime = `${hour.toString().padStart(2, '0')}:${minute.toString().padStart(2, '0')}`;
+    const status = businessHours.getOpeningStatus(now);
+    const opensAt = status.nextOpening
+      ? businessHours.getZonedParts(status.nextOpening)
+      : null;
     
     const result = {
-      available: isOpen,
+      available: status.open,
       currentTime,
-      opensAt: CONFIG.DELIVERY_HOURS_START,
-      closesAt: CONFIG.DELIVERY_HOURS_END,
-      message: isOpen 
+      opensAt: opensAt ? `${String(opensAt.hour).padStart(2, '0')}:${String(opensAt.minute).padStart(2, '0')}` : null,
+      closesAt: status.closesAt,
+      nextOpening: status.nextOpening ? status.nextOpening.toISOString() : null,
+      reason: status.reason,
+      note: status.note,
+      acceptsPreOrders: status.acceptsPreOrders,
+      message: status.open 
         ? '¡Estamos abiertos para delivery!'
-        : `Horario de delivery: ${CONFIG.DELIVERY_HOURS_START} - ${CONFIG.DELIVERY_HOURS_END}`
+        : `Horario de delivery hoy: ${status.today}`
     };
     
     logger.debug('DELIVERY_HOURS_VALIDATED', result);
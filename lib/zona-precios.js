@@ -147,7 +147,7 @@ export function calculateRoutePrice(storeCoords = {}, destCoords = {}) {
  * @param {Object} params - Parámetros
  * @param {Array} params.items - Items de la orden
  * @param {Object} params.addressComponents - { district, lat, lon }
- * @param {Object} params.options - { taxRate, deliveryPrice }
+ * @param {Object} params.options - { taxRate, deliveryPrice, discount } discount: promociones (se resta antes de impuestos)
  * @returns {Object} { breakdown, total, zone, warnings }
  * @throws {ValidationError} Si los parámetros son inválidos
  */
@@ -210,14 +210,18 @@ export function calculateOrderTotal({ items = [], addressComponents = {}, option
       deliveryPrice = Math.max(0, options.deliveryPrice);
     }
 
+    // Descuento de promociones: nunca mayor al subtotal
+    const discount = Math.min(Math.max(Number(options.discount) || 0, 0), subtotal);
+
     // Calcular impuestos y total
-    const tax = subtotal * taxRate;
-    const rawTotal = subtotal + tax + deliveryPrice;
+    const tax = (subtotal - discount) * taxRate;
+    const rawTotal = subtotal - discount + tax + deliveryPrice;
     const total = Math.round((rawTotal + Number.EPSILON) / ROUNDING) * ROUNDING;
 
     const duration = Date.now() - startTime;
     logger.info('ORDER_TOTAL_CALCULATED', {
       subtotal: Number(subtotal.toFixed(2)),
+      discount: Number(discount.toFixed(2)),
       tax: Number(tax.toFixed(2)),
       delivery: Number(deliveryPrice.toFixed(2)),
       total: Number(total.toFixed(2)),
@@ -231,6 +235,7 @@ export function calculateOrderTotal({ items = [], addressComponents = {}, option
     return {
       breakdown: {
         subtotal: Number(subtotal.toFixed(2)),
+        discount: Number(discount.toFixed(2)),
         tax: Number(tax.toFixed(2)),
         delivery: Number(deliveryPrice.toFixed(2))
       },
@@ -1,16 +1,37 @@
 #!/usr/bin/env node
-import fs from 'fs';
-import path from 'path';
-
 /**
- * Menu checker script
- * Purpose: [describe what this does]
+ * scripts/check_menu.js
+ * Valida un menú contra data/menu.schema.json y revisa que no haya ids repetidos
+ * (la misma validación que aplica /api/menu antes de guardar una versión)
+ *
+ * Uso: npm run validate-menu -- [ruta/al/menu.json]   (por defecto data/menu.json)
  */
 
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import menuAdmin from '../lib/menu-admin.js';
+
 function checkMenu() {
-    console.log('Menu check started');
-    // Add your logic here
+  const file = process.argv[2] ? path.resolve(process.argv[2]) : fileURLToPath(new URL('../data/menu.json', import.meta.url));
+
+  let menu;
+  try {
+    menu = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.error(`❌ No se pudo leer ${file}: ${error.message}`);
+    process.exit(1);
+  }
+
+  const errores = menuAdmin.validateMenu(menu);
+  if (errores.length) {
+    console.error(`❌ ${file}: ${errores.length} errores`);
+    for (const { ruta, mensaje } of errores) console.error(`   ${ruta} ${mensaje}`);
+    process.exit(1);
+  }
+
+  const productos = (menu.categorias || []).reduce((sum, c) => sum + (c.productos || []).length, 0);
+  console.log(`✅ ${file}: ${menu.categorias.length} categorías, ${productos} productos`);
 }
 
-// Run the script
 checkMenu();
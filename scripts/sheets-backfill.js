@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * scripts/sheets-backfill.js
+ * Copia a la hoja de cálculo (SHEETS_ADAPTER) los pedidos guardados en Firestore,
+ * del más antiguo al más reciente, sin duplicar los que ya tienen fila
+ *
+ * Uso: npm run sheets:backfill -- [--desde AAAA-MM-DD] [--hasta AAAA-MM-DD] [--estado pagado,entregado]
+ */
+
+import { buscarPedidos } from '../lib/pedidos.js';
+import sheetsSink from '../lib/sheets-sink.js';
+
+const PAGE_SIZE = 200;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--(desde|hasta|estado)$/);
+    if (match) args[match[1]] = argv[++i];
+  }
+  return args;
+}
+
+async function main() {
+  const { desde, hasta, estado } = parseArgs(process.argv.slice(2));
+  if (!sheetsSink.getSheetsAdapter()) {
+    console.error('❌ Configura SHEETS_ADAPTER (y integraciones.google_sheets en reglas.json)');
+    process.exit(1);
+  }
+  // Inicializa Firebase con las variables FIREBASE_* (sin Firebase no hay pedidos históricos)
+  await import('../lib/firebase.js');
+
+  const pedidos = [];
+  let cursor = null;
+  do {
+    const page = await buscarPedidos({ desde, hasta, estado, orden: 'createdAt', direccion: 'asc', limite: PAGE_SIZE, cursor });
+    pedidos.push(...page.pedidos);
+    cursor = page.siguienteCursor;
+  } while (cursor);
+
+  console.log(`📋 ${pedidos.length} pedidos encontrados`);
+  const { agregadas, actualizadas } = await sheetsSink.backfillOrders(pedidos);
+  console.log(`✅ Filas agregadas: ${agregadas}, actualizadas: ${actualizadas}`);
+}
+
+main().catch((error) => {
+  console.error(`❌ Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,582 @@
+#!/usr/bin/env node
+/**
+ * test-flow-engine.js
+ * Test del motor de flujos (data/flujos.json) sin servidor ni Firebase
+ */
+
+import flowEngineModule from './lib/flow-engine.js';
+import rules from './lib/rules.js';
+import fulfillment from './lib/fulfillment.js';
+import payments from './lib/payments.js';
+import schedule from './lib/schedule.js';
+import businessHours from './lib/business-hours.js';
+import escalation from './lib/escalation.js';
+import sla from './lib/sla.js';
+import followUps from './lib/follow-ups.js';
+import orderStatus from './lib/order-status.js';
+import { formatearNumeroPedido, guardarPedidoFirebase, buscarPedidos } from './lib/pedidos.js';
+import pedidosExport from './lib/pedidos-export.js';
+import kitchenTicket from './lib/kitchen-ticket.js';
+import dailyReport from './lib/daily-report.js';
+import sheetsSink from './lib/sheets-sink.js';
+import inventory from './lib/inventory.js';
+import availability from './lib/availability.js';
+import menuAdmin from './lib/menu-admin.js';
+import promotions from './lib/promotions.js';
+import coupons from './lib/coupons.js';
+import parseOrderText from './lib/parse-order.js';
+import cart from './lib/cart.js';
+import sessionStore from './lib/session-store.js';
+import { CONFIG } from './lib/config.js';
+import crypto from 'crypto';
+import { formatOrderForAgent } from './lib/kommo-sender.js';
+import kommoHandler from './api/kommo.js';
+import fs from 'fs';
+
+const { loadFlows, renderTemplate, createFlowEngine } = flowEngineModule;
+
+let passed = 0;
+let failed = 0;
+
+const check = (name, condition, detail = '') => {
+  if (condition) {
+    passed++;
+    console.log(`✅ ${name}`);
+  } else {
+    failed++;
+    console.error(`❌ ${name}${detail ? ` - ${detail}` : ''}`);
+  }
+};
+
+/**
+ * Llama al handler de api/kommo.js con una respuesta simulada
+ * @param {Object} req - { method, url, headers, body }
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+const callApi = async ({ method = 'POST', url = '/api/kommo', headers = {}, body = {} }) => {
+  const response = { status: 200, headers: {}, body: null };
+  const res = {
+    setHeader(name, value) { response.headers[name] = value; },
+    status(code) { response.status = code; return this; },
+    json(data) { response.body = data; return this; },
+    end() { return this; }
+  };
+  await kommoHandler({ method, url, headers: { 'content-type': 'application/json', ...headers }, body, query: {} }, res);
+  return response;
+};
+
+async function main() {
+  console.log('🧪 TESTING FLOW ENGINE\n');
+
+  // Test 1: Definición de flujos
+  console.log('📋 TEST 1: Carga de flujos.json');
+  const flows = loadFlows();
+  check('Estado inicial definido', !!flows.states.inicio);
+  check('Estados principales definidos', ['pedido_detectado', 'solicitar_ubicacion', 'ubicacion_recibida', 'esperar_pago_o_confirmacion']
+    .every(name => !!flows.states[name]));
+  check('Acciones cargadas', Object.keys(flows.acciones).length > 0);
+  check('Todos los next_states existen', Object.values(flows.states).every(state => state.next_states.every(target => !!flows.states[target])));
+
+  // Test 2: Plantillas
+  console.log('\n📋 TEST 2: Plantillas');
+  const rendered = renderTemplate('Total: s/ {total} para {{nombre}}', { total: '25.00', nombre: 'Ana' });
+  check('Placeholders {x} y {{x}}', rendered.text === 'Total: s/ 25.00 para Ana' && rendered.missing.length === 0, rendered.text);
+  const partial = renderTemplate('Delivery: {delivery}', {});
+  check('Placeholders faltantes reportados', partial.missing.includes('delivery'));
+
+  // Test 3: Transiciones válidas con acciones
+  console.log('\n📋 TEST 3: Transiciones válidas');
+  const executed = [];
+  const engine = createFlowEngine({
+    actions: {
+      registrar_conversacion: () => { executed.push('registrar_conversacion'); },
+      calcular_subtotales: (ctx) => ({ subtotal: Number(ctx.pricing.subtotal).toFixed(2) })
+    }
+  });
+
+  const start = await engine.reset(null, { vars: {} });
+  check('Reset entra a inicio', start.ok && start.flujo.estado === 'inicio');
+  check('Acción registrada ejecutada', executed.includes('registrar_conversacion'));
+  check('Acción sin ejecutor marcada skipped', start.actions.some(a => a.name === 'detectar_intencion_inicial' && a.status === 'skipped'));
+  check('Respuesta de bienvenida elegida', typeof start.reply === 'string' && start.reply.length > 0);
+
+  const text = await engine.dispatch(start.flujo, 'mensaje_texto', { vars: {} });
+  check('mensaje_texto: inicio -> detectar_intencion', text.ok && text.flujo.estado === 'detectar_intencion');
+
+  const detected = await engine.dispatch(text.flujo, 'intencion_pedido', {
+    pricing: { subtotal: 42 },
+    vars: { pedido: '2x Pizza Hawaiana', items_list: '2x Pizza Hawaiana' }
+  });
+  check('intencion_pedido -> pedido_detectado', detected.ok && detected.flujo.estado === 'pedido_detectado');
+  check('Salida de acción agregada a vars', detected.vars.subtotal === '42.00');
+  check('Historial registrado', detected.flujo.historial.length === 3 && detected.flujo.anterior === 'detectar_intencion');
+
+  const byTrigger = await engine.dispatch(detected.flujo, 'resumen_provisional', { vars: {} });
+  check('Dispatch por trigger -> pedido_resumen_provisional', byTrigger.ok && byTrigger.to === 'pedido_resumen_provisional');
+  check('responder_texto usado como respuesta', /delivery o recojo/i.test(byTrigger.reply || ''));
+
+  const plan = engine.planDispatch(detected.flujo, ['resumen_provisional', 'ubicacion_recibida', 'pedido_completo']);
+  check('Cadena de triggers planificada', plan.ok && plan.path.join('>') === 'pedido_resumen_provisional>ubicacion_recibida>esperar_pago_o_confirmacion');
+
+  // Test 4: Transiciones inválidas
+  console.log('\n📋 TEST 4: Transiciones inválidas');
+  const invalid = await engine.transition(byTrigger.flujo, 'pedido_confirmado', { vars: {} });
+  check('Transición fuera de next_states rechazada', !invalid.ok && invalid.error === 'INVALID_TRANSITION');
+  check('Estado previo conservado', invalid.flujo.estado === 'pedido_resumen_provisional');
+  check('inicio solo abre por canal (next_states del flujo)', !engine.canTransition('inicio', 'pedido_detectado') && !engine.canTransition('inicio', 'ubicacion_recibida'));
+
+  const badPlan = engine.planDispatch(byTrigger.flujo, ['ubicacion_recibida', 'comprobante_verificado']);
+  check('Cadena inválida rechazada en el paso que falla', !badPlan.ok && badPlan.at === 'ubicacion_recibida' && badPlan.trigger === 'comprobante_verificado');
+  check('Plan no mueve el flujo', byTrigger.flujo.estado === 'pedido_resumen_provisional');
+
+  const unknown = await engine.transition(byTrigger.flujo, 'estado_inexistente', { vars: {} });
+  check('Estado desconocido rechazado', !unknown.ok && unknown.error === 'UNKNOWN_STATE');
+
+  const noTrigger = await engine.dispatch(byTrigger.flujo, 'trigger_inexistente', { vars: {} });
+  check('Trigger sin destino rechazado', !noTrigger.ok && noTrigger.error === 'NO_MATCHING_TRIGGER');
+
+  // Test 5: Plantilla incompleta
+  console.log('\n📋 TEST 5: Plantilla incompleta');
+  const located = await engine.dispatch(byTrigger.flujo, 'ubicacion_recibida', { vars: { direccion_corta: 'Av. Arequipa 123' } });
+  check('Sin variables completas no hay respuesta', located.ok && located.reply === null && located.missing.length > 0);
+
+  // Test 6: Edición del carrito
+  console.log('\n📋 TEST 6: Edición del carrito');
+  const menuData = JSON.parse(fs.readFileSync(new URL('./data/menu.json', import.meta.url), 'utf8'));
+  const carrito = { items: [
+    { id: 'pizza_pepperoni', name: 'Pizza Pepperoni', variant: 'familiar', quantity: 1, price: 27.9 },
+    { id: 'pan_ajo_cheese', name: 'Pan al ajo cheese', quantity: 2, price: 8 }
+  ] };
+  const editar = (mensaje) => {
+    const operacion = cart.detectCartOperation(mensaje, carrito, menuData);
+    return { operacion, items: operacion ? cart.applyCartOperation(carrito, operacion, menuData).draft.items : null };
+  };
+  const agregado = editar('agrega 1 pizza americana');
+  const quitado = editar('quita el pan al ajo');
+  const cantidad = editar('que sean 3 pan al ajo');
+  check('Agregar, quitar y cambiar cantidad editan el borrador',
+    agregado.items.map(it => it.id).join() === 'pizza_pepperoni,pan_ajo_cheese,pizza_americana' &&
+    quitado.items.map(it => it.id).join() === 'pizza_pepperoni' &&
+    cantidad.operacion.type === 'quantity' && cantidad.items[1].quantity === 3 && carrito.items[1].quantity === 2);
+  const sinIngrediente = editar('la pizza sin pepperoni');
+  const sinProducto = editar('sin pan al ajo');
+  check('"sin X" siempre es una nota de la línea, nunca quita productos',
+    sinIngrediente.operacion.type === 'note' && sinIngrediente.items.length === 2 && sinIngrediente.items[0].notes?.[0] === 'sin pepperoni' &&
+    sinProducto.operacion.type === 'note' && sinProducto.items.length === 2);
+
+  // Test 7: Confirmación explícita del pedido
+  console.log('\n📋 TEST 7: Confirmación del pedido');
+  const confirming = await engine.dispatch(located.flujo, 'pedido_completo', { pricing: { subtotal: 42 }, vars: { resumen: '🧾 Resumen del pedido' } });
+  check('pedido_completo muestra el resumen a confirmar', confirming.ok && confirming.to === 'esperar_pago_o_confirmacion' && /Resumen del pedido/.test(confirming.reply || ''));
+  check('Sin resumen se pide el pago', /Yape o Plin/.test(engine.renderReply('esperar_pago_o_confirmacion', {}).reply || ''));
+  check('"Sí, confirmo" confirma', rules.classifyConfirmationReply('Sí, confirmo') === 'confirm');
+  check('"Está bien" confirma', rules.classifyConfirmationReply('está bien!') === 'confirm');
+  check('"Ya no quiero" cancela', rules.classifyConfirmationReply('ya no quiero nada') === 'cancel');
+  check('Respuesta ambigua no se clasifica', rules.classifyConfirmationReply('mmm no sé') === null);
+  check('"si" no coincide dentro de otra palabra', rules.classifyConfirmationReply('sigue') === null);
+
+  // Test 8: Recojo en local
+  console.log('\n📋 TEST 8: Recojo en local');
+  const menu = JSON.parse(fs.readFileSync(new URL('./data/menu.json', import.meta.url), 'utf8'));
+  check('"Paso a recoger" elige recojo', fulfillment.detectFulfillmentChoice('Paso a recoger') === 'recojo');
+  check('"Mejor delivery" elige delivery', fulfillment.detectFulfillmentChoice('mejor delivery') === 'delivery');
+  check('Recojo desde el resumen provisional', engine.findTargetByTrigger('pedido_resumen_provisional', 'cliente_elige_recojo') === 'recojo_en_local');
+  const blocked = fulfillment.findDeliveryOnlyItems([{ id: 'pizza_hawaiana' }, { id: 'agua_3lt' }], menu);
+  check('solo_delivery bloquea el recojo', blocked.length === 1 && blocked[0].id === 'agua_3lt');
+  const ready = fulfillment.estimatePickupTime([{ id: 'pizza_hawaiana', quantity: 2 }], menu, { now: new Date('2026-01-01T17:00:00Z') });
+  check('Hora de recojo según prep_time_min', ready.minutes >= 18 && ready.readyAt > new Date('2026-01-01T17:00:00Z'), `${ready.minutes} min`);
+
+  // Test 9: Pago en efectivo con vuelto
+  console.log('\n📋 TEST 9: Pago en efectivo');
+  check('"Pago en efectivo" elige efectivo', payments.detectPaymentMethod('pago en efectivo') === 'efectivo');
+  check('"Pago con yape" no es efectivo', payments.detectPaymentMethod('pago con yape') === 'yape');
+  check('Monto "pago con S/ 50"', payments.parseCashAmount('pago con S/ 50') === 50);
+  check('Monto "con un billete de 100"', payments.parseCashAmount('con un billete de 100') === 100);
+  const change = payments.calculateChange(32.9, 50);
+  check('Vuelto calculado', change.ok && change.vuelto === 17.1, JSON.stringify(change));
+  const short = payments.calculateChange(32.9, 20);
+  check('Billete menor al total rechazado', !short.ok && short.faltante === 12.9, JSON.stringify(short));
+
+  // Test 10: Ledger de pagos combinados
+  console.log('\n📋 TEST 10: Pagos combinados');
+  const yape = payments.createPaymentEntry({ method: 'yape', amount: 20, reference: '123456', source: 'comprobante' });
+  let ledger = payments.addPaymentEntry([], yape);
+  const halfPaid = payments.summarizeLedger(ledger.entries, 32.9, { tolerance: 0.08 });
+  check('Pago parcial deja saldo', halfPaid.status === 'parcial' && halfPaid.balance === 12.9, JSON.stringify(halfPaid));
+  check('Comprobante repetido no se suma', payments.addPaymentEntry(ledger.entries, { ...yape }).duplicate);
+  const cash = payments.addPaymentEntry(ledger.entries, payments.createPaymentEntry({ method: 'efectivo', amount: 12.9 }));
+  check('Saldo en efectivo no marca pagado', payments.summarizeLedger(cash.entries, 32.9).status === 'cubierto_con_efectivo');
+  const avisado = payments.addPaymentEntry(ledger.entries, payments.createPaymentEntry({ method: 'plin', amount: 12 }));
+  check('Un pago solo avisado por mensaje no cuenta como pagado',
+    !avisado.entries[1].verified && payments.summarizeLedger(avisado.entries, 32.9, { tolerance: 0.08 }).status === 'parcial');
+  ledger = payments.addPaymentEntry(ledger.entries, payments.createPaymentEntry({ method: 'plin', amount: 12, reference: '654321', source: 'comprobante' }));
+  check('Yape + Plin cubren el total con tolerancia', payments.summarizeLedger(ledger.entries, 32.9, { tolerance: 0.08 }).paidInFull);
+
+  // Test 11: Pedidos programados (domingo 18/10/2026, 15:00 en Lima)
+  console.log('\n📋 TEST 11: Pedidos programados');
+  const now = new Date('2026-10-18T20:00:00Z');
+  const tonight = schedule.extractRequestedTime('1 pizza hawaiana para las 8 de la noche', { now });
+  check('"para las 8 de la noche" = 20:00 hoy', tonight?.at.toISOString() === '2026-10-19T01:00:00.000Z', tonight?.at?.toISOString());
+  check('La hora se quita del pedido', tonight?.rest === '1 pizza hawaiana', tonight?.rest);
+  const relative = schedule.extractRequestedTime('en 2 horas', { now });
+  check('"en 2 horas" relativo', relative?.relative && relative.at.getTime() - now.getTime() === 2 * 3600000);
+  const tomorrow = schedule.extractRequestedTime('mañana a la 1 de la tarde', { now });
+  check('"mañana a la 1 de la tarde"', schedule.formatScheduledTime(tomorrow.at, { now }) === 'mañana a las 13:00', tomorrow && schedule.formatScheduledTime(tomorrow.at, { now }));
+  check('"las 2 pizzas" no es una hora', schedule.extractRequestedTime('quiero las 2 pizzas', { now }) === null);
+  const early = schedule.validateScheduledTime(schedule.extractRequestedTime('para las 6 de la mañana', { now }).at, { now });
+  check('Hora fuera de horario rechazada', !early.ok && early.reason === 'outside_hours', early.reason);
+  check('Hora muy cercana rechazada', schedule.validateScheduledTime(new Date(now.getTime() + 10 * 60000), { now, leadMin: 35 }).reason === 'too_soon');
+  check('Recordatorio a cocina antes de la hora', schedule.kitchenReminderAt(tonight.at, { leadMin: 45 }).toISOString() === '2026-10-19T00:15:00.000Z');
+
+  // Test 12: Endpoints de cron
+  console.log('\n📋 TEST 12: Crons sin CRON_SECRET');
+  const crons = await Promise.all(['/api/recordatorios', '/api/sla', '/api/seguimientos']
+    .map(url => callApi({ method: 'GET', url, headers: { authorization: 'Bearer ' } })));
+  check('Sin CRON_SECRET configurado los crons responden 401',
+    crons.every(r => r.status === 401 && r.body?.ok === false));
+
+  // Test 13: Reintentos del webhook (idempotencia)
+  console.log('\n📋 TEST 13: Reintentos del webhook');
+  const reservadoEn = new Date();
+  const reserva = await sessionStore.claimIncomingMessage('msg_test_29', { telefono: '51900000291', now: reservadoEn });
+  const enProceso = await sessionStore.claimIncomingMessage('msg_test_29', { now: new Date(reservadoEn.getTime() + 1000) });
+  const retomado = await sessionStore.claimIncomingMessage('msg_test_29', { now: new Date(reservadoEn.getTime() + 61 * 1000) });
+  check('Un mensaje en proceso no se reserva dos veces, salvo que la reserva quede colgada',
+    reserva.claimed && !enProceso.claimed && enProceso.record.estado === 'procesando' && retomado.claimed);
+  await sessionStore.completeIncomingMessage('msg_test_29', { reply: 'hola' });
+  const completado = await sessionStore.claimIncomingMessage('msg_test_29', { now: new Date(reservadoEn.getTime() + 120 * 1000) });
+  check('Un mensaje completado devuelve la respuesta guardada',
+    !completado.claimed && completado.record.estado === 'completado' && completado.record.response.reply === 'hola');
+  const webhook = { telefono: '51900000292', mensaje: 'hola', tipo: 'text', message_id: 'wamid.test29' };
+  const [original, simultaneo] = await Promise.all([callApi({ body: webhook }), callApi({ body: webhook })]);
+  const reintento = await callApi({ body: webhook });
+  check('Un reintento en curso recibe 409 y uno posterior la misma respuesta',
+    original.status === 200 && !!original.body?.reply && simultaneo.status === 409 &&
+    reintento.status === 200 && reintento.body?.duplicate === true && reintento.body?.reply === original.body.reply);
+
+  // Test 14: Ráfagas de mensajes
+  console.log('\n📋 TEST 14: Ráfagas de mensajes');
+  const telefonoRafaga = '51900000301';
+  const primero30 = await sessionStore.bufferIncomingMessage(telefonoRafaga, 'hola');
+  const segundo30 = await sessionStore.bufferIncomingMessage(telefonoRafaga, 'quiero 1 pizza pepperoni familiar');
+  const anterior = await sessionStore.takeMessageBuffer(telefonoRafaga, primero30.seq);
+  const rafaga = await sessionStore.takeMessageBuffer(telefonoRafaga, segundo30.seq);
+  check('Solo el último mensaje de la ráfaga toma el buffer y lo vacía',
+    segundo30.count === 2 && anterior === null && rafaga?.join('|') === 'hola|quiero 1 pizza pepperoni familiar' &&
+    (await sessionStore.takeMessageBuffer(telefonoRafaga, segundo30.seq))?.length === 0);
+  const ventana = CONFIG.MESSAGE_MERGE_WINDOW_MS;
+  CONFIG.MESSAGE_MERGE_WINDOW_MS = 300;
+  const [saludo, pedidoRafaga] = await Promise.all([
+    callApi({ body: { telefono: '51900000302', mensaje: 'hola', tipo: 'text' } }),
+    callApi({ body: { telefono: '51900000302', mensaje: 'quiero 1 pizza pepperoni familiar', tipo: 'text' } })
+  ]);
+  CONFIG.MESSAGE_MERGE_WINDOW_MS = ventana;
+  check('El handler responde una vez a toda la ráfaga',
+    saludo.body?.merged === true && saludo.body?.reply === null && /Pizza Pepperoni/.test(pedidoRafaga.body?.reply || ''));
+
+  // Test 15: Horario de atención (turnos partidos, feriados, hora de Lima)
+  console.log('\n📋 TEST 15: Horario de atención');
+  const base = businessHours.loadBusinessHours();
+  const calendar = {
+    ...base,
+    semana: { ...base.semana, lunes: [['11:00', '15:30'], ['18:00', '23:00']] },
+    feriados: [{ fecha: '2026-12-25', nombre: 'Navidad' }]
+  };
+  const betweenShifts = businessHours.getOpeningStatus(new Date('2026-10-19T21:00:00Z'), { calendar });
+  check('Cerrado entre turnos (lunes 16:00 en Lima)', !betweenShifts.open && betweenShifts.reason === 'fuera_de_horario');
+  check('Próxima apertura en el segundo turno', betweenShifts.nextOpening?.toISOString() === '2026-10-19T23:00:00.000Z', betweenShifts.nextOpening?.toISOString());
+  check('Abierto a las 22:00 en Lima aunque en UTC ya sea otro día', businessHours.getOpeningStatus(new Date('2026-10-20T03:00:00Z'), { calendar }).open);
+  const holiday = businessHours.getOpeningStatus(new Date('2026-12-25T17:00:00Z'), { calendar });
+  check('Feriado cerrado todo el día', !holiday.open && holiday.reason === 'feriado' && holiday.note === 'Navidad');
+  check('Turnos partidos descritos', businessHours.describeShifts(businessHours.getShiftsForDate(new Date('2026-10-19T17:00:00Z'), { calendar }).shifts) === '11:00 - 15:30 y 18:00 - 23:00');
+
+  // Test 16: Control humano de la conversación
+  console.log('\n📋 TEST 16: Control humano');
+  const telefonoHumano = '51900000281';
+  const tomado = await sessionStore.setHumanControl(telefonoHumano, { agente: 'ana', motivo: 'reclamo', idleMinutes: 15 });
+  const sesionTomada = await sessionStore.getSession(telefonoHumano);
+  const vencido = sessionStore.getHumanControlStatus(sesionTomada, new Date(Date.parse(tomado.expiraEn) + 1000));
+  check('Tomar la conversación la marca activa hasta que vence la inactividad',
+    tomado.agente === 'ana' && sessionStore.getHumanControlStatus(sesionTomada).active && !vencido.active && vencido.expired);
+  const mientrasHumano = await callApi({ body: { telefono: telefonoHumano, mensaje: 'hola, quiero una pizza', tipo: 'text' } });
+  check('El bot no responde mientras un agente atiende',
+    mientrasHumano.status === 200 && mientrasHumano.body?.reply === null && mientrasHumano.body?.humano === true);
+  const devuelto = await sessionStore.clearHumanControl(telefonoHumano);
+  const despues = await callApi({ body: { telefono: telefonoHumano, mensaje: 'hola', tipo: 'text' } });
+  check('Al liberar la conversación el bot vuelve a responder',
+    !devuelto.activo && devuelto.liberadoPor === 'agente' &&
+    !sessionStore.getHumanControlStatus(await sessionStore.getSession(telefonoHumano)).active && !!despues.body?.reply);
+  const cors = CONFIG.ENABLE_CORS;
+  CONFIG.ENABLE_CORS = true;
+  const preflight = await callApi({ method: 'OPTIONS', url: '/api/humano' });
+  CONFIG.ENABLE_CORS = cors;
+  check('Con CORS el navegador puede enviar la clave del agente',
+    ['Authorization', 'x-api-key'].every(h => (preflight.headers['Access-Control-Allow-Headers'] || '').includes(h)));
+
+  // Test 17: Escalado (paquete, destinatario y bloqueo del cierre automático)
+  console.log('\n📋 TEST 17: Escalado a humanos');
+  check('Comprobante inválido va a finanzas', escalation.routeEscalation('comprobante_invalido').destinatario === 'finanzas');
+  check('Problema con el repartidor va a reparto', escalation.routeEscalation('problema_repartidor').destinatario === 'reparto');
+  check('Pedir al gerente va al supervisor', escalation.detectEscalationTrigger('quiero hablar con el gerente') === 'cliente_solicita_gerente');
+  const caso = escalation.buildEscalationPacket({
+    trigger: 'comprobante_invalido',
+    telefono: '51999999999',
+    session: { pedido: { items: [{ name: 'Pizza Americana', quantity: 2, unitPrice: 30 }], pricing: { subtotal: 60, deliveryFee: 5, total: 65 } } },
+    context: { messages: [{ role: 'user', content: 'ya pagué', timestamp: Date.now() }] },
+    acciones: ['validacion_comprobante_1']
+  });
+  const campos = loadFlows().escalado.paquete_escalado_campos;
+  check('El paquete tiene exactamente los campos de flujos.json', JSON.stringify(Object.keys(caso.paquete)) === JSON.stringify(campos), Object.keys(caso.paquete).join(','));
+  check('Pagos con prioridad alta y pendiente de verificación', caso.prioridad === 'alta' && caso.tags.includes('pendiente_verificacion'));
+  check('Últimas entradas del cliente en el paquete', caso.paquete.ultimas_entradas[0]?.texto === 'ya pagué');
+  check('Caso abierto bloquea el cierre automático', escalation.isEscalationOpen({ escalado: { abierto: true } }) && !escalation.isEscalationOpen({ escalado: { abierto: false } }));
+
+  // Test 18: SLAs (reglas.json → slas) sobre los tiempos de estado
+  console.log('\n📋 TEST 18: SLAs');
+  check('"15m" y "2h" en milisegundos', sla.parseDuration('15m') === 900000 && sla.parseDuration('2h') === 7200000);
+  const slaNow = new Date('2026-10-18T20:00:00Z');
+  const enCocina = {
+    estado: 'pagado',
+    estadoDesde: '2026-10-18T19:40:00Z',
+    tiempos_estado: { pedido: '2026-10-18T19:00:00Z', pedido_confirmado: '2026-10-18T19:10:00Z', pagado: '2026-10-18T19:40:00Z' }
+  };
+  const [cocina] = sla.checkSessionSla(enCocina, { now: slaNow });
+  check('Cocina vencida desde la confirmación (no desde el pago)', cocina?.stage === 'cocina' && cocina.overdueMin === 5, JSON.stringify(cocina));
+  check('Una etapa ya alertada no se repite', sla.checkSessionSla({ ...enCocina, sla_alertas: { cocina: cocina?.since } }, { now: slaNow }).length === 0);
+  check('Pago en verificación dentro del SLA', sla.checkSessionSla({ estado: 'pago_verificacion', estadoDesde: '2026-10-18T19:55:00Z' }, { now: slaNow }).length === 0);
+  const telefonosCocina = Array.from({ length: 205 }, (_, i) => `5190013${String(i).padStart(4, '0')}`);
+  const haceDosHoras = new Date(Date.now() - 2 * 3600 * 1000).toISOString();
+  for (const telefono of telefonosCocina) {
+    await sessionStore.saveSession(telefono, { estado: 'pagado' });
+    await sessionStore.saveSession(telefono, { estadoDesde: haceDosHoras, tiempos_estado: { pedido_confirmado: haceDosHoras, pagado: haceDosHoras } });
+  }
+  const secretoCron = CONFIG.CRON_SECRET;
+  CONFIG.CRON_SECRET = 'test13';
+  const barrido = await callApi({ method: 'GET', url: '/api/sla', headers: { authorization: 'Bearer test13' } });
+  CONFIG.CRON_SECRET = secretoCron;
+  const vencidas = new Set((barrido.body?.detalle || []).map(d => d.telefono));
+  check('El barrido revisa más de una página de sesiones',
+    barrido.status === 200 && barrido.body.checked >= 205 && telefonosCocina.every(t => vencidas.has(t)), JSON.stringify(barrido.body).slice(0, 200));
+
+  // Test 19: Seguimiento de carritos abandonados (reglas.json → seguimiento_carrito)
+  console.log('\n📋 TEST 19: Carritos abandonados');
+  const borrador = { estado: 'pedido', pedido: { items: [{ id: 'x', quantity: 1 }] }, ultimoMensajeCliente: '2026-10-18T19:30:00Z' };
+  const recordatorio = followUps.planFollowUp(borrador, { now: slaNow });
+  check('Recordatorio tras 20 min sin respuesta', recordatorio.action === 'recordatorio' && recordatorio.reason === 'sin_tipo_entrega', JSON.stringify(recordatorio));
+  const recordado = { ...borrador, seguimiento: { recordatorioEn: '2026-10-18T19:50:00Z', ultimoMensaje: borrador.ultimoMensajeCliente } };
+  check('Cierre una hora después del recordatorio', followUps.planFollowUp(recordado, { now: slaNow }).action === null &&
+    followUps.planFollowUp(recordado, { now: new Date('2026-10-18T20:50:00Z') }).action === 'cerrar');
+  check('Fuera de la ventana de 24 h se cierra sin recordatorio', followUps.planFollowUp(borrador, { now: new Date('2026-10-19T20:00:00Z') }).action === 'cerrar');
+  check('Pedido confirmado en efectivo no se persigue', !followUps.isAwaitingCustomer({ ...borrador, estado: 'pedido_confirmado', pago: { method: payments.PAYMENT_METHODS.CASH } }));
+  check('Aviso de SLA del lead no bloquea el cierre', !escalation.isEscalationOpen({ escalado: { abierto: true, bloqueaCierre: false } }));
+  const telefonosEfectivo = Array.from({ length: 205 }, (_, i) => `5190014${String(i).padStart(4, '0')}`);
+  for (const telefono of telefonosEfectivo) {
+    await sessionStore.saveSession(telefono, { estado: 'pedido_confirmado', pedido: borrador.pedido, pago: { method: payments.PAYMENT_METHODS.CASH } });
+  }
+  const telefonoCarrito = '51900149999';
+  await sessionStore.saveSession(telefonoCarrito, { estado: 'pedido', pedido: borrador.pedido, ultimoMensajeCliente: new Date(Date.now() - 30 * 60 * 1000).toISOString() });
+  const secretoSeguimiento = CONFIG.CRON_SECRET;
+  CONFIG.CRON_SECRET = 'test14';
+  const seguimiento = await callApi({ method: 'GET', url: '/api/seguimientos', headers: { authorization: 'Bearer test14' } });
+  CONFIG.CRON_SECRET = secretoSeguimiento;
+  check('Los pedidos en efectivo no ocupan el barrido: el carrito siguiente recibe su recordatorio',
+    seguimiento.status === 200 && seguimiento.body.checked > 205 &&
+    seguimiento.body.detalle?.some(d => d.telefono === telefonoCarrito && d.accion === 'recordatorio'), JSON.stringify(seguimiento.body).slice(0, 200));
+
+  // Test 20: Ciclo de vida del pedido (cocina → reparto → entrega)
+  console.log('\n📋 TEST 20: Estado del pedido');
+  const confirmado = { estado: 'pedido_confirmado', tipo_entrega: 'delivery', pedido: { items: [{ id: 'x', quantity: 1 }], pricing: { total: 40 } } };
+  const rechaza = (session, target) => { try { orderStatus.checkTransition(session, target); return false; } catch { return true; } };
+  check('"en_cocina" equivale a preparacion', orderStatus.normalizeOrderStatus('en_cocina') === 'preparacion' && orderStatus.normalizeOrderStatus('listo') === null);
+  check('Cocina no recibe pedidos con pago pendiente', rechaza(confirmado, 'preparacion') && !rechaza({ ...confirmado, pago: { method: 'efectivo' } }, 'preparacion'));
+  check('Un delivery no se entrega sin salir a reparto', rechaza({ ...confirmado, estado: 'preparacion' }, 'entregado') &&
+    !rechaza({ ...confirmado, estado: 'preparacion', tipo_entrega: 'recojo' }, 'entregado'));
+  const enReparto = { ...confirmado, estado: 'en_reparto', repartidor: { nombre: 'Luis', salidaEn: '2026-10-18T19:50:00Z', etaMin: 20 } };
+  check('ETA de reparto descuenta el tiempo en ruta', orderStatus.buildStatusMessage(enReparto, 'en_reparto', { now: slaNow }).includes('Luis.\nETA: 10 minutos'));
+
+  // Test 21: Número de pedido para clientes y personal
+  console.log('\n📋 TEST 21: Número de pedido');
+  check('Correlativo con formato DY-000123', formatearNumeroPedido(123) === 'DY-000123');
+  check('El número va en el mensaje al agente y en los avisos de estado',
+    formatOrderForAgent({ numero: 'DY-000123', items: [], total: 40 }, {}).includes('PEDIDO N° DY-000123') &&
+    orderStatus.buildStatusMessage({ ...enReparto, pedido: { ...enReparto.pedido, numero: 'DY-000123' } }, 'entregado').startsWith('🧾 Pedido N° DY-000123'));
+
+  // Test 22: Consulta y exportación de pedidos (memoria, sin Firebase)
+  console.log('\n📋 TEST 22: Consulta y exportación de pedidos');
+  for (const total of [30, 45]) {
+    await guardarPedidoFirebase({ telefono_cliente: '51987654321', pedido: [{ nombre: 'Alitas', cantidad: 1, precio: total }], total, pago: 'yape' });
+  }
+  const primera = await buscarPedidos({ telefono: '51987654321', pago: 'yape', limite: 1, orden: 'total', direccion: 'asc' });
+  const segunda = await buscarPedidos({ telefono: '51987654321', pago: 'yape', limite: 1, orden: 'total', direccion: 'asc', cursor: primera.siguienteCursor });
+  check('Paginación por cursor sin repetir pedidos',
+    primera.pedidos[0]?.total === 30 && segunda.pedidos[0]?.total === 45 && segunda.siguienteCursor === null);
+  const csv = pedidosExport.pedidosACsv([{ numero: 'DY-000001', nombre_cliente: '=HYPERLINK("x")', direccion: 'Av. Perú 123, Lima', total: 30 }]);
+  check('CSV con BOM, comillas y celdas sin fórmulas',
+    csv.startsWith('\uFEFFnumero,') && csv.includes(`"'=HYPERLINK(""x"")"`) && csv.includes('"Av. Perú 123, Lima"') && csv.endsWith('\r\n'));
+
+  // Test 23: Ticket de cocina (58/80 mm)
+  console.log('\n📋 TEST 23: Ticket de cocina');
+  const ticketPedido = {
+    numero: 'DY-000123',
+    tipo_entrega: 'delivery',
+    pedido: [
+      { id: 'pepsi_355', nombre: 'Pepsi 355ml', cantidad: 2 },
+      { id: 'pizza_americana', nombre: 'Pizza Americana', cantidad: 1, variante: 'familiar', extras: ['Extra mozzarella'], notas: 'sin orégano' }
+    ]
+  };
+  const stationIds = kitchenTicket.groupByStation(ticketPedido.pedido, { menu: menuData }).map(g => g.id);
+  check('Items agrupados por estación en el orden de reglas.json', stationIds.join() === 'pizzas,bebidas', stationIds.join());
+  const preview = kitchenTicket.renderTicketText(ticketPedido, { width: 58, menu: menuData });
+  check('Vista previa de 58 mm con modificadores y notas',
+    preview.split('\n').every(l => l.length <= 32) && preview.includes('   + Extra mozzarella') && preview.includes('   * sin orégano'));
+  const escpos = kitchenTicket.renderTicketEscPos(ticketPedido, { width: 80, menu: menuData });
+  const numeroGrande = Buffer.from([0x1d, 0x21, 0x11, ...Buffer.from('N'), 0xf8, ...Buffer.from(' DY-000123')]);
+  check('ESC/POS con número en letra doble, tildes PC850 y corte',
+    escpos.includes(numeroGrande) && escpos.includes(Buffer.from([0x72, 0x82, 0x67])) && escpos.subarray(-4).equals(Buffer.from([0x1d, 0x56, 0x42, 0x00])));
+
+  // Test 24: Cierre del día
+  console.log('\n📋 TEST 24: Cierre del día');
+  const cierre = dailyReport.summarizeOrders([
+    { numero: 'DY-000001', estado: 'entregado', tipo_entrega: 'delivery', total: 35, costo_envio: 5, metodos_pago: ['yape'], pagos: [{ method: 'yape', amount: 35, verified: true }], pedido: [{ id: 'pizza_americana', nombre: 'Pizza Americana', cantidad: 1, precio: 30 }] },
+    { numero: 'DY-000002', estado: 'pagado', tipo_entrega: 'recojo', total: 40, metodos_pago: ['yape', 'efectivo'], pagos: [{ method: 'yape', amount: 20, verified: true }, { method: 'efectivo', amount: 10 }], pedido: [{ id: 'pepsi_355', nombre: 'Pepsi 355ml', cantidad: 4, precio: 2 }], descuento: 3 },
+    { numero: 'DY-000003', estado: 'cancelado', total: 28, metodos_pago: ['plin'] }
+  ]);
+  check('Totales por método, entrega, delivery y cancelados',
+    cierre.ventas.monto === 75 && cierre.porMetodo.yape.monto === 35 && cierre.porMetodo.combinado.pedidos === 1 &&
+    cierre.porEntrega.recojo.monto === 40 && cierre.delivery.monto === 5 && cierre.cancelados.pedidos === 1 && cierre.descuentos.monto === 3);
+  check('Ranking por cantidad y alerta si los comprobantes no cuadran',
+    cierre.productos[0].id === 'pepsi_355' && !cierre.conciliacion.cuadra && cierre.conciliacion.pedidos[0]?.numero === 'DY-000002' &&
+    dailyReport.renderReportText({ fecha: '2026-10-18', ...cierre }).includes('NO CUADRA'));
+
+  // Test 25: Copia de pedidos en hoja de cálculo
+  console.log('\n📋 TEST 25: Hoja de cálculo de pedidos');
+  const sheetCalls = [];
+  const fakeHttp = {
+    post: async () => ({ data: { access_token: 'tok', expires_in: 3600 } }),
+    request: async (req) => {
+      sheetCalls.push(req);
+      return { data: req.method === 'get' ? { values: [['numero'], ['DY-000001']] } : {} };
+    }
+  };
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048, privateKeyEncoding: { type: 'pkcs8', format: 'pem' } });
+  const sheetAdapter = sheetsSink.createGoogleSheetsAdapter({ spreadsheetId: 'hoja', sheet: 'Pedidos', clientEmail: 'bot@test', privateKey, http: fakeHttp });
+  const filaPedido = { numero: 'DY-000001', estado: 'entregado', nombre_cliente: 'Ana', total: 30, metodos_pago: ['yape'], pedido: [{ nombre: 'Pizza', cantidad: 1 }] };
+  const accion1 = await sheetsSink.upsertOrderRow(filaPedido, { adapter: sheetAdapter });
+  const accion2 = await sheetsSink.upsertOrderRow({ ...filaPedido, numero: 'DY-000002' }, { adapter: sheetAdapter });
+  check('Google Sheets actualiza la fila existente y agrega las nuevas',
+    accion1 === 'actualizada' && accion2 === 'agregada' &&
+    sheetCalls[1].method === 'put' && sheetCalls[1].url.includes(encodeURIComponent("'Pedidos'!A2")) &&
+    sheetCalls[3].method === 'post' && sheetCalls[3].data.values[0][0] === 'DY-000002' && sheetCalls[3].headers.Authorization === 'Bearer tok');
+
+  // Test 26: Stock con reservas (dos pedidos a la vez por la última unidad)
+  console.log('\n📋 TEST 26: Stock con reservas');
+  const stockMenu = { categorias: [{ id: 'postres', productos: [
+    { id: 'torta_test', nombre: 'Torta', precio: 8, stock: 3, disponible: true },
+    { id: 'flan_test', nombre: 'Flan', precio: 6, stock: 5, disponible: true },
+    { id: 'pie_test', nombre: 'Pie', precio: 7, stock: 4, disponible: false }
+  ] }] };
+  const reservas = await Promise.all(['900000001', '900000002'].map(tel => inventory.reserveStock(tel, [{ id: 'torta_test', quantity: 2 }], { menu: stockMenu })));
+  const sinStock = reservas.find(r => !r.ok);
+  check('Dos pedidos a la vez no reservan la misma unidad y se sugieren alternativas disponibles',
+    reservas.filter(r => r.ok).length === 1 && sinStock?.faltantes[0].disponible === 1 &&
+    sinStock.faltantes[0].alternativas.map(a => a.id).join() === 'flan_test');
+  await inventory.releaseStock('900000001');
+  const reservaLiberada = await inventory.reserveStock('900000002', [{ id: 'torta_test', quantity: 3 }], { menu: stockMenu });
+  const pagado = await inventory.commitStock('900000002', [{ id: 'torta_test', quantity: 3 }], { menu: stockMenu, numero: 'DY-000009' });
+  const repetido = await inventory.commitStock('900000002', [{ id: 'torta_test', quantity: 3 }], { menu: stockMenu, numero: 'DY-000009' });
+  const agotado = await inventory.checkStock([{ id: 'torta_test', quantity: 1 }], { menu: stockMenu });
+  check('Cancelar libera la reserva y pagar descuenta el stock una sola vez',
+    reservaLiberada.ok && pagado.committed && !repetido.committed && agotado[0]?.disponible === 0);
+  const siguientePedido = await inventory.commitStock('900000002', [{ id: 'flan_test', quantity: 1 }], { menu: stockMenu });
+  const flanes = await inventory.checkStock([{ id: 'flan_test', quantity: 5 }], { menu: stockMenu });
+  check('El siguiente pedido sin número no se confunde con el ya descontado',
+    siguientePedido.committed && flanes[0]?.disponible === 4);
+
+  // Test 27: Productos apagados en vivo (la categoría se vuelve a encender aunque falle el test)
+  console.log('\n📋 TEST 27: Productos apagados en vivo');
+  try {
+    await availability.setAvailability({ tipo: 'categoria', id: 'pizzas', disponible: false, hasta: '2099-01-01T00:00:00Z' }, { menu: menuData });
+    const menuVivo = await availability.getLiveMenu(menuData);
+    const pedidoApagado = parseOrderText('quiero 1 pizza pepperoni familiar', menuVivo);
+    check('Una categoría apagada saca sus productos del pedido',
+      menuVivo.categorias.find(c => c.id === 'pizzas').productos.every(p => p.disponible === false) &&
+      pedidoApagado.items.length === 0 && pedidoApagado.unavailable[0]?.id === 'pizza_pepperoni');
+  } finally {
+    await availability.setAvailability({ tipo: 'categoria', id: 'pizzas', disponible: true }, { menu: menuData });
+  }
+  check('Volver a encender restaura el menú estático',
+    (await availability.listOverrides()).length === 0 && (await availability.getLiveMenu(menuData)) === menuData);
+
+  // Test 28: Administración del menú con versiones
+  console.log('\n📋 TEST 28: Administración del menú con versiones');
+  const sinPrecio = menuAdmin.applyChange(menuData, { accion: 'crear', tipo: 'producto', id: 'pizza_test', categoria: 'pizzas', datos: { nombre: 'Pizza Test', sku: 'PIZ-TST' } });
+  let esquemaRechazado = false;
+  try {
+    await menuAdmin.updateMenu({ accion: 'eliminar', tipo: 'variante', id: 'familiar', producto: 'pizza_pepperoni' });
+    await menuAdmin.updateMenu({ accion: 'eliminar', tipo: 'variante', id: 'mediana', producto: 'pizza_pepperoni' });
+    await menuAdmin.updateMenu({ accion: 'eliminar', tipo: 'variante', id: 'pequena', producto: 'pizza_pepperoni' });
+  } catch (error) {
+    esquemaRechazado = error.details?.errores?.some(e => e.mensaje.includes('precio'));
+  }
+  check('Un cambio que rompe el esquema no se guarda',
+    menuAdmin.validateMenu(menuData).length === 0 && menuAdmin.validateMenu(sinPrecio).length > 0 && esquemaRechazado);
+  const cambioPrecio = await menuAdmin.updateMenu({ accion: 'actualizar', tipo: 'modificador', id: 'extra_pepperoni', producto: 'pizza_pepperoni', datos: { precio: 5 } }, { agente: 'test' });
+  const restaurado = await menuAdmin.restoreVersion(0);
+  const historial = await menuAdmin.listVersions();
+  check('Cada cambio es una versión nueva y restaurar vuelve al menú anterior',
+    cambioPrecio.diferencias[0]?.campos?.modificadores && restaurado.version === cambioPrecio.version + 1 &&
+    historial.activa === restaurado.version && menuAdmin.diffMenus(menuData, (await menuAdmin.getActiveMenu()).menu).length === 0);
+
+  // Test 29: Motor de promociones (jueves 22/10/2026 y lunes 19/10/2026)
+  console.log('\n📋 TEST 29: Motor de promociones');
+  const jueves = new Date('2026-10-22T20:00:00Z');
+  const lunes = new Date('2026-10-19T20:00:00Z');
+  const pedidoPromo = [
+    { id: 'pizza_americana', variant: 'mediana', quantity: 1, price: 20.9 },
+    { id: 'pizza_pepperoni', variant: 'mediana', quantity: 1, price: 20.9 },
+    { id: 'burger_clasica', quantity: 2, price: 10 },
+    { id: 'pepsi_355', quantity: 1, price: 2 }
+  ];
+  const promoJueves = promotions.evaluatePromotions(pedidoPromo, { menu: menuData, now: jueves });
+  const promoLunes = promotions.evaluatePromotions(pedidoPromo, { menu: menuData, now: lunes });
+  check('Combos y promos del día se aplican con su descuento',
+    promoJueves.descuento === 12.9 && promoJueves.promociones.map(p => p.id).join() === 'regla_combo_burger_pepsi,regla_2_pizzas_jueves' &&
+    promoLunes.descuento === 1 && promotions.findOutOfSchedule([{ id: 'promo_2_pizzas_clasicas_jueves' }], { menu: menuData, now: lunes })[0]?.cuando === 'los jueves');
+  check('Martes de Barra Libre se deriva a un agente',
+    promotions.findAgentPromotions([{ id: 'martes_barra_libre' }], { menu: menuData })[0]?.id === 'regla_martes_barra_libre' &&
+    escalation.ESCALATION_TRIGGERS.promo_requiere_agente && loadFlows().escalado.gatillos_escalado.includes('promo_requiere_agente'));
+
+  // Test 30: Cupones
+  console.log('\n📋 TEST 30: Cupones');
+  const cuponPizzas = { codigo: 'PIZZA20', tipo: 'porcentaje', valor: 20, tope: 5, minimo: 15, categorias: ['pizzas'] };
+  const conPizza = coupons.computeCouponDiscount(cuponPizzas, [{ id: 'pizza_americana', variant: 'mediana', quantity: 2, price: 20.9 }], { menu: menuData });
+  const sinPizza = coupons.computeCouponDiscount(cuponPizzas, [{ id: 'pepsi_355', quantity: 10, price: 2 }], { menu: menuData });
+  check('Cupón detectado en el mensaje y descuento con tope, mínimo y alcance',
+    coupons.detectCouponCode('hola, tengo el cupón bienvenida10')?.codigo === 'BIENVENIDA10' &&
+    coupons.detectCouponCode('tienen algún código de descuento?')?.codigo === null && coupons.detectCouponCode('una pizza americana') === null &&
+    conPizza.monto === 5 && sinPizza.monto === 0 && /no aplica/.test(sinPizza.motivo));
+  await coupons.saveCoupon({ codigo: 'TEST25', tipo: 'monto', valor: 5, limite_total: 1 }, { menu: menuData });
+  const primero = await coupons.redeemCoupon('TEST25', '51900000251', { subtotal: 30 });
+  const cuponAgotado = await coupons.redeemCoupon('TEST25', '51900000252', { subtotal: 30 });
+  await coupons.releaseCoupon('51900000251');
+  const liberado = await coupons.redeemCoupon('TEST25', '51900000252', { subtotal: 30 });
+  check('El límite de usos se respeta y un pedido cancelado devuelve su uso',
+    primero.ok && !cuponAgotado.ok && cuponAgotado.motivo === 'ya se agotó' && liberado.ok && await coupons.commitCoupon('51900000252'));
+  await coupons.saveCoupon({ codigo: 'PRIMERA25', tipo: 'monto', valor: 5, solo_primer_pedido: true }, { menu: menuData });
+  const pedidoEfectivo = { telefono_cliente: '51900000253', pago: 'efectivo', pedido: [{ id: 'x', nombre: 'X', cantidad: 1, precio: 30 }], total: 30, estado: 'pedido_confirmado' };
+  await guardarPedidoFirebase(pedidoEfectivo);
+  await guardarPedidoFirebase({ ...pedidoEfectivo, telefono_cliente: '51900000254', estado: 'cancelado' });
+  const cuponPrimera = (telefono) => callApi({ body: { telefono, mensaje: 'tengo el cupón primera25', tipo: 'text' } });
+  const [nuevo, trasEfectivo, trasCancelado] = [await cuponPrimera('51900000255'), await cuponPrimera('51900000253'), await cuponPrimera('51900000254')];
+  check('El cupón de primer pedido no vale tras un pedido en efectivo (los cancelados no cuentan)',
+    /Guardé tu cupón PRIMERA25/.test(nuevo.body?.reply) && /es solo para el primer pedido/.test(trasEfectivo.body?.reply) &&
+    /Guardé tu cupón PRIMERA25/.test(trasCancelado.body?.reply), [nuevo, trasEfectivo, trasCancelado].map(r => r.body?.reply).join(' | '));
+
+  console.log(`\n📊 Resultado: ${passed} OK, ${failed} fallidos`);
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error(`❌ Error inesperado: ${error.message}`);
+  process.exit(1);
+});